@@ -0,0 +1,940 @@
+'use strict'
+
+/**
+ * 云数据库的内存模拟实现（仅在Node中运行，供 emulator/index.js 使用）
+ *
+ * 实现了前端、云端utils用到的数据库接口：
+ *   1. collection().where().skip().limit().field().orderBy().get/update/remove/count
+ *   2. collection().add()、doc().get/set/update/remove
+ *   3. aggregate().match/project/sort/skip/limit/group/lookup/unwind/count/addFields/end
+ *   4. command的查询指令、更新指令，以及command.aggregate的常用操作符
+ *   5. RegExp、serverDate
+ *
+ * 注意
+ *   1. 只模拟数据的读写结果，不模拟权限、索引、单次读取大小等限制。
+ *   2. 读写不存在的集合时会自动创建集合。
+ *   3. 与微信SDK一样，命令对象是类的实例，带有不可枚举的_internalType属性，utils据此判断是否为数据库指令。
+ *      展开（{...cmd}）或深拷贝后得到的普通对象不再是命令，会被当作普通的查询条件，与SDK的行为一致。
+ *      serverDate使用带有_internalType属性的普通对象。
+ */
+
+const {randomBytes} = require('crypto')
+
+/* === 命令对象 === */
+
+// 查询指令、更新指令、聚合操作符都用 DbCommand {$cmd, $args} 表示
+class DbCommand {
+  constructor (cmd, args) {
+    this.$cmd = cmd
+    this.$args = args
+    Object.defineProperty(this, '_internalType', {enumerable: false, value: 'command'})
+  }
+
+  // 支持 $.gt(1).and($.lt(5)) 这种链式写法
+  and (...o) {
+    return makeCmd('and', [this, ...o.flat()])
+  }
+
+  or (...o) {
+    return makeCmd('or', [this, ...o.flat()])
+  }
+}
+
+const makeCmd = (cmd, args) => new DbCommand(cmd, args)
+
+const isCmd = (v) => v instanceof DbCommand
+const isRegExp = (v) => v instanceof RegExp || (v !== null && typeof v === 'object' && typeof v.$regexp === 'string')
+const isServerDate = (v) => v !== null && typeof v === 'object' && v.$server_date === true
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date)
+  && !isCmd(v) && !isRegExp(v) && !isServerDate(v)
+
+const toRegExp = (v) => v instanceof RegExp ? v : new RegExp(v.$regexp, v.$options || '')
+
+const QUERY_CMDS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists', 'all', 'elemMatch', 'size', 'mod']
+const LOGIC_CMDS = ['and', 'or', 'nor', 'not']
+const UPDATE_CMDS = ['set', 'remove', 'inc', 'mul', 'push', 'pull', 'pullAll', 'addToSet', 'pop', 'shift', 'unshift', 'min', 'max', 'rename']
+const AGG_OPS = [
+  // 累计器
+  'sum', 'avg', 'max', 'min', 'first', 'last', 'push', 'addToSet',
+  // 表达式
+  'add', 'subtract', 'multiply', 'divide', 'mod', 'concat', 'toLower', 'toUpper', 'substr', 'strLenBytes',
+  'dateToString', 'year', 'month', 'dayOfMonth', 'ifNull', 'cond', 'size', 'arrayElemAt', 'in',
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'and', 'or', 'not', 'literal', 'mergeObjects', 'objectToArray',
+]
+
+/**
+ * 创建command对象，与 db.command 的用法一致
+ */
+const makeCommand = () => {
+  const command = {}
+  for (const c of QUERY_CMDS) {
+    command[c] = (...args) => makeCmd(c, args.length > 1 ? args : args[0])
+  }
+  for (const c of LOGIC_CMDS) {
+    command[c] = (...args) => makeCmd(c, c === 'not' ? args[0] : args.flat())
+  }
+  for (const c of UPDATE_CMDS) {
+    command[c] = (...args) => makeCmd(c, args[0])
+  }
+  command.aggregate = {}
+  for (const op of AGG_OPS) {
+    command.aggregate[op] = (arg) => makeCmd('$' + op, arg)
+  }
+  return command
+}
+
+/* === 工具函数 === */
+
+const clone = (v) => structuredClone(v)
+
+const getPath = (obj, path) => {
+  let cur = obj
+  for (const k of String(path).split('.')) {
+    if (cur === null || cur === undefined) return undefined
+    cur = cur[k]
+  }
+  return cur
+}
+
+const setPath = (obj, path, value) => {
+  const ks = String(path).split('.')
+  let cur = obj
+  for (let i = 0; i < ks.length - 1; i++) {
+    if (cur[ks[i]] === null || typeof cur[ks[i]] !== 'object') {
+      cur[ks[i]] = /^\d+$/.test(ks[i + 1]) ? [] : {}
+    }
+    cur = cur[ks[i]]
+  }
+  cur[ks[ks.length - 1]] = value
+}
+
+const deletePath = (obj, path) => {
+  const ks = String(path).split('.')
+  const parent = ks.length > 1 ? getPath(obj, ks.slice(0, -1).join('.')) : obj
+  if (parent !== null && typeof parent === 'object') {
+    delete parent[ks[ks.length - 1]]
+  }
+}
+
+const equals = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((x, i) => equals(x, b[i]))
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const ka = Object.keys(a)
+    return ka.length === Object.keys(b).length && ka.every(k => equals(a[k], b[k]))
+  }
+  return a === b
+}
+
+// 排序时不同类型的先后顺序（与MongoDB相近）
+const typeRank = (v) => {
+  if (v === undefined || v === null) return 0
+  if (typeof v === 'number') return 1
+  if (typeof v === 'string') return 2
+  if (isPlainObject(v)) return 3
+  if (Array.isArray(v)) return 4
+  if (typeof v === 'boolean') return 5
+  if (v instanceof Date) return 6
+  return 7
+}
+
+const compare = (a, b) => {
+  const ra = typeRank(a), rb = typeRank(b)
+  if (ra !== rb) return ra - rb
+  if (a instanceof Date) return a.getTime() - b.getTime()
+  if (typeof a === 'number' || typeof a === 'string' || typeof a === 'boolean') {
+    return a < b ? -1 : a > b ? 1 : 0
+  }
+  return 0
+}
+
+// 只有同类型的值才能比较大小（与MongoDB相同，数字不会与字符串比较）
+const comparable = (a, b) => a !== undefined && a !== null && typeRank(a) === typeRank(b)
+
+// 生成与微信云数据库格式相近的_id：8位前缀 + 8位秒级时间戳 + 8位计数 + 8位随机数（均为16进制）
+const makeIdFactory = () => {
+  const prefix = randomBytes(4).toString('hex')
+  let counter = 0
+  return () => {
+    const seconds = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0')
+    counter++
+    return prefix + seconds + counter.toString(16).padStart(8, '0') + randomBytes(4).toString('hex')
+  }
+}
+
+const makeError = (errCode, errMsg) => {
+  const e = new Error(errMsg)
+  e.errCode = errCode
+  e.errMsg = errMsg
+  return e
+}
+
+/* === 查询匹配 === */
+
+const matchValue = (value, cond) => {
+  if (isCmd(cond)) {
+    return matchCmd(value, cond)
+  }
+  if (isRegExp(cond)) {
+    const re = toRegExp(cond)
+    return Array.isArray(value) ? value.some(v => typeof v === 'string' && re.test(v)) : typeof value === 'string' && re.test(value)
+  }
+  // 数组字段可以直接匹配数组中的元素
+  if (Array.isArray(value) && !Array.isArray(cond)) {
+    return value.some(v => equals(v, cond))
+  }
+  return equals(value, cond)
+}
+
+const anyValue = (value, fn) => Array.isArray(value) ? value.some(fn) : fn(value)
+
+const matchCmd = (value, {$cmd, $args}) => {
+  switch ($cmd) {
+    case 'eq': return matchValue(value, $args)
+    case 'neq': return !matchValue(value, $args)
+    case 'gt': return anyValue(value, v => comparable(v, $args) && compare(v, $args) > 0)
+    case 'gte': return anyValue(value, v => comparable(v, $args) && compare(v, $args) >= 0)
+    case 'lt': return anyValue(value, v => comparable(v, $args) && compare(v, $args) < 0)
+    case 'lte': return anyValue(value, v => comparable(v, $args) && compare(v, $args) <= 0)
+    case 'in': return $args.some(a => matchValue(value, a))
+    case 'nin': return !$args.some(a => matchValue(value, a))
+    case 'exists': return (value !== undefined) === Boolean($args)
+    case 'all': return Array.isArray(value) && $args.every(a => value.some(v => matchValue(v, a)))
+    case 'size': return Array.isArray(value) && value.length === $args
+    case 'mod': return typeof value === 'number' && value % $args[0] === $args[1]
+    case 'elemMatch': return Array.isArray(value) && value.some(v => isPlainObject($args) && !isPlainObject(v) ? false
+      : isPlainObject($args) ? matchDoc(v, $args) : matchValue(v, $args))
+    case 'and': return $args.every(c => matchValue(value, c))
+    case 'or': return $args.some(c => matchValue(value, c))
+    case 'nor': return !$args.some(c => matchValue(value, c))
+    case 'not': return !matchValue(value, $args)
+    default: throw makeError(-502001, `emulator: 不支持的查询指令 ${$cmd}`)
+  }
+}
+
+/**
+ * 判断文档是否满足查询条件
+ *
+ * @param {Object} doc - 文档
+ * @param {Object} cond - 查询条件，可以是普通对象或 $.and/$.or 等命令对象
+ * @returns {boolean} 是否满足
+ */
+const matchDoc = (doc, cond) => {
+  if (cond === undefined || cond === null) {
+    return true
+  }
+  if (isCmd(cond)) {
+    const {$cmd, $args} = cond
+    if ($cmd === 'and') return $args.every(c => matchDoc(doc, c))
+    if ($cmd === 'or') return $args.some(c => matchDoc(doc, c))
+    if ($cmd === 'nor') return !$args.some(c => matchDoc(doc, c))
+    if ($cmd === 'not') return !matchDoc(doc, $args)
+    throw makeError(-502001, `emulator: where中不能直接使用指令 ${$cmd}`)
+  }
+  for (const key in cond) {
+    const c = cond[key]
+    // {a: {b: 1}} 等价于 {'a.b': 1}
+    if (isPlainObject(c) && Object.keys(c).length > 0) {
+      for (const k in c) {
+        if (!matchDoc(doc, {[`${key}.${k}`]: c[k]})) return false
+      }
+    } else if (!matchValue(getPath(doc, key), c)) {
+      return false
+    }
+  }
+  return true
+}
+
+/* === 写入 === */
+
+// 把数据中的serverDate替换为当前时间
+const resolveValue = (v) => {
+  if (isServerDate(v)) {
+    return new Date(Date.now() + (v.offset || 0))
+  }
+  if (isRegExp(v) || v instanceof Date) {
+    return v
+  }
+  if (Array.isArray(v)) {
+    return v.map(resolveValue)
+  }
+  if (v !== null && typeof v === 'object') {
+    if (isCmd(v)) {
+      throw makeError(-502001, `emulator: 写入的数据中不能包含指令 ${v.$cmd}`)
+    }
+    const ret = {}
+    for (const k in v) {
+      if (v[k] !== undefined) ret[k] = resolveValue(v[k])
+    }
+    return ret
+  }
+  return v
+}
+
+const applyUpdateCmd = (doc, path, {$cmd, $args}) => {
+  const cur = getPath(doc, path)
+  const arr = () => Array.isArray(cur) ? cur : []
+  const each = (a) => isPlainObject(a) && Array.isArray(a.each) ? a.each : Array.isArray(a) ? a : [a]
+  switch ($cmd) {
+    case 'set': setPath(doc, path, resolveValue($args)); break
+    case 'remove': deletePath(doc, path); break
+    case 'inc': setPath(doc, path, (cur || 0) + $args); break
+    case 'mul': setPath(doc, path, (cur || 0) * $args); break
+    case 'min': if (cur === undefined || compare($args, cur) < 0) setPath(doc, path, resolveValue($args)); break
+    case 'max': if (cur === undefined || compare($args, cur) > 0) setPath(doc, path, resolveValue($args)); break
+    case 'push': setPath(doc, path, [...arr(), ...each($args).map(resolveValue)]); break
+    case 'unshift': setPath(doc, path, [...each($args).map(resolveValue), ...arr()]); break
+    case 'addToSet': {
+      const ret = [...arr()]
+      for (const v of each($args)) {
+        if (!ret.some(x => equals(x, v))) ret.push(resolveValue(v))
+      }
+      setPath(doc, path, ret)
+      break
+    }
+    case 'pop': setPath(doc, path, arr().slice(0, -1)); break
+    case 'shift': setPath(doc, path, arr().slice(1)); break
+    case 'pull': setPath(doc, path, arr().filter(v => isPlainObject($args) && isPlainObject(v) ? !matchDoc(v, $args) : !matchValue(v, $args))); break
+    case 'pullAll': setPath(doc, path, arr().filter(v => !$args.some(a => equals(v, a)))); break
+    case 'rename': if (cur !== undefined) { deletePath(doc, path); setPath(doc, $args, cur) } break
+    default: throw makeError(-502001, `emulator: 不支持的更新指令 ${$cmd}`)
+  }
+}
+
+/**
+ * 按update的规则修改文档（普通对象是局部更新，替换整个对象需要使用 $.set）
+ *
+ * @param {Object} doc - 被修改的文档（会被直接修改）
+ * @param {Object} data - 更新数据
+ * @param {string} [prefix=''] - 递归时的路径前缀
+ */
+const applyUpdate = (doc, data, prefix = '') => {
+  for (const key in data) {
+    if (key === '_id' && !prefix) {
+      throw makeError(-502001, 'emulator: 不能更新_id')
+    }
+    const path = prefix ? `${prefix}.${key}` : key
+    const v = data[key]
+    if (v === undefined) {
+      continue
+    } else if (isCmd(v)) {
+      applyUpdateCmd(doc, path, v)
+    } else if (isPlainObject(v) && Object.keys(v).length > 0) {
+      applyUpdate(doc, v, path)
+    } else {
+      setPath(doc, path, resolveValue(v))
+    }
+  }
+}
+
+/* === 投影 === */
+
+const applyProjection = (doc, field) => {
+  const keys = Object.keys(field || {})
+  if (keys.length === 0) {
+    return doc
+  }
+  const include = keys.filter(k => field[k] === true || field[k] === 1)
+  if (include.length > 0) {
+    const ret = {}
+    if (field._id !== false && field._id !== 0) ret._id = doc._id
+    for (const k of include) {
+      const v = getPath(doc, k)
+      if (v !== undefined) setPath(ret, k, v)
+    }
+    return ret
+  }
+  const ret = clone(doc)
+  for (const k of keys) {
+    if (field[k] === false || field[k] === 0) deletePath(ret, k)
+  }
+  return ret
+}
+
+const sortDocs = (docs, orders) => {
+  if (orders.length === 0) {
+    return docs
+  }
+  return [...docs].sort((a, b) => {
+    for (const [k, dir] of orders) {
+      const r = compare(getPath(a, k), getPath(b, k))
+      if (r !== 0) return dir === 'desc' || dir === -1 ? -r : r
+    }
+    return 0
+  })
+}
+
+/* === 聚合 === */
+
+// 日期格式化支持的时区：'Asia/Shanghai'或'+08:00'形式，默认UTC
+const tzOffsetMinutes = (timezone) => {
+  if (!timezone || timezone === 'UTC') return 0
+  if (timezone === 'Asia/Shanghai') return 480
+  const m = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone)
+  if (m) return (m[1] === '-' ? -1 : 1) * (parseInt(m[2]) * 60 + parseInt(m[3]))
+  throw makeError(-502001, `emulator: 不支持的时区 ${timezone}`)
+}
+
+const isoWeek = (d) => {
+  const t = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()))
+  const day = t.getUTCDay() || 7
+  t.setUTCDate(t.getUTCDate() + 4 - day)
+  const year_start = new Date(Date.UTC(t.getUTCFullYear(), 0, 1))
+  return {year: t.getUTCFullYear(), week: Math.ceil(((t - year_start) / 86400000 + 1) / 7), day}
+}
+
+const formatDate = (date, format = '%Y-%m-%dT%H:%M:%S.%LZ', timezone) => {
+  const d = new Date(date.getTime() + tzOffsetMinutes(timezone) * 60000)
+  const pad = (n, len = 2) => String(n).padStart(len, '0')
+  const w = isoWeek(d)
+  const map = {
+    Y: d.getUTCFullYear(), m: pad(d.getUTCMonth() + 1), d: pad(d.getUTCDate()),
+    H: pad(d.getUTCHours()), M: pad(d.getUTCMinutes()), S: pad(d.getUTCSeconds()), L: pad(d.getUTCMilliseconds(), 3),
+    G: w.year, V: pad(w.week), u: w.day, '%': '%',
+  }
+  return format.replace(/%([YmdHMSLGVu%])/g, (_, k) => map[k])
+}
+
+/**
+ * 计算聚合表达式的值
+ *
+ * @param {*} expr - 表达式，'$a.b'表示字段，{$cmd: '$add', ...}表示操作符
+ * @param {Object} doc - 当前文档
+ * @returns {*} 表达式的值
+ */
+const evalExpr = (expr, doc) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) {
+    return getPath(doc, expr.slice(1))
+  }
+  if (Array.isArray(expr)) {
+    return expr.map(e => evalExpr(e, doc))
+  }
+  if (isCmd(expr) && expr.$cmd.startsWith('$')) {
+    const op = expr.$cmd.slice(1)
+    const a = expr.$args
+    const args = () => (Array.isArray(a) ? a : [a]).map(e => evalExpr(e, doc))
+    switch (op) {
+      case 'add': return args().reduce((s, v) => v instanceof Date || s instanceof Date ? new Date(+s + +v) : s + v)
+      case 'subtract': { const [x, y] = args(); return x instanceof Date && y instanceof Date ? x - y : x instanceof Date ? new Date(x - y) : x - y }
+      case 'multiply': return args().reduce((s, v) => s * v, 1)
+      case 'divide': { const [x, y] = args(); return x / y }
+      case 'mod': { const [x, y] = args(); return x % y }
+      case 'concat': return args().join('')
+      case 'toLower': return String(args()[0] ?? '').toLowerCase()
+      case 'toUpper': return String(args()[0] ?? '').toUpperCase()
+      case 'substr': { const [s, start, len] = args(); return String(s ?? '').substr(start, len) }
+      case 'strLenBytes': return Buffer.byteLength(String(args()[0] ?? ''))
+      case 'size': return (args()[0] || []).length
+      case 'arrayElemAt': { const [arr, i] = args(); return (arr || [])[i < 0 ? arr.length + i : i] }
+      case 'in': { const [v, arr] = args(); return (arr || []).some(x => equals(x, v)) }
+      case 'ifNull': { const [v, d] = args(); return v === undefined || v === null ? d : v }
+      case 'cond': {
+        const {if: c, then: t, else: e} = Array.isArray(a) ? {if: a[0], then: a[1], else: a[2]} : a
+        return evalExpr(c, doc) ? evalExpr(t, doc) : evalExpr(e, doc)
+      }
+      case 'eq': { const [x, y] = args(); return equals(x, y) }
+      case 'neq': { const [x, y] = args(); return !equals(x, y) }
+      case 'gt': { const [x, y] = args(); return compare(x, y) > 0 }
+      case 'gte': { const [x, y] = args(); return compare(x, y) >= 0 }
+      case 'lt': { const [x, y] = args(); return compare(x, y) < 0 }
+      case 'lte': { const [x, y] = args(); return compare(x, y) <= 0 }
+      case 'and': return args().every(Boolean)
+      case 'or': return args().some(Boolean)
+      case 'not': return !args()[0]
+      case 'literal': return a
+      case 'mergeObjects': return Object.assign({}, ...args())
+      case 'objectToArray': return Object.entries(args()[0] || {}).map(([k, v]) => ({k, v}))
+      case 'dateToString': {
+        const {date, format, timezone, onNull} = a
+        const d = evalExpr(date, doc)
+        return d instanceof Date ? formatDate(d, format, timezone) : onNull ?? null
+      }
+      case 'year': return evalExpr(a, doc)?.getUTCFullYear()
+      case 'month': return evalExpr(a, doc)?.getUTCMonth() + 1
+      case 'dayOfMonth': return evalExpr(a, doc)?.getUTCDate()
+      default: throw makeError(-502001, `emulator: ${op}只能在group中使用`)
+    }
+  }
+  if (isPlainObject(expr)) {
+    const ret = {}
+    for (const k in expr) ret[k] = evalExpr(expr[k], doc)
+    return ret
+  }
+  return expr
+}
+
+const accumulate = (acc, docs) => {
+  const op = acc.$cmd.slice(1)
+  const values = docs.map(d => evalExpr(acc.$args, d))
+  const nums = values.filter(v => typeof v === 'number')
+  switch (op) {
+    case 'sum': return nums.reduce((s, v) => s + v, 0)
+    case 'avg': return nums.length ? nums.reduce((s, v) => s + v, 0) / nums.length : null
+    case 'max': return values.filter(v => v !== undefined && v !== null).reduce((m, v) => m === undefined || compare(v, m) > 0 ? v : m, undefined) ?? null
+    case 'min': return values.filter(v => v !== undefined && v !== null).reduce((m, v) => m === undefined || compare(v, m) < 0 ? v : m, undefined) ?? null
+    case 'first': return values[0] ?? null
+    case 'last': return values[values.length - 1] ?? null
+    case 'push': return values
+    case 'addToSet': return values.reduce((s, v) => s.some(x => equals(x, v)) ? s : [...s, v], [])
+    default: throw makeError(-502001, `emulator: 不支持的累计器 ${op}`)
+  }
+}
+
+const projectDoc = (doc, spec) => {
+  const keys = Object.keys(spec)
+  const is_plain = keys.every(k => [true, false, 0, 1].includes(spec[k]))
+  if (is_plain) {
+    return applyProjection(doc, spec)
+  }
+  const ret = {}
+  if (spec._id !== false && spec._id !== 0) ret._id = doc._id
+  for (const k of keys) {
+    if (spec[k] === true || spec[k] === 1) {
+      const v = getPath(doc, k)
+      if (v !== undefined) setPath(ret, k, v)
+    } else if (spec[k] !== false && spec[k] !== 0) {
+      setPath(ret, k, evalExpr(spec[k], doc))
+    }
+  }
+  return ret
+}
+
+/* === 数据库 === */
+
+/**
+ * 创建内存数据库
+ *
+ * @param {Object} options
+ *   - {boolean} client - 是否为前端数据库。前端会把where中的'{openid}'替换为当前用户openid，并自动写入_openid
+ *   - {Function} getOpenid - 返回当前用户openid的函数
+ *   - {Object} store - 所有集合的数据 {集合名: Map(_id => doc)}，前端与云端共用同一个store
+ *   - {Function} beforeRequest - 每次读写前调用，可以抛出异常模拟断网
+ *   - {Function} onChange - 集合数据变化后调用，参数为集合名
+ * @returns {Object} 与 wx.cloud.database() 用法一致的数据库对象
+ */
+const createDatabase = ({client = false, getOpenid = () => '', store, beforeRequest = () => {}, onChange = () => {}} = {}) => {
+  const command = makeCommand()
+  const newId = store._newId || (store._newId = makeIdFactory())
+  const changed = (name) => {
+    onChange(name)
+    store.notify?.(name)
+  }
+  const max_limit = client ? 20 : 1000
+  const default_limit = client ? 20 : 100
+
+  const getColl = (name) => {
+    if (!store.colls[name]) store.colls[name] = new Map()
+    return store.colls[name]
+  }
+
+  // 前端查询中的'{openid}'表示当前用户
+  const replaceOpenid = (cond) => {
+    if (!client) return cond
+    if (cond === '{openid}') return getOpenid()
+    if (Array.isArray(cond)) return cond.map(replaceOpenid)
+    if (isCmd(cond)) {
+      const ret = makeCmd(cond.$cmd, replaceOpenid(cond.$args))
+      return ret
+    }
+    if (isPlainObject(cond)) {
+      const ret = {}
+      for (const k in cond) ret[k] = replaceOpenid(cond[k])
+      return ret
+    }
+    return cond
+  }
+
+  const request = async (name, op) => {
+    await beforeRequest({coll: name, op})
+  }
+
+  const findDocs = (name, where) => {
+    const cond = replaceOpenid(where)
+    return [...getColl(name).values()].filter(d => matchDoc(d, cond))
+  }
+
+  const makeQuery = (name, state) => {
+    const next = (patch) => makeQuery(name, {...state, ...patch})
+    return {
+      where: (w) => next({where: w}),
+      skip: (n) => next({skip: n}),
+      limit: (n) => next({limit: n}),
+      field: (f) => next({field: f}),
+      orderBy: (k, dir) => next({orders: [...state.orders, [k, dir]]}),
+
+      async get () {
+        await request(name, 'get')
+        const limit = Math.min(state.limit ?? default_limit, max_limit)
+        let docs = sortDocs(findDocs(name, state.where), state.orders)
+        docs = docs.slice(state.skip || 0, (state.skip || 0) + limit)
+        return {data: docs.map(d => applyProjection(clone(d), state.field)), errMsg: 'collection.get:ok'}
+      },
+
+      async count () {
+        await request(name, 'count')
+        return {total: findDocs(name, state.where).length, errMsg: 'collection.count:ok'}
+      },
+
+      async update ({data} = {}) {
+        await request(name, 'update')
+        let docs = findDocs(name, state.where)
+        if (state.limit) docs = docs.slice(0, state.limit)
+        let updated = 0
+        for (const d of docs) {
+          const before = clone(d)
+          applyUpdate(d, replaceOpenid(data))
+          if (!equals(before, d)) updated++
+        }
+        if (updated > 0) changed(name)
+        return {stats: {updated}, errMsg: 'collection.update:ok'}
+      },
+
+      async remove () {
+        await request(name, 'remove')
+        let docs = findDocs(name, state.where)
+        if (state.limit) docs = docs.slice(0, state.limit)
+        const coll = getColl(name)
+        docs.forEach(d => coll.delete(d._id))
+        if (docs.length > 0) changed(name)
+        return {stats: {removed: docs.length}, errMsg: 'collection.remove:ok'}
+      },
+
+      watch (options) {
+        const query = {where: replaceOpenid(state.where) ?? {}, orders: state.orders, limit: state.limit, client}
+        return store.watch(name, {...query, connect: () => request(name, 'watch')}, options)
+      },
+    }
+  }
+
+  const makeDoc = (name, id, field = {}) => ({
+    field: (f) => makeDoc(name, id, f),
+
+    async get () {
+      await request(name, 'doc.get')
+      const d = getColl(name).get(id)
+      if (!d) {
+        throw makeError(-502004, `document.get:fail document with _id ${id} does not exist`)
+      }
+      return {data: applyProjection(clone(d), field), errMsg: 'document.get:ok'}
+    },
+
+    async set ({data} = {}) {
+      await request(name, 'doc.set')
+      const coll = getColl(name)
+      const {_id, ...rest} = data || {}
+      const exists = coll.has(id)
+      const doc = {_id: id, ...resolveValue(rest)}
+      if (client) doc._openid = getOpenid()
+      coll.set(id, doc)
+      changed(name)
+      return {_id: id, stats: {updated: exists ? 1 : 0, created: exists ? 0 : 1}, errMsg: 'document.set:ok'}
+    },
+
+    async update ({data} = {}) {
+      await request(name, 'doc.update')
+      const d = getColl(name).get(id)
+      if (!d) {
+        return {stats: {updated: 0}, errMsg: 'document.update:ok'}
+      }
+      const before = clone(d)
+      applyUpdate(d, data)
+      const updated = equals(before, d) ? 0 : 1
+      if (updated) changed(name)
+      return {stats: {updated}, errMsg: 'document.update:ok'}
+    },
+
+    async remove () {
+      await request(name, 'doc.remove')
+      const removed = getColl(name).delete(id) ? 1 : 0
+      if (removed) changed(name)
+      return {stats: {removed}, errMsg: 'document.remove:ok'}
+    },
+  })
+
+  const insert = (name, data) => {
+    const coll = getColl(name)
+    const doc = resolveValue(data)
+    doc._id = doc._id === undefined ? newId() : doc._id
+    if (coll.has(doc._id)) {
+      throw makeError(-502001, `collection.add:fail duplicate key error, _id: ${doc._id}`)
+    }
+    if (client) doc._openid = getOpenid()
+    coll.set(doc._id, doc)
+    return doc._id
+  }
+
+  const runPipeline = (name, stages) => {
+    let docs = [...getColl(name).values()].map(clone)
+    for (const [stage, arg] of stages) {
+      switch (stage) {
+        case 'match': { const cond = replaceOpenid(arg); docs = docs.filter(d => matchDoc(d, cond)); break }
+        case 'project': docs = docs.map(d => projectDoc(d, arg)); break
+        case 'addFields': docs = docs.map(d => { const r = clone(d); for (const k in arg) setPath(r, k, evalExpr(arg[k], d)); return r }); break
+        case 'sort': docs = sortDocs(docs, Object.entries(arg)); break
+        case 'skip': docs = docs.slice(arg); break
+        case 'limit': docs = docs.slice(0, arg); break
+        case 'count': docs = [{[arg]: docs.length}]; break
+        case 'replaceRoot': docs = docs.map(d => evalExpr(arg.newRoot, d)); break
+        case 'unwind': {
+          const {path, preserveNullAndEmptyArrays = false} = typeof arg === 'string' ? {path: arg} : arg
+          const p = path.replace(/^\$/, '')
+          docs = docs.flatMap(d => {
+            const v = getPath(d, p)
+            if (Array.isArray(v) && v.length > 0) {
+              return v.map(x => { const r = clone(d); setPath(r, p, x); return r })
+            }
+            return preserveNullAndEmptyArrays ? [d] : []
+          })
+          break
+        }
+        case 'group': {
+          const groups = new Map()
+          for (const d of docs) {
+            const key = evalExpr(arg._id, d)
+            const k = JSON.stringify(key === undefined ? null : key)
+            if (!groups.has(k)) groups.set(k, {_id: key === undefined ? null : key, docs: []})
+            groups.get(k).docs.push(d)
+          }
+          docs = [...groups.values()].map(({_id, docs: g}) => {
+            const r = {_id}
+            for (const k in arg) {
+              if (k !== '_id') r[k] = accumulate(arg[k], g)
+            }
+            return r
+          })
+          break
+        }
+        case 'lookup': {
+          const {from, localField, foreignField, as} = arg
+          const foreign = [...getColl(from).values()]
+          docs = docs.map(d => {
+            const lv = getPath(d, localField)
+            const matched = foreign.filter(f => {
+              const fv = getPath(f, foreignField)
+              return Array.isArray(lv) ? lv.some(x => equals(x, fv)) : matchValue(fv, lv)
+            })
+            return {...d, [as]: matched.map(clone)}
+          })
+          break
+        }
+        default: throw makeError(-502001, `emulator: 不支持的聚合阶段 ${stage}`)
+      }
+    }
+    return docs
+  }
+
+  const makeAggregate = (name, stages = []) => {
+    const agg = {}
+    for (const stage of ['match', 'project', 'addFields', 'sort', 'skip', 'limit', 'count', 'unwind', 'group', 'lookup', 'replaceRoot']) {
+      agg[stage] = (arg) => makeAggregate(name, [...stages, [stage, arg]])
+    }
+    agg.end = async () => {
+      await request(name, 'aggregate')
+      const has_limit = stages.some(([s]) => s === 'limit')
+      let list = runPipeline(name, stages)
+      if (!has_limit) list = list.slice(0, default_limit)
+      return {list, errMsg: 'collection.aggregate:ok'}
+    }
+    return agg
+  }
+
+  const collection = (name) => ({
+    ...makeQuery(name, {where: {}, skip: 0, limit: null, field: {}, orders: []}),
+    doc: (id) => makeDoc(name, id),
+    aggregate: () => makeAggregate(name),
+
+    async add ({data} = {}) {
+      await request(name, 'add')
+      if (Array.isArray(data)) {
+        if (client) throw makeError(-502001, 'collection.add:fail 前端不支持批量插入')
+        const _ids = data.map(d => insert(name, d))
+        changed(name)
+        return {_ids, errMsg: 'collection.add:ok'}
+      }
+      const _id = insert(name, data)
+      changed(name)
+      return {_id, errMsg: 'collection.add:ok'}
+    },
+  })
+
+  /**
+   * 事务：同一时间只执行一个事务，回调抛出异常或调用rollback时恢复事务开始前的数据
+   * 事务中只支持doc().get/set/update/remove与collection().add，与微信一致
+   * 事务串行执行，不会发生写冲突，因此不使用retries
+   */
+  let tx_queue = Promise.resolve()
+  const runTransaction = (fn, retries = 3) => {
+    const run = async () => {
+      const snapshot = {}
+      for (const name in store.colls) {
+        snapshot[name] = new Map([...store.colls[name]].map(([id, d]) => [id, clone(d)]))
+      }
+      let rollback = null
+      const transaction = {
+        collection: (name) => ({
+          doc: (id) => {
+            const {get, set, update, remove} = collection(name).doc(id)
+            return {get, set, update, remove}
+          },
+          add: (options) => collection(name).add(options),
+        }),
+        rollback: async (reason) => {
+          rollback = {reason}
+        },
+      }
+      try {
+        const result = await fn(transaction)
+        if (rollback) throw rollback.reason
+        return result
+      } catch (e) {
+        for (const name of Object.keys(store.colls)) {
+          if (snapshot[name]) {
+            store.colls[name] = snapshot[name]
+          } else {
+            delete store.colls[name]
+          }
+          changed(name)
+        }
+        throw e
+      }
+    }
+    const p = tx_queue.then(run)
+    tx_queue = p.catch(() => {})
+    return p
+  }
+
+  return {
+    command,
+    collection,
+    runTransaction,
+    serverDate: ({offset = 0} = {}) => ({$server_date: true, offset, _internalType: 'server_date'}),
+    RegExp: ({regexp, options = ''} = {}) => ({$regexp: regexp, $options: options}),
+    _runPipeline: runPipeline,
+  }
+}
+
+/**
+ * 创建所有集合共用的数据存储
+ *
+ * @returns {Object} {colls: {集合名: Map}, watch, notify, failWatchers}
+ *
+ * 说明
+ *   1. watch的快照在setTimeout之后推送，同一轮事件循环中的多次写入合并为一次快照。
+ *   2. 快照格式与微信一致：{id, type, docs, docChanges}，首次推送的type为'init'。
+ */
+const createStore = () => {
+  const store = {colls: {}}
+  const watchers = new Set()
+
+  const currentDocs = ({name, where, orders, limit}) => {
+    const docs = [...(store.colls[name]?.values() ?? [])].filter(d => matchDoc(d, where))
+    return sortDocs(docs, orders).slice(0, limit ?? Infinity).map(clone)
+  }
+
+  // 与上次推送的结果比较，生成docChanges，有变化时推送
+  const push = (watcher) => {
+    watcher.timer = null
+    if (watcher.closed) return
+    const docs = currentDocs(watcher)
+    const before = new Map(watcher.docs.map(d => [d._id, d]))
+    const after = new Map(docs.map(d => [d._id, d]))
+    const changes = []
+    for (const d of docs) {
+      const old = before.get(d._id)
+      if (!old) {
+        changes.push({dataType: 'add', queueType: 'enqueue', docId: d._id, doc: d})
+      } else if (!equals(old, d)) {
+        const updatedFields = {}
+        for (const k in d) if (!equals(old[k], d[k])) updatedFields[k] = d[k]
+        const removedFields = Object.keys(old).filter(k => !(k in d))
+        changes.push({dataType: 'update', queueType: 'update', docId: d._id, doc: d, updatedFields, removedFields})
+      }
+    }
+    for (const d of watcher.docs) {
+      if (!after.has(d._id)) changes.push({dataType: 'remove', queueType: 'dequeue', docId: d._id, doc: d})
+    }
+    watcher.docs = docs
+    if (changes.length > 0) {
+      const id = watcher.snapshot_id++
+      watcher.onChange({id, docs: clone(docs), docChanges: changes.map(ch => ({id, ...ch}))})
+    }
+  }
+
+  const fail = (watcher, e) => {
+    if (watcher.closed) return
+    watcher.closed = true
+    clearTimeout(watcher.timer)
+    watchers.delete(watcher)
+    watcher.onError(e)
+  }
+
+  /**
+   * 监听集合，由collection().where().watch()调用
+   * @param {string} name - 集合名
+   * @param {Object} query - {where, orders, limit, client, connect}，connect返回Promise，失败时调用onError
+   * @param {Object} options - {onChange, onError}
+   * @returns {Object} {close}
+   */
+  store.watch = (name, {where = {}, orders = [], limit = null, client = false, connect = async () => {}}, {onChange = () => {}, onError = () => {}} = {}) => {
+    const watcher = {name, where, orders, limit, client, onChange, onError, docs: [], snapshot_id: 0, timer: null, closed: false}
+    Promise.resolve()
+      .then(connect)
+      .then(() => {
+        if (watcher.closed) return
+        watchers.add(watcher)
+        watcher.docs = currentDocs(watcher)
+        const id = watcher.snapshot_id++
+        const docChanges = watcher.docs.map(d => ({id, dataType: 'init', queueType: 'init', docId: d._id, doc: d}))
+        onChange({id, type: 'init', docs: clone(watcher.docs), docChanges})
+      })
+      .catch(e => fail(watcher, e))
+    return {
+      close: async () => {
+        watcher.closed = true
+        clearTimeout(watcher.timer)
+        watchers.delete(watcher)
+      },
+    }
+  }
+
+  /**
+   * 集合数据变化后通知监听者
+   * @param {string} name - 集合名
+   */
+  store.notify = (name) => {
+    for (const watcher of watchers) {
+      if (watcher.name === name && !watcher.timer) {
+        watcher.timer = setTimeout(() => push(watcher), 0)
+      }
+    }
+  }
+
+  /**
+   * 使监听出错并关闭（如模拟断网）
+   * @param {Object} e - 传给onError的错误
+   * @param {Object} options - {client}，只影响前端（true）或云端（false）的监听，默认为全部
+   */
+  store.failWatchers = (e, {client = null} = {}) => {
+    for (const watcher of [...watchers]) {
+      if (client === null || watcher.client === client) fail(watcher, e)
+    }
+  }
+
+  return store
+}
+
+module.exports = {
+  createDatabase,
+  createStore,
+  matchDoc,
+  applyUpdate,
+  evalExpr,
+  isCmd,
+  getPath,
+  setPath,
+  makeError,
+}
@@ -0,0 +1,66 @@
+'use strict'
+
+/**
+ * 模拟器的冒烟测试：在Node中运行前端与云端utils，检查常用的数据库、本地存储与云函数调用
+ *
+ * 运行：node emulator/example.js
+ * 全部通过时打印 ok，否则打印出错的检查并以非0状态码退出。
+ */
+
+const assert = require('assert/strict')
+const {createEmulator} = require('./index.js')
+
+const main = async () => {
+  const emu = createEmulator({openid: 'user_a', is_local: true})
+  const sh = emu.loadCloudUtils()
+  const utils = emu.loadFrontendUtils()
+  const $ = utils.command()
+
+  // 前端写入，云端读到
+  const ids = []
+  for (let i = 0; i < 5; i++) {
+    ids.push(await utils.addDoc('todo', {title: `t${i}`, rank: i, tags: []}))
+  }
+  assert.equal(await sh.count('todo'), 5)
+
+  // where().skip().limit().field().orderBy().get()
+  const page = await utils.docs({c: 'todo', w: {rank: $.gte(1)}, page_num: 1, page_size: 2, only: 'title', order_by: {rank: 'desc'}})
+  assert.deepEqual(page.map(d => d.title), ['t2', 't1'])
+  assert.equal(page[0].rank, undefined)
+
+  // command：in、push、exists
+  const two = await utils.getDocsByIds('todo', [ids[3], ids[0]])
+  assert.deepEqual(two.map(d => d.title), ['t3', 't0'])
+  assert.equal(await utils.updateDoc('todo', ids[0], {tags: $.push('a')}), true)
+  assert.deepEqual((await utils.getDoc('todo', ids[0])).tags, ['a'])
+  assert.equal(await utils.count('todo', {done: $.exists(true)}), 0)
+
+  // 命令对象作为查询条件（SDK的命令对象不能展开，见emulator/database.js）
+  assert.equal(await utils.count('todo', $.or([{rank: 0}, {rank: 4}]), {mine: true}), 2)
+  assert.deepEqual((await utils.search({c: 'todo', keyword: 't3', fields: 'title', mine: true})).map(d => d.title), ['t3'])
+
+  // aggregate().match().project().sort().skip().limit().end()
+  const all = await utils.allDocs({c: 'todo', match: {rank: $.lt(4)}, sort: {rank: -1}, page_size: 2, only: 'rank'})
+  assert.deepEqual(all.map(d => d.rank), [3, 2, 1, 0])
+
+  // doc().set()、update、remove
+  assert.deepEqual(await sh.setDoc('todo', 'fixed', {title: 'f', rank: 9}), {created: true, updated: false})
+  assert.equal(await utils.updateMatch('todo', {rank: $.gte(4)}, {done: true}), 2)
+  assert.equal(await utils.removeMatch('todo', {done: true}), 2)
+  assert.equal(await utils.count('todo'), 4)
+
+  // wx.setStorage、wx.getStorage
+  await utils.setStorage('k', {a: 1})
+  assert.deepEqual(await utils.getStorage('k'), {a: 1})
+
+  // callFunction
+  emu.registerFunction('echo', async (event) => ({n: event.n + 1, action: event.action}))
+  assert.deepEqual(await utils.call({name: 'echo', action: 'Add', data: {n: 1}}), {n: 2, action: 'Add'})
+}
+
+main().then(() => {
+  console.log('ok')
+}).catch(e => {
+  console.error(e)
+  process.exit(1)
+})
@@ -0,0 +1,448 @@
+'use strict'
+
+/**
+ * 云开发模拟器：在Node中运行前端utils与云端utils，无需微信开发者工具
+ *
+ * 模拟了以下内容：
+ *   1. 前端的全局对象 wx、getApp、getCurrentPages、Behavior
+ *   2. 前端的 wx.cloud（数据库、callFunction、云存储）
+ *   3. 云端的 wx-server-sdk（数据库、getWXContext、云存储、logger、openapi）
+ *   4. 前端与云端共用同一份内存数据库，前端写入的数据云端可以读到，前端的watch可以收到云端写入的变化
+ *
+ * @example
+ *   const {createEmulator} = require('./emulator')
+ *   const emu = createEmulator({openid: 'user_a', is_local: true})
+ *   const sh = emu.loadCloudUtils()
+ *   const utils = emu.loadFrontendUtils()
+ *
+ *   // 把云函数注册到模拟器，前端的utils.call会调用它
+ *   emu.registerFunction('all_user', (event, context) => sh.dispatch(event, context))
+ *
+ *   await utils.addDoc('note', {title: 'a'})
+ *   const notes = await sh.docs({c: 'note'})
+ *
+ * 注意
+ *   1. 每次调用loadFrontendUtils、loadCloudUtils都会得到一个新的utils实例（内部缓存互不影响）。
+ *   2. 云端utils中require的相对路径（如actions/xxx.js）以root为根目录，与云函数的目录结构一致。
+ */
+
+const FS = require('fs')
+const PATH = require('path')
+const VM = require('vm')
+const {AsyncLocalStorage} = require('async_hooks')
+const {randomUUID} = require('crypto')
+const {createDatabase, createStore, makeError} = require('./database.js')
+
+const FRONTEND_UTILS = PATH.join(__dirname, '../miniprogram/utils/utils.js')
+const CLOUD_ROOT = PATH.join(__dirname, '../miniprogram/for_cloud')
+
+/* === 工具函数 === */
+
+// 模拟wx接口的两种调用方式：传入success/fail/complete时使用回调，否则返回Promise
+const wxApi = (fn) => (options = {}) => {
+  const {success, fail, complete} = options
+  const p = Promise.resolve().then(() => fn(options))
+  if (!success && !fail && !complete) {
+    return p
+  }
+  p.then(res => { success?.(res); complete?.(res) })
+    .catch(e => { fail?.(e); complete?.(e) })
+}
+
+const wxFail = (api, msg, errno = -1) => makeError(errno, `${api}:fail ${msg}`)
+
+// 读取云存储文件内容（fileContent可以是Buffer、字符串或可读流）
+const readContent = async (content) => {
+  if (Buffer.isBuffer(content) || typeof content === 'string') {
+    return Buffer.from(content)
+  }
+  const chunks = []
+  for await (const chunk of content) chunks.push(Buffer.from(chunk))
+  return Buffer.concat(chunks)
+}
+
+// 编译并执行一个CommonJS风格的模块，globals会作为模块内可直接使用的变量
+const runModule = (file, code, {require, globals = {}}) => {
+  const module = {exports: {}}
+  const names = Object.keys(globals)
+  const fn = VM.compileFunction(code, ['exports', 'require', 'module', '__filename', '__dirname', ...names], {filename: file})
+  fn(module.exports, require, module, file, PATH.dirname(file), ...names.map(n => globals[n]))
+  return module.exports
+}
+
+/**
+ * 创建模拟器
+ *
+ * @param {Object} options
+ *   - {string} openid - 当前用户的openid，默认'emulator_openid'
+ *   - {string} appid - 当前小程序的appid，默认'wx_emulator_appid'
+ *   - {boolean} is_local - 是否模拟本地开发环境（前端running.is_local与云端isLocal()都会使用此值），默认true
+ *   - {Object} config - 前端 globalData.config
+ *   - {Object} cloud_config - 云端config.json的内容，默认读取root目录下的config.json
+ *   - {string} root - 云函数的根目录，默认为 miniprogram/for_cloud
+ *   - {Object} openapi - 云端openapi的实现，如 {security: {msgSecCheck: async () => ({errCode: 0})}}
+ *   - {Function} request - 云端request包的实现，默认调用时返回错误
+ * @returns {Object} 模拟器对象，见文件末尾的返回值
+ */
+const createEmulator = ({
+  openid = 'emulator_openid',
+  appid = 'wx_emulator_appid',
+  is_local = true,
+  config = {},
+  cloud_config = null,
+  root = CLOUD_ROOT,
+  openapi = {},
+  request = null,
+} = {}) => {
+  cloud_config ??= JSON.parse(FS.readFileSync(PATH.join(root, 'config.json'), 'utf8'))
+  const env_id = cloud_config['booster_cloud_env_id'] || 'emulator_env'
+
+  const state = {
+    openid,
+    appid,
+    online: true,
+    network_listeners: [],
+    storage: new Map(),
+    clipboard: '',
+    files: new Map(),
+    functions: {},
+    pages: [],
+  }
+  const store = createStore()
+  const context_storage = new AsyncLocalStorage()
+
+  // 云函数运行时的微信调用上下文，不在云函数中时使用当前用户
+  const wxContext = () => context_storage.getStore() ?? {
+    OPENID: state.openid,
+    APPID: state.appid,
+    UNIONID: '',
+    ENV: is_local ? 'local' : env_id,
+    SOURCE: 'wx_client',
+  }
+
+  const checkOnline = () => {
+    if (!state.online) {
+      throw wxFail('request', 'network error')
+    }
+  }
+
+  const client_db = createDatabase({
+    client: true,
+    getOpenid: () => state.openid,
+    store,
+    beforeRequest: checkOnline,
+  })
+  const server_db = createDatabase({store})
+
+  /* === 云存储 === */
+
+  const uploadFile = async ({cloudPath, fileContent, filePath}) => {
+    const content = fileContent ?? FS.readFileSync(filePath)
+    const file_id = `cloud://${env_id}.emulator/${cloudPath.replace(/^\//, '')}`
+    state.files.set(file_id, await readContent(content))
+    return {fileID: file_id, statusCode: -1, errMsg: 'uploadFile:ok'}
+  }
+
+  const getTempFileURL = async ({fileList = []}) => ({
+    fileList: fileList.map(f => {
+      const file_id = typeof f === 'string' ? f : f.fileID
+      const exists = state.files.has(file_id)
+      return {
+        fileID: file_id,
+        tempFileURL: exists ? `https://emulator.local/${encodeURIComponent(file_id)}` : '',
+        status: exists ? 0 : -503003,
+        errMsg: exists ? 'ok' : 'file not exists',
+      }
+    }),
+    errMsg: 'getTempFileURL:ok',
+  })
+
+  const deleteFile = async ({fileList = []}) => ({
+    fileList: fileList.map(file_id => ({
+      fileID: file_id,
+      status: state.files.delete(file_id) ? 0 : -503003,
+    })),
+    errMsg: 'deleteFile:ok',
+  })
+
+  /* === 前端wx.cloud === */
+
+  const callFunction = async ({name, data = {}}) => {
+    checkOnline()
+    const main = state.functions[name]
+    if (!main) {
+      throw wxFail('cloud.callFunction', `FunctionName parameter could not be found: ${name}`, -501000)
+    }
+    const context = {...wxContext(), SOURCE: 'wx_client'}
+    const event = {...structuredClone(data), userInfo: {appId: context.APPID, openId: context.OPENID}}
+    try {
+      const result = await context_storage.run(context, () => main(event, {function_name: name, request_id: randomUUID()}))
+      // 云函数的返回值需要序列化后传回前端
+      return {result: result === undefined ? null : JSON.parse(JSON.stringify(result)), errMsg: 'cloud.callFunction:ok'}
+    } catch (e) {
+      throw wxFail('cloud.callFunction', `errCode: -504002 functions execute fail | errMsg: ${e?.message ?? e}`, -504002)
+    }
+  }
+
+  const cloud = {
+    init: async () => {},
+    Cloud: function () { return cloud },
+    database: () => client_db,
+    callFunction: wxApi(callFunction),
+    uploadFile: wxApi(async ({cloudPath, filePath}) => uploadFile({cloudPath, filePath})),
+    downloadFile: wxApi(async ({fileID}) => {
+      checkOnline()
+      if (!state.files.has(fileID)) {
+        throw wxFail('cloud.downloadFile', 'file not exists', -503003)
+      }
+      return {tempFilePath: `wxfile://tmp_${randomUUID()}`, statusCode: 200, errMsg: 'downloadFile:ok'}
+    }),
+    getTempFileURL: wxApi(getTempFileURL),
+    deleteFile: wxApi(deleteFile),
+    CloudID: (cloud_id) => ({cloudID: cloud_id}),
+  }
+
+  /* === 前端wx === */
+
+  const storageGet = (key) => {
+    if (!state.storage.has(key)) {
+      throw wxFail('getStorage', 'data not found')
+    }
+    return structuredClone(state.storage.get(key))
+  }
+
+  const wx = {
+    cloud,
+    env: {USER_DATA_PATH: 'wxfile://usr'},
+
+    // 本地缓存
+    setStorage: wxApi(({key, data}) => { state.storage.set(key, structuredClone(data)); return {errMsg: 'setStorage:ok'} }),
+    getStorage: wxApi(({key}) => ({data: storageGet(key), errMsg: 'getStorage:ok'})),
+    removeStorage: wxApi(({key}) => { state.storage.delete(key); return {errMsg: 'removeStorage:ok'} }),
+    clearStorage: wxApi(() => { state.storage.clear(); return {errMsg: 'clearStorage:ok'} }),
+    setStorageSync: (key, data) => { state.storage.set(key, structuredClone(data)) },
+    getStorageSync: (key) => state.storage.has(key) ? storageGet(key) : '',
+    removeStorageSync: (key) => { state.storage.delete(key) },
+    clearStorageSync: () => { state.storage.clear() },
+    getStorageInfoSync: () => ({keys: [...state.storage.keys()], currentSize: 0, limitSize: 10240}),
+
+    // 网络
+    getNetworkType: wxApi(() => ({networkType: state.online ? 'wifi' : 'none'})),
+    onNetworkStatusChange: (fn) => { state.network_listeners.push(fn) },
+    offNetworkStatusChange: (fn) => { state.network_listeners = fn ? state.network_listeners.filter(f => f !== fn) : [] },
+    downloadFile: wxApi(({url}) => {
+      checkOnline()
+      return {tempFilePath: `wxfile://tmp_${randomUUID()}`, statusCode: 200, url, errMsg: 'downloadFile:ok'}
+    }),
+
+    // 设备与系统
+    getWindowInfo: () => ({pixelRatio: 2, screenWidth: 375, screenHeight: 812, windowWidth: 375, windowHeight: 812, statusBarHeight: 44, safeArea: {top: 44, bottom: 778, left: 0, right: 375, width: 375, height: 734}}),
+    getDeviceInfo: () => ({platform: is_local ? 'devtools' : 'ios', system: 'emulator', brand: 'emulator', model: 'emulator'}),
+    getAppBaseInfo: () => ({SDKVersion: '3.0.0', language: 'zh_CN', theme: 'light'}),
+    onMemoryWarning: () => {},
+    getRealtimeLogManager: () => ({info () {}, warn () {}, error () {}, setFilterMsg () {}, addFilterMsg () {}}),
+    getFileSystemManager: () => ({
+      access: ({fail, complete}) => { const e = wxFail('access', 'no such file or directory'); fail?.(e); complete?.(e) },
+      accessSync: () => { throw wxFail('accessSync', 'no such file or directory') },
+    }),
+    createSelectorQuery: () => {
+      const query = {
+        in: () => query,
+        select: () => query,
+        selectAll: () => query,
+        selectViewport: () => query,
+        boundingClientRect: (cb) => { cb?.({top: 0, bottom: 0, left: 0, right: 0, width: 0, height: 0}); return query },
+        scrollOffset: (cb) => { cb?.({scrollTop: 0, scrollLeft: 0}); return query },
+        exec: (cb) => cb?.([]),
+      }
+      return query
+    },
+
+    // 界面与授权（没有界面，直接返回成功）
+    showLoading: wxApi(() => ({errMsg: 'showLoading:ok'})),
+    hideLoading: wxApi(() => ({errMsg: 'hideLoading:ok'})),
+    showToast: wxApi(() => ({errMsg: 'showToast:ok'})),
+    hideToast: wxApi(() => ({errMsg: 'hideToast:ok'})),
+    showModal: wxApi(() => ({confirm: true, cancel: false, content: '', errMsg: 'showModal:ok'})),
+    showActionSheet: wxApi(() => ({tapIndex: 0, errMsg: 'showActionSheet:ok'})),
+    navigateTo: wxApi(() => ({errMsg: 'navigateTo:ok'})),
+    redirectTo: wxApi(() => ({errMsg: 'redirectTo:ok'})),
+    switchTab: wxApi(() => ({errMsg: 'switchTab:ok'})),
+    reLaunch: wxApi(() => ({errMsg: 'reLaunch:ok'})),
+    navigateBack: wxApi(() => ({errMsg: 'navigateBack:ok'})),
+    setClipboardData: wxApi(({data}) => { state.clipboard = data; return {errMsg: 'setClipboardData:ok'} }),
+    getClipboardData: wxApi(() => ({data: state.clipboard, errMsg: 'getClipboardData:ok'})),
+    getSetting: wxApi(() => ({authSetting: {}, errMsg: 'getSetting:ok'})),
+    authorize: wxApi(() => ({errMsg: 'authorize:ok'})),
+    saveImageToPhotosAlbum: wxApi(() => ({errMsg: 'saveImageToPhotosAlbum:ok'})),
+    shareFileMessage: wxApi(() => ({errMsg: 'shareFileMessage:ok'})),
+  }
+
+  const app = {
+    globalData: {
+      running: {is_local, is_windows: false, is_mac: false, is_cloud_ready: true},
+      config,
+      cache: {},
+      temp: {},
+      image: {},
+    },
+    cloud,
+  }
+
+  /* === 云端wx-server-sdk === */
+
+  const server_sdk = {
+    DYNAMIC_CURRENT_ENV: Symbol('DYNAMIC_CURRENT_ENV'),
+    init: () => {},
+    database: () => server_db,
+    getWXContext: () => ({...wxContext()}),
+    logger: () => ({log () {}, info () {}, warn () {}, error () {}}),
+    uploadFile,
+    downloadFile: async ({fileID}) => {
+      if (!state.files.has(fileID)) {
+        throw wxFail('downloadFile', 'file not exists', -503003)
+      }
+      return {fileContent: Buffer.from(state.files.get(fileID)), errMsg: 'downloadFile:ok'}
+    },
+    getTempFileURL,
+    deleteFile,
+    openapi: () => openapi,
+  }
+
+  // 云端的相对路径以root为根目录
+  const fs = new Proxy(FS, {
+    get (target, key) {
+      const v = target[key]
+      if (typeof v !== 'function') return v
+      return (file, ...args) => v.call(target, typeof file === 'string' && !PATH.isAbsolute(file) ? PATH.join(root, file) : file, ...args)
+    },
+  })
+
+  const modules = new Map() // 云端模块缓存，同一个云端utils实例中的模块只加载一次
+
+  const cloudRequire = (cache) => (id) => {
+    switch (id) {
+      case 'wx-server-sdk': return server_sdk
+      case 'config.json': return cloud_config
+      case 'fs': return fs
+      case 'uuid': return {v4: randomUUID}
+      case 'request': return request ?? ((options, callback) => callback(new Error('emulator: 未提供request的实现')))
+    }
+    if (!id.startsWith('.') && !PATH.isAbsolute(id) && !id.endsWith('.js') && !id.endsWith('.json')) {
+      return require(id) // Node内置库
+    }
+    const file = PATH.isAbsolute(id) ? id : PATH.join(root, id)
+    if (!cache.has(file)) {
+      if (file.endsWith('.json')) {
+        cache.set(file, JSON.parse(FS.readFileSync(file, 'utf8')))
+      } else {
+        const exports = {}
+        cache.set(file, exports) // 先放入缓存，避免循环引用
+        const ret = runModule(file, FS.readFileSync(file, 'utf8'), {require: cloudRequire(cache)})
+        cache.set(file, ret)
+      }
+    }
+    return cache.get(file)
+  }
+
+  return {
+    wx,
+    app,
+    store,
+    server_sdk,
+
+    /**
+     * 加载前端utils（ES Module会被转换为CommonJS执行）
+     * @param {string} [file] - 前端utils.js的路径
+     * @returns {Object} 前端utils
+     */
+    loadFrontendUtils (file = FRONTEND_UTILS) {
+      const code = FS.readFileSync(file, 'utf8').replace(/^export default (\w+)\s*$/m, 'module.exports = $1')
+      const frontendRequire = (id) => {
+        if (/page_behaviors(\.js)?$/.test(id)) return {}
+        throw new Error(`emulator: 前端utils不能require ${id}`)
+      }
+      return runModule(file, code, {
+        require: frontendRequire,
+        globals: {
+          wx,
+          getApp: () => app,
+          getCurrentPages: () => state.pages,
+          Behavior: (o) => o,
+        },
+      })
+    },
+
+    /**
+     * 加载云端utils，每次调用都会得到一个新实例
+     * @param {string} [file='utils/utils.js'] - 云端utils相对root的路径
+     * @returns {Object} 云端utils
+     */
+    loadCloudUtils (file = 'utils/utils.js') {
+      modules.clear()
+      return cloudRequire(modules)(file)
+    },
+
+    /**
+     * 注册云函数，前端callFunction时会执行main(event, context)
+     * @param {string} name - 云函数名称
+     * @param {Function} main - 云函数入口
+     */
+    registerFunction (name, main) {
+      state.functions[name] = main
+    },
+
+    /**
+     * 获取云端数据库（可用于准备测试数据、检查写入结果）
+     * @returns {Object} 数据库对象
+     */
+    database () {
+      return server_db
+    },
+
+    /**
+     * 模拟网络断开与恢复，断网时数据库读写与callFunction都会失败，前端的watch会调用onError
+     * @param {boolean} online - 是否联网
+     */
+    setOnline (online) {
+      const changed = state.online !== online
+      state.online = online
+      if (!online) {
+        store.failWatchers(wxFail('watch', 'network error'), {client: true})
+      }
+      if (changed) {
+        const res = {isConnected: online, networkType: online ? 'wifi' : 'none'}
+        state.network_listeners.forEach(fn => fn(res))
+      }
+    },
+
+    /**
+     * 切换当前用户
+     * @param {string} new_openid - 用户的openid
+     */
+    setOpenid (new_openid) {
+      state.openid = new_openid
+    },
+
+    /**
+     * 设置getCurrentPages的返回值
+     * @param {Array} pages - 页面列表，如 [{route: 'pages/index/index'}]
+     */
+    setPages (pages) {
+      state.pages = pages
+    },
+
+    /**
+     * 清空数据库、本地缓存与云存储
+     */
+    reset () {
+      Object.keys(store.colls).forEach(k => delete store.colls[k])
+      state.storage.clear()
+      state.files.clear()
+    },
+  }
+}
+
+module.exports = {
+  createEmulator,
+}
@@ -21,10 +21,71 @@ const UUID = require('uuid')
 // 允许上传的图片类型
 const ALLOWED_IMAGE_TYPES = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'tiff', 'tif', 'svg', 'heif', 'heic', 'ico']
 
+// 可以重试的原始错误码：云端资源暂时不可用（系统错误、超时、超出并发限制）
+const RETRYABLE_ERRNOS = [-501001, -501002, -501003]
+
+// 错误码（与前端utils一致）。retryable为null时，根据原始错误的errCode是否在RETRYABLE_ERRNOS中判断
+const ERRORS = {
+  TIMEOUT             : {msg: '请求超时', retryable: true},
+  CALL_FAILED         : {msg: '云函数调用失败', retryable: null},
+  ENV_ERROR           : {msg: '云函数运行环境不一致', retryable: false},
+  APP_ERROR           : {msg: '小程序无权访问此云函数', retryable: false},
+  ACTION_FAILED       : {msg: '云函数执行出错', retryable: false},
+  BATCH_ERROR         : {msg: '合并调用出错', retryable: true},
+  IDEMPOTENCY_RUNNING : {msg: '相同的请求正在处理中，请稍后重试', retryable: true},
+  INVALID_PARAM       : {msg: '参数错误', retryable: false},
+  DB_READ_FAILED      : {msg: '读取数据库失败', retryable: null},
+  DB_WRITE_FAILED     : {msg: '写入数据库失败', retryable: null},
+  STORAGE_FAILED      : {msg: '读写本地缓存失败', retryable: false},
+  USER_CONFIG_FAILED  : {msg: '读写用户配置失败', retryable: null},
+  FILE_FAILED         : {msg: '文件操作失败', retryable: null},
+  VALIDATION_FAILED   : {msg: '数据校验失败', retryable: false},
+  NETWORK_FAILED      : {msg: '网络请求失败', retryable: true},
+  OPENAPI_FAILED      : {msg: '云调用失败', retryable: null},
+  REV_CONFLICT        : {msg: '数据已被修改，请刷新后重试', retryable: false},
+  TRANSACTION_FAILED  : {msg: '事务执行失败，已回滚', retryable: null},
+  MIGRATION_FAILED    : {msg: '数据迁移失败', retryable: null},
+  BACKUP_FAILED       : {msg: '备份或恢复失败', retryable: null},
+}
+
 // 这里的init不需要await，用new创建的cloud在init时才需要await
 CLOUD.init({ env:  CONFIG['booster_cloud_env_id']}) // 记得在config.json中配置环境ID
 const DB = CLOUD.database() // 需要放在CLOUD.init()之后
 
+// 集合配置的默认值，见setCollConfig
+const COLL_CONFIG_DEFAULTS = {
+  schema     : null,  // 数据格式，见defineSchema
+  timestamps : false, // 写入时自动添加created、updated
+  track_user : false, // 写入时自动添加created_by、updated_by
+  soft_delete: false, // 删除时把文档移动到回收站集合（集合名_trash）
+  versioned  : false, // 写入时维护版本号_rev，见updateDoc的rev参数
+  search_keys: null,  // 写入时为这些字段生成搜索索引_search，见search
+}
+
+// defineSchema支持的字段类型及其中文名称（用于错误提示）
+const SCHEMA_TYPES = {
+  string : '字符串',
+  number : '数字',
+  boolean: '布尔值',
+  date   : '日期',
+  array  : '数组',
+  object : '对象',
+  id     : '文档ID',
+}
+
+// nextSequence使用的集合，每个序列一个文档，_id为序列名称
+const SEQUENCE_COLL = 'sequence'
+
+// 数据迁移文件所在的目录，以及记录迁移进度的集合（每个迁移一个文档，_id为迁移名称）
+const MIGRATION_DIR = 'migrations'
+const MIGRATION_COLL = 'migrations'
+
+// 记录备份清单的集合，每个备份一个文档，_id为备份ID
+const BACKUP_COLL = 'backups'
+
+// copyCollection的sanitize参数需要匿名化的openid字段
+const SANITIZE_OPENID_FIELDS = ['_openid', 'created_by', 'updated_by', 'deleted_by']
+
 const utils = {
 
   /* === 运行环境 === */
@@ -201,42 +262,205 @@ const utils = {
     return new Promise(async (resolve, reject) => {
       const _ = this
       if (_.isEmpty(api_name) || _.isEmpty(appid) || _.isEmpty(data)) {
-        reject({errno: 'utils.callOpenApi Failed', errMsg: '参数不能为空', data})
+        reject(_.makeError('INVALID_PARAM', 'callOpenApi：参数不能为空', {data}))
         return
       }
 
       // api_name不要以openapi开头
       if (api_name.startsWith('openapi')) {
-        reject({errno: 'utils.callOpenApi Failed', errMsg: 'api_name不要以openapi开头', data})
+        reject(_.makeError('INVALID_PARAM', 'callOpenApi：api_name不要以openapi开头', {data}))
         return
       }
 
       // api_name必须在config.json中配置
       const permissions = _.getConfig('permissions.openapi')
       if (!_.in(`openapi.${api_name}`, permissions)) {
-        reject({errno: 'utils.callOpenApi Failed', errMsg: `${api_name}未在config.json的permissions.openapi中配置`, data})
+        reject(_.makeError('INVALID_PARAM', `${api_name}未在config.json的permissions.openapi中配置`, {data}))
         return
       }
 
       // 不支持本地调用
       if (_.isLocal()) {
-        reject({errno: 'utils.callOpenApi Failed', errMsg: '不支持本地调用，请上传云函数后在正式环境中调用', data})
+        reject(_.makeError('ENV_ERROR', 'callOpenApi不支持本地调用，请上传云函数后在正式环境中调用', {data}))
         return
       }
 
       const api_func = _.pickValue(_._cloud().openapi({appid}), api_name)
 
       if (!api_func) {
-        reject({errno: 'utils.callOpenApi Failed', errMsg: `api_name:${api_name}不存在`, data})
+        reject(_.makeError('INVALID_PARAM', `api_name:${api_name}不存在`, {data}))
         return
       } else {
-        const res = await api_func(data)
-        resolve(res)
+        api_func(data)
+          .then(resolve)
+          .catch(e => reject(_.makeError('OPENAPI_FAILED', `云调用${api_name}失败`, {cause: e})))
       }
 
     })
   },
 
+  /**
+   * 按前端传来的幂等键执行fn，保证同一个幂等键只执行一次（用于前端call重试时的写操作）
+   *
+   * @param {Object} event - 云函数的event参数，前端utils.call会自动附带event.idempotency_key
+   * @param {Function} fn - 需要只执行一次的异步函数，其返回值会被保存，重复请求直接返回此值
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {string} c - 记录幂等键的集合，默认为'idempotency'（需要先创建此集合）
+   * @returns {Promise<any>} 返回fn的结果，或之前保存的结果
+   *
+   * 说明
+   *   1. 以幂等键作为_id插入记录，并发的重复请求中只有一个能插入成功，其余请求不会执行fn。
+   *   2. fn执行失败时会删除记录，前端可以使用同一幂等键重试。
+   *   3. 上一次请求仍在执行时，会抛出错误码为'IDEMPOTENCY_RUNNING'的错误对象（可重试）。
+   *   4. event中没有幂等键时（如定时触发），直接执行fn。
+   *   5. fn的返回值会写入数据库，不要超过512K。
+   *
+   * 调用次数
+   *   1. 首次请求：插入记录1次 + 更新结果1次
+   *   2. 重复请求：插入失败1次 + 读取结果1次
+   *
+   * @example
+   *   // actions/AddOrder.js
+   *   exports.main = async (event, context) => {
+   *     return await sh.idempotent(event, async () => {
+   *       const order_id = await sh.addDoc('order', {goods_id: event.goods_id})
+   *       return {order_id}
+   *     })
+   *   }
+   */
+  async idempotent (event, fn, {c = 'idempotency'} = {}) {
+    const _ = this
+    const key = event?.idempotency_key
+    if (_.isEmpty(key)) {
+      return await fn()
+    }
+
+    const openid = _.openid() || ''
+    try {
+      await _.addDoc(c, {_id: key, _openid: openid, action: event.action || '', status: 'running', created: _.serverDate()})
+    } catch (e) {
+      // 插入失败说明此幂等键已被使用
+      const doc = await _.getDoc(c, key).catch(() => null)
+      if (doc === null) {
+        throw _._toError(e, 'DB_WRITE_FAILED', `向集合${c}中插入幂等键失败，请确认集合已创建`)
+      }
+      if (doc._openid !== openid) {
+        throw _.makeError('INVALID_PARAM', '幂等键已被其他用户使用')
+      }
+      if (doc.status === 'done') {
+        return doc.result
+      }
+      throw _.makeError('IDEMPOTENCY_RUNNING')
+    }
+
+    let result
+    try {
+      result = await fn()
+    } catch (e) {
+      await _.removeDoc(c, key) // 允许使用同一幂等键重试
+      throw e
+    }
+    await _.updateDoc(c, key, {status: 'done', result: result === undefined ? null : result, done: _.serverDate()})
+    return result
+  },
+
+  /**
+   * 执行前端合并发送的多个action（前端 utils.call 的 batch 模式），按顺序逐个执行
+   *
+   * @param {Object} event - 云函数的event参数，event.batch为 [{action, data, idempotency_key}]
+   * @param {Object} context - 云函数的context参数
+   * @param {Object} options - 同dispatch的options，用于检查每个action的meta
+   * @returns {Promise<Object>} 返回 {batch_results: [{result} 或 {error}]}，顺序与event.batch一致
+   *
+   * 说明
+   *   1. 每个action通过requireAction加载，event中会带上is_local、action和各自的idempotency_key。
+   *   2. 某个action出错不影响其他action的执行，错误会在对应位置返回给前端。
+   *   3. 使用utils.dispatch时会自动调用本函数，不需要在main中单独处理'Batch'。
+   *
+   * @example
+   *   exports.main = async (event, context) => {
+   *     if (event.action === 'Batch') {
+   *       return await sh.runBatch(event, context)
+   *     }
+   *     return await sh.requireAction(event.action).main(event, context)
+   *   }
+   */
+  async runBatch (event, context, options = {}) {
+    const _ = this
+    const batch_results = []
+    for (const {action, data = {}, idempotency_key} of event.batch || []) {
+      try {
+        const sub_event = {...data, is_local: event.is_local, action, idempotency_key}
+        const result = await _._runAction(action, sub_event, context, options)
+        batch_results.push({result: result === undefined ? null : result})
+      } catch (e) {
+        _.error({title: 'utils.runBatch', action, e: e?.message || e})
+        batch_results.push({error: _._toError(e, 'ACTION_FAILED', `${action}执行出错`)})
+      }
+    }
+    return {batch_results}
+  },
+
+  /**
+   * 云函数的统一入口：检查运行环境、小程序和管理员权限后，执行 actions/<action>.js 的main函数
+   *
+   * @param {Object} event - 云函数的event参数，event.action为action文件名（不含actions/和.js），如：'GetMyOpenid'、'dev/Abc'
+   * @param {Object} context - 云函数的context参数
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {Array<string>|null} apps - 允许调用此云函数的小程序名称（booster_app_list中的值），默认为null，表示不限制
+   * @returns {Promise<any>} 返回action的结果，或前端utils.call能识别的 'ENV_ERROR'、'APP_ERROR'、'NOT_ADMIN'
+   *
+   * 说明
+   *   1. 前端运行环境与云函数运行环境不一致时（如本地调试访问了正式环境的云函数），返回'ENV_ERROR'。
+   *   2. 小程序不在apps或action的meta.apps中时，返回'APP_ERROR'。
+   *   3. action的meta中可以声明以下属性（都是可选的）:
+   *      - {boolean} admin - 仅管理员可调用，否则返回'NOT_ADMIN'
+   *      - {Array<string>} apps - 仅这些小程序可调用，否则返回'APP_ERROR'
+   *      - {boolean} local_only - 仅本地调试时可调用，否则返回'ENV_ERROR'
+   *   4. event.action为'Batch'时，按前端合并调用处理（见runBatch），每个action都会分别检查meta。
+   *   5. 定时触发器等非前端调用没有is_local，不检查运行环境，但需要在event中指定action。
+   *   6. action抛出或返回makeError创建的错误对象时，会返回给前端，前端utils.call会reject此错误对象；
+   *      其他异常照常抛出（记录在云函数日志中）。
+   *
+   * @example
+   *   // index.js
+   *   const sh = require('utils/utils.js')
+   *   exports.main = async (event, context) => {
+   *     return await sh.dispatch(event, context, {apps: ['admin', 'shop']})
+   *   }
+   *
+   *   // actions/ClearLog.js
+   *   exports.meta = {admin: true}
+   *   exports.main = async (event, context) => {
+   *     sh.clearLog()
+   *   }
+   */
+  async dispatch (event, context, {apps = null} = {}) {
+    const _ = this
+
+    // 前端会通过is_local告知其运行环境
+    if (typeof event.is_local === 'boolean' && event.is_local !== _.isLocal()) {
+      return 'ENV_ERROR'
+    }
+
+    if (!_._isAppAllowed(apps)) {
+      return 'APP_ERROR'
+    }
+
+    if (event.action === 'Batch') {
+      return await _.runBatch(event, context, {apps})
+    }
+
+    try {
+      return await _._runAction(event.action, event, context, {apps})
+    } catch (e) {
+      if (_.isError(e)) {
+        return e
+      }
+      throw e
+    }
+  },
+
 
   /* === 日志 === */
 
@@ -342,6 +566,59 @@ const utils = {
   },
 
 
+  /* === 错误 === */
+
+  /**
+   * 创建统一格式的错误对象（与前端utils.makeError相同）。数据库、文件等函数出错时都会reject此格式的错误对象。
+   *
+   * @param {string} code - 错误码，见文件开头的ERRORS，如：'DB_READ_FAILED'
+   * @param {string} [msg=''] - 中文说明，默认使用错误码对应的说明
+   * @param {Object} [options] - 可选参数:
+   *   - {*} cause - 原始错误
+   *   - {boolean|null} retryable - 是否可以重试，默认根据错误码和原始错误判断
+   *   - 其他属性会原样放入错误对象中
+   * @returns {Object} 错误对象 {is_error: true, errno, errMsg, cause, retryable}
+   *
+   * 说明
+   *   1. action返回此错误对象时，前端utils.call会reject此对象，而不是resolve。
+   *
+   * @example
+   *   // actions/AddOrder.js
+   *   exports.main = async (event, context) => {
+   *     if (!event.goods_id) {
+   *       return sh.makeError('INVALID_PARAM', '请选择商品')
+   *     }
+   *   }
+   */
+  makeError (code, msg = '', {cause = null, retryable = null, ...extra} = {}) {
+    const _ = this
+    const def = ERRORS[code] || {msg: code, retryable: false}
+    cause = _._errorCause(cause)
+    if (retryable === null) {
+      retryable = def.retryable ?? (_.in(cause?.errCode, RETRYABLE_ERRNOS) || cause?.retryable === true)
+    }
+    return {...extra, is_error: true, errno: code, errMsg: msg || def.msg, cause, retryable}
+  },
+
+  /**
+   * 判断e是否为makeError创建的错误对象，并且错误码为code（之一）
+   *
+   * @param {*} e - 需要判断的对象
+   * @param {string|Array<string>|null} [code=null] - 错误码，为null时只判断是否为错误对象
+   * @returns {boolean} 是否匹配
+   */
+  isError (e, code = null) {
+    const _ = this
+    if (!_.isObject(e) || e.is_error !== true) {
+      return false
+    }
+    if (code === null) {
+      return true
+    }
+    return _.isArray(code) ? _.in(e.errno, code) : e.errno === code
+  },
+
+
   /* === 数据库 === */
 
   /**
@@ -359,11 +636,14 @@ const utils = {
   /**
    * 获取指定集合的引用，建议使用此方法代替默认的collection方法以避免误操作线上数据库
    * @param {string} c - 集合的名称
+   * @param {Object} options - 可选参数:
+   *   - {Object|null} transaction - 在事务中使用时传入runTransaction的transaction对象，见transaction
+   *   - {boolean} raw - c是否为集合的实际名称（不添加p_前缀），如copyCollection需要读写指定的集合。默认为false
    * @returns {CollectionReference} 指定集合的引用
    */
-  coll (c) {
+  coll (c, {transaction = null, raw = false} = {}) {
     const _ = this
-    return _._db().collection(_._collName(c)) // 此文件中只有这里可以写collection
+    return (transaction ?? _._db()).collection(raw ? c : _._collName(c)) // 此文件中只有这里可以写collection
   },
 
   /**
@@ -393,49 +673,102 @@ const utils = {
    *     - 当需要使用多个字段或降序时，需用有序对象，如：{a: 'asc', b: 'desc', 'c.d.e': 1}
    *       - 升序可以写为：'asc'、1 或 true
    *       - 降序可以写为：'desc'、0 或 false
-   * @returns {Promise<Array>} 返回一个Promise，其解析结果为一个数组，包含了查询到的数据
+   *   - {string|null} cursor - 使用cursor分页（keyset分页），第一页传入''，之后传入上一页返回的cursor。默认为null，表示使用page_num分页
+   *   - {Object|null} populate - 读取文档中引用的其他集合的文档，格式为 {字段: {c, only, except, as, by}}，如：{project_id: {c: 'project', only: 'name'}}
+   *     - c - 引用的集合名称，也可以直接写集合名称，如：{project_id: 'project'}
+   *     - only、except - 引用的文档仅返回、不返回的字段
+   *     - as - 引用的文档保存到的字段，默认为去掉_id后缀的字段名（如project_id为project），没有_id后缀时为 `字段_doc`
+   *     - by - 读取方式，'in'表示用$.in批量读取（见getDocsByIds），'lookup'表示在聚合查询中用lookup阶段读取。
+   *       只有allDocs支持'lookup'且默认使用'lookup'，其他函数总是使用'in'
+   * @returns {Promise<Array|Object>} 返回一个Promise，其解析结果为一个数组，包含了查询到的数据。使用cursor时解析为 {list, cursor, has_more}
+   *   - {Array} list - 文档数组
+   *   - {string} cursor - 读取下一页时传入的cursor
+   *   - {boolean} has_more - 是否可能还有下一页（本页已读满page_size条时为true，下一页可能为空）
    * 
    * 说明
    * 1. 当查询条件w={}时，where不会过滤任何数据
    * 2. 一次query.get仅消耗一次调用次数
+   * 3. cursor分页按上一页最后一条数据的排序字段值读取下一页，比skip更快，翻页期间插入数据也不会导致重复或遗漏
+   * 4. cursor分页时排序规则末尾会自动添加_id；排序字段应在所有文档中都有值，否则下一页会退回使用skip读取
+   * 5. 翻页时w、order_by必须与第一页相同
+   * 
+   * populate说明
+   *   1. 字段的值是id时，附加引用的文档（不存在时为null）；字段的值是id数组时，附加文档数组（不存在的文档不包含在内）。
+   *   2. 'in'方式每个populate字段额外消耗调用次数（同getDocsByIds）；'lookup'方式与主查询一起读取，不额外消耗调用次数，
+   *      但会读取引用文档的全部字段，only、except在读取后处理。
+   *   3. only、except不包含populate的字段时也会读取此字段，附加引用的文档后再删除。
    */
-  docs ({c, w = {}, page_num = 0, page_size = null, only = '', except = '', created = false, order_by = {} } = {}) {
+  docs ({c, w = {}, page_num = 0, page_size = null, only = '', except = '', created = false, order_by = {}, cursor = null, populate = null } = {}) {
     const _ = this
+    const {specs, error} = _._populateSpecs(populate)
+    if (error) {
+      return Promise.reject(error)
+    }
+    const populate_field = _._populateField(_._makeField(only, except), specs)
     return new Promise((resolve, reject) => {
+      let field = populate_field.field
+      let skip = page_num * PAGE_SIZE
+      let order = []
+      let extra = [] // cursor分页时为生成cursor额外读取的字段
+      let read = 0 // cursor分页时之前各页已读取的文档数量
+
+      if (cursor !== null) {
+        order = _._keysetOrder(_._prepareSort(order_by))
+        const keyset_field = _._keysetField(field, order)
+        field = keyset_field.field
+        extra = keyset_field.extra
+        skip = 0
+        if (cursor !== '') {
+          const {values, skip: s} = _._decodeCursor(cursor, order)
+          read = s
+          if (values) {
+            w = _.isEmpty(w) ? _._keysetMatch(order, values) : _.command().and([w, _._keysetMatch(order, values)])
+          } else {
+            skip = read
+          }
+        }
+      } else if (!_.isEmpty(order_by)) {
+        order = Object.entries(_._prepareSort(order_by))
+      }
+
       let query = _.coll(c)
         .where(w) // 当w={}时，where不会过滤任何数据
-        .skip(page_num * PAGE_SIZE)
+        .skip(skip)
         .limit(page_size || PAGE_SIZE)
-        .field(_._makeField(only, except))
+        .field(field)
 
-      if (!_.isEmpty(order_by)) {
-        order_by = _._prepareOrderBy(order_by)
-        for (let k in order_by) {
-          query = query.orderBy(k, order_by[k])
-        }
+      for (let [k, dir] of order) {
+        query = query.orderBy(k, dir === 1 ? 'asc' : 'desc')
       }
 
       // 一次query.get仅消耗一次调用次数
       query.get().then(res => {
-        if (res.data.length > 0) {
-
-          // 根据_id获得创建时间created
-          if (created) {
-            for (let d of res.data) {
-              d.created = _.getTimeFromId(d._id)
-              d.created_str = _.dateToString(d.created)
-              d.yymmdd = _.yymmdd(d.created)
-              d.hhmmss = _.hhmmss(d.created)
-            }
+        const list = res.data
+
+        // 根据_id获得创建时间created
+        if (created) {
+          for (let d of list) {
+            d.created = _.getTimeFromId(d._id)
+            d.created_str = _.dateToString(d.created)
+            d.yymmdd = _.yymmdd(d.created)
+            d.hhmmss = _.hhmmss(d.created)
           }
+        }
 
-          resolve(res.data)
-        } else {
-          resolve([])
+        if (cursor === null) {
+          resolve(list)
+          return
         }
+
+        let next = cursor
+        if (list.length > 0) {
+          next = _._encodeCursor(order, _._keysetValues(order, list.at(-1)), read + list.length)
+        }
+        _._removeFields(list, extra)
+        resolve({list, cursor: next, has_more: list.length === (page_size || PAGE_SIZE)})
       })
-        .catch(reject)
-    })
+        .catch(e => reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`)))
+    }).then(r => specs.length > 0 ? _._populate(cursor === null ? r : r.list, specs, populate_field.extra).then(() => r) : r)
   },
 
   /**
@@ -446,7 +779,11 @@ const utils = {
    *   - {Object} project - 项目筛选条件，默认为{}
    *   - {Object} sort - 排序规则，默认为{_id: 1}
    *   - {number} page_size - 每页大小，默认为10000
-   * @returns {Promise<Array>} 返回一个Promise，其解析结果为一个数组，包含了查询到的数据
+   *   - {number|null} limit - 限制读取的文档数量，默认为null，表示不限制
+   *   - {string|null} cursor - 从cursor处继续读取，第一次传入''，之后传入上次返回的cursor（通常与limit一起使用）。
+   *     默认为null，表示读取全部数据
+   *   - {Object|null} populate - 读取引用的其他集合的文档，同docs函数，默认使用lookup读取
+   * @returns {Promise<Array|Object>} 返回一个Promise，其解析结果为一个数组，包含了查询到的数据。使用cursor时解析为 {list, cursor, has_more}，同docs函数
    * 
    * 说明
    * 1. 该函数一般用于数据量不大且不想实现分页的情况
@@ -454,38 +791,86 @@ const utils = {
    * 3. 尽量使用only、except缩小单次读取的数据量（以免超过50M）
    * 4. 先执行project，再执行sort
    * 5. 本函数使用aggregate读数据库，每次默认读取10000条，多次读取合并返回
+   * 6. 每次读取使用keyset分页（按上一页最后一条数据的排序字段值读取下一页）而不是skip，排序规则末尾会自动添加_id。
+   *    排序字段在某个文档中不存在时，之后的页会退回使用skip读取
    */
-  allDocs ({c, match = {}, project = {}, sort = {_id: 1}, page_size = 10000} = {}) {
+  allDocs ({c, match = {}, project = {}, sort = {_id: 1}, page_size = 10000, limit = null, cursor = null, populate = null} = {}) {
     const _ = this
+    const {specs, error} = _._populateSpecs(populate, 'lookup')
+    if (error) {
+      return Promise.reject(error)
+    }
+    const lookups = specs.filter(spec => spec.by === 'lookup')
+    let total = 0
     if (!_.isEmpty(sort)) {
       sort = _._prepareSort(sort)
     }
+    const order = _._keysetOrder(sort)
     return new Promise(async (resolve, reject) => {
       let result = []
       let has_more = true
-      let page_num = 0
+      let values = null // 上一页最后一个文档的排序字段值，为null时使用skip读取
+      let skip = 0 // 已读取的文档数量（包括cursor之前读取的）
+      let last_full = false // 最后一次查询是否读满
+
+      if (cursor) {
+        try {
+          ({values, skip} = _._decodeCursor(cursor, order))
+        } catch (e) {
+          reject(e)
+          return
+        }
+      }
 
       while (has_more) {
         let query = _.agg(c).match(match)
 
         if (!_.isEmpty(project)) { query = query.project(project) }
 
-        query = query.sort(sort).skip(page_num * page_size).limit(page_size)
+        // 排序字段以project之后的文档为准
+        if (values) { query = query.match(_._keysetMatch(order, values)) }
+
+        const current_page_size = limit ? Math.min(page_size, limit - total) : page_size
+
+        query = query.sort(Object.fromEntries(order))
+        if (!values && skip > 0) {
+          query = query.skip(skip)
+        }
+        query = query.limit(current_page_size)
+
+        // lookup放在limit之后，只为本页的文档读取引用的文档
+        lookups.forEach(({field, c: from}, i) => {
+          query = query.lookup({from: _._collName(from), localField: field, foreignField: '_id', as: `_populate_${i}`})
+        })
 
         try {
           let res = await query.end()
           result = result.concat(res.list)
-          has_more = res.list.length === page_size
-          page_num++
+          total += res.list.length
+          skip += res.list.length
+          has_more = res.list.length === page_size && (!limit || total < limit)
+          last_full = res.list.length === current_page_size
+          if (res.list.length > 0) {
+            values = _._keysetValues(order, res.list.at(-1))
+          }
         } catch (e) {
-          reject({errno: 'allDoc Failed', errMsg: `query查询出错`, e})
+          reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`))
           return
         }
 
       }
 
-      resolve(result)
+      _._attachLookups(result, lookups)
+      if (cursor === null) {
+        resolve(result)
+      } else {
+        // 最后一次读满了本次的数量，说明可能还有数据
+        resolve({list: result, cursor: total > 0 ? _._encodeCursor(order, values, skip) : cursor, has_more: last_full})
+      }
 
+    }).then(r => {
+      const ins = specs.filter(spec => spec.by !== 'lookup')
+      return ins.length > 0 ? _._populate(cursor === null ? r : r.list, ins).then(() => r) : r
     })
   },
 
@@ -497,6 +882,9 @@ const utils = {
    * @param {string} c - 集合名称
    * @param {string} id - 文档ID，用于定位需要更新的文档
    * @param {Object} d - 包含更新数据的对象，支持点表示法更新嵌套字段，如：{'a.b.c': 1}
+   * @param {Object} options - 可选参数，包括:
+   *   - {number|null} rev - 期望的版本号（读取文档时得到的_rev，旧文档没有_rev时传入0）。
+   *     不为null时，只有数据库中的_rev仍等于rev才会更新，并把_rev设置为rev+1；否则reject REV_CONFLICT错误（含current_rev）。默认为null
    * @returns {Promise<boolean>} Promise对象，解析返回是否成功更新。true表示更新成功，false表示失败。
    * 
    * @example
@@ -506,20 +894,34 @@ const utils = {
    *   } else {
    *     console.log('无法更新，可能是由于文档不存在或数据未变更')
    *   }
+   *
+   * @example
+   *   // 前端传入编辑前读取的_rev，防止多个管理员同时编辑时互相覆盖
+   *   await utils.updateDoc('article', id, {content}, {rev: event.rev})
    */
-  updateDoc (c, id, d) {
+  updateDoc (c, id, {_rev, ...d}, {rev = null} = {}) {
     const _ = this
+    const {error} = _._applySchema(c, d, {partial: true})
+    if (error) {
+      return Promise.reject(error)
+    }
     return new Promise((resolve, reject) => {
-      _._doc(c, id)
-        .update({data: d})
-        .then(res => {
+      const update = rev === null
+        ? _._doc(c, id).update({data: _._stampDoc(c, d, 'update')})
+        : _.coll(c).where({_id: id, _rev: _._revCondition(rev)}).update({data: _._stampDoc(c, d, 'update', {rev})})
+      update
+        .then(async res => {
           if(res.stats.updated > 0){
             resolve(true)
+          } else if (rev !== null) {
+            // 文档存在但没有更新，说明版本号已经变化
+            const conflict = await _._revConflict(c, id, rev)
+            conflict ? reject(conflict) : resolve(false)
           } else {
             resolve(false)
           }
         })
-        .catch(reject)
+        .catch(e => reject(_._toError(e, 'DB_WRITE_FAILED', `更新集合${c}中的文档${id}失败`)))
     })
   },
 
@@ -536,19 +938,23 @@ const utils = {
    */
   updateMatch(c, w, d) {
     const _ = this
+    const {error} = _._applySchema(c, d, {partial: true})
+    if (error) {
+      return Promise.reject(error)
+    }
     return new Promise((resolve, reject) => {
       if (_.isEmpty(w)) {
-        reject({errno: 'updateMatch Failed', errMsg: `w不能为空`})
+        reject(_.makeError('INVALID_PARAM', 'updateMatch：w不能为空'))
       } else {
         _.coll(c)
           .where(w)
           .update({
-            data: _.undefinedToRemove(d)
+            data: _._stampDoc(c, _.undefinedToRemove(d), 'update')
           })
           .then(res => {
             resolve(res.stats.updated)
           })
-          .catch(reject)
+          .catch(e => reject(_._toError(e, 'DB_WRITE_FAILED', `更新集合${c}失败`)))
       }
     })
   },
@@ -558,12 +964,17 @@ const utils = {
    * @param {string} c - 集合名称。
    * @param {string} id - 文档的ID。
    * @param {Object} d - 新的文档数据。
+   * @param {Object} options - 可选参数，包括:
+   *   - {number|null} rev - 期望的版本号，同updateDoc的rev参数。文档不存在时视为版本0。默认为null
+   *   - {boolean} mine - 需要先读取文档时（见注意3、4），是否在查询条件中加入当前用户的_openid。默认为false
    * @returns {Promise<Object>} 返回一个包含创建和更新状态的Promise对象。
    * @description 此操作与update不同，update仅使用文档d中的字段进行更新，不包含的字段不会删除。
    * 
    * 注意：
    *   1. 如果指定的id不存在，将创建一个新的文档。
    *   2. setDoc会删除现有文档中d中未包含的字段（重新设置），而updateDoc仅更新d中包含的字段。
+   *   3. 传入rev或集合开启了versioned时，会先读取文档再按版本号更新，多消耗一次调用次数。
+   *   4. 集合开启了timestamps或track_user时，会先读取文档以保留原来的created、created_by（文档不存在时添加），多消耗一次调用次数。
    * 
    * @example
    *   utils.setDoc('todo', 'id123', { title: '重置任务', status: '未完成' })
@@ -575,22 +986,33 @@ const utils = {
    *       }
    *     })
    */
-  setDoc (c, id, d) {
+  setDoc (c, id, d, {rev = null, mine = false} = {}) {
     const _ = this
+    const {doc, error} = _._applySchema(c, d)
+    if (error) {
+      return Promise.reject(error)
+    }
+    d = doc
     return new Promise((resolve, reject) => {
-      _._doc(c, id)
-        .set({data: d})
+      if (rev !== null || _.getCollConfig(c).versioned) {
+        _._setDocWithRev(c, id, d, rev, {mine})
+          .then(resolve)
+          .catch(e => reject(_._toError(e, 'DB_WRITE_FAILED', `设置集合${c}中的文档${id}失败`)))
+        return
+      }
+      _._stampSet(c, id, d, {mine})
+        .then(data => _._doc(c, id).set({data}))
         .then(({stats}) => {
           resolve({created: stats.created === 1, updated: stats.updated === 1})
         })
-        .catch(reject)
+        .catch(e => reject(_._toError(e, 'DB_WRITE_FAILED', `设置集合${c}中的文档${id}失败`)))
     })
   },
 
   /**
    * 删除指定的文档
    * 此函数用于删除集合中指定ID的文档。它返回一个布尔值，指示删除操作是否成功执行。
-   * 如果文档存在并且被成功删除，则返回true。如果文档不存在或删除操作失败，则返回false。
+   * 如果文档存在并且被成功删除，则返回true。如果文档不存在，则返回false；删除出错时reject错误对象。
    * 
    * @param {string} c - 集合名称，指明在哪个集合中执行删除操作
    * @param {string} id - 文档ID，用于定位需要删除的文档
@@ -599,8 +1021,8 @@ const utils = {
   removeDoc (c, id) {
     const _ = this
     return new Promise((resolve, reject) => {
-      _._doc(c, id)
-        .remove()
+      const remove = _.getCollConfig(c).soft_delete ? _._softRemove(c, {_id: id}) : _._doc(c, id).remove()
+      remove
         .then(async res => {
           if(res.stats.removed > 0){
             resolve(true)
@@ -609,7 +1031,7 @@ const utils = {
           }
         })
         .catch(e => {
-          resolve(false)
+          reject(_._toError(e, 'DB_WRITE_FAILED', `删除集合${c}中的文档${id}失败`))
         })
     })
   },
@@ -624,19 +1046,112 @@ const utils = {
     const _ = this
     return new Promise((resolve, reject) => {
       if (_.isEmpty(w)) {
-        reject({errno: 'removeMatch Failed', errMsg: `w不能为空`})
+        reject(_.makeError('INVALID_PARAM', 'removeMatch：w不能为空'))
       } else {
-        _.coll(c)
-          .where(w)
-          .remove()
+        const remove = _.getCollConfig(c).soft_delete ? _._softRemove(c, w) : _.coll(c).where(w).remove()
+        remove
           .then(res => {
             resolve(res.stats.removed)
           })
-          .catch(reject)
+          .catch(e => reject(_._toError(e, 'DB_WRITE_FAILED', `删除集合${c}中的文档失败`)))
       }
     })
   },
 
+  /**
+   * 从回收站恢复软删除的文档，见setCollConfig的soft_delete
+   * 恢复后的文档与删除前相同（去掉deleted、deleted_by，_openid恢复为owner_openid），不经过数据校验，也不更新时间、用户字段。
+   *
+   * @param {string} c - 集合名称（不是回收站集合名称）
+   * @param {string} id - 文档ID
+   * @returns {Promise<boolean>} 恢复成功时为true，回收站中没有此文档时为false，出错时reject错误对象。
+   *
+   * 说明
+   *   1. 此函数不检查权限，仅应在管理员接口中调用（如dispatch接口文件中exports.meta = {admin: true}）。
+   *   2. 集合中已有同_id的文档时会被覆盖。
+   */
+  restoreDoc (c, id) {
+    const _ = this
+    const trash = `${c}_trash`
+    return new Promise((resolve, reject) => {
+      _.getDoc(trash, id)
+        .then(async doc => {
+          if (!doc) {
+            resolve(false)
+            return
+          }
+          const {_id, _openid, deleted, deleted_by, owner_openid, ...d} = doc
+          // 前端删除的文档，回收站中的_openid为删除者；没有owner_openid的是旧版本移入回收站的文档
+          const owner = owner_openid === undefined ? _openid : owner_openid
+          await _._doc(c, id).set({data: owner ? {...d, _openid: owner} : d})
+          await _._doc(trash, id).remove()
+          resolve(true)
+        })
+        .catch(e => reject(_._toError(e, 'DB_WRITE_FAILED', `恢复集合${c}中的文档${id}失败`)))
+    })
+  },
+
+  /**
+   * 清空回收站中删除时间早于older_than_days天前的文档，见setCollConfig的soft_delete
+   *
+   * @param {string} c - 集合名称（不是回收站集合名称）
+   * @param {number} [older_than_days=30] - 天数，为0时清空整个回收站
+   * @returns {Promise<number>} 被永久删除的文档数量。
+   *
+   * 说明
+   *   1. 此函数不检查权限，仅应在管理员接口或定时触发的云函数中调用。
+   *   2. older_than_days不是非负数时reject INVALID_PARAM。
+   */
+  purgeTrash (c, older_than_days = 30) {
+    const _ = this
+    const $ = _.command()
+    if (!_.isNumber(older_than_days, {is_positive: true, allow_string: false})) {
+      return Promise.reject(_.makeError('INVALID_PARAM', 'purgeTrash：older_than_days必须是非负数'))
+    }
+    const before = new Date(Date.now() - older_than_days * 24 * 3600 * 1000)
+    return _.removeMatch(`${c}_trash`, {deleted: $.lte(before)})
+  },
+
+  /**
+   * 在数据库事务中执行多个读写，全部成功或全部回滚
+   * 
+   * @param {Function} fn - 异步函数，参数t提供与utils相同用法的读写函数（集合名同样会自动添加p_前缀）:
+   *   - t.getDoc(c, id) - 读取文档，不存在时为null
+   *   - t.addDoc(c, d) - 添加文档，返回_id
+   *   - t.updateDoc(c, id, d) - 更新文档，返回是否更新
+   *   - t.setDoc(c, id, d) - 替换文档，返回 {created, updated}
+   *   - t.removeDoc(c, id) - 删除文档，返回是否删除
+   *   fn抛出异常时回滚全部写入。
+   * @param {Object} options - 可选参数:
+   *   - {number} retries - 发生写冲突时自动重试的次数，默认为3。重试时会重新执行fn
+   * @returns {Promise<any>} fn的返回值。失败时reject错误对象：fn抛出的错误对象（如makeError生成的）原样返回，其他错误为TRANSACTION_FAILED
+   *
+   * 说明
+   *   1. 事务中只能按_id读写（微信限制），不能使用where、docs等查询。
+   *   2. 与普通写入相同，会执行集合的数据校验、时间与用户字段（见setCollConfig）；开启soft_delete的集合，removeDoc会在事务中移入回收站。
+   *   3. fn可能被执行多次（重试），不要在fn中执行事务以外的写入或调用外部接口。
+   * 
+   * @example
+   *   // 使用优惠券并创建订单
+   *   const order_id = await utils.transaction(async (t) => {
+   *     const coupon = await t.getDoc('coupon', coupon_id)
+   *     if (!coupon || coupon.used) {
+   *       throw utils.makeError('INVALID_PARAM', '优惠券不可用')
+   *     }
+   *     await t.updateDoc('coupon', coupon_id, {used: true})
+   *     return t.addDoc('order', {coupon_id, price: 100 - coupon.amount})
+   *   })
+   */
+  transaction (fn, {retries = 3} = {}) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      _._db()
+        .runTransaction(transaction => fn(_._transactionApi(transaction)), retries)
+        .then(resolve)
+        .catch(e => reject(_._toError(e, 'TRANSACTION_FAILED', '事务执行失败，已回滚')))
+    })
+  },
+
   /**
    * 根据id获取数据
    * 
@@ -645,21 +1160,92 @@ const utils = {
    * @param {Object} options 包含以下属性的对象:
    *   - {string} only - 仅返回的字段，多个字段用逗号分隔，如：'title, content'。
    *   - {string} except - 不返回的字段。
+   *   - {Object|null} populate - 读取引用的其他集合的文档，同docs函数。
    * 
-   * @returns {Promise<Object|null>} Promise对象，解析为文档或null。
+   * @returns {Promise<Object|null>} Promise对象，解析为文档，文档不存在时为null，读取出错时reject错误对象。
+   *
+   * 注意：
+   *   1. 使用where查询而不是doc().get()，因为doc().get()在文档不存在时也会抛出异常，无法与读取出错区分。
    */
-  getDoc(c, id, {only = '', except = ''} = {}) {
+  getDoc(c, id, {only = '', except = '', populate = null} = {}) {
     const _ = this
+    const {specs, error} = _._populateSpecs(populate)
+    if (error) {
+      return Promise.reject(error)
+    }
+    const {field, extra} = _._populateField(_._makeField(only, except), specs)
     return new Promise((resolve, reject) => {
-      _.coll(c).doc(id)
-        .field(_._makeField(only, except))
+      _.coll(c)
+        .where({_id: id})
+        .limit(1)
+        .field(field)
         .get()
         .then(res => {
-          resolve(res.data)
+          resolve(res.data.length > 0 ? res.data[0] : null)
         })
         .catch(e => {
-          resolve(null)
+          reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}中的文档${id}失败`))
+        })
+    }).then(doc => doc && specs.length > 0 ? _._populate([doc], specs, extra).then(() => doc) : doc)
+  },
+
+  /**
+   * 根据id列表批量获取文档
+   * 把不重复的id按每组PAGE_SIZE（1000）个（云端单次查询的上限）分组，用$.in查询，并限制同时进行的查询数量。
+   * 
+   * @param {string} c - 集合名称。
+   * @param {Array<string>} ids - 文档ID列表，可以有重复。
+   * @param {Object} options 包含以下属性的对象:
+   *   - {string} only - 仅返回的字段，多个字段用逗号分隔，如：'title, content'。
+   *   - {string} except - 不返回的字段。
+   *   - {boolean} mine - 是否只读取当前调用者（_.openid()）的数据，可防止用户通过传入他人的id读取数据。
+   *   - {boolean} keep_order - 是否按ids的顺序返回，默认为true，此时返回的数组与ids一一对应，不存在的文档为null。
+   *     为false时只返回存在的文档（重复的id只返回一次，不保证顺序）
+   *   - {number} concurrency - 最多同时进行的查询数量，默认为5
+   * 
+   * @returns {Promise<Array<Object|null>>} Promise对象，解析为文档数组，读取出错时reject错误对象。
+   *
+   * 调用次数
+   *   每1000个不重复的id消耗一次调用次数。
+   * 
+   * @example
+   *   const users = await utils.getDocsByIds('user', todos.map(t => t.user_id), {only: 'name, avatar'})
+   *   todos.forEach((t, i) => { t.user = users[i] })
+   */
+  getDocsByIds (c, ids, {only = '', except = '', mine = false, keep_order = true, concurrency = 5} = {}) {
+    const _ = this
+    const $ = _.command()
+    if (!_.isArray(ids)) {
+      return Promise.reject(_.makeError('INVALID_PARAM', 'getDocsByIds：ids必须是数组'))
+    }
+    const unique = [...new Set(ids)]
+    const chunks = []
+    for (let i = 0; i < unique.length; i += PAGE_SIZE) {
+      chunks.push(unique.slice(i, i + PAGE_SIZE))
+    }
+    // 需要_id把结果对应到ids，except中的_id在最后删除
+    const field = _._makeField(only, except)
+    const except_id = field._id === false
+    if (except_id) {
+      delete field._id
+    }
+    return new Promise((resolve, reject) => {
+      _._mapLimit(chunks, concurrency, chunk => _.coll(c)
+        .where({_id: $.in(chunk), ...(mine ? {_openid: _.openid()} : {})})
+        .limit(PAGE_SIZE)
+        .field(field)
+        .get()
+        .then(res => res.data))
+        .then(lists => {
+          const docs = lists.flat()
+          const by_id = new Map(docs.map(d => [d._id, d]))
+          const result = keep_order ? ids.map(id => by_id.get(id) ?? null) : docs
+          if (except_id) {
+            _._removeFields(docs, ['_id'])
+          }
+          resolve(result)
         })
+        .catch(e => reject(_._toError(e, 'DB_READ_FAILED', `批量读取集合${c}中的文档失败`)))
     })
   },
 
@@ -668,11 +1254,17 @@ const utils = {
    * 
    * @param {string} c - 集合名称。
    * @param {Object} w - 查询条件。
+   * @param {Object} options 包含以下属性的对象:
+   *   - {Object|null} populate - 读取引用的其他集合的文档，同docs函数。
    * 
    * @returns {Promise<Object|null>} Promise对象，解析为文档或null。
    */
-  getOne(c, w) {
+  getOne(c, w, {populate = null} = {}) {
     const _ = this
+    const {specs, error} = _._populateSpecs(populate)
+    if (error) {
+      return Promise.reject(error)
+    }
     return new Promise((resolve, reject) => {
       _.coll(c).where(w).limit(1).get()
         .then(res => {
@@ -683,9 +1275,9 @@ const utils = {
           }
         })
         .catch(e => {
-          reject({errno: 'utils.getOne Failed', errMsg: `coll:${c}, where:${w}`, e})
+          reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`))
         })
-    })
+    }).then(doc => doc && specs.length > 0 ? _._populate([doc], specs).then(() => doc) : doc)
   },
 
   /**
@@ -697,13 +1289,18 @@ const utils = {
    */
   addDoc(c, d) {
     const _ = this
+    const {doc, error} = _._applySchema(c, d)
+    if (error) {
+      return Promise.reject(error)
+    }
+    d = doc
     return new Promise((resolve, reject) => {
-      _.coll(c).add({ data: d })
+      _.coll(c).add({ data: _._stampDoc(c, d, 'create') })
         .then(res => {
           resolve(res._id)
         })
         .catch(e => {
-          reject(e)
+          reject(_._toError(e, 'DB_WRITE_FAILED', `向集合${c}中添加文档失败`))
         })
     })
   },
@@ -724,13 +1321,21 @@ const utils = {
    */
   addDocList(c, doc_list) {
     const _ = this
+    const docs = []
+    for (const [index, d] of doc_list.entries()) {
+      const {doc, error} = _._applySchema(c, d)
+      if (error) {
+        return Promise.reject({...error, index})
+      }
+      docs.push(doc)
+    }
     return new Promise((resolve, reject) => {
-      _.coll(c).add({ data: doc_list })
+      _.coll(c).add({ data: docs.map(d => _._stampDoc(c, d, 'create')) })
         .then(res => {
           resolve({ids: res._ids, len: res._ids.length})
         })
         .catch(e => {
-          reject(e)
+          reject(_._toError(e, 'DB_WRITE_FAILED', `向集合${c}中批量添加文档失败`))
         })
     })
   },
@@ -779,27 +1384,18 @@ const utils = {
    */
   exists(c, w_or_id) {
     const _ = this
-    return new Promise((resolve) => {
-      // 传入的条件是id
-      if (_.isString(w_or_id)) {
-        _.coll(c).doc(w_or_id).get()
-          .then(res => {
+    // 传入的条件是id
+    const w = _.isString(w_or_id) ? {_id: w_or_id} : w_or_id
+    return new Promise((resolve, reject) => {
+      _.coll(c).where(w).limit(1).get()
+        .then(res => {
+          if (res.data.length > 0) {
             resolve(true)
-          })
-          .catch(e => {
+          } else {
             resolve(false)
-          })
-      } else {
-        _.coll(c).where(w_or_id).limit(1).get()
-          .then(res => {
-            if (res.data.length > 0) {
-              resolve(true)
-            } else {
-              resolve(false)
-            }
-          })
-
-      }
+          }
+        })
+        .catch(e => reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`)))
     })
   },
 
@@ -817,7 +1413,7 @@ const utils = {
           resolve(res.total)
         })
         .catch(e => {
-          reject(e)
+          reject(_._toError(e, 'DB_READ_FAILED', `统计集合${c}的文档数量失败`))
         })
     })
   },
@@ -831,6 +1427,7 @@ const utils = {
    * 1. 此函数一般用于递增生成订单号
    * 2. 前端一般不使用此类函数
    * 3. 注意：此函数无法解决并发冲突问题，微信api无法在原子操作中实现max_index+1
+   * 4. 需要保证不重复时（如订单号），请使用nextSequence、nextSequenceCode
    */
   getNextIndex (c) {
     const _ = this
@@ -844,27 +1441,91 @@ const utils = {
           }
         })
         .catch(e => {
-          reject(e)
+          reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`))
         })
     })
   },
 
   /**
-   * 获取集合中某字段的最大值。
-   * @param {string} c - 集合名称。
-   * @param {string} feild - 字段名称，支持点表示法。
-   * @param {Object} options
-   *   - {Object} w - 查询条件，默认为空对象。
-   *   - {any} default_value - 如果没有符合条件的文档，返回的默认值，默认为null。
-   *   - {string} _order_by - 排序方式，'asc'表示升序，'desc'表示降序，默认为'desc'。
-   * @returns {Promise<any>} 如果有符合条件的文档，返回字段的最大值，否则返回默认值或null。
+   * 获取序列的下一个值（原子操作，并发调用也不会重复）
+   * 序列保存在sequence集合中（每个序列一个文档，_id为序列名称），在事务中读取并用$.inc递增。
+   * 
+   * @param {string} name - 序列名称，如'order'
+   * @param {Object} options - 可选参数:
+   *   - {number} step - 每次增加的值，默认为1
+   *   - {number} start - 序列不存在时返回的第一个值，默认为1
+   * @returns {Promise<number>} 序列的下一个值
+   *
+   * 说明
+   *   1. 每次调用消耗2~3次调用次数（事务中的读取与写入）。
+   *   2. 事务失败（如并发冲突重试后仍失败）时reject TRANSACTION_FAILED，不会返回重复的值。
+   *   3. name为空或step不是非0整数时reject INVALID_PARAM。
+   *
    * @example
-   * let max_value = await utils.getMaxFeild(c, feild, {default_value: 0})
+   *   const index = await utils.nextSequence('order') // 1, 2, 3...
    */
-  getMaxFeild (c, feild, {w = {}, default_value = null, _order_by = 'desc'} = {}) {
+  nextSequence (name, {step = 1, start = 1} = {}) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      _.coll(c)
+    const $ = _.command()
+    if (!_.isString(name) || _.isEmpty(name)) {
+      return Promise.reject(_.makeError('INVALID_PARAM', 'nextSequence：name不能为空'))
+    }
+    if (!_.isNumber(step, {is_integer: true, allow_string: false}) || step === 0) {
+      return Promise.reject(_.makeError('INVALID_PARAM', 'nextSequence：step必须是非0整数'))
+    }
+    return _.transaction(async (t) => {
+      const seq = await t.getDoc(SEQUENCE_COLL, name)
+      if (!seq) {
+        await t.setDoc(SEQUENCE_COLL, name, {value: start, updated: _.serverDate()})
+        return start
+      }
+      await t.updateDoc(SEQUENCE_COLL, name, {value: $.inc(step), updated: _.serverDate()})
+      return seq.value + step
+    })
+  },
+
+  /**
+   * 生成便于阅读的编号（如订单号）：前缀 + 日期 + 补0的序列值，如'DD20240701000001'
+   * 
+   * @param {string} name - 序列名称，如'order'
+   * @param {Object} options - 可选参数:
+   *   - {string} prefix - 前缀，默认为''
+   *   - {boolean} daily - 是否添加日期（yyyyMMdd），并且每天从start重新开始计数，默认为true
+   *   - {number} width - 序列值补0后的位数，默认为6，超过时不截断
+   *   - {number} step - 同nextSequence，默认为1
+   *   - {number} start - 同nextSequence，默认为1
+   * @returns {Promise<string>} 编号
+   *
+   * 说明
+   *   1. 日期使用云函数的时区，请在云函数中设置环境变量TZ=Asia/Shanghai。
+   *   2. daily为true时，每天使用一个新的序列（序列名称为 name_yyyyMMdd）。
+   *
+   * @example
+   *   const order_no = await utils.nextSequenceCode('order', {prefix: 'DD'}) // 'DD20240701000001'
+   */
+  nextSequenceCode (name, {prefix = '', daily = true, width = 6, step = 1, start = 1} = {}) {
+    const _ = this
+    const date = daily ? _.yymmdd(_.now()).replace(/-/g, '') : ''
+    return _.nextSequence(daily ? `${name}_${date}` : name, {step, start})
+      .then(value => `${prefix}${date}${String(value).padStart(width, '0')}`)
+  },
+
+  /**
+   * 获取集合中某字段的最大值。
+   * @param {string} c - 集合名称。
+   * @param {string} feild - 字段名称，支持点表示法。
+   * @param {Object} options
+   *   - {Object} w - 查询条件，默认为空对象。
+   *   - {any} default_value - 如果没有符合条件的文档，返回的默认值，默认为null。
+   *   - {string} _order_by - 排序方式，'asc'表示升序，'desc'表示降序，默认为'desc'。
+   * @returns {Promise<any>} 如果有符合条件的文档，返回字段的最大值，否则返回默认值或null。
+   * @example
+   * let max_value = await utils.getMaxFeild(c, feild, {default_value: 0})
+   */
+  getMaxFeild (c, feild, {w = {}, default_value = null, _order_by = 'desc'} = {}) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      _.coll(c)
         .where(w)
         .orderBy(feild, _order_by) // orderBy支持点表示法
         .limit(1)
@@ -876,7 +1537,7 @@ const utils = {
             resolve(default_value)
           }
         })
-        .catch(reject)
+        .catch(e => reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`)))
     })
   },
 
@@ -887,2934 +1548,4800 @@ const utils = {
     return this.getMaxFeild(c, feild, {w, default_value, _order_by: 'asc'})
   },
 
-
-  /* === 字符串 === */
-
   /**
-   * 按指定字符拆分字符串，返回拆分后的数组
-   * 
-   * 此函数会过滤掉拆分后的空字符串，并去除每个元素两边的空白。
-   * 
-   * @param {string} s - 要拆分的字符串
-   * @param {string} [char=' '] - 用于拆分的字符，默认为空格
-   * @returns {Array<string>} 拆分后的字符串数组，已过滤空字符串并去除元素两边空白
+   * 按字段的值分组，统计每组的文档数量
+   *
+   * @param {string} c - 集合名称。
+   * @param {string} field - 分组字段，支持点表示法。
+   * @param {Object} options
+   *   - {Object} w - 查询条件，默认为空对象。
+   *   - {boolean} mine - 是否只统计当前调用者（_.openid()）的数据。
+   *   - {number} page_size - 每次读取的分组数量，默认为1000。分组较多时分多次读取（见_groupAll）
+   * @returns {Promise<Array<Object>>} [{value, count}]，按count从大到小排序。字段不存在的文档value为null
+   *
+   * @example
+   *   const stats = await utils.groupCount('todo', 'status')
+   *   // [{value: '未完成', count: 12}, {value: '已完成', count: 5}]
    */
-  split (s, char = ' ') {
-    return s.split(char).map(i => i.trim()).filter(i => i.length > 0)
+  groupCount (c, field, {w = {}, mine = false, page_size = 1000} = {}) {
+    const _ = this
+    const $ = _.command().aggregate
+    return _._groupAll(c, _._mineWhere(w, mine), {_id: '$' + field, count: $.sum(1)}, page_size)
+      .then(groups => groups.map(g => ({value: g._id, count: g.count})).sort((a, b) => b.count - a.count))
   },
 
   /**
-   * 将字符串按照第一个指定字符分割为三部分。
-   * 
-   * @param {string} s - 要分割的字符串
-   * @param {string} [char=' '] - 作为分割标记的字符
-   * @returns {Array<string>} 返回一个包含三个字符串的数组。原字符串中从头开始到第一个匹配标记之前的部分，匹配标记，以及第一个匹配标记之后的部分。如果没有找到匹配标记，返回的数组将包含原字符串，后两个字符串将为空。
-   * 
+   * 计算字段的合计值
+   *
+   * @param {string} c - 集合名称。
+   * @param {string} field - 数字字段，支持点表示法。
+   * @param {Object} options
+   *   - {Object} w - 查询条件，默认为空对象。
+   *   - {boolean} mine - 是否只统计当前调用者（_.openid()）的数据。
+   * @returns {Promise<number>} 合计值，没有符合条件的文档时为0。字段不是数字的文档不计入
+   *
    * @example
-   *   utils.partition('hello world') // ['hello', ' ', 'world']
+   *   const total = await utils.sumField('order', 'price', {w: {status: '已支付'}})
    */
-  partition (s, char = ' ') {
-    if(s.includes(char)){
-      let i = s.indexOf(char)
-      return [s.substring(0, i), char, s.substring(i+char.length, s.length)]
-    }else{
-      return [s, '', '']
-    }
+  sumField (c, field, {w = {}, mine = false} = {}) {
+    const _ = this
+    const $ = _.command().aggregate
+    return _._groupAll(c, _._mineWhere(w, mine), {_id: null, value: $.sum('$' + field)})
+      .then(groups => groups.length > 0 ? groups[0].value : 0)
   },
 
   /**
-   * 类似于 `partition`，但是从右边开始查找。
-   * 
-   * @param {string} s - 要分割的字符串
-   * @param {string} [char=' '] - 作为分割标记的字符
-   * @returns {Array<string>} 返回一个包含三个字符串的数组。
-   * 
-   * @example
-   *   utils.rpartition('hello world', 'o) // ['hello w', 'o', 'rld']
+   * 计算字段的平均值
+   *
+   * @param {string} c - 集合名称。
+   * @param {string} field - 数字字段，支持点表示法。
+   * @param {Object} options
+   *   - {Object} w - 查询条件，默认为空对象。
+   *   - {boolean} mine - 是否只统计当前调用者（_.openid()）的数据。
+   * @returns {Promise<number|null>} 平均值，没有符合条件的文档时为null。字段不是数字的文档不计入
    */
-  rpartition (s, char = ' ') {
-    if (s.includes(char)) {
-      let i = s.lastIndexOf(char)
-      return [s.substring(0, i), char, s.substring(i+char.length, s.length)]
-    } else {
-      return ['', '', s]
-    }
+  avgField (c, field, {w = {}, mine = false} = {}) {
+    const _ = this
+    const $ = _.command().aggregate
+    return _._groupAll(c, _._mineWhere(w, mine), {_id: null, value: $.avg('$' + field)})
+      .then(groups => groups.length > 0 ? groups[0].value : null)
   },
 
   /**
-   * 判断字符串是否仅包含字母。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串仅包含字母，返回 `true`；否则返回 `false`。
-   * 
+   * 获取字段所有不重复的值
+   *
+   * @param {string} c - 集合名称。
+   * @param {string} field - 字段名称，支持点表示法。
+   * @param {Object} options
+   *   - {Object} w - 查询条件，默认为空对象。
+   *   - {boolean} mine - 是否只统计当前调用者（_.openid()）的数据。
+   *   - {number} page_size - 每次读取的数量，默认为1000。
+   * @returns {Promise<Array>} 不重复的值，按升序排列。字段不存在或为null的文档不计入
+   *
    * @example
-   *   utils.isAlpha('abc') // true
+   *   const tags = await utils.distinct('article', 'category')
    */
-  isAlpha (s) {
-    return /^([a-zA-Z])+$/.test(s)
+  distinct (c, field, {w = {}, mine = false, page_size = 1000} = {}) {
+    const _ = this
+    return _._groupAll(c, _._mineWhere(w, mine), {_id: '$' + field}, page_size)
+      .then(groups => groups.map(g => g._id).filter(v => !_.isNone(v)))
   },
 
   /**
-   * 判断字符串是否仅包含数字或字母。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串仅包含数字或字母，返回 `true`；否则返回 `false`。
-   * 
+   * 按日期字段统计每天（周、月）的文档数量
+   *
+   * @param {string} c - 集合名称。
+   * @param {string} field - 日期字段（Date类型，如timestamps添加的created），支持点表示法，默认为'created'。
+   * @param {Object} options
+   *   - {Object} w - 查询条件，默认为空对象。
+   *   - {boolean} mine - 是否只统计当前调用者（_.openid()）的数据。
+   *   - {string} unit - 统计单位：'day'、'week'（周一开始）或'month'，默认为'day'
+   *   - {string} timezone - 时区，默认为'Asia/Shanghai'
+   *   - {number} page_size - 每次读取的分组数量，默认为1000。
+   * @returns {Promise<Array<Object>>} [{date, count}]，按date升序排列，没有文档的日期不包含在内。
+   *   date为'2024-06-03'的形式，unit为'week'时是周一的日期，为'month'时是'2024-06'的形式
+   *
    * @example
-   *   utils.isAlnum('abc123') // true
+   *   // 最近30天每天完成的todo数量
+   *   const $ = utils.command()
+   *   const days = await utils.dateHistogram('todo', 'done_time', {w: {status: '已完成', done_time: $.gte(utils.daysAgoDate(30))}})
    */
-  isAlnum (s) {
-    return /^([\da-zA-Z])+$/.test(this)
+  dateHistogram (c, field = 'created', {w = {}, mine = false, unit = 'day', timezone = 'Asia/Shanghai', page_size = 1000} = {}) {
+    const _ = this
+    const $ = _.command().aggregate
+    const formats = {day: '%Y-%m-%d', week: '%Y-%m-%d', month: '%Y-%m'}
+    if (!formats[unit]) {
+      return Promise.reject(_.makeError('INVALID_PARAM', `dateHistogram：不支持的统计单位${unit}`))
+    }
+    const date = $.dateToString({date: '$' + field, format: formats[unit], timezone, onNull: null})
+    return _._groupAll(c, _._mineWhere(w, mine), {_id: date, count: $.sum(1)}, page_size)
+      .then(groups => {
+        groups = groups.filter(g => g._id !== null)
+        if (unit !== 'week') {
+          return groups.map(g => ({date: g._id, count: g.count}))
+        }
+        // 按天读取后合并为周，date为周一的日期
+        const weeks = new Map()
+        for (const g of groups) {
+          const t = new Date(g._id + 'T00:00:00Z')
+          t.setUTCDate(t.getUTCDate() - (t.getUTCDay() || 7) + 1)
+          const monday = t.toISOString().slice(0, 10)
+          weeks.set(monday, (weeks.get(monday) || 0) + g.count)
+        }
+        return [...weeks].map(([date, count]) => ({date, count}))
+      })
   },
 
   /**
-   * 判断一个字符串是否包含中文字符。
-   * 
-   * @param {string} str - 被判断的字符串
-   * @returns {boolean} 如果字符串包含中文字符，返回 `true`；否则返回 `false`。
-   * 
+   * 按关键词搜索文档
+   *
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {string} c - 集合名称
+   *   - {string} keyword - 关键词，多个关键词用空格分隔，每个关键词都要在某个字段中出现（不区分大小写）
+   *   - {Array<string>|string} fields - 搜索的字段，如：['title', 'content'] 或 'title, content'，支持点表示法
+   *   - {Object} w - 其他查询条件，默认为{}
+   *   - {boolean} mine - 是否只搜索当前调用者（_.openid()）的数据
+   *   - {number} page_num - 页码，从0开始
+   *   - {number} page_size - 每页大小，默认为20
+   *   - {string} only - 仅返回的字段
+   *   - {string} except - 不返回的字段，使用索引时可传入'_search'减少读取的数据量
+   *   - {Object|string} order_by - 排序规则，同docs
+   *   - {boolean} use_index - 是否使用搜索索引（写入时维护，见setCollConfig的search_keys），默认为false
+   * @returns {Promise<Array>} 文档数组，keyword为空时不读取数据库，直接返回[]
+   *
+   * 说明
+   *   1. 不使用索引时用正则表达式匹配，数据库需要逐个检查文档，集合较大时较慢。
+   *   2. 使用索引时按分词匹配：中文按单字和相邻的两个字分词，英文和数字按整个单词分词（搜索'java'不会匹配'javascript'）。
+   *
    * @example
-   *   utils.isContainChinese('你好abc') // true
+   *   const todos = await utils.search({c: 'todo', keyword: '周报 review', fields: 'title, content', mine: true})
    */
-  isContainChinese (str) {
-    return /[\u4e00-\u9fff]/.test(str)
+  search ({c, keyword = '', fields = [], w = {}, mine = false, page_num = 0, page_size = 20, only = '', except = '', order_by = {}, use_index = false} = {}) {
+    const _ = this
+    const cond = _._searchMatch(keyword, _.isString(fields) ? _.split(fields, ',') : fields, use_index)
+    if (cond === null) {
+      return Promise.resolve([])
+    }
+    return _.docs({c, w: _._andWhere(_._mineWhere(w, mine), cond), page_num, page_size, only, except, order_by})
   },
 
   /**
-   * 获得字符串的最后n个字符。
-   * 
-   * @param {string} s - 原字符串
-   * @param {number} n - 要获取的字符数
-   * @returns {string} 返回字符串的最后n个字符。
-   * 
-   * @example
-   *   utils.lastStr('hello', 2) // 'lo'
+   * 重新生成集合的搜索索引（_search字段），用于设置search_keys之前已有的文档，或修改了search_keys之后
+   *
+   * @param {string} c - 集合名称
+   * @param {Object} options - 可选参数:
+   *   - {Object} w - 只处理符合条件的文档，默认为{}
+   *   - {number} concurrency - 最多同时进行的更新数量，默认为5
+   * @returns {Promise<number>} 更新的文档数量
+   *
+   * 说明
+   *   1. 每个文档消耗一次调用次数，文档较多时应在定时触发器中分批（用w）处理。
    */
-  lastStr (s, n) {
-    return s.substr(s.length - n)
+  rebuildSearchIndex (c, {w = {}, concurrency = 5} = {}) {
+    const _ = this
+    const keys = _.getCollConfig(c).search_keys
+    if (_.isEmpty(keys)) {
+      return Promise.reject(_.makeError('INVALID_PARAM', `集合${c}没有设置search_keys`))
+    }
+    const project = Object.fromEntries(keys.map(k => [k, 1]))
+    return _.allDocs({c, match: w, project}).then(docs => _._mapLimit(docs, concurrency, d => _._doc(c, d._id)
+      .update({data: {_search: _.command().set(_._searchIndex(keys, d, {full: true}))}})
+      .catch(e => Promise.reject(_._toError(e, 'DB_WRITE_FAILED', `更新集合${c}中文档${d._id}的搜索索引失败`)))))
+      .then(results => results.length)
   },
 
+
+  /* === 集合配置与数据校验 === */
+
   /**
-   * 移除字符串中所有的空白字符，包含空格、制表符、换行符等。
-   * 
-   * @param {string} s - 原字符串
-   * @returns {string} 返回没有空白字符的字符串。
-   * 
+   * 设置集合的配置（与之前的配置合并），对本utils中该集合的所有写入函数生效
+   *
+   * @param {string} c - 集合名称（不含p_前缀）
+   * @param {Object} config - 配置项:
+   *   - {boolean} timestamps - 写入时自动添加服务器时间（serverDate）：
+   *     addDoc、addDocList添加created、updated，updateDoc、updateMatch、setDoc更新updated。默认为false
+   *   - {boolean} track_user - 写入时自动添加当前用户的openid：新增时添加created_by、updated_by，更新时更新updated_by。默认为false
+   *   - {boolean} soft_delete - 软删除：removeDoc、removeMatch把文档移动到回收站集合（集合名_trash，如todo_trash），
+   *     并添加deleted（删除时间）、deleted_by（删除者的openid）、owner_openid（原来的_openid，恢复时使用）。
+   *     读取函数读不到回收站中的文档，云端可用restoreDoc恢复。默认为false
+   *   - {boolean} versioned - 版本号：新增时添加_rev为1，之后每次updateDoc、updateMatch、setDoc都把_rev加1，
+   *     配合updateDoc、setDoc的rev参数防止多人同时编辑时互相覆盖。默认为false
+   *   - {Array<string>} search_keys - 需要搜索的字段，如：['title', 'content']。写入这些字段时在_search字段中保存分词，
+   *     供search函数的use_index使用（前端也可以用索引搜索，但前端写入不会更新索引）。已有的文档用rebuildSearchIndex生成索引。默认为null
+   *
+   * 说明
+   *   1. 新增时同时添加updated，因此可以用 {updated: $.gt(上次同步的时间)} 增量读取新增和修改过的数据。
+   *   2. setDoc会替换整个文档，但保留原来的created、created_by（d中传入时使用d中的值），文档不存在时添加created、created_by。
+   *   3. 没有用户的调用（如定时触发器）不会添加created_by、updated_by。
+   *
    * @example
-   * utils.removeAllSpace('h e l l o') // 'hello'
+   *   // 在app.js的onLaunch中设置
+   *   utils.setCollConfig('todo', {timestamps: true, track_user: true})
    */
-  removeAllSpace (s) {
-    return s.replace(/\s/g, '')
+  setCollConfig (c, config) {
+    const _ = this
+    _._coll_configs[c] = {..._._coll_configs[c], ...config}
   },
 
   /**
-   * 将字符串转换为PascalCase（首字母大写）格式。
-   *
-   * @param {string} str - 待转换的字符串，单词之间由下划线('_')分隔。
-   * @returns {string} 返回转换后的字符串，每个单词的首字母大写，无下划线('_')。
+   * 获取集合的配置（包括默认值）
+   * @param {string} c - 集合名称
+   * @returns {Object} 集合配置，见setCollConfig
    */
-  toPascalCase(str) {
-    return str.split('_').map(i => { return i === '' ? '' : i.charAt(0).toUpperCase() + i.slice(1) }).join('')
+  getCollConfig (c) {
+    return {...COLL_CONFIG_DEFAULTS, ...this._coll_configs[c]}
   },
 
-
-  /* === 数值、数字、价格、金额 === */
-
   /**
-   * 判断值是否为数字字面量或Number对象（不能是NaN、null、undefined）。
-   * 
-   * @param {number|string} i - 被判断的值
-   * @param {Object} [options] - 包含以下属性的对象:
-   *   - {boolean} [is_positive=false] - 判断是否为正数（可为0）
-   *   - {boolean} [is_integer=false] - 判断是否为整数（可为0）
-   *   - {boolean} [allow_string=true] - 默认允许数字字符串，如'123'
-   * @returns {boolean} 如果值为数字字面量或Number对象，返回 `true`；否则返回 `false`。
-   * 
+   * 为集合注册数据格式（schema），注册后addDoc、setDoc会校验完整的文档并填充默认值，
+   * updateDoc、updateMatch只校验本次更新的字段。校验不通过时不会访问数据库，直接reject错误码为VALIDATION_FAILED的错误对象。
+   *
+   * @param {string} c - 集合名称（不含p_前缀）
+   * @param {Object} fields - 字段规则，键为字段名（支持点表示法，如'address.city'），值为规则对象:
+   *   - {string} type - 类型：'string'、'number'、'boolean'、'date'、'array'、'object'、'id'（文档_id）
+   *   - {boolean} required - 是否必填，默认为false（null、undefined、''视为未填写）
+   *   - {Array} enum - 允许的值
+   *   - {*|Function} default - 默认值，addDoc、setDoc时字段未填写则使用此值，为函数时使用函数的返回值
+   *   - {number} max_length - 字符串、数组的最大长度
+   *   - {number} min_length - 字符串、数组的最小长度
+   *   - {number} max - 数字的最大值
+   *   - {number} min - 数字的最小值
+   *   - {string|Function} validator - 校验函数，可以是utils中校验函数的名称，如'isPhoneNumber'、'isPrice'、'isName'，
+   *     也可以是返回true/false的函数
+   *   - {string} label - 字段的中文名称，用于错误提示，默认为字段名
+   *   - {string} msg - 自定义的错误提示，默认根据不通过的规则生成
+   * @param {Object} options - 可选参数:
+   *   - {boolean} strict - 是否不允许写入fields中未定义的字段（_id、_openid除外），默认为false
+   *
+   * 说明
+   *   1. 数据库指令（如 $.inc(1)、$.push(x)）和serverDate()不做校验。
+   *   2. 重复注册同一个集合时，后注册的schema会覆盖之前的。
+   *
    * @example
-   *   utils.isNumber(123) // true
-   *   utils.isNumber('123') // true
+   *   utils.defineSchema('todo', {
+   *     title : {type: 'string', required: true, max_length: 50, label: '标题'},
+   *     status: {type: 'string', enum: ['未完成', '已完成'], default: '未完成', label: '状态'},
+   *     phone : {type: 'string', validator: 'isPhoneNumber', label: '手机号'},
+   *     price : {validator: 'isPrice', label: '价格'},
+   *   })
+   *
+   *   utils.addDoc('todo', {status: '完成'}).catch(e => {
+   *     if (utils.isError(e, 'VALIDATION_FAILED')) {
+   *       console.log(e.errors) // [{field: 'title', rule: 'required', msg: '标题不能为空'}, {field: 'status', rule: 'enum', msg: ...}]
+   *     }
+   *   })
    */
-  isNumber(i, {
-    is_positive = false, // 判断是否为正数（可为0）
-    is_integer = false,  // 判断是否为整数（可为0）
-    allow_string = true, // 默认允许数字字符串
-  } = {}){
-    if (i === '') return false;
-    if (allow_string && typeof i === "string") {
-      i = Number(i)
+  defineSchema (c, fields, {strict = false} = {}) {
+    const _ = this
+    _.assert(_.isObject(fields), 'defineSchema：fields必须是对象')
+    for (const f in fields) {
+      const {type, validator} = fields[f]
+      _.assert(type === undefined || SCHEMA_TYPES[type], `defineSchema：${c}.${f}的type不合法：${type}`)
+      _.assert(validator === undefined || _.isFunction(validator) || _.isFunction(_[validator]), `defineSchema：${c}.${f}的validator不存在：${validator}`)
     }
-    if (typeof i !== "number" || isNaN(i)) return false;
-    if (is_positive && i < 0) return false;
-    if (is_integer && !Number.isInteger(i)) return false;
-    return true;
+    _.setCollConfig(c, {schema: {fields, strict}})
   },
 
   /**
-   * 判断值是否为大于0的正整数，不接受字符串。
-   * 
-   * @param {number} i - 被判断的值
-   * @returns {boolean} 如果值为大于0的正整数，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   *   utils.isPositiveInt(123) // true
-   *   utils.isPositiveInt('123') // false
-   *   utils.isPositiveInt(123.4) // false
+   * 获取集合注册的schema
+   * @param {string} c - 集合名称
+   * @returns {Object|null} {fields, strict}，未注册时返回null
    */
-  isPositiveInt(i) {
-    const _ = this
-    return _.isNumber(i, {is_positive: true, is_integer: true, allow_string: false}) && i > 0
+  getSchema (c) {
+    return this.getCollConfig(c).schema
   },
 
   /**
-   * 判断是否是合法的rank值，可以是小数、负数、字符串。
-   * 
-   * @param {number|string} i - 被判断的值
-   * @returns {boolean} 如果值是合法的rank值，返回 `true`；否则返回 `false`。
-   * 
+   * 按集合的schema校验数据（不访问数据库，也不填充默认值），可用于在云函数中检查前端提交的数据
+   *
+   * @param {string} c - 集合名称
+   * @param {Object} d - 需要校验的数据
+   * @param {Object} options - 可选参数:
+   *   - {boolean} partial - 是否只校验d中包含的字段（用于更新），默认为false，表示校验完整的文档
+   * @returns {Array<Object>} 错误列表，每项为 {field, rule, msg}。校验通过或集合未注册schema时返回空数组
+   *
    * @example
-   *   utils.isRank(123.45) // true
+   *   // 云函数返回错误对象，前端的utils.call会reject此错误
+   *   const errors = utils.validateDoc('todo', event.data)
+   *   if (errors.length > 0) {
+   *     return utils.makeError('VALIDATION_FAILED', errors[0].msg, {errors})
+   *   }
    */
-  isRank(i) {
-    return this.isNumber(i, { is_positive: false, is_integer: false, allow_string: true })
+  validateDoc (c, d, {partial = false} = {}) {
+    const _ = this
+    const schema = _.getSchema(c)
+    if (!schema) {
+      return []
+    }
+    const errors = []
+    for (const f in schema.fields) {
+      const rule = schema.fields[f]
+      const has = f in d || _.pickValue(d, f) !== undefined
+      if (partial && !has) {
+        continue
+      }
+      const error = _._checkField(f, f in d ? d[f] : _.pickValue(d, f), rule)
+      if (error) {
+        errors.push(error)
+      }
+    }
+    if (schema.strict) {
+      for (const k in d) {
+        const root = k.split('.')[0]
+        const defined = Object.keys(schema.fields).some(f => f === k || f.split('.')[0] === root)
+        if (!defined && !_.in(k, ['_id', '_openid', '_rev'])) {
+          errors.push({field: k, rule: 'strict', msg: `不允许的字段：${k}`})
+        }
+      }
+    }
+    return errors
   },
 
+  /* === 数据迁移 === */
+
   /**
-   * 判断字符串是否仅包含数字，不含负数、小数。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串仅包含数字，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   * utils.isDigit('123') // true
-   */
-  isDigit (s) {
-    return /^\d+$/.test(s)
+   * 按序号执行未完成的数据迁移
+   *
+   * 迁移文件放在云函数的migrations目录中，文件名以序号开头，如：migrations/001_rename_nick.js，内容如下：
+   *   module.exports = {
+   *     c: 'todo_user',                  // 集合名称（不含p_前缀）
+   *     w: utils => ({nick: utils.command().exists(true)}), // 可选，只处理符合条件的文档，可以是对象或返回对象的函数
+   *     up (doc, utils) {                // 返回需要更新的字段（支持点表示法，undefined表示删除字段），返回null表示不需要修改
+   *       return {name: doc.nick, nick: undefined}
+   *     },
+   *     down (doc, utils) {              // 可选，rollbackMigration时使用
+   *       return {nick: doc.name, name: undefined}
+   *     },
+   *   }
+   *
+   * @param {Object} options - 可选参数:
+   *   - {Array<Object>|null} migrations - 迁移列表，每项为 {name, c, w, up, down}，name以序号开头。默认为null，表示读取migrations目录
+   *   - {boolean} dry_run - 是否只统计会修改多少文档，不写入数据库，也不记录进度。默认为false
+   *   - {number} batch_size - 每次读取的文档数量，默认为100
+   *   - {number} concurrency - 最多同时进行的更新数量，默认为5
+   *   - {number} time_limit - 最长执行时间（秒），超过后在当前批次完成时停止，默认为50。应小于云函数的超时时间
+   * @returns {Promise<Object>} {done, results}
+   *   - {boolean} done - 是否所有迁移都已完成。为false时再次调用runMigrations，会从上次处理到的文档继续
+   *   - {Array<Object>} results - 本次执行的迁移 [{name, direction, scanned, changed, done, dry_run}]，
+   *     scanned为已检查的文档数量，changed为已修改（dry_run时为会修改）的文档数量，继续执行时包括之前的数量
+   *
+   * 说明
+   *   1. 进度记录在migrations集合中，线上环境为p_migrations，因此测试环境与线上环境分别记录，需要各执行一次。
+   *   2. 每批文档更新后才记录进度，中断后会重新处理最后一批，因此up、down应可以重复执行（如先判断字段是否存在）。
+   *   3. 返回的字段与文档中的值相同时不写入数据库。直接更新文档，不会触发setCollConfig的timestamps、versioned等配置。
+   *   4. 每批读取消耗一次调用次数，每个修改的文档消耗一次调用次数。
+   *
+   * @example
+   *   // actions/admin/migrate.js
+   *   exports.main = async (event, context) => {
+   *     return await sh.runMigrations({dry_run: event.dry_run})
+   *   }
+   */
+  async runMigrations ({migrations = null, dry_run = false, batch_size = 100, concurrency = 5, time_limit = 50} = {}) {
+    const _ = this
+    const list = _._loadMigrations(migrations)
+    const records = await _._migrationRecords()
+    const deadline = Date.now() + time_limit * 1000
+    const results = []
+    for (const m of list) {
+      if (records[m.name]?.status === 'done') {
+        continue
+      }
+      const result = await _._runMigration(m, 'up', records[m.name], {dry_run, batch_size, concurrency, deadline})
+      results.push(result)
+      if (!result.done) {
+        return {done: false, results}
+      }
+    }
+    return {done: true, results}
   },
 
   /**
-   * 判断是否为价格，可以有两位小数，不能为负数，不能以0开头，但可以以0.开头。
-   * isNumber相比，此函数支持数字字符串。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串是合法的价格，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   *   utils.isPrice('123.45') // true
+   * 回滚一个数据迁移（执行迁移的down函数）
+   *
+   * @param {Object} options - 可选参数:
+   *   - {string|null} name - 需要回滚的迁移名称，默认为null，表示最后一个执行过的迁移
+   *   - 其他参数同runMigrations
+   * @returns {Promise<Object>} {name, direction, scanned, changed, done, dry_run}，done为false时再次调用可继续回滚
    */
-  isPrice (s) {
-    return /^(0|[1-9][0-9]*)(\.[0-9]{1,2})?$/.test(s)
+  async rollbackMigration ({name = null, migrations = null, dry_run = false, batch_size = 100, concurrency = 5, time_limit = 50} = {}) {
+    const _ = this
+    const list = _._loadMigrations(migrations)
+    const records = await _._migrationRecords()
+    const applied = list.filter(m => records[m.name] && records[m.name].status !== 'reverted')
+    const m = name === null ? applied.at(-1) : applied.find(i => i.name === name)
+    if (!m) {
+      throw _.makeError('INVALID_PARAM', name === null ? '没有可以回滚的数据迁移' : `数据迁移${name}不存在或没有执行过`)
+    }
+    if (!_.isFunction(m.down)) {
+      throw _.makeError('INVALID_PARAM', `数据迁移${m.name}没有down函数，无法回滚`)
+    }
+    return _._runMigration(m, 'down', records[m.name], {dry_run, batch_size, concurrency, deadline: Date.now() + time_limit * 1000})
   },
 
   /**
-   * 判断是否为整数价格，不能有小数，不能为负数，不能以0开头。
-   * 和isNumber相比，此函数支持数字字符串。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串是合法的整数价格，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   *   utils.isIntPrice('123') // true
+   * 获取所有数据迁移在当前环境中的执行情况
+   *
+   * @param {Object} options - 可选参数:
+   *   - {Array<Object>|null} migrations - 迁移列表，同runMigrations
+   * @returns {Promise<Array<Object>>} [{name, c, status, scanned, changed, updated}]，
+   *   status为'pending'（未执行）、'running'（执行中）、'done'、'reverting'（回滚中）或'reverted'
    */
-  isIntPrice (s) {
-    return /^(0|[1-9][0-9]*)$/.test(s)
+  async migrationStatus ({migrations = null} = {}) {
+    const _ = this
+    const list = _._loadMigrations(migrations)
+    const records = await _._migrationRecords()
+    return list.map(({name, c}) => {
+      const {status = 'pending', scanned = 0, changed = 0, updated = null} = records[name] || {}
+      return {name, c, status, scanned, changed, updated}
+    })
   },
 
+  /* === 集合复制与对比 === */
+
   /**
-   * 判断是否为合法的11位手机号码。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串是合法的11位手机号码，返回 `true`；否则返回 `false`。
-   * 
+   * 把一个集合的文档复制到另一个集合，如把线上数据复制到测试集合中调试
+   *
+   * @param {string} from - 源集合的实际名称（不会添加p_前缀），如：'p_todo'
+   * @param {string} to - 目标集合的实际名称，如：'todo'
+   * @param {Object} options - 可选参数:
+   *   - {Object} match - 只复制符合条件的文档，默认为{}
+   *   - {Function|null} transform - 修改文档的函数 (doc, utils) => doc，可以是async函数，返回null表示不复制该文档
+   *   - {boolean} sanitize - 是否匿名化：把_openid、created_by、updated_by、deleted_by替换为'anon_'开头的哈希值
+   *     （同一个openid得到相同的值，文档之间的关系不变），把所有手机号替换为133****1234的形式。默认为false
+   *   - {boolean} clear - 复制前是否清空目标集合，默认为false
+   *   - {boolean} allow_prod - 是否允许写入p_开头的线上集合，默认为false
+   * @returns {Promise<Object>} {read, copied, skipped}，分别为读取、复制、transform跳过的文档数量
+   *
+   * 说明
+   *   1. 文档的_id保持不变，目标集合中已存在相同_id的文档时会复制失败，此时可以设置clear为true。
+   *   2. sanitize在transform之前执行。
+   *   3. 每1000个文档消耗两次调用次数（读取、写入各一次）。
+   *
    * @example
-   *   utils.isPhoneNumber('12345678901') // true
+   *   await sh.copyCollection('p_todo', 'todo', {sanitize: true, clear: true, match: {status: '未完成'}})
    */
-  isPhoneNumber (s) {
-    return /^1[3-9]\d{9}$/.test(s)
+  async copyCollection (from, to, {match = {}, transform = null, sanitize = false, clear = false, allow_prod = false} = {}) {
+    const _ = this
+    if (from === to) {
+      throw _.makeError('INVALID_PARAM', 'copyCollection：源集合与目标集合不能相同')
+    }
+    if (to.startsWith('p_') && !allow_prod) {
+      throw _.makeError('INVALID_PARAM', `copyCollection：写入线上集合${to}需要设置allow_prod为true`)
+    }
+    const target = _.coll(to, {raw: true})
+    let read = 0
+    let copied = 0
+    try {
+      if (clear) {
+        await target.where({_id: _.command().exists(true)}).remove()
+      }
+      await _._eachRawPage(from, match, async docs => {
+        read += docs.length
+        let list = sanitize ? docs.map(d => _._sanitizeDoc(d)) : docs
+        if (transform) {
+          list = (await Promise.all(list.map(d => transform(d, _)))).filter(d => !_.isNone(d))
+        }
+        if (list.length > 0) {
+          await target.add({data: list})
+        }
+        copied += list.length
+      })
+    } catch (e) {
+      throw _._toError(e, 'DB_WRITE_FAILED', `复制集合${from}到${to}失败`)
+    }
+    return {read, copied, skipped: read - copied}
   },
 
   /**
-   * 判断是否是133****1234格式的手机号码，中间4位是*字符。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串是133****1234格式的手机号码，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   *   utils.isMaskedPhoneNumber('133****1234') // true
+   * 对比两个集合，如检查测试集合与线上集合的数据格式是否一致
+   *
+   * @param {string} a - 集合的实际名称（不会添加p_前缀），如：'todo'
+   * @param {string} b - 另一个集合的实际名称，如：'p_todo'
+   * @param {Object} options - 可选参数:
+   *   - {Object} match - 只对比符合条件的文档，默认为{}
+   *   - {number} max_ids - missing、extra最多返回的_id数量，默认为100
+   * @returns {Promise<Object>} 对比结果:
+   *   - {number} count_a、count_b - 两个集合的文档数量
+   *   - {Array<string>} missing - 在a中但不在b中的文档_id，missing_count为数量
+   *   - {Array<string>} extra - 在b中但不在a中的文档_id，extra_count为数量
+   *   - {Array<Object>} fields - 类型不同的字段 [{field, a, b}]，a、b为该字段在两个集合中出现过的类型，
+   *     如：{field: 'price', a: ['number'], b: ['number', 'string']}，字段不存在时为[]。嵌套字段使用点表示法
+   *
+   * 说明
+   *   1. 类型有：'string'、'number'、'boolean'、'date'、'array'、'object'、'null'。
+   *   2. 需要读取两个集合的全部文档，每1000个文档消耗一次调用次数。
    */
-  isMaskedPhoneNumber(s) {
-    return /^1[3-9]\d\*{4}\d{4}$/.test(s);
+  async diffCollections (a, b, {match = {}, max_ids = 100} = {}) {
+    const _ = this
+    const scan = async c => {
+      const ids = new Set()
+      const types = {}
+      await _._eachRawPage(c, match, async docs => {
+        for (const d of docs) {
+          ids.add(d._id)
+          _._collectFieldTypes(d, '', types)
+        }
+      })
+      return {ids, types}
+    }
+    const x = await scan(a)
+    const y = await scan(b)
+    const missing = [...x.ids].filter(id => !y.ids.has(id))
+    const extra = [...y.ids].filter(id => !x.ids.has(id))
+    const fields = [...new Set([...Object.keys(x.types), ...Object.keys(y.types)])].sort()
+      .map(field => ({field, a: [...(x.types[field] || [])].sort(), b: [...(y.types[field] || [])].sort()}))
+      .filter(f => !_.isEqual(f.a, f.b))
+    return {
+      count_a: x.ids.size,
+      count_b: y.ids.size,
+      missing: missing.slice(0, max_ids),
+      missing_count: missing.length,
+      extra: extra.slice(0, max_ids),
+      extra_count: extra.length,
+      fields,
+    }
   },
 
+  /* === 导入导出 === */
+
   /**
-   * 判断是否为英文小写的name（不能以数字开头，可以有下划线）。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串是英文小写的name，返回 `true`；否则返回 `false`。
-   * 
+   * 把集合导出为JSON Lines或CSV文件，上传到云存储并返回临时URL（如给管理员下载订单表格）
+   *
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {string} c - 集合名称
+   *   - {Object} match - 只导出符合条件的文档，默认为{}
+   *   - {string} only - 仅导出的字段，多个字段用逗号分隔，支持点表示法。CSV的列与only的顺序相同
+   *   - {string} except - 不导出的字段
+   *   - {string} format - 'jsonl'（每行一个JSON文档）或'csv'，默认为'jsonl'
+   *   - {string} app - 应用名称，文件上传到云存储的 ${app}/export/ 目录中，默认为'admin'
+   *   - {number} max_size_m - 文件大小的上限（MB），默认为50
+   * @returns {Promise<Object>} {file_id, url, count}，url为临时URL，count为导出的文档数量
+   *
+   * 说明
+   *   1. jsonl中的日期保存为 {"$date": "2024-06-01T00:00:00.000Z"}，importCollection时会还原为日期。
+   *   2. CSV带有BOM，可直接用Excel打开。嵌套字段展开为点表示法的列（如info.phone），数组保存为JSON字符串，
+   *      日期保存为'2024-06-01 08:00:00'的形式。未指定only时，列为所有文档中出现过的字段。
+   *   3. 每1000个文档消耗一次调用次数。CSV需要在内存中保存全部文档以确定列，数据量较大时应使用jsonl。
+   *
    * @example
-   *   utils.isName('abc') // true
+   *   const {url} = await sh.exportCollection({c: 'order', match: {status: '已支付'}, only: 'no, price, created', format: 'csv'})
    */
-  isName (s) {
-    return /^[a-z][a-z0-9_]*$/.test(s)
+  async exportCollection ({c, match = {}, only = '', except = '', format = 'jsonl', app = 'admin', max_size_m = 50} = {}) {
+    const _ = this
+    if (!_.in(format, ['jsonl', 'csv'])) {
+      throw _.makeError('INVALID_PARAM', `exportCollection：不支持的格式${format}`)
+    }
+    const file_path = _.tmpFilePath(`export_${c}_${Date.now()}.${format}`)
+    const rows = [] // csv的全部文档
+    try {
+      _.writeFile(file_path, format === 'csv' ? '\uFEFF' : '')
+      const count = await _._eachDocPage(c, match, _._makeField(only, except), async list => {
+        if (format === 'jsonl') {
+          FS.appendFileSync(file_path, list.map(d => _._jsonlLine(d)).join(''))
+        } else {
+          rows.push(...list.map(d => _._flattenDoc(d)))
+        }
+      })
+      if (format === 'csv') {
+        const columns = only ? _.split(only, ',') : [...new Set(rows.flatMap(r => Object.keys(r)))]
+        const lines = [columns, ...rows.map(r => columns.map(k => r[k]))].map(cells => cells.map(v => _._csvCell(v)).join(',') + '\r\n')
+        FS.appendFileSync(file_path, lines.join(''))
+      }
+      const {file_id} = await _.uploadFileToCloud({file_path, app, cloud_path: `export/${PATH.basename(file_path)}`, max_size_m})
+      const [{temp_file_url: url}] = await _.getTempFileURL([file_id])
+      return {file_id, url, count}
+    } finally {
+      // 读取或写入出错时文件可能不存在
+      FS.rmSync(file_path, {force: true})
+    }
   },
 
   /**
-   * 判断是否是合法的doc._id。参数支持数组，任何一个不合法都返回false。
-   * 
-   * @param {...string} s - 被判断的值
-   * @returns {boolean} 如果所有值都是合法的doc._id，返回 `true`；否则返回 `false`。
-   * 
+   * 从云存储中的JSON Lines或CSV文件导入文档
+   *
+   * @param {string} file_id - 文件的云存储ID，如exportCollection返回的file_id或管理员上传的文件
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {string} c - 集合名称
+   *   - {string} mode - 'insert'（全部新增）或'upsert'（有_id的行使用setDoc新增或替换，没有_id的行新增），默认为'insert'
+   *   - {string|null} format - 'jsonl'或'csv'，默认为null，表示根据文件扩展名判断。扩展名为.gz的文件会先解压
+   *   - {Function|null} transform - 修改每行数据的函数 (doc, utils) => doc，返回null表示跳过该行，
+   *     如CSV中的数字需要在这里转换：d => ({...d, price: Number(d.price)})
+   *   - {number} chunk_size - insert时每次addDocList的文档数量，默认为100
+   * @returns {Promise<Object>} {total, inserted, updated, skipped, errors}
+   *   - {Array<Object>} errors - 出错的行 [{row, msg}]，row为文件中的行号（从1开始，CSV的表头为第1行），出错的行不会写入
+   *
+   * 说明
+   *   1. 写入时会校验defineSchema注册的数据格式，并按setCollConfig添加时间戳等字段。
+   *   2. CSV中的值导入为字符串（以[或{开头的JSON除外），空的单元格不导入，点表示法的列导入为嵌套字段。
+   *   3. 一批文档写入失败（如_id重复）时，会逐个重新写入以找出出错的行。
+   *
    * @example
-   *   utils.isID('1234567890abcdef1234567890abcdef') // true
-   *   utils.isID(id1, id2, ...) // 任何一个不合法都返回false
+   *   const {inserted, errors} = await sh.importCollection(event.file_id, {c: 'goods', mode: 'upsert'})
    */
-  isID (...s) {
-    return s.every(i => /^[0-9a-z]{32}$/.test(i))
+  async importCollection (file_id, {c, mode = 'insert', format = null, transform = null, chunk_size = 100} = {}) {
+    const _ = this
+    format ??= file_id.replace(/\.gz$/, '').endsWith('.csv') ? 'csv' : 'jsonl'
+    if (!_.in(mode, ['insert', 'upsert']) || !_.in(format, ['jsonl', 'csv'])) {
+      throw _.makeError('INVALID_PARAM', `importCollection：不支持的mode（${mode}）或format（${format}）`)
+    }
+    const text = await _._downloadText(file_id)
+    const errors = []
+    const rows = format === 'csv' ? _._parseCsvRows(text) : _._parseJsonlRows(text)
+    let skipped = 0
+    const docs = []
+    for (const r of rows) {
+      if (r.error) {
+        errors.push({row: r.row, msg: r.error})
+        continue
+      }
+      const doc = transform ? await transform(r.doc, _) : r.doc
+      if (_.isNone(doc)) {
+        skipped++
+        continue
+      }
+      const {error} = _._applySchema(c, doc)
+      if (error) {
+        errors.push({row: r.row, msg: error.errMsg})
+        continue
+      }
+      docs.push({row: r.row, doc})
+    }
+
+    let inserted = 0
+    let updated = 0
+    const add = async ({row, doc}) => {
+      try {
+        await _.addDoc(c, doc)
+        inserted++
+      } catch (e) {
+        errors.push({row, msg: e.errMsg || String(e)})
+      }
+    }
+    const to_insert = mode === 'upsert' ? docs.filter(({doc}) => _.isNone(doc._id)) : docs
+    for (const chunk of _.splitArray(to_insert, chunk_size)) {
+      try {
+        inserted += (await _.addDocList(c, chunk.map(i => i.doc))).len
+      } catch (e) {
+        for (const item of chunk) {
+          await add(item)
+        }
+      }
+    }
+    if (mode === 'upsert') {
+      await _._mapLimit(docs.filter(({doc}) => !_.isNone(doc._id)), 5, async ({row, doc: {_id, ...d}}) => {
+        try {
+          const {created} = await _.setDoc(c, _id, d)
+          created ? inserted++ : updated++
+        } catch (e) {
+          errors.push({row, msg: e.errMsg || String(e)})
+        }
+      })
+    }
+    errors.sort((a, b) => a.row - b.row)
+    return {total: rows.length, inserted, updated, skipped, errors}
   },
 
+  /* === 备份与恢复 === */
+
   /**
-   * 把价格由分转为元，返回float格式。支持空字符串。
-   * 
-   * @param {string} p - 被转换的价格（单位：分）
-   * @returns {number|string} 返回转换后的价格（单位：元）。如果输入为空字符串，则返回空字符串。否则，如果输入是非法的价格，则返回NaN。
-   * 
+   * 备份集合：每个集合保存为压缩的jsonl文件上传到云存储，并在backups集合中记录备份清单，之后按保留策略删除旧的备份
+   *
+   * @param {Object} options - 可选参数:
+   *   - {Array<string>|null} colls - 需要备份的集合名称（不含p_前缀），默认为null，表示使用config.json中的booster_backup_colls
+   *   - {string} app - 应用名称，文件上传到云存储的 ${app}/backup/${备份ID}/ 目录中，默认为'admin'
+   *   - {number} keep - 至少保留的备份数量，默认为7
+   *   - {number|null} keep_days - 同时保留最近多少天内的备份，默认为null，表示只按keep保留
+   * @returns {Promise<Object>} {backup_id, colls, pruned}
+   *   - {string} backup_id - 备份ID，如'20240601030000'（备份时间）
+   *   - {Array<Object>} colls - [{c, count, file_id}]
+   *   - {Array<string>} pruned - 删除的旧备份ID
+   *
+   * 说明
+   *   1. 备份清单记录在backups集合中，线上环境为p_backups，测试环境与线上环境的备份互不影响。
+   *   2. 备份过程中写入的数据可能只有一部分被备份；某个集合备份失败时，已上传的文件会被删除，不记录备份清单。
+   *   3. 每1000个文档消耗一次调用次数。集合较大时需要增加云函数的超时时间。
+   *
    * @example
-   *   utils.centsToPrice('12345') // 123.45
+   *   // 在云函数的config.json中添加定时触发器，每天3点备份：
+   *   //   "triggers": [{"name": "backup", "type": "timer", "config": "0 0 3 * * * *"}]
+   *   exports.main = async (event, context) => {
+   *     if (event.Type === 'Timer') {
+   *       return await sh.backup({colls: ['todo', 'order'], keep: 7, keep_days: 30})
+   *     }
+   *   }
    */
-  centsToPrice(p) {
+  async backup ({colls = null, app = 'admin', keep = 7, keep_days = null} = {}) {
     const _ = this
-    // 空字符串返回空字符串
-    if (_.isString(p) && _.isEmpty(p)) {
-      return ''
-    } else if (_.isIntPrice(p)) {
-      return Number(p) / 100
-    } else {
-      return NaN
+    const zlib = require('zlib') // 内置库
+    colls ??= _.getConfig('booster_backup_colls')
+    if (!_.isArray(colls) || colls.length === 0) {
+      throw _.makeError('INVALID_PARAM', 'backup：没有需要备份的集合，请传入colls或在config中添加booster_backup_colls')
+    }
+    const backup_id = _.dateToString(_.now()).replace(/[-: ]/g, '')
+    const files = []
+    try {
+      for (const c of colls) {
+        const file_path = _.tmpFilePath(`backup_${backup_id}_${c}.jsonl.gz`)
+        const lines = []
+        const count = await _._eachDocPage(c, {}, {}, async list => {
+          lines.push(...list.map(d => _._jsonlLine(d)))
+        })
+        _.writeFile(file_path, zlib.gzipSync(lines.join('')))
+        try {
+          const {file_id} = await _.uploadFileToCloud({file_path, app, cloud_path: `backup/${backup_id}/${c}.jsonl.gz`, max_size_m: 100})
+          files.push({c, count, file_id})
+        } finally {
+          FS.unlinkSync(file_path)
+        }
+      }
+      await _.setDoc(BACKUP_COLL, backup_id, {colls: files, created: _.serverDate(), env_id: _.envId()})
+    } catch (e) {
+      if (files.length > 0) {
+        await _.deleteCloudFiles(files.map(f => f.file_id)).catch(() => {})
+      }
+      throw _._toError(e, 'BACKUP_FAILED', `备份集合失败：${colls.join('、')}`)
     }
+    const pruned = await _.pruneBackups({keep, keep_days})
+    return {backup_id, colls: files, pruned}
   },
 
   /**
-   * 把价格由元转为分。支持空字符串。
-   * 
-   * @param {string} p - 被转换的价格（单位：元）
-   * @returns {number|string} 返回转换后的价格（单位：分）。如果输入为空字符串，则返回空字符串。否则，如果输入是非法的价格，则返回NaN。
-   * 
-   * @example
-   *   utils.priceToCents('123.45') // 12345
+   * 获取当前环境的所有备份清单
+   * @returns {Promise<Array<Object>>} [{_id, colls, created, env_id}]，按备份时间从新到旧排序，_id为备份ID
    */
-  priceToCents(p) {
+  listBackups () {
     const _ = this
-    // 空字符串返回空字符串
-    if (_.isString(p) && _.isEmpty(p)) {
-      return ''
-    } else if (_.isPrice(p)) {
-      return Math.round(Number(p) * 100)
-    } else {
-      return NaN
-    }
+    return _.allDocs({c: BACKUP_COLL, sort: {created: -1}})
   },
 
   /**
-   * 把价格转为显示给用户的字符串（传入分）。若传入的参数不是数值，则返回其字符串。
-   * 
-   * @param {...number} price - 被转换的价格（单位：分）
-   * @returns {string|array<string>} 返回格式化后的价格字符串。如果只传入一个价格，返回字符串；如果传入多个价格，返回字符串数组。
-   * 
-   * @example
-   * utils.priceFormat(12345) // '123.45'
+   * 按保留策略删除旧的备份（云存储中的文件和备份清单）
+   *
+   * @param {Object} options - 可选参数:
+   *   - {number} keep - 至少保留的备份数量，默认为7
+   *   - {number|null} keep_days - 同时保留最近多少天内的备份，默认为null
+   * @returns {Promise<Array<string>>} 删除的备份ID
+   *
+   * 说明
+   *   1. 只删除超出keep数量、并且（设置了keep_days时）早于keep_days天的备份，因此定时备份停止后也不会删除全部备份。
    */
-  priceFormat(...price) {
+  async pruneBackups ({keep = 7, keep_days = null} = {}) {
     const _ = this
-    function format(p) {
-      if (_.isIntPrice(p)) {
-        return (Math.round(p * 100) / 100).toFixed(2).replace(/0+$/,'').replace(/\.$/,'')
-      } else {
-        return String(p)
-      }
+    const before = keep_days === null ? null : Date.now() - keep_days * 24 * 3600 * 1000
+    const old = (await _.listBackups()).filter((b, i) => i >= keep && (before === null || b.created < before))
+    for (const b of old) {
+      await _.deleteCloudFiles(b.colls.map(f => f.file_id))
+      await _.removeDoc(BACKUP_COLL, b._id)
     }
-    price = price.map(format)
-    return (price.length === 1) ? price[0] : price
+    return old.map(b => b._id)
   },
 
   /**
-   * 把数字除以100再转为str格式，用于积分、单量、价格等字段的显示【传入分】。
-   * 
-   * @param {...number} numbers - 被转换的数字（单位：分）
-   * @returns {string|array<string>} 返回格式化后的数字字符串。如果只传入一个数字，返回字符串；如果传入多个数字，返回字符串数组。
-   * 
+   * 从备份中恢复一个集合，或者集合中的部分文档
+   *
+   * @param {string} backup_id - 备份ID，见listBackups
+   * @param {string} c - 需要恢复的集合名称（不含p_前缀）
+   * @param {Object} options - 可选参数:
+   *   - {string|null} to - 恢复到的集合，默认为null，表示恢复到原来的集合。可以先恢复到其他集合中检查
+   *   - {Array<string>|null} ids - 只恢复这些_id的文档，默认为null
+   *   - {Function|null} filter - 只恢复返回true的文档 (doc) => boolean，默认为null
+   *   - {boolean} clear - 恢复前是否清空目标集合，默认为false。为false时用备份中的文档替换（或新增）相同_id的文档
+   * @returns {Promise<Object>} {total, restored}，total为备份中的文档数量，restored为恢复的文档数量
+   *
+   * 说明
+   *   1. 直接写入备份中的文档，不会触发setCollConfig的timestamps、versioned等配置，也不校验数据格式。
+   *   2. clear为true时每1000个文档消耗一次调用次数，否则每个文档消耗一次调用次数。
+   *
    * @example
-   * utils.df(12345) // '123.45'
+   *   // 恢复被误删的几个订单
+   *   await sh.restoreBackup('20240601030000', 'order', {ids: ['id1', 'id2']})
    */
-  df(...numbers) {
+  async restoreBackup (backup_id, c, {to = null, ids = null, filter = null, clear = false} = {}) {
     const _ = this
-    if (numbers.length === 1) {
-      return _.priceFormat(_.centsToPrice(numbers[0]))
-    } else {
-      return _.priceFormat(..._.centsToPrice(...numbers))
+    const manifest = await _.getDoc(BACKUP_COLL, backup_id)
+    const file = manifest?.colls.find(f => f.c === c)
+    if (!file) {
+      throw _.makeError('INVALID_PARAM', `备份${backup_id}不存在或没有备份集合${c}`)
+    }
+    const target = to ?? c
+    try {
+      const rows = _._parseJsonlRows(await _._downloadText(file.file_id))
+      const bad = rows.find(r => r.error)
+      if (bad) {
+        throw _.makeError('BACKUP_FAILED', `备份文件第${bad.row}行格式错误：${bad.error}`)
+      }
+      const docs = rows.map(r => r.doc).filter(d => (!ids || _.in(d._id, ids)) && (!filter || filter(d)))
+      if (clear) {
+        await _.coll(target).where({_id: _.command().exists(true)}).remove()
+        for (const chunk of _.splitArray(docs, PAGE_SIZE)) {
+          await _.coll(target).add({data: chunk})
+        }
+      } else {
+        await _._mapLimit(docs, 5, ({_id, ...d}) => _._doc(target, _id).set({data: d}))
+      }
+      return {total: rows.length, restored: docs.length}
+    } catch (e) {
+      throw _._toError(e, 'BACKUP_FAILED', `从备份${backup_id}恢复集合${c}失败`)
     }
   },
 
+  /* === 字符串 === */
+
   /**
-   * 给货币数据增加逗号，方便阅读，返回字符串（传入分）。
+   * 按指定字符拆分字符串，返回拆分后的数组
    * 
-   * @param {number} price - 被格式化的价格（单位：分）
-   * @returns {string} 返回格式化后的价格字符串。
+   * 此函数会过滤掉拆分后的空字符串，并去除每个元素两边的空白。
    * 
-   * @example
-   * utils.formatCurrency(12345) // '123.45'
+   * @param {string} s - 要拆分的字符串
+   * @param {string} [char=' '] - 用于拆分的字符，默认为空格
+   * @returns {Array<string>} 拆分后的字符串数组，已过滤空字符串并去除元素两边空白
    */
-  formatCurrency(price) {
-    return parseFloat(price).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  split (s, char = ' ') {
+    return s.split(char).map(i => i.trim()).filter(i => i.length > 0)
   },
 
   /**
-   * 用于显示价格的整数部分，返回字符串（传入分）。
+   * 将字符串按照第一个指定字符分割为三部分。
    * 
-   * @param {number} price - 被格式化的价格（单位：分）
-   * @returns {string} 返回价格的整数部分。
+   * @param {string} s - 要分割的字符串
+   * @param {string} [char=' '] - 作为分割标记的字符
+   * @returns {Array<string>} 返回一个包含三个字符串的数组。原字符串中从头开始到第一个匹配标记之前的部分，匹配标记，以及第一个匹配标记之后的部分。如果没有找到匹配标记，返回的数组将包含原字符串，后两个字符串将为空。
    * 
    * @example
-   * utils.roundPrice(12345) // '123'
+   *   utils.partition('hello world') // ['hello', ' ', 'world']
    */
-  roundPrice (price) {
-    const _ = this
-    price = _.centsToPrice(price)
-    return (price < 0 ? '-' : '') + Math.abs(Math.trunc(price)).toString()
+  partition (s, char = ' ') {
+    if(s.includes(char)){
+      let i = s.indexOf(char)
+      return [s.substring(0, i), char, s.substring(i+char.length, s.length)]
+    }else{
+      return [s, '', '']
+    }
   },
 
   /**
-   * 用于显示价格的小数部分，返回字符串（传入分）。
-   * 会返回 .2 不会返回.20。
+   * 类似于 `partition`，但是从右边开始查找。
    * 
-   * @param {number} price - 被格式化的价格（单位：分）
-   * @returns {string} 返回价格的小数部分。
+   * @param {string} s - 要分割的字符串
+   * @param {string} [char=' '] - 作为分割标记的字符
+   * @returns {Array<string>} 返回一个包含三个字符串的数组。
    * 
    * @example
-   * utils.fractionPrice(12345) // '.45'
+   *   utils.rpartition('hello world', 'o) // ['hello w', 'o', 'rld']
    */
-  fractionPrice (price) {
-    const _ = this
-    price = _.centsToPrice(price)
-    if (price === parseInt(price)) {
-      return ''
+  rpartition (s, char = ' ') {
+    if (s.includes(char)) {
+      let i = s.lastIndexOf(char)
+      return [s.substring(0, i), char, s.substring(i+char.length, s.length)]
     } else {
-      return '.' + _.partition(parseFloat(price).toFixed(2).trimEnd('0'), '.')[2]
+      return ['', '', s]
     }
   },
 
   /**
-   * 把小数保留小数点后2位，返回实数类型。
+   * 判断字符串是否仅包含字母。
    * 
-   * @param {number} n - 被四舍五入的数
-   * @returns {number} 返回四舍五入后的数。
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串仅包含字母，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.round2(123.456) // 123.46
+   *   utils.isAlpha('abc') // true
    */
-  round2 (n) {
-    return Math.round(n * 100) / 100
+  isAlpha (s) {
+    return /^([a-zA-Z])+$/.test(s)
   },
 
   /**
-   * 限制一个值的范围，注意这不是worklet函数，不能给worklet使用。
+   * 判断字符串是否仅包含数字或字母。
    * 
-   * @param {number} i - 被限制的值
-   * @param {number} min - 值的最小边界
-   * @param {number} max - 值的最大边界
-   * @returns {number} 返回在限定范围内的值。
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串仅包含数字或字母，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.clamp(10, 0, 5) // 5
+   *   utils.isAlnum('abc123') // true
    */
-  clamp (i, min, max) {
-    return Math.min(Math.max(val, min), max)
+  isAlnum (s) {
+    return /^([\da-zA-Z])+$/.test(this)
   },
 
   /**
-   * 把阿拉伯数字转为中文数字，最大支持5位数（万）。
+   * 判断一个字符串是否包含中文字符。
    * 
-   * @param {number} n - 被转换的阿拉伯数字
-   * @returns {string} 返回转换后的中文数字。如果数字太大或太小，抛出异常。
+   * @param {string} str - 被判断的字符串
+   * @returns {boolean} 如果字符串包含中文字符，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.numberToChinese(12345) // '一万二千三百四十五'
+   *   utils.isContainChinese('你好abc') // true
    */
-  numberToChinese (n) {
-    const _ = this
-    let units = '个十百千万'
-    let chars = '零一二三四五六七八九'
-    n = n.toString()
-    let s = []
-
-    _.assert(n.length <= 5, '数字太大，不能解析')
-    _.assert(n.length > 0, '数字不能是空字符串')
-    _.assert(n[0] != '0', '数字不能以0开头')
-
-    for (let i = 0; i < n.length; i++) {
-      let num = n[i]
-      let unit = units[n.length - i - 1]
-      let char = chars[num]
-      if (num === '0') {
-        if (i === n.length - 1 || n[i + 1] !== '0') {
-          s.push('零')
-        }
-      } else {
-        s.push(char)
-        s.push(unit)
-      }
-    }
-
-    // 需要删除的末尾字符
-    const del_chars = ['零', '个']
-
-    // 用while删除末尾的字符
-    while (del_chars.includes(s[s.length - 1])) {
-      s.pop()
-    }
-
-    let ret = s.join('')
-
-    // 如果是"一十"开头，则删除"一"
-    if (ret.startsWith('一十')) {
-      ret = ret.substr(1)
-    }
-
-    return ret
-  }, // numberToChinese
-
-
-  /* === 对象 === */
+  isContainChinese (str) {
+    return /[\u4e00-\u9fff]/.test(str)
+  },
 
   /**
-   * 判断值是否为undefined或null
+   * 获得字符串的最后n个字符。
    * 
-   * @param {*} i - 要判断的值
-   * @returns {boolean} 如果值为undefined或null，返回true；否则返回false
+   * @param {string} s - 原字符串
+   * @param {number} n - 要获取的字符数
+   * @returns {string} 返回字符串的最后n个字符。
+   * 
+   * @example
+   *   utils.lastStr('hello', 2) // 'lo'
    */
-  isNone (i) {
-    return i === undefined || i === null
+  lastStr (s, n) {
+    return s.substr(s.length - n)
   },
 
   /**
-   * 判断值是否为空对象{}、空数组[]、空字符串''、空内容串'  '、undefined或null
+   * 移除字符串中所有的空白字符，包含空格、制表符、换行符等。
    * 
-   * @param {*} i - 要判断的值
-   * @returns {boolean} 如果值为空返回true；否则返回false
+   * @param {string} s - 原字符串
+   * @returns {string} 返回没有空白字符的字符串。
+   * 
+   * @example
+   * utils.removeAllSpace('h e l l o') // 'hello'
    */
-  isEmpty (i) {
-    const _ = this
-    return (
-      _.isNone(i) 
-      || (_.isArray(i) && i.length === 0)
-      || (_.isString(i) && i.trim().length === 0)
-      || (_.isObject(i) && Object.keys(i).length === 0)
-    );
+  removeAllSpace (s) {
+    return s.replace(/\s/g, '')
   },
 
   /**
-   * 判断多个值是否有任意一个为空。
+   * 将字符串转换为PascalCase（首字母大写）格式。
+   *
+   * @param {string} str - 待转换的字符串，单词之间由下划线('_')分隔。
+   * @returns {string} 返回转换后的字符串，每个单词的首字母大写，无下划线('_')。
+   */
+  toPascalCase(str) {
+    return str.split('_').map(i => { return i === '' ? '' : i.charAt(0).toUpperCase() + i.slice(1) }).join('')
+  },
+
+
+  /* === 数值、数字、价格、金额 === */
+
+  /**
+   * 判断值是否为数字字面量或Number对象（不能是NaN、null、undefined）。
    * 
-   * @param {...any} args - 被判断的值
-   * @returns {boolean} 如果任意一个值为空，返回 `true`；否则返回 `false`。
+   * @param {number|string} i - 被判断的值
+   * @param {Object} [options] - 包含以下属性的对象:
+   *   - {boolean} [is_positive=false] - 判断是否为正数（可为0）
+   *   - {boolean} [is_integer=false] - 判断是否为整数（可为0）
+   *   - {boolean} [allow_string=true] - 默认允许数字字符串，如'123'
+   * @returns {boolean} 如果值为数字字面量或Number对象，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.isAnyEmpty('', '123') // true
+   *   utils.isNumber(123) // true
+   *   utils.isNumber('123') // true
    */
-  isAnyEmpty (...args) {
-    const _ = this
-    return args.some(_.isEmpty.bind(_))
+  isNumber(i, {
+    is_positive = false, // 判断是否为正数（可为0）
+    is_integer = false,  // 判断是否为整数（可为0）
+    allow_string = true, // 默认允许数字字符串
+  } = {}){
+    if (i === '') return false;
+    if (allow_string && typeof i === "string") {
+      i = Number(i)
+    }
+    if (typeof i !== "number" || isNaN(i)) return false;
+    if (is_positive && i < 0) return false;
+    if (is_integer && !Number.isInteger(i)) return false;
+    return true;
   },
 
   /**
-   * 判断两个对象是否完全相等，需递归比较每一个属性值，包括null、undefined也要相等。
+   * 判断值是否为大于0的正整数，不接受字符串。
    * 
-   * @param {any} a - 第一个对象
-   * @param {any} b - 第二个对象
-   * @returns {boolean} 如果两个对象完全相等，返回 `true`；否则返回 `false`。
+   * @param {number} i - 被判断的值
+   * @returns {boolean} 如果值为大于0的正整数，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.isEqual({ a: 1, b: 2 }, { b: 2, a: 1 }) // true
+   *   utils.isPositiveInt(123) // true
+   *   utils.isPositiveInt('123') // false
+   *   utils.isPositiveInt(123.4) // false
    */
-  isEqual (a, b) {
+  isPositiveInt(i) {
     const _ = this
-    if (a === b) return true
-    if (_.isNone(a) || _.isNone(b)) return false
-    if (_.isArray(a) && _.isArray(b)) {
-      if (a.length !== b.length) return false
-      for (let i = 0; i < a.length; i++) {
-        if (!_.isEqual(a[i], b[i])) return false
-      }
-      return true
-    }
-    if (_.isObject(a) && _.isObject(b)) {
-      if (Object.keys(a).length !== Object.keys(b).length) return false
-      for (let k in a) {
-        if (!_.isEqual(a[k], b[k])) return false
-      }
-      return true
-    }
-    if (_.isSet(a) && _.isSet(b)) {
-      if (a.size !== b.size) { return false }
-      for (let i of a) {
-        if (!b.has(i)) { return false }
-        return true
-      }
-    }
-    return false
+    return _.isNumber(i, {is_positive: true, is_integer: true, allow_string: false}) && i > 0
   },
 
   /**
-   * 判断值是否为数组
+   * 判断是否是合法的rank值，可以是小数、负数、字符串。
    * 
-   * @param {*} i - 要判断的值
-   * @returns {boolean} 如果值为数组，返回true；否则返回false
+   * @param {number|string} i - 被判断的值
+   * @returns {boolean} 如果值是合法的rank值，返回 `true`；否则返回 `false`。
+   * 
+   * @example
+   *   utils.isRank(123.45) // true
    */
-  isArray(i){
-    return Array.isArray(i)
+  isRank(i) {
+    return this.isNumber(i, { is_positive: false, is_integer: false, allow_string: true })
   },
 
   /**
-   * 判断值是否为对象（不包括数组、null和undefined）
+   * 判断字符串是否仅包含数字，不含负数、小数。
    * 
-   * 在JavaScript中，数组和null的typeof也是'object'，但此函数会排除这些情况。
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串仅包含数字，返回 `true`；否则返回 `false`。
    * 
-   * @param {*} i - 要判断的值
-   * @returns {boolean} 如果值为对象（不包括数组、null和undefined），返回true；否则返回false
+   * @example
+   * utils.isDigit('123') // true
    */
-  isObject(i){
-    const _ = this
-    return typeof i === 'object' && !_.isArray(i) && !_.isNone(i)
+  isDigit (s) {
+    return /^\d+$/.test(s)
   },
 
   /**
-   * 判断是否是Set。
+   * 判断是否为价格，可以有两位小数，不能为负数，不能以0开头，但可以以0.开头。
+   * isNumber相比，此函数支持数字字符串。
    * 
-   * @param {any} i - 被判断的值
-   * @returns {boolean} 如果值是Set，返回 `true`；否则返回 `false`。
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串是合法的价格，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.isSet(new Set([1, 2, 3])) // true
+   *   utils.isPrice('123.45') // true
    */
-  isSet(i){
-    return i instanceof Set
+  isPrice (s) {
+    return /^(0|[1-9][0-9]*)(\.[0-9]{1,2})?$/.test(s)
   },
 
   /**
-   * 判断输入是否为对象或数组。
-   * @param {*} i - 待检查的输入。
-   * @returns {boolean} 如果输入是对象或数组，则返回true，否则返回false。
-   */
-  isObjectOrArray(i){
-    const _ = this
-    return _.isObject(i) || _.isArray(i)
-  },
-
-  /**
-   * 判断是否是函数。
+   * 判断是否为整数价格，不能有小数，不能为负数，不能以0开头。
+   * 和isNumber相比，此函数支持数字字符串。
    * 
-   * @param {any} i - 被判断的值
-   * @returns {boolean} 如果值是函数，返回 `true`；否则返回 `false`。
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串是合法的整数价格，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.isFunction(function () {}) // true
+   *   utils.isIntPrice('123') // true
    */
-  isFunction(i){
-    return typeof i === 'function'
+  isIntPrice (s) {
+    return /^(0|[1-9][0-9]*)$/.test(s)
   },
 
   /**
-   * 判断值是否为字符串
+   * 判断是否为合法的11位手机号码。
    * 
-   * @param {*} i - 要判断的值
-   * @returns {boolean} 如果值为字符串，返回true；否则返回false
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串是合法的11位手机号码，返回 `true`；否则返回 `false`。
+   * 
+   * @example
+   *   utils.isPhoneNumber('12345678901') // true
    */
-  isString(i){
-    return typeof i === 'string' || i instanceof String
+  isPhoneNumber (s) {
+    return /^1[3-9]\d{9}$/.test(s)
   },
 
   /**
-   * 判断值是否为布尔值。
+   * 判断是否是133****1234格式的手机号码，中间4位是*字符。
    * 
-   * @param {any} i - 被判断的值
-   * @returns {boolean} 如果值是布尔值，返回 `true`；否则返回 `false`。
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串是133****1234格式的手机号码，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.isBoolean(true) // true
+   *   utils.isMaskedPhoneNumber('133****1234') // true
    */
-  isBoolean(i){
-    return typeof i === 'boolean'
+  isMaskedPhoneNumber(s) {
+    return /^1[3-9]\d\*{4}\d{4}$/.test(s);
   },
 
   /**
-   * 判断对象是否有某个属性，可以传入多个key。
+   * 判断是否为英文小写的name（不能以数字开头，可以有下划线）。
    * 
-   * @param {Object} obj - 被判断的对象
-   * @param {...string} keys - 要判断的属性名
-   * @returns {boolean} 如果对象有任意一个属性名，返回 `true`；否则返回 `false`。
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串是英文小写的name，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.hasAnyKey({ a: 1, b: 2 }, 'a', 'c') // true
+   *   utils.isName('abc') // true
    */
-  hasAnyKey (obj, ...keys) {
-    return keys.some(key => obj.hasOwnProperty(key)) // hasOwnProperty不检查原型链，而in会检查原型链
+  isName (s) {
+    return /^[a-z][a-z0-9_]*$/.test(s)
   },
 
   /**
-   * 深度拷贝，会忽略undefined、null。
+   * 判断是否是合法的doc._id。参数支持数组，任何一个不合法都返回false。
    * 
-   * @param {any} i - 被复制的值
-   * @returns {any} 返回复制后的值。
+   * @param {...string} s - 被判断的值
+   * @returns {boolean} 如果所有值都是合法的doc._id，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.jsonDeepcopy({ a: 1, b: null }) // { a: 1 }
+   *   utils.isID('1234567890abcdef1234567890abcdef') // true
+   *   utils.isID(id1, id2, ...) // 任何一个不合法都返回false
    */
-  jsonDeepcopy (i) {
-    return JSON.parse(JSON.stringify(i))
+  isID (...s) {
+    return s.every(i => /^[0-9a-z]{32}$/.test(i))
   },
 
   /**
-   * 把对象转为json字符串。
+   * 把价格由分转为元，返回float格式。支持空字符串。
    * 
-   * @param {any} i - 被转换的对象
-   * @returns {string} 返回对象转换后的json字符串。
+   * @param {string} p - 被转换的价格（单位：分）
+   * @returns {number|string} 返回转换后的价格（单位：元）。如果输入为空字符串，则返回空字符串。否则，如果输入是非法的价格，则返回NaN。
    * 
    * @example
-   * utils.toJsonString({ a: 1, b: 2 }) // '{"a":1,"b":2}'
+   *   utils.centsToPrice('12345') // 123.45
    */
-  toJsonString (i) {
-    return JSON.stringify(i)
+  centsToPrice(p) {
+    const _ = this
+    // 空字符串返回空字符串
+    if (_.isString(p) && _.isEmpty(p)) {
+      return ''
+    } else if (_.isIntPrice(p)) {
+      return Number(p) / 100
+    } else {
+      return NaN
+    }
   },
 
   /**
-   * 把json字符串转为对象。
+   * 把价格由元转为分。支持空字符串。
    * 
-   * @param {string} i - 被转换的json字符串
-   * @returns {any} 返回json字符串转换后的对象。
+   * @param {string} p - 被转换的价格（单位：元）
+   * @returns {number|string} 返回转换后的价格（单位：分）。如果输入为空字符串，则返回空字符串。否则，如果输入是非法的价格，则返回NaN。
    * 
    * @example
-   * utils.fromJsonString('{"a":1,"b":2}') // { a: 1, b: 2 }
+   *   utils.priceToCents('123.45') // 12345
    */
-  fromJsonString (i) {
-    return JSON.parse(i)
+  priceToCents(p) {
+    const _ = this
+    // 空字符串返回空字符串
+    if (_.isString(p) && _.isEmpty(p)) {
+      return ''
+    } else if (_.isPrice(p)) {
+      return Math.round(Number(p) * 100)
+    } else {
+      return NaN
+    }
   },
 
   /**
-   * 深拷贝对象或数组，保留undefined和null值。
-   * @param {Object|Array} obj - 要拷贝的对象或数组。
-   * @returns {Object|Array} 深拷贝后的新对象或数组。
+   * 把价格转为显示给用户的字符串（传入分）。若传入的参数不是数值，则返回其字符串。
+   * 
+   * @param {...number} price - 被转换的价格（单位：分）
+   * @returns {string|array<string>} 返回格式化后的价格字符串。如果只传入一个价格，返回字符串；如果传入多个价格，返回字符串数组。
+   * 
+   * @example
+   * utils.priceFormat(12345) // '123.45'
    */
-  deepCopy(obj) {
+  priceFormat(...price) {
     const _ = this
-    if (typeof obj !== 'object' || obj === null || obj === undefined) {
-      return obj
-    } else if (_.isArray(obj)) {
-      return obj.map(_.deepCopy.bind(_))
-    } else {
-      const ret = {}
-      for (let key in obj) {
-        ret[key] = _.deepCopy(obj[key])
+    function format(p) {
+      if (_.isIntPrice(p)) {
+        return (Math.round(p * 100) / 100).toFixed(2).replace(/0+$/,'').replace(/\.$/,'')
+      } else {
+        return String(p)
       }
-      return ret
     }
+    price = price.map(format)
+    return (price.length === 1) ? price[0] : price
   },
 
   /**
-   * 返回一个字符串或对象的字节数（比特）。object转json后会增加几个字节。
+   * 把数字除以100再转为str格式，用于积分、单量、价格等字段的显示【传入分】。
    * 
-   * @param {any} obj - 要计算字节长度的对象或字符串
-   * @param {boolean} add_key_bytes - 是否添加 size_k 的字节数，默认为 `false`
-   *   通常情况下，你需要把对象的字节数保存到一个 size_k 的字段中，这时需要把这个字段的字节数也计算在内。
-   *   当 add_key_bytes 为true时，默认增加20个字节，用于增加 size_k 的字节数（估算值）。
-   * @returns {number} 返回计算后的字节长度
+   * @param {...number} numbers - 被转换的数字（单位：分）
+   * @returns {string|array<string>} 返回格式化后的数字字符串。如果只传入一个数字，返回字符串；如果传入多个数字，返回字符串数组。
+   * 
+   * @example
+   * utils.df(12345) // '123.45'
    */
-  getByteLen (obj, add_key_bytes = false) {
-    // 如果obj不是字符串,则json化
-    if (typeof obj !== 'string') {
-      obj = JSON.stringify(obj)
-    }
-    let len = 0
-    for (let i = 0; i < obj.length; i++) {
-      len += obj.charAt(i).match(/[^\x00-\xff]/ig) !== null ? 2 : 1
+  df(...numbers) {
+    const _ = this
+    if (numbers.length === 1) {
+      return _.priceFormat(_.centsToPrice(numbers[0]))
+    } else {
+      return _.priceFormat(..._.centsToPrice(...numbers))
     }
-    return add_key_bytes ? len + 20 : len
   },
 
   /**
-   * 返回一个字符串或对象有多少K（仅保留一位小数）。
+   * 给货币数据增加逗号，方便阅读，返回字符串（传入分）。
    * 
-   * @param {any} obj - 要计算 K 长度的对象或字符串
-   * @returns {string} 返回计算后的 K 长度，保留一位小数
+   * @param {number} price - 被格式化的价格（单位：分）
+   * @returns {string} 返回格式化后的价格字符串。
+   * 
+   * @example
+   * utils.formatCurrency(12345) // '123.45'
    */
-  getKLen (obj, add_key_bytes = true) {
-    return (this.getByteLen(obj, add_key_bytes) / 1024).toFixed(1)
+  formatCurrency(price) {
+    return parseFloat(price).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
   },
 
   /**
-   * 传入obj和del_key, 递归删除obj中所有名字为del_key的属性。obj可能是数组或对象。
-   * 注意：在原对象上修改。
+   * 用于显示价格的整数部分，返回字符串（传入分）。
    * 
-   * @param {Object|Array} obj - 要删除属性的对象或数组
-   * @param {string} del_key - 要删除的属性名
+   * @param {number} price - 被格式化的价格（单位：分）
+   * @returns {string} 返回价格的整数部分。
    * 
    * @example
-   *   let obj = { a: 1, b: { a: 2, c: 3 } }
-   *   utils.deleteAllKey(obj, 'a') 
-   *   console.log(obj) // { b: { c: 3 } }
+   * utils.roundPrice(12345) // '123'
    */
-  deleteAllKey (obj, del_key) {
+  roundPrice (price) {
     const _ = this
-    if (_.isArray(obj)) {
-      for (let i = 0; i < obj.length; i++) {
-        _.deleteAllKey(obj[i], del_key)
-      }
-    } else if (_.isObject(obj)) {
-      for (let key in obj) {
-        if (key === del_key) {
-          delete obj[key]
-        } else if (typeof obj[key] === 'object') {
-          _.deleteAllKey(obj[key], del_key)
-        }
-      }
-    }
+    price = _.centsToPrice(price)
+    return (price < 0 ? '-' : '') + Math.abs(Math.trunc(price)).toString()
   },
 
   /**
-   * 递归遍历obj中的所有属性，并对每个属性值执行fn函数，在原来的位置保存fn函数的返回值。
-   * fn返回undefined时不会删除属性，而是赋值为null。
-   * fn = (v, obj) => {}，其中obj是当前属性所在的对象。
+   * 用于显示价格的小数部分，返回字符串（传入分）。
+   * 会返回 .2 不会返回.20。
    * 
-   * @param {Object|Array} obj - 要遍历的对象或数组
-   * @param {string} key - 要匹配的属性名
-   * @param {Function} fn - 对匹配的属性值执行的函数
-   * @param {Object} [options]
-   *   - {boolean} [options.over_write=true] - 是否覆盖原来的值
-   * @param {boolean} [options.over_write=true] - 是否覆盖原来的值
-   *
-   * 注意
-   *   1. 若over_write为true，则会覆盖key属性原来的值。
-   *   2. 当不希望覆盖key属性值，只是想要对key属性值进行操作时，可以设置over_write为false。
-   *   3. 在fn函数中，obj是根据key匹配到的属性值。举个例子，若在下面的例子中，key为'b'，则obj是{ a: 2, c: 3 }。
+   * @param {number} price - 被格式化的价格（单位：分）
+   * @returns {string} 返回价格的小数部分。
    * 
    * @example
-   *   let obj = { a: 1, b: { a: 2, c: 3 } }
-   *   utils.allKeyMap(obj, 'a', (v, obj) => v * 2)
-   *   console.log(obj) // { a: 2, b: { a: 4, c: 3 } }
+   * utils.fractionPrice(12345) // '.45'
    */
-  allKeyMap (obj, key, fn) {
+  fractionPrice (price) {
     const _ = this
-    if (_.isArray(obj)) {
-      for (let i = 0; i < obj.length; i++) {
-        _.allKeyMap(obj[i], key, fn)
-      }
-    } else if (_.isObject(obj)) {
-      for (let k in obj) {
-        if (k === key) {
-          obj[k] = fn(obj[k], obj)
-          if (obj[k] === undefined) {
-            obj[k] = null
-          }
-        } else if (typeof obj[k] === 'object') {
-          _.allKeyMap(obj[k], key, fn)
-        }
-      }
+    price = _.centsToPrice(price)
+    if (price === parseInt(price)) {
+      return ''
+    } else {
+      return '.' + _.partition(parseFloat(price).toFixed(2).trimEnd('0'), '.')[2]
     }
   },
 
   /**
-   * 给数组对象设置默认值，支持a.b.c这种格式。
-   * 第一个参数是一个数组，第二个参数是一个对象。
-   * obj的key是数组对象的key，value是默认值。
+   * 把小数保留小数点后2位，返回实数类型。
    * 
-   * @param {Array} arr - 要设置默认值的数组
-   * @param {Object} obj - 默认值对象，key 是数组对象的 key，value 是默认值
-   * @throws {Error} 如果 arr 不是数组，将抛出异常
-   *
-   * 注意
-   *   1. 如果数组的值是undefined或null，则不会设置默认值
-   *   2. 需要为一个obj设置时，可以使用[{}]这种格式
-   *   3. 当数组中对应值存在时，不会修改其值
-   *   4. 当你从数据库中读取一个列表数据，需要给每一个数据设置多个默认值时，可以使用此函数
+   * @param {number} n - 被四舍五入的数
+   * @returns {number} 返回四舍五入后的数。
    * 
    * @example
-   *   utils.setDefault([{ a: 1, b: {} }], { a: 0, 'b.c': 2 }) // [{ a: 1, b: {c: 2} }]
+   * utils.round2(123.456) // 123.46
    */
-  setDefault (arr, obj) {
-    const _ = this
-
-    // 如果arr不是数组，抛出异常
-    if (!_.isArray(arr)) {
-      throw new Error('传给utils.setDefault的arr必须是数组')
-    }
-
-    let keys = Object.keys(obj)
+  round2 (n) {
+    return Math.round(n * 100) / 100
+  },
 
-    for (let i = 0; i < arr.length; i++) {
+  /**
+   * 限制一个值的范围，注意这不是worklet函数，不能给worklet使用。
+   * 
+   * @param {number} i - 被限制的值
+   * @param {number} min - 值的最小边界
+   * @param {number} max - 值的最大边界
+   * @returns {number} 返回在限定范围内的值。
+   * 
+   * @example
+   * utils.clamp(10, 0, 5) // 5
+   */
+  clamp (i, min, max) {
+    return Math.min(Math.max(val, min), max)
+  },
 
-      if (_.isNone(arr[i])) { continue }
+  /**
+   * 把阿拉伯数字转为中文数字，最大支持5位数（万）。
+   * 
+   * @param {number} n - 被转换的阿拉伯数字
+   * @returns {string} 返回转换后的中文数字。如果数字太大或太小，抛出异常。
+   * 
+   * @example
+   * utils.numberToChinese(12345) // '一万二千三百四十五'
+   */
+  numberToChinese (n) {
+    const _ = this
+    let units = '个十百千万'
+    let chars = '零一二三四五六七八九'
+    n = n.toString()
+    let s = []
 
-      for (let j = 0; j < keys.length; j++) {
+    _.assert(n.length <= 5, '数字太大，不能解析')
+    _.assert(n.length > 0, '数字不能是空字符串')
+    _.assert(n[0] != '0', '数字不能以0开头')
 
-        let key = keys[j]
-        let value = obj[key]
+    for (let i = 0; i < n.length; i++) {
+      let num = n[i]
+      let unit = units[n.length - i - 1]
+      let char = chars[num]
+      if (num === '0') {
+        if (i === n.length - 1 || n[i + 1] !== '0') {
+          s.push('零')
+        }
+      } else {
+        s.push(char)
+        s.push(unit)
+      }
+    }
 
-        if (key.includes('.')) {
+    // 需要删除的末尾字符
+    const del_chars = ['零', '个']
 
-          let ks = key.split('.')
-          let current, pre, ki
+    // 用while删除末尾的字符
+    while (del_chars.includes(s[s.length - 1])) {
+      s.pop()
+    }
 
-          for (ki = 0; ki < ks.length; ki++) {
+    let ret = s.join('')
 
-            if(ki === 0){
-              pre = null
-              current = arr[i]
-            } else {
-              pre = current
-              current = current[ks[ki-1]]
-            }
+    // 如果是"一十"开头，则删除"一"
+    if (ret.startsWith('一十')) {
+      ret = ret.substr(1)
+    }
 
-            if (_.isNone(current)) {
-              if(ki === 0){
-                current = arr[i] = {}
-              } else {
-                current = pre[ks[ki-1]] = {}
-              }
-            } else if(!_.isObject(current)) {
-              break
-            }
+    return ret
+  }, // numberToChinese
 
-          }
 
-          if (ki=== ks.length && _.isNone(current[ks[ki-1]])) {
-            current[ks[ki-1]] = value
-          }
+  /* === 对象 === */
 
-        } else if(_.isNone(arr[i][key])) {
-          arr[i][key] = value
-        }
+  /**
+   * 判断值是否为undefined或null
+   * 
+   * @param {*} i - 要判断的值
+   * @returns {boolean} 如果值为undefined或null，返回true；否则返回false
+   */
+  isNone (i) {
+    return i === undefined || i === null
+  },
 
-      }
-    }
+  /**
+   * 判断值是否为空对象{}、空数组[]、空字符串''、空内容串'  '、undefined或null
+   * 
+   * @param {*} i - 要判断的值
+   * @returns {boolean} 如果值为空返回true；否则返回false
+   */
+  isEmpty (i) {
+    const _ = this
+    return (
+      _.isNone(i) 
+      || (_.isArray(i) && i.length === 0)
+      || (_.isString(i) && i.trim().length === 0)
+      || (_.isObject(i) && Object.keys(i).length === 0)
+    );
   },
 
   /**
-   * 把obj对象转成为字符串，用于格式化打印对象。每个key，value对显示在一行。
-   * 例如：
-   *   {a: 1, b: {c: 2, e: [1,2,3]}, d: 'haha'}
-   *   会转成
-   *   a: 1
-   *   b: 
-   *    c: 2
-   *    e: 1,2,3
-   *   d: haha
+   * 判断多个值是否有任意一个为空。
    * 
-   * @param {any} obj - 要转换的对象
-   * @param {number} indent - 缩进的空格数，默认为 0
-   * @returns {string} 返回转换后的字符串
+   * @param {...any} args - 被判断的值
+   * @returns {boolean} 如果任意一个值为空，返回 `true`；否则返回 `false`。
+   * 
+   * @example
+   * utils.isAnyEmpty('', '123') // true
    */
-  obj2str (obj, indent = 0) {
+  isAnyEmpty (...args) {
     const _ = this
-    let str = ''
-    let indent_str = '  '.repeat(indent)
-    if (_.isNone(obj)) { return 'null' }
-    let keys = Object.keys(obj)
-    for (let i = 0; i < keys.length; i++) {
-      let key = keys[i]
-      let value = obj[key]
-      if (_.isObject(value)) {
-        str += `${indent_str}${key}: \n${_.obj2str(value, indent + 1)}\n`
-      } else if (_.isArray(value)) {
-        str += `${indent_str}${key}:\n`
-        // 遇到数组，每个元素显示在一行
-        let arr_str = []
-        for (let j = 0; j < value.length; j++) {
-          arr_str.push(`${indent_str}  [${j}]`)
-          arr_str.push(_.obj2str(value[j], indent + 2))
-        }
-        str += arr_str.join('\n')
-      } else {
-        str += `${indent_str}${key}: ${value}\n`
-      }
-    }
-    // 去掉右边的空字符
-    return str.trimEnd()
+    return args.some(_.isEmpty.bind(_))
   },
 
   /**
-   * 从对象中按照路径提取属性的值。
-   * @param {Object} obj - 源对象。
-   * @param {string} key - 属性路径，支持'a.b.c'形式。
-   * @returns {*} 提取的值，如果路径不存在则返回undefined。
+   * 判断两个对象是否完全相等，需递归比较每一个属性值，包括null、undefined也要相等。
+   * 
+   * @param {any} a - 第一个对象
+   * @param {any} b - 第二个对象
+   * @returns {boolean} 如果两个对象完全相等，返回 `true`；否则返回 `false`。
+   * 
+   * @example
+   * utils.isEqual({ a: 1, b: 2 }, { b: 2, a: 1 }) // true
    */
-  pickValue(obj, key){
+  isEqual (a, b) {
     const _ = this
-    if (key.includes('.')) {
-      let ks = key.split('.')
-      for (let i = 0; i < ks.length; i++) {
-        obj = obj[ks[i]]
-        if (_.isNone(obj)) {
-          return obj
-        }
+    if (a === b) return true
+    if (_.isNone(a) || _.isNone(b)) return false
+    if (_.isArray(a) && _.isArray(b)) {
+      if (a.length !== b.length) return false
+      for (let i = 0; i < a.length; i++) {
+        if (!_.isEqual(a[i], b[i])) return false
+      }
+      return true
+    }
+    if (_.isObject(a) && _.isObject(b)) {
+      if (Object.keys(a).length !== Object.keys(b).length) return false
+      for (let k in a) {
+        if (!_.isEqual(a[k], b[k])) return false
+      }
+      return true
+    }
+    if (_.isSet(a) && _.isSet(b)) {
+      if (a.size !== b.size) { return false }
+      for (let i of a) {
+        if (!b.has(i)) { return false }
+        return true
       }
-      return obj
-    } else {
-      return obj[key]
     }
+    return false
   },
 
   /**
-   * 向对象中按照路径赋值，如果路径上的中间对象不存在，则自动创建。
-   * @param {Object} obj - 目标对象。
-   * @param {string} key - 属性路径，支持'a.b.c'形式。
-   * @param {*} value - 要设置的值。
-   * @param {Object} [options={}] - 可选参数。
-   *   - {boolean} remove_undefined - 如果为true且value为undefined，则删除该属性。
-   * @throws {Error} 如果obj为null或undefined，或路径不合法（如中间非对象）则抛出异常。
+   * 判断值是否为数组
+   * 
+   * @param {*} i - 要判断的值
+   * @returns {boolean} 如果值为数组，返回true；否则返回false
    */
-  putValue(obj, key, value, {remove_undefined = true} = {}){
-    const _ = this
-
-    if (key.includes('.')) {
-
-      let ks = key.split('.')
-      let current, pre, i
-
-      for (i = 0; i < ks.length; i++) {
-
-        if(i === 0){
-          pre = null
-          current = obj
-        } else {
-          pre = current
-          current = current[ks[i-1]]
-        }
-
-        if (_.isNone(current)) {
-          if(i === 0){
-            throw new Error('传给utils.putValue的obj不能为null或undefined')
-          } else {
-            current = pre[ks[i-1]] = {}
-          }
-        } else if(!_.isObject(current)) {
-          break
-        }
-
-      }
-
-      if (i === ks.length) {
-        if (value === undefined && remove_undefined) {
-          delete current[ks[i-1]]
-        } else {
-          current[ks[i-1]] = value
-        }
-      } else {
-        throw new Error(`传给utils.putValue的key ${key} 不合法，因为${ks[i-1]}不是对象`)
-      }
-
-    } else {
-      if (_.isNone(obj)) {
-        throw new Error('传给utils.putValue的obj不能为null或undefined')
-      } else {
-        if (value === undefined && remove_undefined) {
-          delete obj[key]
-        } else {
-          obj[key] = value
-        }
-      }
-    }
-  },
+  isArray(i){
+    return Array.isArray(i)
+  },
 
   /**
-   * 从对象中挑选指定的属性，构造一个新对象。
-   * @param {Object|Array} obj - 源对象或数组。
-   * @param {Array<string>} keys - 要挑选的属性列表。
-   * @returns {Object|Array} 新对象或其数组，只包含指定的属性。
+   * 判断值是否为对象（不包括数组、null和undefined）
+   * 
+   * 在JavaScript中，数组和null的typeof也是'object'，但此函数会排除这些情况。
+   * 
+   * @param {*} i - 要判断的值
+   * @returns {boolean} 如果值为对象（不包括数组、null和undefined），返回true；否则返回false
    */
-  pickObj(obj, keys){
+  isObject(i){
     const _ = this
-    if (_.isArray(obj)) {
-      return obj.map(o => _.pickObj(o, keys))
-    } else {
-      let new_obj = {}
-      keys.forEach(key => {
-        if (obj.hasOwnProperty(key)) {
-          new_obj[key] = obj[key]
-        }
-      })
-      return new_obj
-    }
+    return typeof i === 'object' && !_.isArray(i) && !_.isNone(i)
   },
 
   /**
-   * 递归搜索，把obj对象中所有undefined设置为数据库删除命令。
-   * `undefinedToRemove`函数通过递归检查对象或数组中的每个元素，将值为undefined的属性替换为数据库删除命令。
-   * @param {Object|Array} obj - 需要处理的对象或数组。
-   * @returns {Object|Array} 返回处理后的新对象或数组。
-   *
+   * 判断是否是Set。
+   * 
+   * @param {any} i - 被判断的值
+   * @returns {boolean} 如果值是Set，返回 `true`；否则返回 `false`。
+   * 
    * @example
-   *   // 把数据库中doc为undefined的属性删除（递归搜索所有undefined）
-   *   doc2 = utils.undefinedToRemove(doc)
-   *   utils.updateDoc('todo', 'id123', doc2)
+   * utils.isSet(new Set([1, 2, 3])) // true
    */
-  undefinedToRemove(obj){
-    const _ = this
-    const $ = _.command()
-    obj = _.deepCopy(obj) // 需要保留undefined值，所以不使用jsonDeepcopy
-
-    function _remove(obj){
-      if (_.isObject(obj)) {
-        for (let key in obj) {
-          if (obj[key] === undefined) {
-            obj[key] = $.remove()
-          } else if (_.isObjectOrArray(obj[key])) {
-            _remove(obj[key])
-          }
-        }
-      } else if (_.isArray(obj)) {
-        for (let i = 0; i < obj.length; i++) {
-          if (_.isObjectOrArray(obj[i])) {
-            _remove(obj[i])
-          }
-        }
-      }
-    }
+  isSet(i){
+    return i instanceof Set
+  },
 
-    _remove(obj)
-    return obj
+  /**
+   * 判断输入是否为对象或数组。
+   * @param {*} i - 待检查的输入。
+   * @returns {boolean} 如果输入是对象或数组，则返回true，否则返回false。
+   */
+  isObjectOrArray(i){
+    const _ = this
+    return _.isObject(i) || _.isArray(i)
   },
 
   /**
-   * 传入一个obj或arr，递归检查所有key，如果value的类型是字符串，则去掉首尾空格。
-   * 在原对象上修改。
+   * 判断是否是函数。
    * 
-   * @param {Object|Array} obj - 要处理的对象或数组
+   * @param {any} i - 被判断的值
+   * @returns {boolean} 如果值是函数，返回 `true`；否则返回 `false`。
    * 
    * @example
-   *   let obj = { a: ' 1 ', b: { a: ' 2 ', c: ' 3 ' } }
-   *   utils.trimAllKey(obj)
-   *   console.log(obj) // { a: '1', b: { a: '2', c: '3' } }
+   * utils.isFunction(function () {}) // true
    */
-  trimAllKey(obj){
-    const _ = this
-    if (_.isObject(obj)) {
-      for (let key in obj) {
-        if (_.isString(obj[key])) {
-          obj[key] = obj[key].trim()
-        } else if (_.isObjectOrArray(obj[key])) {
-          _.trimAllKey(obj[key])
-        }
-      }
-    } else if (_.isArray(obj)) {
-      for (let i = 0; i < obj.length; i++) {
-        if (_.isString(obj[i])) {
-          obj[i] = obj[i].trim()
-        } else if (_.isObjectOrArray(obj[i])) {
-          _.trimAllKey(obj[i])
-        }
-      }
-    }
+  isFunction(i){
+    return typeof i === 'function'
   },
 
   /**
-   * 获得一个obj有多少个key。
-   * 
-   * @param {Object} obj - 要计算属性数量的对象
-   * @returns {number} 返回对象的属性数量
+   * 判断值是否为字符串
    * 
-   * @example
-   * utils.objLength({ a: 1, b: 2, c: 3 }) // 3
+   * @param {*} i - 要判断的值
+   * @returns {boolean} 如果值为字符串，返回true；否则返回false
    */
-  objLength(obj){
-    return Object.keys(obj).length
+  isString(i){
+    return typeof i === 'string' || i instanceof String
   },
 
   /**
-   * 把一个obj转为可用于cache的key字符串。
-   * 当obj的内容相同（但顺序不同）时总是返回相同的字符串。
+   * 判断值是否为布尔值。
    * 
-   * @param {any} obj - 要序列化的对象
-   * @returns {string} 返回序列化后的字符串
+   * @param {any} i - 被判断的值
+   * @returns {boolean} 如果值是布尔值，返回 `true`；否则返回 `false`。
    * 
    * @example
-   *   const obj1 = { a: 1, b: 2 }
-   *   const obj2 = { b: 2, a: 1 }
-   *   utils.serializeObj(obj1) === utils.serializeObj(obj2) // true
+   * utils.isBoolean(true) // true
    */
-  serializeObj(obj) {
-    const _ = this
-    const sort = (obj) => {
-      if (_.isArray(obj)) {
-        return obj.map(sort)
-      }
-      if (!_.isObject(obj)) {
-        return obj
-      }
-      // 此时obj是对象，按key的顺序重新赋值一个新的对象
-      const sorted_keys = Object.keys(obj).sort()
-      return sorted_keys.reduce((result, key) => {
-        result[key] = sort(obj[key])
-        return result
-      }, {})
-    }
-    return JSON.stringify(sort(obj))
+  isBoolean(i){
+    return typeof i === 'boolean'
   },
 
-
-  /*  === 数组、列表  === */
-
   /**
-   * 传入数组 arr 和属性名 key，key 对应一个子数组，把所有子数组合并成一个数组。
+   * 判断对象是否有某个属性，可以传入多个key。
    * 
-   * @param {Array} arr - 输入的数组，该数组中的对象应含有子数组
-   * @param {string} key - 对应子数组的属性名
-   * @returns {Array} 返回合并后的数组
+   * @param {Object} obj - 被判断的对象
+   * @param {...string} keys - 要判断的属性名
+   * @returns {boolean} 如果对象有任意一个属性名，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.extractNestedArrays([{a: [1,2]}, {a: [3,4]}, {a: null}, {b: [5, 6]}], 'a') // [1,2,3,4]
+   * utils.hasAnyKey({ a: 1, b: 2 }, 'a', 'c') // true
    */
-  extractNestedArrays (arr, key) {
-    const _ = this
-    let result = []
-    for (let i = 0; i < arr.length; i++) {
-      if (_.isArray(arr[i][key])) {
-        result = result.concat(arr[i][key])
-      }
-    }
-    return result
+  hasAnyKey (obj, ...keys) {
+    return keys.some(key => obj.hasOwnProperty(key)) // hasOwnProperty不检查原型链，而in会检查原型链
   },
 
   /**
-   * 把一个数据分成多个数组，每个数组的长度为 size。
+   * 深度拷贝，会忽略undefined、null。
    * 
-   * @param {Array} arr - 要被分割的数组
-   * @param {number} size - 每个子数组的长度
-   * @returns {Array} 返回包含多个子数组的数组
+   * @param {any} i - 被复制的值
+   * @returns {any} 返回复制后的值。
    * 
    * @example
-   * utils.splitArray([1, 2, 3, 4, 5, 6], 2) // [[1, 2], [3, 4], [5, 6]]
+   * utils.jsonDeepcopy({ a: 1, b: null }) // { a: 1 }
    */
-  splitArray (arr, size) {
-    const _ = this
-    let result = []
-    for (let i = 0; i < arr.length; i += size) {
-      result.push(arr.slice(i, i + size))
-    }
-    return result
+  jsonDeepcopy (i) {
+    return JSON.parse(JSON.stringify(i))
   },
 
   /**
-   * 给出一个数组和多个字段名，返回一个新数组，新数组的每个元素是原数组的每个元素的这些字段的值。
+   * 把对象转为json字符串。
    * 
-   * @param {Array} arr - 输入的数组
-   * @param {...string} fields - 要提取的字段名
-   * @returns {Array} 返回包含新对象的数组，每个对象包含指定字段的值
+   * @param {any} i - 被转换的对象
+   * @returns {string} 返回对象转换后的json字符串。
    * 
    * @example
-   * utils.extractFields([{ a: 1, b: 2 }, { a: 3, b: 4 }], 'a') // [{ a: 1 }, { a: 3 }]
+   * utils.toJsonString({ a: 1, b: 2 }) // '{"a":1,"b":2}'
    */
-  extractFields (arr, ...fields) {
-    const _ = this
-    let result = []
-    for (let i = 0; i < arr.length; i++) {
-      let obj = {}
-      for (let j = 0; j < fields.length; j++) {
-        obj[fields[j]] = arr[i][fields[j]]
-      }
-      result.push(obj)
-    }
-    return result
+  toJsonString (i) {
+    return JSON.stringify(i)
   },
 
   /**
-   * 判断某个元素是否在数组、对象的键或字符串中
+   * 把json字符串转为对象。
    * 
-   * 如果arr是数组，判断item是否在数组arr中；
-   * 如果arr是对象，判断item是否在对象arr的键中；
-   * 如果arr是字符串，判断子串item是否在字符串arr中。
+   * @param {string} i - 被转换的json字符串
+   * @returns {any} 返回json字符串转换后的对象。
    * 
-   * @param {*} item - 要查找的元素
-   * @param {Array|Object|string} arr - 要查找的数组、对象或字符串
-   * @returns {boolean} 如果item在arr中，返回true；否则返回false
+   * @example
+   * utils.fromJsonString('{"a":1,"b":2}') // { a: 1, b: 2 }
    */
-  in (item, arr) {
-    const _ = this
-    if (_.isArray(arr)) {
-      return arr.indexOf(item) !== -1
-    } else if (_.isObject(arr)) {
-      return _.in(item, Object.keys(arr))
-    } else if (_.isString(arr)) {
-      return arr.indexOf(item) !== -1
-    } else {
-      return false
-    }
+  fromJsonString (i) {
+    return JSON.parse(i)
   },
 
   /**
-   * 通过 _id 判断一个 doc 是否在数组中。
-   * 
-   * @param {Array} arr - 搜索的数组
-   * @param {Object} doc - 输入的对象，该对象应含有 `_id` 属性
-   * @returns {boolean} 如果数组中包含 doc，则返回 true，否则返回 false
-   * 
-   * @example
-   * utils.includesDoc([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], { _id: 1 }) // true
+   * 深拷贝对象或数组，保留undefined和null值。
+   * @param {Object|Array} obj - 要拷贝的对象或数组。
+   * @returns {Object|Array} 深拷贝后的新对象或数组。
    */
-  includesDoc (arr, doc) {
+  deepCopy(obj) {
     const _ = this
-    return arr.some(item => item._id === doc._id)
+    if (typeof obj !== 'object' || obj === null || obj === undefined) {
+      return obj
+    } else if (_.isArray(obj)) {
+      return obj.map(_.deepCopy.bind(_))
+    } else {
+      const ret = {}
+      for (let key in obj) {
+        ret[key] = _.deepCopy(obj[key])
+      }
+      return ret
+    }
   },
 
   /**
-   * 通过 _id 找到数组中的元素的索引。
-   * 
-   * @param {Array} arr - 输入的数组
-   * @param {Object} doc - 输入的对象，该对象应含有 `_id` 属性
-   * @returns {number} 返回 doc 在数组中的索引，如果数组中不包含 doc，则返回 -1
+   * 返回一个字符串或对象的字节数（比特）。object转json后会增加几个字节。
    * 
-   * @example
-   * utils.docIndexOf([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], { _id: 1 }) // 0
+   * @param {any} obj - 要计算字节长度的对象或字符串
+   * @param {boolean} add_key_bytes - 是否添加 size_k 的字节数，默认为 `false`
+   *   通常情况下，你需要把对象的字节数保存到一个 size_k 的字段中，这时需要把这个字段的字节数也计算在内。
+   *   当 add_key_bytes 为true时，默认增加20个字节，用于增加 size_k 的字节数（估算值）。
+   * @returns {number} 返回计算后的字节长度
    */
-  docIndexOf (arr, doc) {
-    const _ = this
-    return arr.findIndex(item => item._id === doc._id)
+  getByteLen (obj, add_key_bytes = false) {
+    // 如果obj不是字符串,则json化
+    if (typeof obj !== 'string') {
+      obj = JSON.stringify(obj)
+    }
+    let len = 0
+    for (let i = 0; i < obj.length; i++) {
+      len += obj.charAt(i).match(/[^\x00-\xff]/ig) !== null ? 2 : 1
+    }
+    return add_key_bytes ? len + 20 : len
   },
 
   /**
-   * 把数组中某个值的元素全部替换为新元素。
-   * 
-   * @param {Array} array - 输入的数组
-   * @param {any} target - 需要被替换的元素
-   * @param {any} replacement - 用于替换的新元素
-   * @returns {Array} 返回包含替换后的元素的数组
+   * 返回一个字符串或对象有多少K（仅保留一位小数）。
    * 
-   * @example
-   * utils.replaceAll([1, 2, 3, 2, 4, 2], 2, 'two') // [1, 'two', 3, 'two', 4, 'two']
+   * @param {any} obj - 要计算 K 长度的对象或字符串
+   * @returns {string} 返回计算后的 K 长度，保留一位小数
    */
-  replaceAll(array, target, replacement) {
-    return array.map((element) => {
-      return element === target ? replacement : element
-    })
+  getKLen (obj, add_key_bytes = true) {
+    return (this.getByteLen(obj, add_key_bytes) / 1024).toFixed(1)
   },
 
   /**
-   * 传入一个数组 arr，以及 keys，根据 keys 对 arr 进行排序。
+   * 传入obj和del_key, 递归删除obj中所有名字为del_key的属性。obj可能是数组或对象。
+   * 注意：在原对象上修改。
    * 
-   * @param {Array} arr - 输入的数组
-   * @param {Object} keys - 一个对象，键为排序的字段，值为 'asc' 或 'desc'，表示升序或降序
-   * @returns {Array} 返回排序后的新数组
-   *
-   * 注意
-   *   1. keys是有序的，若希望先按a排序，再按b排序，应该传入 {a: 'asc', b: 'asc'}
-   *   2. keys是支持点表示法的，如 { 'a.b.c': 'asc' }
-   *   3. 任何属性取值为 null 或 undefined 的元素将被过滤掉
+   * @param {Object|Array} obj - 要删除属性的对象或数组
+   * @param {string} del_key - 要删除的属性名
    * 
    * @example
-   * utils.sortByKeys([{ a: 1, b: 2 }, { a: 2, b: 1 }], { a: 'asc' }) // [{ a: 1, b: 2 }, { a: 2, b: 1 }]
+   *   let obj = { a: 1, b: { a: 2, c: 3 } }
+   *   utils.deleteAllKey(obj, 'a') 
+   *   console.log(obj) // { b: { c: 3 } }
    */
-  sortByKeys (arr, keys) {
+  deleteAllKey (obj, del_key) {
     const _ = this
-
-    // 比较函数
-    function compare(a, b) {
-      for (const key in keys) {
-        const value_a = _.pickValue(a, key)
-        const value_b = _.pickValue(b, key)
-
-        let c = value_a > value_b ? 1 : value_a < value_b ? -1 : 0
-
-        if (keys[key] === 'desc') {
-          c *= -1
-        } else if (keys[key] !== 'asc') {
-          throw new Error(`排序参数错误，必须是asc或desc，不能是${keys[key]}`)
+    if (_.isArray(obj)) {
+      for (let i = 0; i < obj.length; i++) {
+        _.deleteAllKey(obj[i], del_key)
+      }
+    } else if (_.isObject(obj)) {
+      for (let key in obj) {
+        if (key === del_key) {
+          delete obj[key]
+        } else if (typeof obj[key] === 'object') {
+          _.deleteAllKey(obj[key], del_key)
         }
-
-        if (c !== 0) return c;
       }
-      return 0
     }
-
-    // 过滤掉任何属性取值为null或undefined的元素
-    arr = arr.filter(item => Object.keys(keys).every(key => !_.isNone(_.pickValue(item, key))))
-
-    return arr.sort(compare)
   },
 
   /**
-   * 过滤掉数组中的 null 和 undefined。
+   * 递归遍历obj中的所有属性，并对每个属性值执行fn函数，在原来的位置保存fn函数的返回值。
+   * fn返回undefined时不会删除属性，而是赋值为null。
+   * fn = (v, obj) => {}，其中obj是当前属性所在的对象。
    * 
-   * @param {Array} arr - 输入的数组
-   * @returns {Array} 返回过滤后的数组
+   * @param {Object|Array} obj - 要遍历的对象或数组
+   * @param {string} key - 要匹配的属性名
+   * @param {Function} fn - 对匹配的属性值执行的函数
+   * @param {Object} [options]
+   *   - {boolean} [options.over_write=true] - 是否覆盖原来的值
+   * @param {boolean} [options.over_write=true] - 是否覆盖原来的值
+   *
+   * 注意
+   *   1. 若over_write为true，则会覆盖key属性原来的值。
+   *   2. 当不希望覆盖key属性值，只是想要对key属性值进行操作时，可以设置over_write为false。
+   *   3. 在fn函数中，obj是根据key匹配到的属性值。举个例子，若在下面的例子中，key为'b'，则obj是{ a: 2, c: 3 }。
    * 
    * @example
-   * utils.filterNone([1, null, 2, undefined, 3]) // [1, 2, 3]
+   *   let obj = { a: 1, b: { a: 2, c: 3 } }
+   *   utils.allKeyMap(obj, 'a', (v, obj) => v * 2)
+   *   console.log(obj) // { a: 2, b: { a: 4, c: 3 } }
    */
-  filterNone (arr) {
+  allKeyMap (obj, key, fn) {
     const _ = this
-    return arr.filter(item => !_.isNone(item))
-  },
-
-  /**
-   * 删除数组中的重复元素（用于排除重复数字、字符串）。
-   * 函数会保持原数组的顺序。
-   * 
-   * @param {Array} arr - 输入的数组
-   * @returns {Array} 返回删除重复元素后的数组
-   * 
-   * @example
-   * utils.uniqueArray([1, 1, 2, 2, 3, 3]) // [1, 2, 3]
-   */
-  uniqueArray (arr) {
-    const unique_arr = []
-    const existing_set = new Set()
-    for (const item of arr) {
-      if (!existing_set.has(item)) {
-        unique_arr.push(item)
-        existing_set.add(item)
+    if (_.isArray(obj)) {
+      for (let i = 0; i < obj.length; i++) {
+        _.allKeyMap(obj[i], key, fn)
+      }
+    } else if (_.isObject(obj)) {
+      for (let k in obj) {
+        if (k === key) {
+          obj[k] = fn(obj[k], obj)
+          if (obj[k] === undefined) {
+            obj[k] = null
+          }
+        } else if (typeof obj[k] === 'object') {
+          _.allKeyMap(obj[k], key, fn)
+        }
       }
     }
-    return unique_arr
   },
 
   /**
-   * 根据 _id 删除数组中的元素。
+   * 给数组对象设置默认值，支持a.b.c这种格式。
+   * 第一个参数是一个数组，第二个参数是一个对象。
+   * obj的key是数组对象的key，value是默认值。
    * 
-   * @param {Array} arr - 输入的数组，数组中的元素应包含 `_id` 属性
-   * @param {string | number} id - `_id` 的值
-   * @returns {Array} 返回删除指定元素后的数组
+   * @param {Array} arr - 要设置默认值的数组
+   * @param {Object} obj - 默认值对象，key 是数组对象的 key，value 是默认值
+   * @throws {Error} 如果 arr 不是数组，将抛出异常
+   *
+   * 注意
+   *   1. 如果数组的值是undefined或null，则不会设置默认值
+   *   2. 需要为一个obj设置时，可以使用[{}]这种格式
+   *   3. 当数组中对应值存在时，不会修改其值
+   *   4. 当你从数据库中读取一个列表数据，需要给每一个数据设置多个默认值时，可以使用此函数
    * 
    * @example
-   * utils.removeById([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], 1) // [{ _id: 2, name: 'Jerry' }]
+   *   utils.setDefault([{ a: 1, b: {} }], { a: 0, 'b.c': 2 }) // [{ a: 1, b: {c: 2} }]
    */
-  removeById (arr, id) {
-    return arr.filter(item => item._id !== id)
-  },
+  setDefault (arr, obj) {
+    const _ = this
 
-  /**
-   * 判断数组中是否有重复元素。
-   * 
-   * @param {Array} arr - 输入的数组
-   * @returns {boolean} 如果数组中有重复元素，则返回 true，否则返回 false
-   * 
-   * @example
-   * utils.hasDuplicate([1, 2, 3, 2]) // true
-   */
-  hasDuplicate (arr) {
-    return new Set(arr).size !== arr.length
-  },
+    // 如果arr不是数组，抛出异常
+    if (!_.isArray(arr)) {
+      throw new Error('传给utils.setDefault的arr必须是数组')
+    }
 
+    let keys = Object.keys(obj)
 
-  /* === 时间 === */
+    for (let i = 0; i < arr.length; i++) {
 
-  /**
-   * 获取云数据库的当前日期和时间，可以指定秒、分钟和天数的偏移量。
-   * 
-   * @param {Object} offsetObject - 包含偏移量的对象
-   *   - seconds - 秒偏移量
-   *   - minutes - 分钟偏移量
-   *   - days - 天数偏移量
-   * @returns {Object} 返回云数据库的当前日期和时间
-   */
-  serverDate ({seconds = 0, minutes = 0, days = 0} = {}) {
-    const _ = this
-    const offset = (seconds + minutes * 60 + days * 24 * 60 * 60) * 1000
-    return _._db().serverDate({offset})
-  },
+      if (_.isNone(arr[i])) { continue }
 
-  /**
-   * 获取日期和时间。
-   * 
-   * @returns {Date}
-   */
-  now () {
-    return new Date()
-  },
+      for (let j = 0; j < keys.length; j++) {
 
-  /**
-   * 从数据_id中获取时间，返回Date对象
-   * 
-   * 系统使用什么时区，就返回什么时区的时间（以插入数据时的时区决定）。
-   * 建议在云函数中把时区转换为上海时区，即添加 TZ=Asia/Shanghai 配置。
-   * 
-   * @param {string} id - 数据的_id
-   * @returns {Date} 从_id中解析出的时间
-   */
-  getTimeFromId (id) {
-    // 从id中获得UTC毫秒
-    let t = parseInt(id.substring(8, 16), 16) * 1000
-    // 返回当前时区的时间
-    return new Date(t)
-  },
+        let key = keys[j]
+        let value = obj[key]
 
-  /**
-   * 返回时间的年月日字符串
-   * 
-   * @param {Date} t - 要格式化的时间
-   * @returns {string} 格式为'yyyy-MM-dd'的日期字符串，如：'2023-07-01'
-   */
-  yymmdd (t) {
-    let y = t.getFullYear()
-    let m = (t.getMonth() + 1).toString().padStart(2, '0')
-    let d = t.getDate().toString().padStart(2, '0')
-    return `${y}-${m}-${d}`
-  },
+        if (key.includes('.')) {
 
-  /**
-   * 返回时间的时分秒字符串
-   * 
-   * @param {Date} t - 要格式化的时间
-   * @returns {string} 格式为'HH:mm:ss'的时间字符串，如：'01:02:03'
-   */
-  hhmmss (t) {
-    let h = t.getHours().toString().padStart(2, '0')
-    let m = t.getMinutes().toString().padStart(2, '0')
-    let s = t.getSeconds().toString().padStart(2, '0')
-    return `${h}:${m}:${s}`
-  },
+          let ks = key.split('.')
+          let current, pre, ki
 
-  /**
-   * 传入一个整数或字符串，表示月份或天数，如果小于10，前面补0。
-   * 
-   * @param {number|string} n - 一个整数或字符串，表示月份或天数
-   * @returns {string} 返回补零后的字符串
-   *
-   * @example
-   * utils.padDateZero(1) // '01'
-   */
-  padDateZero (n) {
-    return n.toString().padStart(2, '0')
-  },
+          for (ki = 0; ki < ks.length; ki++) {
 
-  /**
-   * 返回时间的完整字符串
-   * 
-   * 未传入参数时，返回当前时间的字符串。
-   * 
-   * @param {Date} [t] - 要格式化的时间，默认为当前时间
-   * @returns {string} 格式为'yyyy-MM-dd HH:mm:ss'的完整时间字符串，如：'2023-07-01 01:02:03'
-   */
-  dateToString (t) {
-    if (t === undefined) { t = new Date() }
-    if (!t) { return '' }
-    return this.yymmdd(t) + ' ' + this.hhmmss(t)
-  },
+            if(ki === 0){
+              pre = null
+              current = arr[i]
+            } else {
+              pre = current
+              current = current[ks[ki-1]]
+            }
 
-  /**
-   * 把字符串转换成日期和时间（不能自己使用 new Date 转换，以免时区错误）。
-   * 支持的格式：（当前时区）
-   *     2023-02-12
-   *     2023-02-12 12:34:56
-   * 
-   * @param {string} s - 日期和时间的字符串表示
-   * @returns {Date} 返回转换得到的日期和时间
-   */
-  dateFromString (s) {
-    // 如果s是YYYY-MM-DD格式
-    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
-      return new Date(s + ' 00:00:00') // 必须加上时分秒，否则会使用UTC时区，加上时分秒后会被当成本地时间
-      // 如果s是YYYY-MM-DD HH:MM:SS格式
-    } else if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(s)) {
-      return new Date(s)
-    } else {
-      throw new Error(`不支持的日期格式：${s}`)
-    }
-  },
+            if (_.isNone(current)) {
+              if(ki === 0){
+                current = arr[i] = {}
+              } else {
+                current = pre[ks[ki-1]] = {}
+              }
+            } else if(!_.isObject(current)) {
+              break
+            }
 
-  /**
-   * 返回日期和时间的时间戳，单位为毫秒，若参数 t 为 undefined，则返回当前时间。
-   * 
-   * @param {[Date]} t - 日期和时间
-   * @returns {number} 返回时间戳
-   */
-  timestamp (t) {
-    return t ? t.getTime() : new Date().getTime()
-  },
+          }
 
-  /**
-   * 返回日期和时间的时间戳，单位为秒，若参数 t 为 undefined，则返回当前时间。
-   * 
-   * @param {[Date]} t - 日期和时间
-   * @returns {number} 返回时间戳
-   */
-  timestampSeconds (t) {
-    return Math.floor(this.timestamp(t) / 1000)
-  },
+          if (ki=== ks.length && _.isNone(current[ks[ki-1]])) {
+            current[ks[ki-1]] = value
+          }
 
-  /**
-   * 返回类似于 20230701123456 这样的日期和时间字符串。
-   * 
-   * @param {[Date]} t - 日期和时间
-   * @returns {string} 返回格式化后的日期和时间字符串
-   */
-  timestampString(t=null) {
-    t = t || new Date()
-    let y = t.getFullYear()
-    let m = (t.getMonth() + 1).toString().padStart(2, '0')
-    let d = t.getDate().toString().padStart(2, '0')
-    let h = t.getHours().toString().padStart(2, '0')
-    let M = t.getMinutes().toString().padStart(2, '0')
-    let s = t.getSeconds().toString().padStart(2, '0')
-    return `${y}${m}${d}${h}${M}${s}`
-  },
+        } else if(_.isNone(arr[i][key])) {
+          arr[i][key] = value
+        }
 
-  /**
-   * 获取昨天的日期字符串
-   * 
-   * @returns {string} 返回昨天的日期字符串
-   */
-  yesterday() {
-    const _ = this
-    return _.daysAgo(1)
+      }
+    }
   },
 
   /**
-   * 返回今天的日期字符串
+   * 把obj对象转成为字符串，用于格式化打印对象。每个key，value对显示在一行。
+   * 例如：
+   *   {a: 1, b: {c: 2, e: [1,2,3]}, d: 'haha'}
+   *   会转成
+   *   a: 1
+   *   b: 
+   *    c: 2
+   *    e: 1,2,3
+   *   d: haha
    * 
-   * @returns {string} 返回今天的日期字符串
+   * @param {any} obj - 要转换的对象
+   * @param {number} indent - 缩进的空格数，默认为 0
+   * @returns {string} 返回转换后的字符串
    */
-  today() {
+  obj2str (obj, indent = 0) {
     const _ = this
-    const date = new Date()
-    return _.yymmdd(date)
+    let str = ''
+    let indent_str = '  '.repeat(indent)
+    if (_.isNone(obj)) { return 'null' }
+    let keys = Object.keys(obj)
+    for (let i = 0; i < keys.length; i++) {
+      let key = keys[i]
+      let value = obj[key]
+      if (_.isObject(value)) {
+        str += `${indent_str}${key}: \n${_.obj2str(value, indent + 1)}\n`
+      } else if (_.isArray(value)) {
+        str += `${indent_str}${key}:\n`
+        // 遇到数组，每个元素显示在一行
+        let arr_str = []
+        for (let j = 0; j < value.length; j++) {
+          arr_str.push(`${indent_str}  [${j}]`)
+          arr_str.push(_.obj2str(value[j], indent + 2))
+        }
+        str += arr_str.join('\n')
+      } else {
+        str += `${indent_str}${key}: ${value}\n`
+      }
+    }
+    // 去掉右边的空字符
+    return str.trimEnd()
   },
 
   /**
-   * 获取明天的日期字符串
-   * 
-   * @returns {string} 返回明天的日期字符串
+   * 从对象中按照路径提取属性的值。
+   * @param {Object} obj - 源对象。
+   * @param {string} key - 属性路径，支持'a.b.c'形式。
+   * @returns {*} 提取的值，如果路径不存在则返回undefined。
    */
-  tomorrow() {
+  pickValue(obj, key){
     const _ = this
-    return _.daysAgo(-1)
+    if (key.includes('.')) {
+      let ks = key.split('.')
+      for (let i = 0; i < ks.length; i++) {
+        obj = obj[ks[i]]
+        if (_.isNone(obj)) {
+          return obj
+        }
+      }
+      return obj
+    } else {
+      return obj[key]
+    }
   },
 
   /**
-   * 获取后天的日期字符串
-   * 
-   * @returns {string} 返回后天的日期字符串
+   * 向对象中按照路径赋值，如果路径上的中间对象不存在，则自动创建。
+   * @param {Object} obj - 目标对象。
+   * @param {string} key - 属性路径，支持'a.b.c'形式。
+   * @param {*} value - 要设置的值。
+   * @param {Object} [options={}] - 可选参数。
+   *   - {boolean} remove_undefined - 如果为true且value为undefined，则删除该属性。
+   * @throws {Error} 如果obj为null或undefined，或路径不合法（如中间非对象）则抛出异常。
    */
-  afterTomorrow() {
+  putValue(obj, key, value, {remove_undefined = true} = {}){
     const _ = this
-    return _.daysAgo(-2)
-  },
 
-  /**
-   * 返回本周周一的日期字符串。
-   * 可传入一个数字，表示第几周，0表示本周，1表示下周，-1表示上周。
-   * 
-   * @param {number} n - 表示第几周
-   * @returns {string} 返回周一的日期字符串
-   */
-  firstDayOfWeek (n = 0) {
-    const _ = this
-    const date = new Date()
-    let day = date.getDay()
-    if (day === 0) { day = 7 }
-    date.setDate(date.getDate() - day + 1 + n * 7)
-    return _.yymmdd(date)
-  },
+    if (key.includes('.')) {
 
-  /**
-   * 返回本周周日的日期字符串。
-   * 可传入一个数字，表示第几周，0表示本周，1表示下周，-1表示上周。
-   * 
-   * @param {number} n - 表示第几周
-   * @returns {string} 返回周日的日期字符串
-   */
-  lastDayOfWeek (n = 0) {
-    const _ = this
-    const date = new Date()
-    let day = date.getDay()
-    if (day === 0) { day = 7 }
-    date.setDate(date.getDate() - day + 7 + n * 7)
-    return _.yymmdd(date)
+      let ks = key.split('.')
+      let current, pre, i
+
+      for (i = 0; i < ks.length; i++) {
+
+        if(i === 0){
+          pre = null
+          current = obj
+        } else {
+          pre = current
+          current = current[ks[i-1]]
+        }
+
+        if (_.isNone(current)) {
+          if(i === 0){
+            throw new Error('传给utils.putValue的obj不能为null或undefined')
+          } else {
+            current = pre[ks[i-1]] = {}
+          }
+        } else if(!_.isObject(current)) {
+          break
+        }
+
+      }
+
+      if (i === ks.length) {
+        if (value === undefined && remove_undefined) {
+          delete current[ks[i-1]]
+        } else {
+          current[ks[i-1]] = value
+        }
+      } else {
+        throw new Error(`传给utils.putValue的key ${key} 不合法，因为${ks[i-1]}不是对象`)
+      }
+
+    } else {
+      if (_.isNone(obj)) {
+        throw new Error('传给utils.putValue的obj不能为null或undefined')
+      } else {
+        if (value === undefined && remove_undefined) {
+          delete obj[key]
+        } else {
+          obj[key] = value
+        }
+      }
+    }
   },
 
   /**
-   * 返回本月第一天的日期字符串。
-   * 可传入一个数字，表示第几月，0表示本月，1表示下月，-1表示上月。
-   * 
-   * @param {number} n - 表示第几月
-   * @returns {string} 返回月初的日期字符串
+   * 从对象中挑选指定的属性，构造一个新对象。
+   * @param {Object|Array} obj - 源对象或数组。
+   * @param {Array<string>} keys - 要挑选的属性列表。
+   * @returns {Object|Array} 新对象或其数组，只包含指定的属性。
    */
-  firstDayOfMonth (n = 0) {
+  pickObj(obj, keys){
     const _ = this
-    const date = new Date()
-    date.setDate(1)
-    date.setMonth(date.getMonth() + n)
-    return _.yymmdd(date)
+    if (_.isArray(obj)) {
+      return obj.map(o => _.pickObj(o, keys))
+    } else {
+      let new_obj = {}
+      keys.forEach(key => {
+        if (obj.hasOwnProperty(key)) {
+          new_obj[key] = obj[key]
+        }
+      })
+      return new_obj
+    }
   },
 
   /**
-   * 返回本月最后一天的日期字符串。
-   * 可传入一个数字，表示第几月，0表示本月，1表示下月，-1表示上月。
-   * 
-   * @param {number} n - 表示第几月
-   * @returns {string} 返回月末的日期字符串
+   * 递归搜索，把obj对象中所有undefined设置为数据库删除命令。
+   * `undefinedToRemove`函数通过递归检查对象或数组中的每个元素，将值为undefined的属性替换为数据库删除命令。
+   * @param {Object|Array} obj - 需要处理的对象或数组。
+   * @returns {Object|Array} 返回处理后的新对象或数组。
+   *
+   * @example
+   *   // 把数据库中doc为undefined的属性删除（递归搜索所有undefined）
+   *   doc2 = utils.undefinedToRemove(doc)
+   *   utils.updateDoc('todo', 'id123', doc2)
    */
-  lastDayOfMonth (n = 0) {
+  undefinedToRemove(obj){
     const _ = this
-    const date = new Date()
-    date.setDate(1)
-    date.setMonth(date.getMonth() + 1 + n)
-    date.setDate(0)
-    return _.yymmdd(date)
+    const $ = _.command()
+    obj = _.deepCopy(obj) // 需要保留undefined值，所以不使用jsonDeepcopy
+
+    function _remove(obj){
+      if (_.isObject(obj)) {
+        for (let key in obj) {
+          if (obj[key] === undefined) {
+            obj[key] = $.remove()
+          } else if (_.isObjectOrArray(obj[key])) {
+            _remove(obj[key])
+          }
+        }
+      } else if (_.isArray(obj)) {
+        for (let i = 0; i < obj.length; i++) {
+          if (_.isObjectOrArray(obj[i])) {
+            _remove(obj[i])
+          }
+        }
+      }
+    }
+
+    _remove(obj)
+    return obj
   },
 
   /**
-   * 返回 n 天以前的日期。
+   * 传入一个obj或arr，递归检查所有key，如果value的类型是字符串，则去掉首尾空格。
+   * 在原对象上修改。
    * 
-   * @param {number} n - 天数
-   * @returns {Date} 返回 n 天以前的日期
+   * @param {Object|Array} obj - 要处理的对象或数组
+   * 
+   * @example
+   *   let obj = { a: ' 1 ', b: { a: ' 2 ', c: ' 3 ' } }
+   *   utils.trimAllKey(obj)
+   *   console.log(obj) // { a: '1', b: { a: '2', c: '3' } }
    */
-  daysAgoDate(n) {
+  trimAllKey(obj){
     const _ = this
-    const date = new Date()
-    date.setDate(date.getDate() - n)
-    return date
+    if (_.isObject(obj)) {
+      for (let key in obj) {
+        if (_.isString(obj[key])) {
+          obj[key] = obj[key].trim()
+        } else if (_.isObjectOrArray(obj[key])) {
+          _.trimAllKey(obj[key])
+        }
+      }
+    } else if (_.isArray(obj)) {
+      for (let i = 0; i < obj.length; i++) {
+        if (_.isString(obj[i])) {
+          obj[i] = obj[i].trim()
+        } else if (_.isObjectOrArray(obj[i])) {
+          _.trimAllKey(obj[i])
+        }
+      }
+    }
   },
 
   /**
-   * 返回 n 天以后的日期。
+   * 获得一个obj有多少个key。
    * 
-   * @param {number} n - 天数
-   * @returns {Date} 返回 n 天以后的日期
+   * @param {Object} obj - 要计算属性数量的对象
+   * @returns {number} 返回对象的属性数量
+   * 
+   * @example
+   * utils.objLength({ a: 1, b: 2, c: 3 }) // 3
    */
-  daysLaterDate(n) {
-    return this.daysAgoDate(-n)
+  objLength(obj){
+    return Object.keys(obj).length
   },
 
   /**
-   * 返回 n 天以前的日期字符串。
+   * 把一个obj转为可用于cache的key字符串。
+   * 当obj的内容相同（但顺序不同）时总是返回相同的字符串。
    * 
-   * @param {number} n - 天数
-   * @returns {string} 返回 n 天以前的日期字符串
+   * @param {any} obj - 要序列化的对象
+   * @returns {string} 返回序列化后的字符串
+   * 
+   * @example
+   *   const obj1 = { a: 1, b: 2 }
+   *   const obj2 = { b: 2, a: 1 }
+   *   utils.serializeObj(obj1) === utils.serializeObj(obj2) // true
    */
-  daysAgo(n) {
+  serializeObj(obj) {
     const _ = this
-    return _.yymmdd(_.daysAgoDate(n))
+    const sort = (obj) => {
+      if (_.isArray(obj)) {
+        return obj.map(sort)
+      }
+      if (!_.isObject(obj)) {
+        return obj
+      }
+      // 此时obj是对象，按key的顺序重新赋值一个新的对象
+      const sorted_keys = Object.keys(obj).sort()
+      return sorted_keys.reduce((result, key) => {
+        result[key] = sort(obj[key])
+        return result
+      }, {})
+    }
+    return JSON.stringify(sort(obj))
   },
 
+
+  /*  === 数组、列表  === */
+
   /**
-   * 返回 n 天以后的日期字符串。
+   * 传入数组 arr 和属性名 key，key 对应一个子数组，把所有子数组合并成一个数组。
    * 
-   * @param {number} n - 天数
-   * @returns {string} 返回 n 天以后的日期字符串
+   * @param {Array} arr - 输入的数组，该数组中的对象应含有子数组
+   * @param {string} key - 对应子数组的属性名
+   * @returns {Array} 返回合并后的数组
+   * 
+   * @example
+   * utils.extractNestedArrays([{a: [1,2]}, {a: [3,4]}, {a: null}, {b: [5, 6]}], 'a') // [1,2,3,4]
    */
-  daysLater(n) {
-    return this.daysAgo(-n)
+  extractNestedArrays (arr, key) {
+    const _ = this
+    let result = []
+    for (let i = 0; i < arr.length; i++) {
+      if (_.isArray(arr[i][key])) {
+        result = result.concat(arr[i][key])
+      }
+    }
+    return result
   },
 
   /**
-   * 返回 n 个月以前的今天日期。
+   * 把一个数据分成多个数组，每个数组的长度为 size。
    * 
-   * @param {number} n - 月数
-   * @returns {Date} 返回 n 个月前的今天日期
+   * @param {Array} arr - 要被分割的数组
+   * @param {number} size - 每个子数组的长度
+   * @returns {Array} 返回包含多个子数组的数组
+   * 
+   * @example
+   * utils.splitArray([1, 2, 3, 4, 5, 6], 2) // [[1, 2], [3, 4], [5, 6]]
    */
-  monthsAgoDate(n) {
+  splitArray (arr, size) {
     const _ = this
-    const date = new Date()
-    date.setMonth(date.getMonth() - n)
-    return date
+    let result = []
+    for (let i = 0; i < arr.length; i += size) {
+      result.push(arr.slice(i, i + size))
+    }
+    return result
   },
 
   /**
-   * 返回 n 个月以后的今天日期。
+   * 给出一个数组和多个字段名，返回一个新数组，新数组的每个元素是原数组的每个元素的这些字段的值。
    * 
-   * @param {number} n - 月数
-   * @returns {Date} 返回 n 个月以后的今天日期
+   * @param {Array} arr - 输入的数组
+   * @param {...string} fields - 要提取的字段名
+   * @returns {Array} 返回包含新对象的数组，每个对象包含指定字段的值
+   * 
+   * @example
+   * utils.extractFields([{ a: 1, b: 2 }, { a: 3, b: 4 }], 'a') // [{ a: 1 }, { a: 3 }]
    */
-  monthsLaterDate(n) {
-    return this.monthsAgoDate(-n)
+  extractFields (arr, ...fields) {
+    const _ = this
+    let result = []
+    for (let i = 0; i < arr.length; i++) {
+      let obj = {}
+      for (let j = 0; j < fields.length; j++) {
+        obj[fields[j]] = arr[i][fields[j]]
+      }
+      result.push(obj)
+    }
+    return result
   },
 
   /**
-   * 返回 n 个月以前的今天日期字符串。
+   * 判断某个元素是否在数组、对象的键或字符串中
    * 
-   * @param {number} n - 月数
-   * @returns {string} 返回 n 个月以前的今天日期字符串
+   * 如果arr是数组，判断item是否在数组arr中；
+   * 如果arr是对象，判断item是否在对象arr的键中；
+   * 如果arr是字符串，判断子串item是否在字符串arr中。
+   * 
+   * @param {*} item - 要查找的元素
+   * @param {Array|Object|string} arr - 要查找的数组、对象或字符串
+   * @returns {boolean} 如果item在arr中，返回true；否则返回false
    */
-  monthsAgo(n) {
+  in (item, arr) {
     const _ = this
-    return _.yymmdd(_.monthsAgoDate(n))
+    if (_.isArray(arr)) {
+      return arr.indexOf(item) !== -1
+    } else if (_.isObject(arr)) {
+      return _.in(item, Object.keys(arr))
+    } else if (_.isString(arr)) {
+      return arr.indexOf(item) !== -1
+    } else {
+      return false
+    }
   },
 
   /**
-   * 返回 n 个月以后的今天日期字符串。
+   * 通过 _id 判断一个 doc 是否在数组中。
    * 
-   * @param {number} n - 月数
-   * @returns {string} 返回 n 个月以后的今天日期字符串
+   * @param {Array} arr - 搜索的数组
+   * @param {Object} doc - 输入的对象，该对象应含有 `_id` 属性
+   * @returns {boolean} 如果数组中包含 doc，则返回 true，否则返回 false
+   * 
+   * @example
+   * utils.includesDoc([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], { _id: 1 }) // true
    */
-  monthsLater(n) {
-    return this.monthsAgo(-n)
+  includesDoc (arr, doc) {
+    const _ = this
+    return arr.some(item => item._id === doc._id)
   },
 
   /**
-   * 返回 n 分钟以前的时间
+   * 通过 _id 找到数组中的元素的索引。
    * 
-   * @param {number} n - 分钟数
-   * @returns {Date} 返回 n 分钟以前的时间
+   * @param {Array} arr - 输入的数组
+   * @param {Object} doc - 输入的对象，该对象应含有 `_id` 属性
+   * @returns {number} 返回 doc 在数组中的索引，如果数组中不包含 doc，则返回 -1
+   * 
+   * @example
+   * utils.docIndexOf([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], { _id: 1 }) // 0
    */
-  minutesAgo(n) {
+  docIndexOf (arr, doc) {
     const _ = this
-    const date = new Date()
-    date.setMinutes(date.getMinutes() - n)
-    return date
+    return arr.findIndex(item => item._id === doc._id)
   },
 
   /**
-   * 返回 n 分钟以后的时间
+   * 把数组中某个值的元素全部替换为新元素。
    * 
-   * @param {number} n - 分钟数
-   * @returns {Date} 返回 n 分钟以后的时间
+   * @param {Array} array - 输入的数组
+   * @param {any} target - 需要被替换的元素
+   * @param {any} replacement - 用于替换的新元素
+   * @returns {Array} 返回包含替换后的元素的数组
+   * 
+   * @example
+   * utils.replaceAll([1, 2, 3, 2, 4, 2], 2, 'two') // [1, 'two', 3, 'two', 4, 'two']
    */
-  minutesLater(n) {
-    return this.minutesAgo(-n)
+  replaceAll(array, target, replacement) {
+    return array.map((element) => {
+      return element === target ? replacement : element
+    })
   },
 
   /**
-   * 返回 n 秒以前的时间
+   * 传入一个数组 arr，以及 keys，根据 keys 对 arr 进行排序。
    * 
-   * @param {number} n - 秒数
-   * @returns {Date} 返回 n 秒以前的时间
+   * @param {Array} arr - 输入的数组
+   * @param {Object} keys - 一个对象，键为排序的字段，值为 'asc' 或 'desc'，表示升序或降序
+   * @returns {Array} 返回排序后的新数组
+   *
+   * 注意
+   *   1. keys是有序的，若希望先按a排序，再按b排序，应该传入 {a: 'asc', b: 'asc'}
+   *   2. keys是支持点表示法的，如 { 'a.b.c': 'asc' }
+   *   3. 任何属性取值为 null 或 undefined 的元素将被过滤掉
+   * 
+   * @example
+   * utils.sortByKeys([{ a: 1, b: 2 }, { a: 2, b: 1 }], { a: 'asc' }) // [{ a: 1, b: 2 }, { a: 2, b: 1 }]
    */
-  secondsAgo(n) {
+  sortByKeys (arr, keys) {
     const _ = this
-    const date = new Date()
-    date.setSeconds(date.getSeconds() - n)
-    return date
+
+    // 比较函数
+    function compare(a, b) {
+      for (const key in keys) {
+        const value_a = _.pickValue(a, key)
+        const value_b = _.pickValue(b, key)
+
+        let c = value_a > value_b ? 1 : value_a < value_b ? -1 : 0
+
+        if (keys[key] === 'desc') {
+          c *= -1
+        } else if (keys[key] !== 'asc') {
+          throw new Error(`排序参数错误，必须是asc或desc，不能是${keys[key]}`)
+        }
+
+        if (c !== 0) return c;
+      }
+      return 0
+    }
+
+    // 过滤掉任何属性取值为null或undefined的元素
+    arr = arr.filter(item => Object.keys(keys).every(key => !_.isNone(_.pickValue(item, key))))
+
+    return arr.sort(compare)
   },
 
   /**
-   * 返回 n 秒以后的时间
+   * 过滤掉数组中的 null 和 undefined。
    * 
-   * @param {number} n - 秒数
-   * @returns {Date} 返回 n 秒以后的时间
+   * @param {Array} arr - 输入的数组
+   * @returns {Array} 返回过滤后的数组
+   * 
+   * @example
+   * utils.filterNone([1, null, 2, undefined, 3]) // [1, 2, 3]
    */
-  secondsLater(n) {
-    return this.secondsAgo(-n)
+  filterNone (arr) {
+    const _ = this
+    return arr.filter(item => !_.isNone(item))
   },
 
   /**
-   * 传入两个参数，第一个是时间 t，第二个是秒数 n，判断 t 是否在 n 秒以内。
-   * t 可以是时间戳，也可以是 Date 对象。
+   * 删除数组中的重复元素（用于排除重复数字、字符串）。
+   * 函数会保持原数组的顺序。
    * 
-   * @param {number|Date} t - 时间，可以是时间戳或 Date 对象
-   * @param {number} n - 秒数
-   * @returns {boolean} 如果 t 在 n 秒以内，返回 true，否则返回 false
+   * @param {Array} arr - 输入的数组
+   * @returns {Array} 返回删除重复元素后的数组
+   * 
+   * @example
+   * utils.uniqueArray([1, 1, 2, 2, 3, 3]) // [1, 2, 3]
    */
-  withinSeconds(t, n) {
-    const _ = this
-    if (!_.isNumber(t)) {
-      t = _.timestamp(t)
+  uniqueArray (arr) {
+    const unique_arr = []
+    const existing_set = new Set()
+    for (const item of arr) {
+      if (!existing_set.has(item)) {
+        unique_arr.push(item)
+        existing_set.add(item)
+      }
     }
-    return _.timestamp(_.secondsAgo(n)) < t
+    return unique_arr
   },
 
   /**
-   * 判断时间参数 t 是否为今天，支持字符串和 Date 类型。
+   * 根据 _id 删除数组中的元素。
    * 
-   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
-   * @returns {boolean} 如果 t 是今天，返回 true，否则返回 false
+   * @param {Array} arr - 输入的数组，数组中的元素应包含 `_id` 属性
+   * @param {string | number} id - `_id` 的值
+   * @returns {Array} 返回删除指定元素后的数组
+   * 
+   * @example
+   * utils.removeById([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], 1) // [{ _id: 2, name: 'Jerry' }]
    */
-  isToday (t) {
-    const _ = this
-    if (!t) return false
-    if (_.isString(t)) t = _.dateFromString(t)
-    return _.yymmdd(t) === _.today()
+  removeById (arr, id) {
+    return arr.filter(item => item._id !== id)
   },
 
   /**
-   * 判断字符串是否是正确的日期格式。
+   * 判断数组中是否有重复元素。
    * 
-   * @param {string} s - 日期字符串
-   * @returns {boolean} 如果字符串是正确的日期格式，返回 true，否则返回 false
+   * @param {Array} arr - 输入的数组
+   * @returns {boolean} 如果数组中有重复元素，则返回 true，否则返回 false
+   * 
+   * @example
+   * utils.hasDuplicate([1, 2, 3, 2]) // true
    */
-  isDateString (s) {
-    const _ = this
-    if (!_.isString(s)) return false
-    const reg = /^\d{4}-\d{2}-\d{2}$/
-    if (!reg.test(s)) return false
-    const date = _.dateFromString(s)
-    return _.yymmdd(date) === s
+  hasDuplicate (arr) {
+    return new Set(arr).size !== arr.length
   },
 
+
+  /* === 时间 === */
+
   /**
-   * 比较两个日期字符串的大小。
+   * 获取云数据库的当前日期和时间，可以指定秒、分钟和天数的偏移量。
    * 
-   * @param {string} s1 - 第一个日期字符串
-   * @param {string} s2 - 第二个日期字符串
-   * @returns {number|null} 如果 s1 > s2，返回 1，如果 s1 == s2，返回 0，如果 s1 < s2，返回 -1，如果日期不正确，返回 null
+   * @param {Object} offsetObject - 包含偏移量的对象
+   *   - seconds - 秒偏移量
+   *   - minutes - 分钟偏移量
+   *   - days - 天数偏移量
+   * @returns {Object} 返回云数据库的当前日期和时间
    */
-  compareDateString (s1, s2) {
+  serverDate ({seconds = 0, minutes = 0, days = 0} = {}) {
     const _ = this
-    if (!_.isDateString(s1) || !_.isDateString(s2)) return null
-    const d1 = _.dateFromString(s1)
-    const d2 = _.dateFromString(s2)
-    return d1 > d2 ? 1 : (d1 < d2 ? -1 : 0)
+    const offset = (seconds + minutes * 60 + days * 24 * 60 * 60) * 1000
+    return _._db().serverDate({offset})
   },
 
   /**
-   * 返回 "2023年5月3日" 这样的格式。
-   * 支持字符串和 Date 类型。
+   * 获取日期和时间。
    * 
-   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
-   * @returns {string} 返回日期的中文表示
+   * @returns {Date}
    */
-  dayCN(t) {
-    const _ = this
-    if (_.isString(t)) t = _.dateFromString(t)
-    let y = t.getFullYear()
-    let m = t.getMonth() + 1
-    let d = t.getDate()
-    return `${y}年${m}月${d}日`
+  now () {
+    return new Date()
   },
 
   /**
-   * 返回时间是星期几，返回 "周一"、"周二"、"周日"。
-   * 支持字符串和 Date 类型。
+   * 从数据_id中获取时间，返回Date对象
+   * 
+   * 系统使用什么时区，就返回什么时区的时间（以插入数据时的时区决定）。
+   * 建议在云函数中把时区转换为上海时区，即添加 TZ=Asia/Shanghai 配置。
+   * 
+   * @param {string} id - 数据的_id
+   * @returns {Date} 从_id中解析出的时间
+   */
+  getTimeFromId (id) {
+    // 从id中获得UTC毫秒
+    let t = parseInt(id.substring(8, 16), 16) * 1000
+    // 返回当前时区的时间
+    return new Date(t)
+  },
+
+  /**
+   * 返回时间的年月日字符串
+   * 
+   * @param {Date} t - 要格式化的时间
+   * @returns {string} 格式为'yyyy-MM-dd'的日期字符串，如：'2023-07-01'
+   */
+  yymmdd (t) {
+    let y = t.getFullYear()
+    let m = (t.getMonth() + 1).toString().padStart(2, '0')
+    let d = t.getDate().toString().padStart(2, '0')
+    return `${y}-${m}-${d}`
+  },
+
+  /**
+   * 返回时间的时分秒字符串
+   * 
+   * @param {Date} t - 要格式化的时间
+   * @returns {string} 格式为'HH:mm:ss'的时间字符串，如：'01:02:03'
+   */
+  hhmmss (t) {
+    let h = t.getHours().toString().padStart(2, '0')
+    let m = t.getMinutes().toString().padStart(2, '0')
+    let s = t.getSeconds().toString().padStart(2, '0')
+    return `${h}:${m}:${s}`
+  },
+
+  /**
+   * 传入一个整数或字符串，表示月份或天数，如果小于10，前面补0。
+   * 
+   * @param {number|string} n - 一个整数或字符串，表示月份或天数
+   * @returns {string} 返回补零后的字符串
+   *
+   * @example
+   * utils.padDateZero(1) // '01'
+   */
+  padDateZero (n) {
+    return n.toString().padStart(2, '0')
+  },
+
+  /**
+   * 返回时间的完整字符串
+   * 
+   * 未传入参数时，返回当前时间的字符串。
+   * 
+   * @param {Date} [t] - 要格式化的时间，默认为当前时间
+   * @returns {string} 格式为'yyyy-MM-dd HH:mm:ss'的完整时间字符串，如：'2023-07-01 01:02:03'
+   */
+  dateToString (t) {
+    if (t === undefined) { t = new Date() }
+    if (!t) { return '' }
+    return this.yymmdd(t) + ' ' + this.hhmmss(t)
+  },
+
+  /**
+   * 把字符串转换成日期和时间（不能自己使用 new Date 转换，以免时区错误）。
+   * 支持的格式：（当前时区）
+   *     2023-02-12
+   *     2023-02-12 12:34:56
+   * 
+   * @param {string} s - 日期和时间的字符串表示
+   * @returns {Date} 返回转换得到的日期和时间
+   */
+  dateFromString (s) {
+    // 如果s是YYYY-MM-DD格式
+    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+      return new Date(s + ' 00:00:00') // 必须加上时分秒，否则会使用UTC时区，加上时分秒后会被当成本地时间
+      // 如果s是YYYY-MM-DD HH:MM:SS格式
+    } else if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(s)) {
+      return new Date(s)
+    } else {
+      throw new Error(`不支持的日期格式：${s}`)
+    }
+  },
+
+  /**
+   * 返回日期和时间的时间戳，单位为毫秒，若参数 t 为 undefined，则返回当前时间。
+   * 
+   * @param {[Date]} t - 日期和时间
+   * @returns {number} 返回时间戳
+   */
+  timestamp (t) {
+    return t ? t.getTime() : new Date().getTime()
+  },
+
+  /**
+   * 返回日期和时间的时间戳，单位为秒，若参数 t 为 undefined，则返回当前时间。
+   * 
+   * @param {[Date]} t - 日期和时间
+   * @returns {number} 返回时间戳
+   */
+  timestampSeconds (t) {
+    return Math.floor(this.timestamp(t) / 1000)
+  },
+
+  /**
+   * 返回类似于 20230701123456 这样的日期和时间字符串。
+   * 
+   * @param {[Date]} t - 日期和时间
+   * @returns {string} 返回格式化后的日期和时间字符串
+   */
+  timestampString(t=null) {
+    t = t || new Date()
+    let y = t.getFullYear()
+    let m = (t.getMonth() + 1).toString().padStart(2, '0')
+    let d = t.getDate().toString().padStart(2, '0')
+    let h = t.getHours().toString().padStart(2, '0')
+    let M = t.getMinutes().toString().padStart(2, '0')
+    let s = t.getSeconds().toString().padStart(2, '0')
+    return `${y}${m}${d}${h}${M}${s}`
+  },
+
+  /**
+   * 获取昨天的日期字符串
+   * 
+   * @returns {string} 返回昨天的日期字符串
+   */
+  yesterday() {
+    const _ = this
+    return _.daysAgo(1)
+  },
+
+  /**
+   * 返回今天的日期字符串
+   * 
+   * @returns {string} 返回今天的日期字符串
+   */
+  today() {
+    const _ = this
+    const date = new Date()
+    return _.yymmdd(date)
+  },
+
+  /**
+   * 获取明天的日期字符串
+   * 
+   * @returns {string} 返回明天的日期字符串
+   */
+  tomorrow() {
+    const _ = this
+    return _.daysAgo(-1)
+  },
+
+  /**
+   * 获取后天的日期字符串
+   * 
+   * @returns {string} 返回后天的日期字符串
+   */
+  afterTomorrow() {
+    const _ = this
+    return _.daysAgo(-2)
+  },
+
+  /**
+   * 返回本周周一的日期字符串。
+   * 可传入一个数字，表示第几周，0表示本周，1表示下周，-1表示上周。
+   * 
+   * @param {number} n - 表示第几周
+   * @returns {string} 返回周一的日期字符串
+   */
+  firstDayOfWeek (n = 0) {
+    const _ = this
+    const date = new Date()
+    let day = date.getDay()
+    if (day === 0) { day = 7 }
+    date.setDate(date.getDate() - day + 1 + n * 7)
+    return _.yymmdd(date)
+  },
+
+  /**
+   * 返回本周周日的日期字符串。
+   * 可传入一个数字，表示第几周，0表示本周，1表示下周，-1表示上周。
+   * 
+   * @param {number} n - 表示第几周
+   * @returns {string} 返回周日的日期字符串
+   */
+  lastDayOfWeek (n = 0) {
+    const _ = this
+    const date = new Date()
+    let day = date.getDay()
+    if (day === 0) { day = 7 }
+    date.setDate(date.getDate() - day + 7 + n * 7)
+    return _.yymmdd(date)
+  },
+
+  /**
+   * 返回本月第一天的日期字符串。
+   * 可传入一个数字，表示第几月，0表示本月，1表示下月，-1表示上月。
+   * 
+   * @param {number} n - 表示第几月
+   * @returns {string} 返回月初的日期字符串
+   */
+  firstDayOfMonth (n = 0) {
+    const _ = this
+    const date = new Date()
+    date.setDate(1)
+    date.setMonth(date.getMonth() + n)
+    return _.yymmdd(date)
+  },
+
+  /**
+   * 返回本月最后一天的日期字符串。
+   * 可传入一个数字，表示第几月，0表示本月，1表示下月，-1表示上月。
+   * 
+   * @param {number} n - 表示第几月
+   * @returns {string} 返回月末的日期字符串
+   */
+  lastDayOfMonth (n = 0) {
+    const _ = this
+    const date = new Date()
+    date.setDate(1)
+    date.setMonth(date.getMonth() + 1 + n)
+    date.setDate(0)
+    return _.yymmdd(date)
+  },
+
+  /**
+   * 返回 n 天以前的日期。
+   * 
+   * @param {number} n - 天数
+   * @returns {Date} 返回 n 天以前的日期
+   */
+  daysAgoDate(n) {
+    const _ = this
+    const date = new Date()
+    date.setDate(date.getDate() - n)
+    return date
+  },
+
+  /**
+   * 返回 n 天以后的日期。
+   * 
+   * @param {number} n - 天数
+   * @returns {Date} 返回 n 天以后的日期
+   */
+  daysLaterDate(n) {
+    return this.daysAgoDate(-n)
+  },
+
+  /**
+   * 返回 n 天以前的日期字符串。
+   * 
+   * @param {number} n - 天数
+   * @returns {string} 返回 n 天以前的日期字符串
+   */
+  daysAgo(n) {
+    const _ = this
+    return _.yymmdd(_.daysAgoDate(n))
+  },
+
+  /**
+   * 返回 n 天以后的日期字符串。
+   * 
+   * @param {number} n - 天数
+   * @returns {string} 返回 n 天以后的日期字符串
+   */
+  daysLater(n) {
+    return this.daysAgo(-n)
+  },
+
+  /**
+   * 返回 n 个月以前的今天日期。
+   * 
+   * @param {number} n - 月数
+   * @returns {Date} 返回 n 个月前的今天日期
+   */
+  monthsAgoDate(n) {
+    const _ = this
+    const date = new Date()
+    date.setMonth(date.getMonth() - n)
+    return date
+  },
+
+  /**
+   * 返回 n 个月以后的今天日期。
+   * 
+   * @param {number} n - 月数
+   * @returns {Date} 返回 n 个月以后的今天日期
+   */
+  monthsLaterDate(n) {
+    return this.monthsAgoDate(-n)
+  },
+
+  /**
+   * 返回 n 个月以前的今天日期字符串。
+   * 
+   * @param {number} n - 月数
+   * @returns {string} 返回 n 个月以前的今天日期字符串
+   */
+  monthsAgo(n) {
+    const _ = this
+    return _.yymmdd(_.monthsAgoDate(n))
+  },
+
+  /**
+   * 返回 n 个月以后的今天日期字符串。
+   * 
+   * @param {number} n - 月数
+   * @returns {string} 返回 n 个月以后的今天日期字符串
+   */
+  monthsLater(n) {
+    return this.monthsAgo(-n)
+  },
+
+  /**
+   * 返回 n 分钟以前的时间
+   * 
+   * @param {number} n - 分钟数
+   * @returns {Date} 返回 n 分钟以前的时间
+   */
+  minutesAgo(n) {
+    const _ = this
+    const date = new Date()
+    date.setMinutes(date.getMinutes() - n)
+    return date
+  },
+
+  /**
+   * 返回 n 分钟以后的时间
+   * 
+   * @param {number} n - 分钟数
+   * @returns {Date} 返回 n 分钟以后的时间
+   */
+  minutesLater(n) {
+    return this.minutesAgo(-n)
+  },
+
+  /**
+   * 返回 n 秒以前的时间
+   * 
+   * @param {number} n - 秒数
+   * @returns {Date} 返回 n 秒以前的时间
+   */
+  secondsAgo(n) {
+    const _ = this
+    const date = new Date()
+    date.setSeconds(date.getSeconds() - n)
+    return date
+  },
+
+  /**
+   * 返回 n 秒以后的时间
+   * 
+   * @param {number} n - 秒数
+   * @returns {Date} 返回 n 秒以后的时间
+   */
+  secondsLater(n) {
+    return this.secondsAgo(-n)
+  },
+
+  /**
+   * 传入两个参数，第一个是时间 t，第二个是秒数 n，判断 t 是否在 n 秒以内。
+   * t 可以是时间戳，也可以是 Date 对象。
+   * 
+   * @param {number|Date} t - 时间，可以是时间戳或 Date 对象
+   * @param {number} n - 秒数
+   * @returns {boolean} 如果 t 在 n 秒以内，返回 true，否则返回 false
+   */
+  withinSeconds(t, n) {
+    const _ = this
+    if (!_.isNumber(t)) {
+      t = _.timestamp(t)
+    }
+    return _.timestamp(_.secondsAgo(n)) < t
+  },
+
+  /**
+   * 判断时间参数 t 是否为今天，支持字符串和 Date 类型。
+   * 
+   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
+   * @returns {boolean} 如果 t 是今天，返回 true，否则返回 false
+   */
+  isToday (t) {
+    const _ = this
+    if (!t) return false
+    if (_.isString(t)) t = _.dateFromString(t)
+    return _.yymmdd(t) === _.today()
+  },
+
+  /**
+   * 判断字符串是否是正确的日期格式。
+   * 
+   * @param {string} s - 日期字符串
+   * @returns {boolean} 如果字符串是正确的日期格式，返回 true，否则返回 false
+   */
+  isDateString (s) {
+    const _ = this
+    if (!_.isString(s)) return false
+    const reg = /^\d{4}-\d{2}-\d{2}$/
+    if (!reg.test(s)) return false
+    const date = _.dateFromString(s)
+    return _.yymmdd(date) === s
+  },
+
+  /**
+   * 比较两个日期字符串的大小。
+   * 
+   * @param {string} s1 - 第一个日期字符串
+   * @param {string} s2 - 第二个日期字符串
+   * @returns {number|null} 如果 s1 > s2，返回 1，如果 s1 == s2，返回 0，如果 s1 < s2，返回 -1，如果日期不正确，返回 null
+   */
+  compareDateString (s1, s2) {
+    const _ = this
+    if (!_.isDateString(s1) || !_.isDateString(s2)) return null
+    const d1 = _.dateFromString(s1)
+    const d2 = _.dateFromString(s2)
+    return d1 > d2 ? 1 : (d1 < d2 ? -1 : 0)
+  },
+
+  /**
+   * 返回 "2023年5月3日" 这样的格式。
+   * 支持字符串和 Date 类型。
+   * 
+   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
+   * @returns {string} 返回日期的中文表示
+   */
+  dayCN(t) {
+    const _ = this
+    if (_.isString(t)) t = _.dateFromString(t)
+    let y = t.getFullYear()
+    let m = t.getMonth() + 1
+    let d = t.getDate()
+    return `${y}年${m}月${d}日`
+  },
+
+  /**
+   * 返回时间是星期几，返回 "周一"、"周二"、"周日"。
+   * 支持字符串和 Date 类型。
+   * 
+   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
+   * @returns {string} 返回星期的中文表示
+   */
+  weekdayCN (t) {
+    const _ = this
+    if (!t) return ''
+    if (_.isString(t)) t = _.dateFromString(t)
+    let w = t.getDay()
+    return '周' + '日一二三四五六'[w]
+  },
+
+  /**
+   * 输入时间 t，获得这个时间当月有多少天。
+   * 支持字符串格式和 Date 格式。
+   * 
+   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
+   * @returns {number} 返回当月的天数
+   */
+  getDaysInMonth (t) {
+    if (_.isString(t)) {
+      t = new Date(t)
+    }
+    let year = t.getFullYear()
+    let month = t.getMonth() + 1 // getMonth()从0开始的，加1表示下个月
+    // Date()构造函数的月份从1开始计算，因此这里获得的是下个月初的上一天，第三个参数0表示上一天
+    return new Date(year, month, 0).getDate()
+  },
+
+
+  // === 随机函数 ===
+
+  /**
+   * 返回大于等于 0，小于 max 的随机整数。
+   * 
+   * @param {number} max - 最大值
+   * @returns {number} 返回随机整数
+   */
+  randomInt (max) {
+    return Math.floor(Math.random() * max)
+  },
+
+  /**
+   * 生成一个随机UUID
+   * @returns {string} 返回生成的UUID
+   */
+  randomUUID () {
+    return UUID.v4()
+  },
+
+  /**
+   * 返回长度为 size 的随机字符串。
+   * 
+   * @param {number} size - 字符串长度
+   * @param {object} [options] - 可选参数
+   * @param {boolean} [options.only_lowercase=false] - 是否只包含小写字母
+   * @returns {string} 返回随机字符串
+   */
+  randomString(size, {only_lowercase = false} = {}) {
+    const upper = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+    const lower = 'abcdefghijklmnopqrstuvwxyz'
+    const digits = '0123456789'
+    let s = only_lowercase ? lower : upper + lower + digits
+    let result = ''
+    for (let i = 0; i < size; i++) {
+      result += s.charAt(Math.floor(Math.random() * s.length))
+    }
+    return result
+  },
+
+  /**
+   * 返回长度为 size 的随机数字字符串，可能以 0 开头。
+   * 
+   * @param {number} size - 字符串长度
+   * @returns {string} 返回随机数字字符串
+   */
+  randomNumber(size) {
+    const digits = '0123456789'
+    let result = ''
+    for (let i = 0; i < size; i++) {
+      result += digits.charAt(Math.floor(Math.random() * digits.length))
+    }
+    return result
+  },
+
+  /**
+   * 从数组中随机选择几个元素的函数。
+   * 
+   * @param {Array} l - 原数组
+   * @param {number} [count=1] - 选择的元素个数
+   * @returns {Array} 返回随机选择的元素数组
+   */
+  randomChoose(l, count = 1) {
+    const l2 = Array.from(l)
+    if (l2.length > 0) {
+      if (count === 1) {
+        return l2[Math.floor(Math.random() * l2.length)]
+      } else {
+        const shuffled = l2.slice().sort(() => Math.random() - 0.5)
+        return shuffled.slice(0, count)
+      }
+    } else {
+      return (count === 1) ? null : []
+    }
+  },
+
+
+  /* === 文件、云存储 === */
+
+  /**
+   * 获取文件的临时URL（所有用户可读时URL是长期有效，否则有效期只有10分钟）
+   * @param {Array.<string>} file_ids - 文件id数组，数量不能超过50个（微信限制）
+   * @returns {Promise<Array.<Object>>} 返回一个Promise，解析后的结果是一个对象数组，每个对象包含file_id和temp_file_url
+   * @example
+   * utils.getTempFileURL(['file_id1', 'file_id2'])
+   * .then(file_list => {
+   *   console.log(file_list) // [{file_id, temp_file_url}, ...]
+   * })
+   */
+  getTempFileURL (file_ids) {
+    const _ = this
+    return new Promise(async (resolve, reject) => {
+      try {
+        const res = await _._cloud().getTempFileURL({
+          fileList: file_ids,
+        })
+        const file_list = res.fileList.map((item) => ({
+          file_id: item.fileID,
+          temp_file_url: item.tempFileURL,
+        }))
+        resolve(file_list)
+      } catch (e) {
+        reject(_.makeError('FILE_FAILED', '获取临时URL失败', {cause: e}))
+      }
+    })
+  },
+
+  /**
+   * 根据文件路径名，用require获取action_module，传入参数省去前面的actions/和后面的.js
+   * @param {string} action - 文件路径名，不包含前缀'actions/'和后缀'.js'
+   * @returns {Object} 返回一个action_module对象
+   * @example
+   *   return await utils.requireAction('dev/Abc').main(event, context)
+   */
+  requireAction (action) {
+    const _ = this
+    _.assert(!action.startsWith('actions/'), 'action不能以actions/开头')
+    _.assert(!action.endsWith('.js'), 'action不能以.js结尾')
+    _.assert(_.fileExists(`actions/${action}.js`), `actions/${action}.js文件必须存在`)
+    return require(`actions/${action}.js`) // path以./或../开头是相对路径，否则是绝对路径
+  },
+
+  /**
+   * 同步读取文件内容
+   * @param {string} file - 文件路径
+   * @returns {string} 返回文件的内容
+   */
+  readFile (file) {
+    return FS.readFileSync(file).toString()
+  },
+
+  /**
+   * 读取Json文件
+   * @param {string} file - 文件路径
+   * @returns {Object} 返回文件解析后的对象
+   */
+  readJsonFile (file) {
+    return JSON.parse(this.readFile(file))
+  },
+
+  /**
+   * 同步写入文件内容
+   * @param {string} file - 文件的路径
+   * @param {string} data - 需要写入的数据
+   * @example
+   * utils.writeFile('./path/to/file', 'data to write')
+   */
+  writeFile (file, data) {
+    FS.writeFileSync(file, data)
+  },
+
+  /**
+   * 删除云存储文件，返回删除成功的file_id数组
+   * @param {Array.<string>} file_ids - 需要删除的文件的id数组，数量不能超过50个（API限制）
+   * @returns {Promise<Array.<string>>} 返回一个Promise，解析后的结果是已删除的file_id数组
+   *
+   * 注意
+   *   1. 当图片已经被删除了，重复执行时依然会返回这张图片的file_id
+   *
+   * @example
+   *   const deleted_file_ids = await utils.deleteCloudFiles([file_id1, file_id2])
+   */
+  deleteCloudFiles (file_ids) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      if (file_ids.length <= 50) {
+        _._cloud().deleteFile({
+          fileList: file_ids,
+        })
+          .then(res => {
+            // 0表示删除成功, -503003表示文件不存在
+            const deleted_file_ids = res.fileList.filter(f => [0, -503003].includes(f.status)).map(f => f.fileID)
+            resolve(deleted_file_ids)
+          })
+          .catch(e => reject(_.makeError('FILE_FAILED', '删除云存储文件失败', {cause: e})))
+      } else {
+        reject(_.makeError('INVALID_PARAM', 'deleteCloudFiles：file_ids不可以超过50条', {length: file_ids.length}))
+      }
+    })
+  },
+
+  /**
+   * 根据文档id，删除all_file集合中的数据以及云存储中的文件
+   * @param {string} doc_id - 文档的id
+   * @returns {Promise<boolean>} 返回一个Promise，如果全部删除成功则解析为true，否则为false
+   * @example
+   * utils.deleteDocAllFiles('doc_id1')
+   * .then(result => {
+   *   console.log(result) // true if all files are successfully deleted
+   * })
+   */
+  async deleteDocAllFiles (doc_id) {
+    const _ = this
+    const $ = _.command()
+
+    // 获得待删除的文件列表,因为api一次最多可以删除50条,所以每次返回50条
+    const getFileIds = async () => {
+      const res = await _.coll('all_file').where({doc_id}).limit(50).get()
+      return res.data.map(i => i.file_id)
+    }
+
+    let file_ids = await getFileIds(doc_id)
+
+    while (file_ids.length > 0) {
+      // 删除云存储中的文件
+      let deleted = await _.deleteCloudFiles(file_ids)
+      // 删除all_file中的数据
+      await _.coll('all_file').where({file_id: $.in(deleted)}).remove()
+      file_ids = await getFileIds(doc_id)
+    }
+
+    return true
+  },
+
+  /**
+   * 传入文件名称filename，返回保存文件的路径，本地返回 ~/tmp/filename, 云端返回 /tmp/filename
+   * @param {string} filename - 文件名称，支持带路径，如 a/b/c.txt
+   * @returns {string} 返回文件的保存路径
+   * @example
+   * let path = utils.tmpFilePath('a/b/c.txt')
+   * console.log(path) // ~/tmp/a/b/c.txt or /tmp/a/b/c.txt
+   */
+  tmpFilePath (filename) {
+    const _ = this
+    let tmp_dir = _.isLocal() ? './tmp' : '/tmp'
+
+    // 把filename中的目录移动到tmp_dir中，filename仅保留文件名
+    if (filename.includes('/')) {
+      tmp_dir = `${tmp_dir}/${_.rpartition(filename, '/')[0]}`
+      filename = _.rpartition(filename, '/')[2]
+    }
+
+    if (!FS.existsSync(tmp_dir)) {
+      FS.mkdirSync(tmp_dir)
+    }
+
+    return PATH.join(tmp_dir, filename)
+  },
+
+  /**
+   * 判断本地文件是否存在（同步）
+   * @param {string} file_path - 文件的路径
+   * @returns {boolean} 如果文件存在则返回true，否则为false
+   * @example
+   * let exists = utils.fileExists('./path/to/file')
+   * console.log(exists) // true if file exists
+   */
+  fileExists (file_path) {
+    return FS.existsSync(file_path)
+  },
+
+  /**
+   * 获得文件的大小（单位：MB）
+   * @param {string} file_path - 文件的路径
+   * @returns {number} 返回文件的大小（单位：MB）
+   * @example
+   * let size = utils.fileSizeM('./path/to/file')
+   * console.log(size) // size of the file in MB
+   */
+  fileSizeM (file_path) {
+    const _ = this
+    return _.round2(FS.statSync(file_path).size / 1024 / 1024)
+  },
+
+
+  /* === 网络 === */
+
+  /**
+   * 发起GET请求获取网页内容。
+   *
+   * @param {string} url - 需要请求的网页URL。
+   * @returns {Promise} 如果请求成功，返回一个Promise对象，其结果为网页内容。如果请求失败，返回的Promise对象会被拒绝，并带有错误信息。
+   *
+   * @example
+   * utils.requestPageBody('https://www.example.com')
+   * console.log()
+   */
+  requestPageBody(url) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      REQUEST(url, (error, response, body) => {
+        if (!error && response.statusCode === 200) {
+          resolve(body)
+        } else {
+          reject(_.makeError('NETWORK_FAILED', `获取网页内容失败：${url}`, {cause: error, status_code: response?.statusCode}))
+        }
+      })
+    })
+  },
+
+  /**
+   * 用指定的URL下载图片，保存到/tmp/uuid路径，并返回文件路径。
+   *
+   * @param {string} url - 图片的URL。
+   * @param {Object} [options] - 可选参数，包含以下属性:
+   *   - {Object} modules - 模块，如JIMP模块。
+   *   - {string} image_type - 图片类型，如果指定，将转换图片格式。
+   *   - {number} max_width - 图片最大宽度，如果指定，将压缩图片。
+   *   - {number} quality - 图片质量，用于压缩图片。
+   * @returns {Promise} 如果下载成功，返回一个Promise对象，其结果为文件路径。如果下载失败，返回的Promise对象会被拒绝，并带有错误信息。
+   *
+   * 说明
+   *   1. 使用image_type转换图片格式时，需要在modules中传入JIMP模块。例如：
+   *       ```javascript
+   *       npm install --save jimp
+   *       utils.js之外文件
+   *       顶部：const JIMP = require('jimp')
+   *       调用：utils.downTempFile(url, {modules: {JIMP})
+   *       ```
+   *   2. 注意jimp不支持webp，其他库依赖二进制文件，无法在云函数中使用。
+   *   3. 注意文件仅在用户本次call云函数中有效
+   *   4. 文件路径不带后缀名（本函数不判断文件类型）。
+   *
+   * @example
+   *   utils.downTempFile('https://www.example.com/image.jpg', { image_type: 'png', max_width: 800, quality: 80 })
+   *   console.log()
+   */
+  downTempFile (url, { modules = null, image_type = null, max_width = null, quality = null } = {}) {
+    const _ = this
+    const tmp_path = '/tmp/down_files' // 微信只允许保存在 /tmp/ 目录下
+
+    if (!FS.existsSync(tmp_path)) { FS.mkdirSync(tmp_path) }
+
+    return new Promise((resolve, reject) => {
+
+      REQUEST(url, { encoding: 'binary', method: 'GET'  },
+        async (err, res, body) => {
+
+          if (err || res.statusCode !== 200) {
+            reject(_.makeError('NETWORK_FAILED', `下载文件失败：${url}`, {cause: err, status_code: res?.statusCode}))
+            return
+          }
+
+          let file_path = `${tmp_path}/${_.randomUUID()}`
+
+          if (image_type && _.in(image_type, ALLOWED_IMAGE_TYPES)) {
+
+            // 使用 jimp 加载图片数据
+            const image = await modules.JIMP.read(Buffer.from(body, 'binary'))
+
+            // 根据max_width压缩图片
+            if (max_width && image.bitmap.width > max_width) {
+              image.resize(max_width, modules.JIMP.AUTO)
+            }
+
+            // 根据quality压缩图片
+            image.quality(quality || 100)
+
+            // 写入文件
+            file_path = `${file_path}.${image_type}`
+            await image.writeAsync(file_path)
+            resolve(file_path)
+
+          } else {
+            // 如果没有指定image_type，直接写入文件
+            FS.writeFileSync(file_path, body, 'binary')
+            resolve(file_path)
+          }
+
+        })
+
+    })
+
+  },
+
+  /**
+   * 获取图片文件的类型，返回jpg、png等，如果不是图片则返回空字符串。
+   *
+   * @param {string} file_path - 图片文件的路径。
+   * @returns {Promise} 返回一个Promise对象，其结果为文件类型。例如：'jpg'、'png'等。
+   *
+   * 说明
+   *   1. 本函数依赖file-type库，可以通过`npm i --save file-type`安装。
+   *
+   * @example
+   *   utils.getImageFileType('/tmp/my_image.jpg')
+   *   console.log()
+   */
+  async getImageFileType (file_path) {
+    const _ = this
+    const FileType = await import('file-type')
+    const file_stream = FS.createReadStream(file_path)
+    let file_type = await FileType.fileTypeFromStream(file_stream)
+    file_type = (file_type?.ext || '').toLowerCase()
+    return file_type
+  },
+
+  /**
+   * 下载图片到本地，上传到云存储，删除本地图片，并在all_file集合中插入数据。
+   * 保存在云端的路径为：`${app}/${c}/${doc_id}/${image_uuid}.${file_type}`
+   *
+   * @param {string} app - 应用名称。
+   * @param {string} c - 集合名称。
+   * @param {string} doc_id - 文档ID。
+   * @param {string} url - 图片的URL。
+   * @param {Object} [options] - 可选参数，包含以下属性:
+   *   - {Object} modules - 模块，如JIMP模块。
+   *   - {string} _openid - 用户的openid。
+   *   - {number} max_size_m - 最大允许上传的文件大小，单位M，默认为10M。
+   *   - {string} image_type - 图片类型，如果指定，将转换图片格式。
+   *   - {number} quality - 图片质量，用于压缩图片。
+   *   - {number} max_width - 图片最大宽度，如果指定，将压缩图片。
+   * @returns {Promise} 如果操作成功，返回一个Promise对象，其结果为文件ID。如果操作失败，返回的Promise对象会被拒绝，并带有错误信息。
+   *
+   * 注意：
+   *   1. 本函数依赖file-type库，可以通过`npm i --save file-type`安装。
+   *   2. 如果图片上传成功，已有fileID，但函数抛出异常，需要手动删除图片。
+   *   3. 执行完毕后会删除本地临时图片, 所以/tmp目录中没有文件
+   */
+  downImageAndUploadToCloud (app, c, doc_id, url,
+    {modules = null, _openid = null, max_size_m = 10, image_type = null, quality = null, max_width = null} = {}) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      _.downTempFile(url, {modules, image_type, quality, max_width})
+        .then(async file_path => {
+          // 图片成功下载到本地
+
+          const file_stream = FS.createReadStream(file_path) // 流只能被读取一次
+          const size_m = _.fileSizeM(file_path)
+          let file_type, file_name
+          const last = _.rpartition(file_path, '.')[2]
+
+          // file_path末尾是.jpg .webp等时，直接从file_path中获取文件类型
+          if (_.in(last, ALLOWED_IMAGE_TYPES)) {
+            file_type = last
+            file_name = _.rpartition(file_path, '/')[2]
+          } else {
+            file_type = await _.getImageFileType(file_path)
+            file_name = _.rpartition(file_path, '/')[2] + '.' + file_type
+          }
+
+          // file_type必须在ALLOWED_IMAGE_TYPES中
+          if (!_.in(file_type, ALLOWED_IMAGE_TYPES)) {
+            FS.unlinkSync(file_path)
+            reject(_.makeError('INVALID_PARAM', `图片类型不正确：${file_type}`))
+            return
+          }
+          const cloud_path = `${app}/${_._collName(c)}/${doc_id}/${file_name}`
+
+          // 图片大小超过限制
+          if (size_m > max_size_m) {
+            FS.unlinkSync(file_path)
+            reject(_.makeError('INVALID_PARAM', `图片大小超过限制：${size_m}M`))
+            return
+          }
+
+          _._cloud().uploadFile({
+            cloudPath: cloud_path,
+            fileContent: file_stream,
+          })
+            .then(res => {
+              // 图片上传成功
+
+              if (res.statusCode === -1 || res.fileID) {
+
+                const file_id  = res.fileID
+                // 关联doc与fileID，确保删除doc时可删除图片文件
+                _.addFile({app, c, doc_id: doc_id, file_id, size_m, file_path: cloud_path})
+                  .then(() => {
+                    resolve({file_id})
+                  })
+                  .catch(e => {
+                    reject(_._toError(e, 'DB_WRITE_FAILED', '写入all_file失败'))
+                  })
+
+              } else {
+                reject(_.makeError('FILE_FAILED', '上传图片失败', {res}))
+              }
+            })
+            .catch(e => {
+              reject(_.makeError('FILE_FAILED', '上传图片失败', {cause: e}))
+            })
+            .finally(() => {
+              // 删除本地临时图片
+              FS.unlinkSync(file_path)
+            })
+
+        })
+        .catch(reject)
+    })
+  },
+
+  /**
+   * 从网络上下载图片，上传到云存储，然后删除本地图片。不写all_file。
+   *
+   * @param {string} url - 图片的URL。
+   * @param {string} cloud_path - 云存储路径。
+   * @param {Object} [options] - 可选参数，包含以下属性:
+   *   - {Object} modules - 模块，如JIMP模块。
+   *   - {number} max_size_m - 最大允许上传的文件大小，单位M，默认为10M。
+   *   - {string} image_type - 图片类型，如果指定，将转换图片格式。
+   *   - {number} quality - 图片质量，用于压缩图片。
+   *   - {number} max_width - 图片最大宽度，如果指定，将压缩图片。
+   * @returns {Promise} 如果操作成功，返回一个Promise对象，其结果为文件ID。如果操作失败，返回的Promise对象会被拒绝，并带有错误信息。
+   *
+   * 注意：
+   *   1. 本函数依赖file-type库，可以通过`npm i --save file-type`安装。
+   *   2. 本函数不会写入任何数据库，
+   *   3. 图片名称 cloud_path 需要自己指定 (开头无/)
+   *   4. 函数会在cloud_path后面添加文件后缀
+   */
+  downImageAndUploadToCloud_simple (url, cloud_path,
+    {modules = null, max_size_m = 10, image_type = null, quality = null, max_width = null} = {}) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      _.downTempFile(url, {modules, image_type, quality, max_width})
+        .then(async file_path => {
+          // 图片成功下载到本地
+
+          const file_stream = FS.createReadStream(file_path)
+          const size_m = _.fileSizeM(file_path)
+
+          // file_path末尾是.jpg .webp等时，直接从file_path中获取文件类型
+          const last = _.rpartition(file_path, '.')[2]
+          if (_.in(last, ALLOWED_IMAGE_TYPES)) {
+            cloud_path = `${cloud_path}.${last}`
+          } else {
+            const file_type = await _.getImageFileType(file_path)
+            cloud_path = `${cloud_path}.${file_type}`
+          }
+
+          // 图片大小超过限制
+          if (size_m > max_size_m) {
+            FS.unlinkSync(file_path)
+            reject(_.makeError('INVALID_PARAM', `图片大小超过限制：${size_m}M`))
+            return
+          }
+
+          _._cloud().uploadFile({
+            cloudPath: cloud_path,
+            fileContent: file_stream,
+          })
+            .then(res => {
+              // 图片上传成功
+              if (res.statusCode === -1 || res.fileID) {
+                resolve({file_id: res.fileID})
+              } else {
+                reject(_.makeError('FILE_FAILED', '上传图片失败', {res}))
+              }
+            })
+            .catch(e => {
+              reject(_.makeError('FILE_FAILED', '上传图片失败', {cause: e}))
+            })
+            .finally(() => {
+              // 删除本地临时图片
+              FS.unlinkSync(file_path)
+            })
+
+        })
+        .catch(reject)
+
+    })
+  },
+
+  /**
+   * 上传文件到云存储。不写all_file。
+   *
+   * @param {Object} options - 参数，包含以下属性:
+   *   - {string} file_path - 文件的本地路径。
+   *   - {string} app - 应用名称。
+   *   - {string} cloud_path - 云存储路径。
+   *   - {number} max_size_m - 最大允许上传的文件大小，单位M，默认为10M。
+   * @returns {Promise} 如果操作成功，返回一个Promise对象，其结果为文件ID。如果操作失败，返回的Promise对象会被拒绝，并带有错误信息。
+   *
+   * 注意：
+   *   1. 上传的文件无法保存_openid字段，因此无法判断是哪个用户上传的。
+   *   2. 文件最终会保存在云端的 ${app}/${cloud_path}
+   *   3. 这里上传的文件无法保存_openid字段，因此无法判断是哪个用户上传的
+   */
+  uploadFileToCloud ({file_path, app, cloud_path, max_size_m = 10} = {}) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      // app不能为空，cloud_path不能以/开头
+      if (_.isEmpty(app)) {
+        reject(_.makeError('INVALID_PARAM', 'uploadFileToCloud：app不能为空'))
+        return
+      }
+      if (cloud_path.startsWith('/')) {
+        reject(_.makeError('INVALID_PARAM', `uploadFileToCloud：cloud_path不能以/开头。cloud_path:${cloud_path}`))
+        return
+      }
+      // 判断文件是否存在
+      if (!_.fileExists(file_path)) {
+        reject(_.makeError('FILE_FAILED', `上传的文件不存在。file_path:${file_path}`))
+        return
+      }
+
+      // 判断文件大小是否超过max_size_m
+      const size_m = _.fileSizeM(file_path)
+      if (size_m > max_size_m) {
+        reject(_.makeError('INVALID_PARAM', `上传的文件大小超过限制。file_path:${file_path}`))
+        return
+      }
+
+      _._cloud().uploadFile({
+        cloudPath: `${app}/${cloud_path}`,
+        fileContent: FS.createReadStream(file_path),
+      })
+        .then(res => {
+          // 图片上传成功
+          if (res.statusCode === -1 || res.fileID) {
+            resolve({file_id: res.fileID})
+          } else {
+            reject(_.makeError('FILE_FAILED', '上传文件失败', {res}))
+          }
+        })
+        .catch(e => {
+          reject(_.makeError('FILE_FAILED', '上传文件失败', {cause: e}))
+        })
+
+    })
+
+  },
+
+  /**
+   * 向微信服务器发起鉴黄请求，返回请求记录的_id（请求失败返回null）。
+   *
+   * @param {Object} options - 参数，包含以下属性:
+   *   - {string} appid - 发起鉴黄请求的appid。
+   *   - {string} _openid - 发起鉴黄请求的用户的openid，此用户需在近两小时访问过小程序。
+   *   - {string} image_url - 需要鉴黄的图片url，通过前端wx.cloud.CDN获得（而不是通过file_id获得）。
+   *   - {string} notice_name - 通知名称，接到通知时会执行 actions/name/{notice_name}.js 的Action。
+   *   - {Object} notice_data - 通知数据，MediaCheck Action会收到此数据。
+   *   - {number} scene - 场景值，1表示资料，2表示评论，3表示论坛，4表示社交日志，默认为1。
+   * @returns {Promise} 返回一个Promise对象，其结果为请求记录的_id（请求失败返回null）。
+   *
+   * 注意：
+   *   1. 需要在微信开发者工具中开启通知，让all_notice云函数能接到通知。
+   *   2. 需要在all_notice云函数中实现对应小程序的MediaCheck Action。
+   *   3. 通常来说调用此接口时app会有2个值，需要为dev和具体app分别实现Action。
+   *   4. 一定要确保图片已经上传到云存储并拿到了file_id。
+   *   5. 识别的文件大小不能超过10M（接口限制）。
+   *   6. 会向all_notice写一个记录，并返回此记录的_id（请求失败返回null）
+   *
+   * 等待鉴黄结果的all_notice为：
+   *     {
+   *       app       : 'draw',
+   *       name      : 'draw_project_image',
+   *       trace_id  : '鉴黄请求返回的的trace_id',
+   *       msg_id    : '', // 留空
+   *       status    : 'wait',
+   *       _openid   : '上传图片的用户openid',
+   *       created   : utils.serverDate(),
+   *       data: {
+   *         project_image_id: '',
+   *         file_id: '云存储中图片的file_id',
+   *       },
+   *     }
+   */
+  async wxCheckImage ({appid, _openid, image_url, notice_name, notice_data, scene = 1} = {}) {
+    const _ = this
+    const app = _.appName(appid)
+
+    _.assert(!_.isLocal(), 'wxCheckImage只能在正式环境中调用')
+    _.assert(!_.isAnyEmpty(appid, app, _openid, image_url, notice_name), 'utils.wxCheckImage Failed，参数必须全部不为空')
+
+    const check_data = {
+      media_url:    image_url,
+      media_type:   2,          // 2表示图片
+      version:      2,          // 当前版本号
+      openid:       _openid,
+      scene,
+    }
+
+    // 发起鉴黄请求。拿到trace_id，用于后续查询鉴黄结果
+    const res = await _.callOpenApi({api_name: 'security.mediaCheckAsync', appid, data: check_data})
+    const trace_id = res.traceId // 文档中写的是trace_id，实际返回的是traceId
+
+    if (_.isEmpty(trace_id)) {
+      await _.logToColl('draw_user UploadImage trace_id is empty', {appid, _openid, image_url, notice_name})
+      return null
+    }
+
+    const notice_doc = {
+      app,
+      action    : 'MediaCheck',
+      name      : notice_name,
+      trace_id,
+      msg_id    : '', // 等待通知没有msg_id
+      status    : 'wait',
+      _openid,
+      created   : _.serverDate(),
+      data      : notice_data,
+    }
+
+    return await _.addDoc('all_notice', notice_doc)
+
+  },
+
+
+  /* === Promise === */
+
+  /**
+   * 等待并判断promise列表是否全部成功。只关心是否全部成功, 不关心返回值。
    * 
-   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
-   * @returns {string} 返回星期的中文表示
+   * @param {Array<Promise>} promises - Promise列表
+   * @returns {Promise<boolean>} 返回一个Promise，当所有Promise都成功时，返回 `true`；否则，返回 `false`。
+   * 
+   * @example
+   *   const success = await utils.allResolved([p1, p2, p3]) // 等待并判断promise列表是否全部成功
    */
-  weekdayCN (t) {
+  allResolved (promises) {
     const _ = this
-    if (!t) return ''
-    if (_.isString(t)) t = _.dateFromString(t)
-    let w = t.getDay()
-    return '周' + '日一二三四五六'[w]
+    return new Promise((resolve, reject) => {
+      Promise.all(promises)
+        .then(() => {
+          resolve(true)
+        })
+        .catch(e => {
+          resolve(false)
+        })
+    })
   },
 
   /**
-   * 输入时间 t，获得这个时间当月有多少天。
-   * 支持字符串格式和 Date 格式。
+   * 把Array转换成Promise列表，并等待全部完成。
+   * 当你有一个组数列表，你需要对每个元素执行相同的异步操作，然后等待所有操作完成时，可以使用此函数。
    * 
-   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
-   * @returns {number} 返回当月的天数
+   * @param {Array<any>} arr - 需要转换的数组
+   * @param {function} pro_func - 函数，接收两个参数，分别是arr数组的元素和index, 返回一个promise
+   * @returns {Promise<boolean>} 返回一个Promise，当所有Promise都成功时，返回 `true`；否则，返回 `false`。
+   * 
+   * @example
+   *   // 把Array转换成Promise列表，并等待全部完成
+   *   utils.awaitAll([1,2,3], (v, i) => {
+   *     return new Promise((resolve, reject) => {
+   *       setTimeout(() => {
+   *         console.log(v)
+   *         resolve()
+   *       }, 1000)
+   *     })
+   *   })
+   *   // 上面代码中，先把数组[1,2,3]转换成Promise列表，然后等待全部完成
    */
-  getDaysInMonth (t) {
-    if (_.isString(t)) {
-      t = new Date(t)
-    }
-    let year = t.getFullYear()
-    let month = t.getMonth() + 1 // getMonth()从0开始的，加1表示下个月
-    // Date()构造函数的月份从1开始计算，因此这里获得的是下个月初的上一天，第三个参数0表示上一天
-    return new Date(year, month, 0).getDate()
+  awaitAll (arr, pro_func) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      _.allResolved(arr.map(pro_func)).then(resolve).catch(reject)
+    })
   },
 
 
-  // === 随机函数 ===
+  /* === admin管理员 === */
 
   /**
-   * 返回大于等于 0，小于 max 的随机整数。
-   * 
-   * @param {number} max - 最大值
-   * @returns {number} 返回随机整数
+   * 判断是否为管理员。
+   *
+   * @param {string} [openid] - 待检查的openid，默认为当前用户的openid。
+   * @returns {Promise} 返回一个Promise对象，如果openid对应的用户是管理员，其结果为true，否则为false。
    */
-  randomInt (max) {
-    return Math.floor(Math.random() * max)
+  isAdmin (openid = null) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      if (openid === null) {
+        openid = _.openid()
+      }
+      _.assert(openid, 'openid不能为空')
+      _.getOne('all_setting', {app: 'all', key: 'admin_users'})
+        .then(setting => {
+          if (setting?.value?.admins) {
+            resolve(setting.value.admins.includes(openid))
+          } else {
+            resolve(false)
+          }
+        })
+        .catch(reject)
+    })
   },
 
   /**
-   * 生成一个随机UUID
-   * @returns {string} 返回生成的UUID
+   * 设置应用设置。
+   *
+   * @param {string} app - 应用名称。
+   * @param {string} key - 设置的键。
+   * @param {*} value - 设置的值。
+   * @param {Object} [options] - 可选参数，包含以下属性:
+   *   - {string} [name='default'] - 设置的名称，默认为'default'。
    */
-  randomUUID () {
-    return UUID.v4()
+  setAppSetting (app, key, value, { name = 'default' } = {}) {
+    const _ = this
+    const c = 'app_setting'
+    _.getOne(c, {app, name})
+      .then(doc => {
+        if (doc) {
+          _.updateDoc(c, doc._id, {[key]: value})
+        } else {
+          _.addDoc(c, {app, name, [key]: value})
+        }
+      })
   },
 
   /**
-   * 返回长度为 size 的随机字符串。
-   * 
-   * @param {number} size - 字符串长度
-   * @param {object} [options] - 可选参数
-   * @param {boolean} [options.only_lowercase=false] - 是否只包含小写字母
-   * @returns {string} 返回随机字符串
+   * 向应用设置中添加一个值。
+   *
+   * @param {string} app - 应用名称。
+   * @param {string} key - 设置的键。
+   * @param {*} value - 设置的值。
+   * @param {Object} [options] - 可选参数，包含以下属性:
+   *   - {string} [name='default'] - 设置的名称，默认为'default'。
    */
-  randomString(size, {only_lowercase = false} = {}) {
-    const upper = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
-    const lower = 'abcdefghijklmnopqrstuvwxyz'
-    const digits = '0123456789'
-    let s = only_lowercase ? lower : upper + lower + digits
-    let result = ''
-    for (let i = 0; i < size; i++) {
-      result += s.charAt(Math.floor(Math.random() * s.length))
-    }
-    return result
+  pushAppSetting (app, key, value, { name = 'default' } = {}) {
+    const _ = this
+    const $ = _.command()
+    const c = 'app_setting'
+    _.getOne(c, {app, name})
+      .then(doc => {
+        if (doc) {
+          _.updateDoc(c, doc._id, {[key]: $.push(value)})
+        } else {
+          _.addDoc(c, {app, name, [key]: [value]})
+        }
+      })
   },
 
   /**
-   * 返回长度为 size 的随机数字字符串，可能以 0 开头。
-   * 
-   * @param {number} size - 字符串长度
-   * @returns {string} 返回随机数字字符串
+   * 获取应用设置的值。
+   *
+   * @param {string} app - 应用名称。
+   * @param {string} key - 设置的键。
+   * @param {Object} [options] - 可选参数，包含以下属性:
+   *   - {string} [name='default'] - 设置的名称，默认为'default'。
+   * @returns {Promise} 返回一个Promise对象，其结果为应用设置的值，如果没有找到对应的设置，其结果为null。
+   *
+   * 调用次数
+   *   云端的getAppSetting不会利用缓存，每次消耗一次调用次数
    */
-  randomNumber(size) {
-    const digits = '0123456789'
-    let result = ''
-    for (let i = 0; i < size; i++) {
-      result += digits.charAt(Math.floor(Math.random() * digits.length))
-    }
-    return result
+  getAppSetting (app, key, { name = 'default' } = {}) {
+    const _ = this
+    const c = 'app_setting'
+    return new Promise((resolve, reject) => {
+      _.getOne(c, {app, name})
+        .then(doc => {
+          if (doc) {
+            resolve(doc[key])
+          } else {
+            resolve(null)
+          }
+        })
+        .catch(reject)
+    })
   },
 
+
+  // === 字符串签名 ===
+
   /**
-   * 从数组中随机选择几个元素的函数。
-   * 
-   * @param {Array} l - 原数组
-   * @param {number} [count=1] - 选择的元素个数
-   * @returns {Array} 返回随机选择的元素数组
+   * 使用secret_key config签名。
+   * 需先在云函数的config.json中添加booster_secret_key_alterable字符串。
+   * 这里的alterable表示此key可以随时修改，数据库中不会保存此key生成的签名。
+   *
+   * @param {string} data_str - 待签名的数据字符串。
+   * @returns {string} 返回签名结果。
    */
-  randomChoose(l, count = 1) {
-    const l2 = Array.from(l)
-    if (l2.length > 0) {
-      if (count === 1) {
-        return l2[Math.floor(Math.random() * l2.length)]
-      } else {
-        const shuffled = l2.slice().sort(() => Math.random() - 0.5)
-        return shuffled.slice(0, count)
-      }
-    } else {
-      return (count === 1) ? null : []
+  alterableSign (data_str) {
+    const _ = this
+    const crypto = require('crypto') // 内置库
+    const secret_key = _.getConfig('booster_secret_key_alterable')
+    if (!secret_key) {
+      throw new Error('请在config中添加booster_secret_key_alterable字符串')
     }
+    return crypto.createHmac('sha256', secret_key).update(data_str).digest('hex')
   },
 
-
-  /* === 文件、云存储 === */
-
   /**
-   * 获取文件的临时URL（所有用户可读时URL是长期有效，否则有效期只有10分钟）
-   * @param {Array.<string>} file_ids - 文件id数组，数量不能超过50个（微信限制）
-   * @returns {Promise<Array.<Object>>} 返回一个Promise，解析后的结果是一个对象数组，每个对象包含file_id和temp_file_url
-   * @example
-   * utils.getTempFileURL(['file_id1', 'file_id2'])
-   * .then(file_list => {
-   *   console.log(file_list) // [{file_id, temp_file_url}, ...]
-   * })
+   * 验证数据签名。
+   *
+   * @param {string} data_str - 待验证的数据字符串。
+   * @param {string} sign - 待验证的签名。
+   * @returns {boolean} 如果签名验证成功，返回true，否则返回false。
    */
-  getTempFileURL (file_ids) {
+  verifyAlterableSign (data_str, sign) {
     const _ = this
-    return new Promise(async (resolve, reject) => {
-      const res = await _._cloud().getTempFileURL({
-        fileList: file_ids,
-      })
-      const file_list = res.fileList.map((item) => ({
-        file_id: item.fileID,
-        temp_file_url: item.tempFileURL,
-      }))
-      resolve(file_list)
-    })
+    return _.alterableSign(data_str) === sign    
   },
 
   /**
-   * 根据文件路径名，用require获取action_module，传入参数省去前面的actions/和后面的.js
-   * @param {string} action - 文件路径名，不包含前缀'actions/'和后缀'.js'
-   * @returns {Object} 返回一个action_module对象
-   * @example
-   *   return await utils.requireAction('dev/Abc').main(event, context)
+   * 使用手机号数据签名。
+   * 传入数据格式：{country_code, phone_number, timestamp}
+   *
+   * @param {Object} data - 待签名的数据，包含以下属性:
+   *   - {string} country_code - 国家代码。
+   *   - {string} pure_phone_number - 纯手机号，不包含国家代码。
+   *   - {number} timestamp - 时间戳。
+   * @returns {string} 返回签名结果。
    */
-  requireAction (action) {
-    const _ = this
-    _.assert(!action.startsWith('actions/'), 'action不能以actions/开头')
-    _.assert(!action.endsWith('.js'), 'action不能以.js结尾')
-    _.assert(_.fileExists(`actions/${action}.js`), `actions/${action}.js文件必须存在`)
-    return require(`actions/${action}.js`) // path以./或../开头是相对路径，否则是绝对路径
+  signPhoneNumber (data) {
+    const _ = this
+    // 传入的三个参数都不能为空
+    _.assert(!_.isEmpty(data.country_code), 'country_code不能为空')
+    _.assert(!_.isEmpty(data.pure_phone_number), 'pure_phone_number不能为空')
+    _.assert(!_.isEmpty(data.timestamp), 'timestamp不能为空')
+    const data_str = `${data.country_code}${data.pure_phone_number}${data.timestamp}`
+    return _.alterableSign(data_str)
   },
 
   /**
-   * 同步读取文件内容
-   * @param {string} file - 文件路径
-   * @returns {string} 返回文件的内容
+   * 验证手机号数据签名。
+   * data格式：{country_code, pure_phone_number, timestamp, phone_sign}
+   * 当前时间超过data.timestamp+time_diff时，返回false。
+   *
+   * @param {Object} data - 待验证的数据，包含以下属性:
+   *   - {string} country_code - 国家代码。
+   *   - {string} pure_phone_number - 纯手机号，不包含国家代码。
+   *   - {number} timestamp - 时间戳。
+   *   - {string} phone_sign - 手机号数据签名。
+   * @param {number} time_diff - 允许的时间偏差，单位为秒。
+   * @returns {boolean} 如果签名验证成功且当前时间未超过timestamp+time_diff，返回true，否则返回false。
    */
-  readFile (file) {
-    return FS.readFileSync(file).toString()
+  verifyPhoneNumber (data, time_diff) {
+    const _ = this
+    const sign = _.signPhoneNumber(data)
+    _.assert(_.isPositiveInt(time_diff), 'time_diff错误')
+    // 当前时间超过timestamp+time_diff时，返回false
+    if (_.timestampSeconds() > data.timestamp + time_diff )  {
+      return false
+    } else {
+      return sign === data.phone_sign
+    }
   },
 
+
+  /* === 私有辅助 === */
+
+  /* 是否在微信开发者工具中运行
+  */
+  _is_local: null,
+
   /**
-   * 读取Json文件
-   * @param {string} file - 文件路径
-   * @returns {Object} 返回文件解析后的对象
+   * 获取云函数的名称
+   * @returns {string} 返回云函数的名称
    */
-  readJsonFile (file) {
-    return JSON.parse(this.readFile(file))
+  _cloudFuncName () {
+    return CONFIG["booster_func_name"]
   },
 
   /**
-   * 同步写入文件内容
-   * @param {string} file - 文件的路径
-   * @param {string} data - 需要写入的数据
-   * @example
-   * utils.writeFile('./path/to/file', 'data to write')
+   * 把任意错误转换为统一格式的错误对象，已经是错误对象时原样返回
+   *
+   * @param {*} e - 原始错误
+   * @param {string} code - 错误码
+   * @param {string} msg - 中文说明
+   * @returns {Object} 错误对象
    */
-  writeFile (file, data) {
-    FS.writeFileSync(file, data)
+  _toError (e, code, msg) {
+    const _ = this
+    return _.isError(e) ? e : _.makeError(code, msg, {cause: e})
   },
 
   /**
-   * 删除云存储文件，返回删除成功的file_id数组
-   * @param {Array.<string>} file_ids - 需要删除的文件的id数组，数量不能超过50个（API限制）
-   * @returns {Promise<Array.<string>>} 返回一个Promise，解析后的结果是已删除的file_id数组
-   *
-   * 注意
-   *   1. 当图片已经被删除了，重复执行时依然会返回这张图片的file_id
+   * 把原始错误转换为可以序列化的对象（Error对象无法直接JSON序列化，也无法返回给前端）
    *
-   * @example
-   *   const deleted_file_ids = await utils.deleteCloudFiles([file_id1, file_id2])
+   * @param {*} cause - 原始错误
+   * @returns {*} 可以序列化的原始错误
    */
-  deleteCloudFiles (file_ids) {
-    const _ = this
-    return new Promise((resolve, reject) => {
-      if (file_ids.length <= 50) {
-        _._cloud().deleteFile({
-          fileList: file_ids,
-        })
-          .then(res => {
-            // 0表示删除成功, -503003表示文件不存在
-            const deleted_file_ids = res.fileList.filter(f => [0, -503003].includes(f.status)).map(f => f.fileID)
-            resolve(deleted_file_ids)
-          })
-          .catch(reject)
-      } else {
-        reject({errno: 'deleteCloudFiles Failed', errMsg: 'file_ids不可以超过50条', length: file_ids.length})
-      }
-    })
+  _errorCause (cause) {
+    if (cause instanceof Error) {
+      const {errCode, errMsg} = cause
+      return {name: cause.name, message: cause.message, ...(errCode === undefined ? {} : {errCode}), ...(errMsg === undefined ? {} : {errMsg})}
+    }
+    return cause
   },
 
   /**
-   * 根据文档id，删除all_file集合中的数据以及云存储中的文件
-   * @param {string} doc_id - 文档的id
-   * @returns {Promise<boolean>} 返回一个Promise，如果全部删除成功则解析为true，否则为false
-   * @example
-   * utils.deleteDocAllFiles('doc_id1')
-   * .then(result => {
-   *   console.log(result) // true if all files are successfully deleted
-   * })
+   * 检查action的meta后执行action，供dispatch、runBatch使用
+   *
+   * @param {string} action - action文件名，不包含前缀'actions/'和后缀'.js'
+   * @param {Object} event - 传给action的event
+   * @param {Object} context - 云函数的context参数
+   * @param {Object} options - 同dispatch的options
+   * @returns {Promise<any>} 返回action的结果，或'ENV_ERROR'、'APP_ERROR'、'NOT_ADMIN'
    */
-  async deleteDocAllFiles (doc_id) {
+  async _runAction (action, event, context, {apps = null} = {}) {
     const _ = this
-    const $ = _.command()
+    _.assert(_.isString(action) && /^\w+(\/\w+)*$/.test(action), `action格式错误：${action}`)
 
-    // 获得待删除的文件列表,因为api一次最多可以删除50条,所以每次返回50条
-    const getFileIds = async () => {
-      const res = await _.coll('all_file').where({doc_id}).limit(50).get()
-      return res.data.map(i => i.file_id)
+    const action_module = _.requireAction(action)
+    const meta = action_module.meta || {}
+
+    if (meta.local_only && !_.isLocal()) {
+      return 'ENV_ERROR'
     }
 
-    let file_ids = await getFileIds(doc_id)
+    if (!_._isAppAllowed(meta.apps || null)) {
+      return 'APP_ERROR'
+    }
 
-    while (file_ids.length > 0) {
-      // 删除云存储中的文件
-      let deleted = await _.deleteCloudFiles(file_ids)
-      // 删除all_file中的数据
-      await _.coll('all_file').where({file_id: $.in(deleted)}).remove()
-      file_ids = await getFileIds(doc_id)
+    if (meta.admin) {
+      const openid = _.openid()
+      if (_.isEmpty(openid) || !(await _.isAdmin(openid))) {
+        return 'NOT_ADMIN'
+      }
     }
 
-    return true
+    return await action_module.main(event, context)
   },
 
   /**
-   * 传入文件名称filename，返回保存文件的路径，本地返回 ~/tmp/filename, 云端返回 /tmp/filename
-   * @param {string} filename - 文件名称，支持带路径，如 a/b/c.txt
-   * @returns {string} 返回文件的保存路径
-   * @example
-   * let path = utils.tmpFilePath('a/b/c.txt')
-   * console.log(path) // ~/tmp/a/b/c.txt or /tmp/a/b/c.txt
+   * 判断发起调用的小程序是否在允许的小程序列表中
+   *
+   * @param {Array<string>|null} apps - 允许的小程序名称，null表示不限制
+   * @returns {boolean} 允许调用时返回true
    */
-  tmpFilePath (filename) {
+  _isAppAllowed (apps) {
     const _ = this
-    let tmp_dir = _.isLocal() ? './tmp' : '/tmp'
-
-    // 把filename中的目录移动到tmp_dir中，filename仅保留文件名
-    if (filename.includes('/')) {
-      tmp_dir = `${tmp_dir}/${_.rpartition(filename, '/')[0]}`
-      filename = _.rpartition(filename, '/')[2]
-    }
-
-    if (!FS.existsSync(tmp_dir)) {
-      FS.mkdirSync(tmp_dir)
+    if (_.isNone(apps)) {
+      return true
     }
-
-    return PATH.join(tmp_dir, filename)
+    const app = CONFIG['booster_app_list'][_.appid()]
+    return !_.isNone(app) && _.in(app, apps)
   },
 
   /**
-   * 判断本地文件是否存在（同步）
-   * @param {string} file_path - 文件的路径
-   * @returns {boolean} 如果文件存在则返回true，否则为false
-   * @example
-   * let exists = utils.fileExists('./path/to/file')
-   * console.log(exists) // true if file exists
+   * 返回数据库访问对象
+   * 
+   * @returns {Object} 数据库访问对象
    */
-  fileExists (file_path) {
-    return FS.existsSync(file_path)
+  _db () {
+    return DB
   },
 
   /**
-   * 获得文件的大小（单位：MB）
-   * @param {string} file_path - 文件的路径
-   * @returns {number} 返回文件的大小（单位：MB）
-   * @example
-   * let size = utils.fileSizeM('./path/to/file')
-   * console.log(size) // size of the file in MB
+   * 生产环境下给集合名称添加p_前缀(all_前缀的集合除外)
+   * 
+   * @param {string} c - 集合名
+   * @returns {string} 添加前缀后的集合名
    */
-  fileSizeM (file_path) {
-    const _ = this
-    return _.round2(FS.statSync(file_path).size / 1024 / 1024)
+  _collName (c) {
+    if( !this.isLocal() && !c.startsWith('all_') ) {
+      c = 'p_' + c
+    }
+    return c
   },
 
-
-  /* === 网络 === */
+  /**
+   * 获取云服务对象
+   * @returns {Cloud} 返回云服务对象
+   */
+  _cloud () {
+    return CLOUD
+  },
 
   /**
-   * 发起GET请求获取网页内容。
-   *
-   * @param {string} url - 需要请求的网页URL。
-   * @returns {Promise} 如果请求成功，返回一个Promise对象，其结果为网页内容。如果请求失败，返回的Promise对象会被拒绝，并带有错误信息。
-   *
-   * @example
-   * utils.requestPageBody('https://www.example.com')
-   * console.log()
+   * 获取指定集合中的一个文档
+   * @param {string} c - 集合名称
+   * @param {string} id - 文档ID
+   * @returns {DocumentReference} 返回指向指定集合中的一个文档的引用
    */
-  requestPageBody(url) {
-    const _ = this
-    return new Promise((resolve, reject) => {
-      REQUEST(url, (error, response, body) => {
-        if (response.statusCode === 200) {
-          resolve(body)
-        } else {
-          reject({errno: 'getPageContent Failed', errMsg: '获取网页内容失败'})
-        }
-      })
-    })
+  _doc (c, id) {
+    return this.coll(c).doc(id)
   },
 
   /**
-   * 用指定的URL下载图片，保存到/tmp/uuid路径，并返回文件路径。
-   *
-   * @param {string} url - 图片的URL。
-   * @param {Object} [options] - 可选参数，包含以下属性:
-   *   - {Object} modules - 模块，如JIMP模块。
-   *   - {string} image_type - 图片类型，如果指定，将转换图片格式。
-   *   - {number} max_width - 图片最大宽度，如果指定，将压缩图片。
-   *   - {number} quality - 图片质量，用于压缩图片。
-   * @returns {Promise} 如果下载成功，返回一个Promise对象，其结果为文件路径。如果下载失败，返回的Promise对象会被拒绝，并带有错误信息。
-   *
-   * 说明
-   *   1. 使用image_type转换图片格式时，需要在modules中传入JIMP模块。例如：
-   *       ```javascript
-   *       npm install --save jimp
-   *       utils.js之外文件
-   *       顶部：const JIMP = require('jimp')
-   *       调用：utils.downTempFile(url, {modules: {JIMP})
-   *       ```
-   *   2. 注意jimp不支持webp，其他库依赖二进制文件，无法在云函数中使用。
-   *   3. 注意文件仅在用户本次call云函数中有效
-   *   4. 文件路径不带后缀名（本函数不判断文件类型）。
-   *
-   * @example
-   *   utils.downTempFile('https://www.example.com/image.jpg', { image_type: 'png', max_width: 800, quality: 80 })
-   *   console.log()
+   * 用于创建数据查询需要返回或排除的字段
+   * 
+   * only和except是用逗号分隔的字符串，如：'_id, content'。
+   * 
+   * @param {string} [only=''] - 需要返回的字段，多个字段用逗号分隔
+   * @param {string} [except=''] - 需要排除的字段，多个字段用逗号分隔
+   * @returns {Object} 字段映射对象，需要返回的字段值为true，需要排除的字段值为false
    */
-  downTempFile (url, { modules = null, image_type = null, max_width = null, quality = null } = {}) {
+  _makeField(only = '', except = '') {
     const _ = this
-    const tmp_path = '/tmp/down_files' // 微信只允许保存在 /tmp/ 目录下
-
-    if (!FS.existsSync(tmp_path)) { FS.mkdirSync(tmp_path) }
-
-    return new Promise((resolve, reject) => {
-
-      REQUEST(url, { encoding: 'binary', method: 'GET'  },
-        async (err, res, body) => {
-
-          if (err || res.statusCode !== 200) {
-            reject({errno: 'downTempFile Failed', errMsg: err, res})
-            return
-          }
-
-          let file_path = `${tmp_path}/${_.randomUUID()}`
-
-          if (image_type && _.in(image_type, ALLOWED_IMAGE_TYPES)) {
-
-            // 使用 jimp 加载图片数据
-            const image = await modules.JIMP.read(Buffer.from(body, 'binary'))
-
-            // 根据max_width压缩图片
-            if (max_width && image.bitmap.width > max_width) {
-              image.resize(max_width, modules.JIMP.AUTO)
-            }
+    let field = {}
+    if (only){
+      _.split(only, ',').forEach(f => { field[f] = true })
+    }
+    if (except){
+      _.split(except, ',').forEach(f => { field[f] = false })
+    }
+    return field
+  },
 
-            // 根据quality压缩图片
-            image.quality(quality || 100)
+  /**
+   * 对数组的每个元素执行异步函数，最多同时执行limit个
+   * @param {Array} arr - 数组
+   * @param {number} limit - 最多同时执行的数量
+   * @param {Function} fn - 异步函数，参数为 (元素, index)
+   * @returns {Promise<Array>} 与arr一一对应的结果，任一失败时reject
+   */
+  async _mapLimit (arr, limit, fn) {
+    const results = new Array(arr.length)
+    let next = 0
+    const worker = async () => {
+      while (next < arr.length) {
+        const i = next++
+        results[i] = await fn(arr[i], i)
+      }
+    }
+    await Promise.all(Array.from({length: Math.max(1, Math.min(limit, arr.length))}, worker))
+    return results
+  },
 
-            // 写入文件
-            file_path = `${file_path}.${image_type}`
-            await image.writeAsync(file_path)
-            resolve(file_path)
+  /**
+   * 整理populate参数（见docs函数）
+   * @param {Object|null} populate - populate参数
+   * @param {string} by - 未指定by时使用的读取方式
+   * @returns {Object} {specs, error}
+   *   - {Array<Object>} specs - [{field, c, only, except, as, by}]
+   *   - {Object|null} error - populate参数不正确时为INVALID_PARAM错误对象，由调用者reject
+   */
+  _populateSpecs (populate, by = 'in') {
+    const _ = this
+    const specs = []
+    for (let [field, spec] of Object.entries(populate || {})) {
+      if (_.isString(spec)) {
+        spec = {c: spec}
+      }
+      if (!spec || !_.isString(spec.c)) {
+        return {specs: [], error: _.makeError('INVALID_PARAM', `populate：字段${field}必须指定集合名称c`)}
+      }
+      const as = spec.as || (field.endsWith('_id') ? field.slice(0, -3) : `${field}_doc`)
+      specs.push({field, c: spec.c, only: spec.only || '', except: spec.except || '', as, by: spec.by || by})
+    }
+    return {specs, error: null}
+  },
 
-          } else {
-            // 如果没有指定image_type，直接写入文件
-            FS.writeFileSync(file_path, body, 'binary')
-            resolve(file_path)
-          }
+  /**
+   * 在字段映射中加入populate的字段，否则only、except不包含这些字段时读取不到引用的文档
+   * @param {Object} field - 字段映射对象，见_makeField
+   * @param {Array<Object>} specs - _populateSpecs的结果
+   * @returns {Object} {field, extra}，extra为读取引用的文档后需要删除的字段（引用的文档保存在原字段时不删除）
+   */
+  _populateField (field, specs) {
+    const _ = this
+    const ret = _._includeFields(field, specs.map(spec => spec.field))
+    return {field: ret.field, extra: ret.extra.filter(k => !specs.some(spec => spec.as === k))}
+  },
 
-        })
+  /**
+   * 用$.in批量读取docs引用的文档，并附加到docs中（直接修改docs）
+   * @param {Array<Object>} docs - 文档列表
+   * @param {Array<Object>} specs - _populateSpecs的结果
+   * @param {Array<string>} extra - 附加后需要删除的字段，见_populateField
+   * @returns {Promise<Array<Object>>} 附加了引用文档的docs
+   */
+  _populate (docs, specs, extra = []) {
+    const _ = this
+    return Promise.all(specs.map(({field, c, only, except, as}) => {
+      const refs = docs.flatMap(d => [_.pickValue(d, field)].flat())
+      const ids = [...new Set(refs.filter(id => _.isString(id) && id !== ''))]
+      return _.getDocsByIds(c, ids, {only, except}).then(list => {
+        _._attachRefs(docs, field, as, new Map(ids.map((id, i) => [id, list[i]])))
+      })
+    })).then(() => {
+      _._removeFields(docs, extra)
+      return docs
+    })
+  },
 
+  /**
+   * 把聚合查询lookup阶段读取的文档（保存在_populate_i字段中）附加到docs中（直接修改docs）
+   * @param {Array<Object>} docs - 文档列表
+   * @param {Array<Object>} specs - 使用lookup读取的_populateSpecs，i为其中的序号
+   */
+  _attachLookups (docs, specs) {
+    const _ = this
+    specs.forEach(({field, only, except, as}, i) => {
+      const field_map = _._makeField(only, except)
+      for (const d of docs) {
+        const by_id = new Map((d[`_populate_${i}`] || []).map(r => [r._id, _._pickFields(r, field_map)]))
+        delete d[`_populate_${i}`]
+        _._attachRefs([d], field, as, by_id)
+      }
     })
+  },
 
+  /**
+   * 按字段中的id（或id数组）把引用的文档保存到as字段
+   * @param {Array<Object>} docs - 文档列表
+   * @param {string} field - 保存id的字段，支持点表示法
+   * @param {string} as - 保存引用文档的字段，支持点表示法
+   * @param {Map} by_id - {id: 文档}，文档不存在时没有此id或值为null
+   */
+  _attachRefs (docs, field, as, by_id) {
+    const _ = this
+    for (const d of docs) {
+      const v = _.pickValue(d, field)
+      const ref = _.isArray(v) ? v.map(id => by_id.get(id)).filter(r => r) : (by_id.get(v) ?? null)
+      _.putValue(d, as, ref, {remove_undefined: false})
+    }
   },
 
   /**
-   * 获取图片文件的类型，返回jpg、png等，如果不是图片则返回空字符串。
+   * 按_makeField生成的字段映射，返回文档中需要的字段
+   * @param {Object} d - 文档
+   * @param {Object} field - 字段映射对象，见_makeField
+   * @returns {Object} 新的文档（未指定only时为原文档）
+   */
+  _pickFields (d, field) {
+    const _ = this
+    const only = Object.keys(field).filter(k => field[k])
+    let r = d
+    if (only.length > 0) {
+      r = {_id: d._id}
+      only.filter(k => _.pickValue(d, k) !== undefined).forEach(k => _.putValue(r, k, _.pickValue(d, k)))
+    }
+    _._removeFields([r], Object.keys(field).filter(k => !field[k]))
+    return r
+  },
+
+  /**
+   * 分组聚合查询，分多次读取全部分组
    *
-   * @param {string} file_path - 图片文件的路径。
-   * @returns {Promise} 返回一个Promise对象，其结果为文件类型。例如：'jpg'、'png'等。
+   * @param {string} c - 集合名称
+   * @param {Object} match - 匹配条件
+   * @param {Object} group - group阶段的参数，如：{_id: '$status', count: $.sum(1)}
+   * @param {number} page_size - 每次读取的分组数量，默认为1000
+   * @returns {Promise<Array<Object>>} 按_id升序排列的全部分组，读取出错时reject DB_READ_FAILED错误
    *
    * 说明
-   *   1. 本函数依赖file-type库，可以通过`npm i --save file-type`安装。
-   *
-   * @example
-   *   utils.getImageFileType('/tmp/my_image.jpg')
-   *   console.log()
+   *   1. 分组的_id可能为null或不同类型，无法使用keyset分页，因此使用skip；每次读取都会重新分组。
    */
-  async getImageFileType (file_path) {
+  _groupAll (c, match, group, page_size = 1000) {
     const _ = this
-    const FileType = await import('file-type')
-    const file_stream = FS.createReadStream(file_path)
-    let file_type = await FileType.fileTypeFromStream(file_stream)
-    file_type = (file_type?.ext || '').toLowerCase()
-    return file_type
+    return new Promise(async (resolve, reject) => {
+      let result = []
+      let has_more = true
+      while (has_more) {
+        try {
+          const res = await _.agg(c).match(match).group(group).sort({_id: 1}).skip(result.length).limit(page_size).end()
+          result = result.concat(res.list)
+          has_more = res.list.length === page_size
+        } catch (e) {
+          reject(_._toError(e, 'DB_READ_FAILED', `统计集合${c}失败`))
+          return
+        }
+      }
+      resolve(result)
+    })
   },
 
   /**
-   * 下载图片到本地，上传到云存储，删除本地图片，并在all_file集合中插入数据。
-   * 保存在云端的路径为：`${app}/${c}/${doc_id}/${image_uuid}.${file_type}`
+   * 生成search函数的查询条件
+   * @param {string} keyword - 关键词，多个关键词用空格分隔
+   * @param {Array<string>} fields - 搜索的字段
+   * @param {boolean} use_index - 是否使用搜索索引（_search字段）
+   * @returns {Object|null} 查询条件，没有可搜索的关键词时为null
+   */
+  _searchMatch (keyword, fields, use_index) {
+    const _ = this
+    const $ = _.command()
+    const conds = []
+    for (const term of String(keyword ?? '').split(/\s+/).filter(t => t)) {
+      if (use_index) {
+        const tokens = _._searchTokens(term, {for_query: true})
+        if (tokens.length > 0) {
+          conds.push($.or(fields.map(f => ({[`_search.${f}`]: $.all(tokens)}))))
+        }
+      } else {
+        const regexp = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        conds.push($.or(fields.map(f => ({[f]: _._db().RegExp({regexp, options: 'i'})}))))
+      }
+    }
+    if (conds.length === 0) {
+      return null
+    }
+    return conds.length === 1 ? conds[0] : $.and(conds)
+  },
+
+  /**
+   * 把文本分词，用于搜索索引
+   * 中文（用isContainChinese判断）按单字和相邻的两个字分词，英文和数字按单词分词，都转为小写。
    *
-   * @param {string} app - 应用名称。
-   * @param {string} c - 集合名称。
-   * @param {string} doc_id - 文档ID。
-   * @param {string} url - 图片的URL。
-   * @param {Object} [options] - 可选参数，包含以下属性:
-   *   - {Object} modules - 模块，如JIMP模块。
-   *   - {string} _openid - 用户的openid。
-   *   - {number} max_size_m - 最大允许上传的文件大小，单位M，默认为10M。
-   *   - {string} image_type - 图片类型，如果指定，将转换图片格式。
-   *   - {number} quality - 图片质量，用于压缩图片。
-   *   - {number} max_width - 图片最大宽度，如果指定，将压缩图片。
-   * @returns {Promise} 如果操作成功，返回一个Promise对象，其结果为文件ID。如果操作失败，返回的Promise对象会被拒绝，并带有错误信息。
+   * @param {string} s - 文本
+   * @param {Object} options - 可选参数:
+   *   - {boolean} for_query - 是否为查询关键词分词。为true时两个字以上的中文只使用相邻的两个字，减少需要匹配的分词
+   * @returns {Array<string>} 不重复的分词
    *
-   * 注意：
-   *   1. 本函数依赖file-type库，可以通过`npm i --save file-type`安装。
-   *   2. 如果图片上传成功，已有fileID，但函数抛出异常，需要手动删除图片。
-   *   3. 执行完毕后会删除本地临时图片, 所以/tmp目录中没有文件
+   * @example
+   *   _searchTokens('周报Review') // ['周', '报', '周报', 'review']
    */
-  downImageAndUploadToCloud (app, c, doc_id, url,
-    {modules = null, _openid = null, max_size_m = 10, image_type = null, quality = null, max_width = null} = {}) {
+  _searchTokens (s, {for_query = false} = {}) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      _.downTempFile(url, {modules, image_type, quality, max_width})
-        .then(async file_path => {
-          // 图片成功下载到本地
-
-          const file_stream = FS.createReadStream(file_path) // 流只能被读取一次
-          const size_m = _.fileSizeM(file_path)
-          let file_type, file_name
-          const last = _.rpartition(file_path, '.')[2]
-
-          // file_path末尾是.jpg .webp等时，直接从file_path中获取文件类型
-          if (_.in(last, ALLOWED_IMAGE_TYPES)) {
-            file_type = last
-            file_name = _.rpartition(file_path, '/')[2]
-          } else {
-            file_type = await _.getImageFileType(file_path)
-            file_name = _.rpartition(file_path, '/')[2] + '.' + file_type
-          }
-
-          // file_type必须在ALLOWED_IMAGE_TYPES中
-          if (!_.in(file_type, ALLOWED_IMAGE_TYPES)) {
-            FS.unlinkSync(file_path)
-            reject({errno: 'downImageAndUploadToCloud Failed', errMsg: '文件类型不正确'})
-            return
-          }
-          const cloud_path = `${app}/${_._collName(c)}/${doc_id}/${file_name}`
-
-          // 图片大小超过限制
-          if (size_m > max_size_m) {
-            FS.unlinkSync(file_path)
-            reject({errno: 'downImageAndUploadToCloud Failed', errMsg: '图片大小超过限制'})
-            return
-          }
-
-          _._cloud().uploadFile({
-            cloudPath: cloud_path,
-            fileContent: file_stream,
-          })
-            .then(res => {
-              // 图片上传成功
-
-              if (res.statusCode === -1 || res.fileID) {
-
-                const file_id  = res.fileID
-                // 关联doc与fileID，确保删除doc时可删除图片文件
-                _.addFile({app, c, doc_id: doc_id, file_id, size_m, file_path: cloud_path})
-                  .then(() => {
-                    resolve({file_id})
-                  })
-                  .catch(e => {
-                    reject({errno: 'downImageAndUploadToCloud Failed 1', errMsg: '写入all_file失败', e})
-                  })
-
-              } else {
-                reject({errno: 'downImageAndUploadToCloud Failed 2', errMsg: res})
-              }
-            })
-            .catch(e => {
-              reject({errno: 'downImageAndUploadToCloud Failed 3', errMsg: e})
-            })
-            .finally(() => {
-              // 删除本地临时图片
-              FS.unlinkSync(file_path)
-            })
-
-        })
-    })
+    const tokens = new Set()
+    for (const run of String(s).toLowerCase().match(/[\u4e00-\u9fff]+|[a-z0-9]+/g) || []) {
+      if (!_.isContainChinese(run)) {
+        tokens.add(run)
+        continue
+      }
+      if (!for_query || run.length === 1) {
+        [...run].forEach(ch => tokens.add(ch))
+      }
+      for (let i = 0; i + 1 < run.length; i++) {
+        tokens.add(run.slice(i, i + 2))
+      }
+    }
+    return [...tokens]
   },
 
   /**
-   * 从网络上下载图片，上传到云存储，然后删除本地图片。不写all_file。
+   * 根据写入的数据生成搜索索引（见setCollConfig的search_keys）
    *
-   * @param {string} url - 图片的URL。
-   * @param {string} cloud_path - 云存储路径。
-   * @param {Object} [options] - 可选参数，包含以下属性:
-   *   - {Object} modules - 模块，如JIMP模块。
-   *   - {number} max_size_m - 最大允许上传的文件大小，单位M，默认为10M。
-   *   - {string} image_type - 图片类型，如果指定，将转换图片格式。
-   *   - {number} quality - 图片质量，用于压缩图片。
-   *   - {number} max_width - 图片最大宽度，如果指定，将压缩图片。
-   * @returns {Promise} 如果操作成功，返回一个Promise对象，其结果为文件ID。如果操作失败，返回的Promise对象会被拒绝，并带有错误信息。
+   * @param {Array<string>} keys - 需要索引的字段，支持点表示法
+   * @param {Object} d - 写入的数据
+   * @param {Object} options - 可选参数:
+   *   - {boolean} full - d是否为完整的文档。为false时只索引d中包含的字段（更新时不影响其他字段的索引）
+   * @returns {Object|null} {字段: 分词数组}，没有需要索引的字段时为null
    *
-   * 注意：
-   *   1. 本函数依赖file-type库，可以通过`npm i --save file-type`安装。
-   *   2. 本函数不会写入任何数据库，
-   *   3. 图片名称 cloud_path 需要自己指定 (开头无/)
-   *   4. 函数会在cloud_path后面添加文件后缀
+   * 说明
+   *   1. 字符串、数字、字符串数组会被索引；字段为null时索引为[]；数据库指令（如$.push）无法得知结果，不更新索引。
    */
-  downImageAndUploadToCloud_simple (url, cloud_path,
-    {modules = null, max_size_m = 10, image_type = null, quality = null, max_width = null} = {}) {
+  _searchIndex (keys, d, {full = false} = {}) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      _.downTempFile(url, {modules, image_type, quality, max_width})
-        .then(async file_path => {
-          // 图片成功下载到本地
-
-          const file_stream = FS.createReadStream(file_path)
-          const size_m = _.fileSizeM(file_path)
-
-          // file_path末尾是.jpg .webp等时，直接从file_path中获取文件类型
-          const last = _.rpartition(file_path, '.')[2]
-          if (_.in(last, ALLOWED_IMAGE_TYPES)) {
-            cloud_path = `${cloud_path}.${last}`
-          } else {
-            const file_type = await _.getImageFileType(file_path)
-            cloud_path = `${cloud_path}.${file_type}`
-          }
+    let index = null
+    for (const k of keys) {
+      let v = k in d ? d[k] : _.pickValue(d, k)
+      if (v === undefined && !full) {
+        continue
+      }
+      if (_.isArray(v) && v.every(i => _.isString(i))) {
+        v = v.join(' ')
+      }
+      if (!_.isNone(v) && !_.isString(v) && typeof v !== 'number') {
+        continue
+      }
+      index ??= {}
+      _.putValue(index, k, _.isNone(v) ? [] : _._searchTokens(String(v)))
+    }
+    return index
+  },
 
-          // 图片大小超过限制
-          if (size_m > max_size_m) {
-            FS.unlinkSync(file_path)
-            reject({errno: 'downImageAndUploadToCloud_simple Failed', errMsg: '图片大小超过限制'})
-            return
-          }
+  /**
+   * 读取并检查数据迁移列表（见runMigrations）
+   * @param {Array<Object>|null} migrations - 迁移列表，为null时读取MIGRATION_DIR目录中的迁移文件
+   * @returns {Array<Object>} 按序号排序的迁移列表
+   */
+  _loadMigrations (migrations) {
+    const _ = this
+    if (migrations === null) {
+      const files = _.fileExists(MIGRATION_DIR) ? FS.readdirSync(MIGRATION_DIR) : []
+      migrations = files.filter(f => /^\d+_.+\.js$/.test(f))
+        .map(f => ({name: f.slice(0, -3), ...require(`${MIGRATION_DIR}/${f}`)}))
+    }
+    const numbers = new Set()
+    for (const m of migrations) {
+      if (!/^\d+_/.test(m.name || '') || !_.isString(m.c) || !_.isFunction(m.up)) {
+        throw _.makeError('INVALID_PARAM', `数据迁移${m.name}不合法：name必须以序号开头，并且需要c和up`)
+      }
+      const n = parseInt(m.name)
+      if (numbers.has(n)) {
+        throw _.makeError('INVALID_PARAM', `数据迁移的序号${n}重复`)
+      }
+      numbers.add(n)
+    }
+    return [...migrations].sort((a, b) => parseInt(a.name) - parseInt(b.name))
+  },
 
-          _._cloud().uploadFile({
-            cloudPath: cloud_path,
-            fileContent: file_stream,
-          })
-            .then(res => {
-              // 图片上传成功
-              if (res.statusCode === -1 || res.fileID) {
-                resolve({file_id: res.fileID})
-              } else {
-                reject({errno: 'downImageAndUploadToCloud_simple Failed 1', errMsg: res})
-              }
-            })
-            .catch(e => {
-              reject({errno: 'downImageAndUploadToCloud_simple Failed 2', errMsg: e})
-            })
-            .finally(() => {
-              // 删除本地临时图片
-              FS.unlinkSync(file_path)
-            })
+  /**
+   * 读取当前环境中所有数据迁移的进度
+   * @returns {Promise<Object>} {迁移名称: 进度文档}
+   */
+  async _migrationRecords () {
+    const _ = this
+    const docs = await _.allDocs({c: MIGRATION_COLL})
+    return Object.fromEntries(docs.map(d => [d._id, d]))
+  },
 
+  /**
+   * 执行一个数据迁移的up或down，按_id分批处理，每批完成后记录进度
+   *
+   * @param {Object} m - 迁移
+   * @param {string} direction - 'up'或'down'
+   * @param {Object|undefined} record - 上次的进度，方向相同且未完成时从last_id之后继续
+   * @param {Object} options - dry_run、batch_size、concurrency、deadline（停止的时间戳，毫秒）
+   * @returns {Promise<Object>} {name, direction, scanned, changed, done, dry_run}
+   */
+  async _runMigration (m, direction, record, {dry_run, batch_size, concurrency, deadline}) {
+    const _ = this
+    const $ = _.command()
+    const running = direction === 'up' ? 'running' : 'reverting'
+    const resume = !dry_run && record?.status === running
+    let {last_id = null, scanned = 0, changed = 0, started = _.now()} = resume ? record : {}
+    const w = _.isFunction(m.w) ? m.w(_) : (m.w || {})
+    let done = false
+    try {
+      while (!done && Date.now() < deadline) {
+        const cond = last_id === null ? w : _.isEmpty(w) ? {_id: $.gt(last_id)} : $.and([w, {_id: $.gt(last_id)}])
+        const {data: docs} = await _.coll(m.c).where(cond).orderBy('_id', 'asc').limit(batch_size).get()
+        const changes = await _._mapLimit(docs, concurrency, async d => {
+          const data = await m[direction](d, _)
+          if (!_._migrationChanges(d, data)) {
+            return false
+          }
+          if (!dry_run) {
+            await _._doc(m.c, d._id).update({data: _.undefinedToRemove(data)})
+          }
+          return true
         })
+        scanned += docs.length
+        changed += changes.filter(i => i).length
+        last_id = docs.length > 0 ? docs.at(-1)._id : last_id
+        done = docs.length < batch_size
+        if (!dry_run) {
+          const status = done ? (direction === 'up' ? 'done' : 'reverted') : running
+          await _.setDoc(MIGRATION_COLL, m.name, {
+            c: m.c, status, direction, last_id, scanned, changed, started, updated: _.serverDate(), env_id: _.envId(),
+          })
+        }
+      }
+    } catch (e) {
+      throw _._toError(e, 'MIGRATION_FAILED', `数据迁移${m.name}执行${direction}失败`)
+    }
+    return {name: m.name, direction, scanned, changed, done, dry_run}
+  },
 
-    })
+  /**
+   * 判断迁移函数返回的数据是否会修改文档
+   * @param {Object} d - 文档
+   * @param {Object|null} data - up、down返回的数据
+   * @returns {boolean} 有字段与文档中的值不同（或为数据库指令）时返回true
+   */
+  _migrationChanges (d, data) {
+    const _ = this
+    if (_.isNone(data) || _.isEmpty(data)) {
+      return false
+    }
+    return Object.keys(data).some(k => _._isDbCommand(data[k]) || !_.isEqual(_.pickValue(d, k), data[k]))
   },
 
   /**
-   * 上传文件到云存储。不写all_file。
-   *
-   * @param {Object} options - 参数，包含以下属性:
-   *   - {string} file_path - 文件的本地路径。
-   *   - {string} app - 应用名称。
-   *   - {string} cloud_path - 云存储路径。
-   *   - {number} max_size_m - 最大允许上传的文件大小，单位M，默认为10M。
-   * @returns {Promise} 如果操作成功，返回一个Promise对象，其结果为文件ID。如果操作失败，返回的Promise对象会被拒绝，并带有错误信息。
-   *
-   * 注意：
-   *   1. 上传的文件无法保存_openid字段，因此无法判断是哪个用户上传的。
-   *   2. 文件最终会保存在云端的 ${app}/${cloud_path}
-   *   3. 这里上传的文件无法保存_openid字段，因此无法判断是哪个用户上传的
+   * 按_id顺序分页读取集合（实际名称，不添加p_前缀）中的全部文档
+   * @param {string} c - 集合的实际名称
+   * @param {Object} match - 查询条件
+   * @param {Function} fn - 处理每页文档的函数 async (docs) => {}
+   * @returns {Promise<void>} 读取出错时reject DB_READ_FAILED错误，fn出错时reject fn的错误
    */
-  uploadFileToCloud ({file_path, app, cloud_path, max_size_m = 10} = {}) {
+  async _eachRawPage (c, match, fn) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      // app不能为空，cloud_path不能以/开头
-      if (_.isEmpty(app)) {
-        reject({errno: 'uploadFileToCloud Failed', errMsg: `传入参数错误，app不能为空`})
-        return
+    const $ = _.command()
+    let last_id = null
+    while (true) {
+      const cond = last_id === null ? match : _.isEmpty(match) ? {_id: $.gt(last_id)} : $.and([match, {_id: $.gt(last_id)}])
+      let docs
+      try {
+        ({data: docs} = await _.coll(c, {raw: true}).where(cond).orderBy('_id', 'asc').limit(PAGE_SIZE).get())
+      } catch (e) {
+        throw _._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`)
       }
-      if (cloud_path.startsWith('/')) {
-        reject({errno: 'uploadFileToCloud Failed', errMsg: `传入参数错误，cloud_path不能以/开头。cloud_path:${cloud_path}`})
-        return
+      if (docs.length > 0) {
+        await fn(docs)
       }
-      // 判断文件是否存在
-      if (!_.fileExists(file_path)) {
-        reject({errno: 'uploadFileToCloud Failed', errMsg: `上传的文件不存在。file_path:${file_path}`})
+      if (docs.length < PAGE_SIZE) {
         return
       }
+      last_id = docs.at(-1)._id
+    }
+  },
 
-      // 判断文件大小是否超过max_size_m
-      const size_m = _.fileSizeM(file_path)
-      if (size_m > max_size_m) {
-        reject({errno: 'uploadFileToCloud Failed', errMsg: `上传的文件大小超过限制。file_path:${file_path}`})
-        return
+  /**
+   * 匿名化文档中的openid和手机号（见copyCollection的sanitize参数）
+   * @param {Object} d - 文档
+   * @returns {Object} 新的文档
+   */
+  _sanitizeDoc (d) {
+    const _ = this
+    const crypto = require('crypto') // 内置库
+    const walk = (v, key) => {
+      if (_.isString(v)) {
+        if (_.in(key, SANITIZE_OPENID_FIELDS)) {
+          return 'anon_' + crypto.createHash('sha256').update(v).digest('hex').slice(0, 24)
+        }
+        return _.isPhoneNumber(v) ? `${v.slice(0, 3)}****${v.slice(7)}` : v
       }
-
-      _._cloud().uploadFile({
-        cloudPath: `${app}/${cloud_path}`,
-        fileContent: FS.createReadStream(file_path),
-      })
-        .then(res => {
-          // 图片上传成功
-          if (res.statusCode === -1 || res.fileID) {
-            resolve({file_id: res.fileID})
-          } else {
-            reject({errno: 'uploadFileToCloud Failed 1', errMsg: res})
-          }
-        })
-        .catch(e => {
-          reject({errno: 'uploadFileToCloud Failed 2', errMsg: e})
-        })
-
-    })
-
+      if (_.isArray(v)) {
+        return v.map(i => walk(i, key))
+      }
+      if (_.isObject(v) && !(v instanceof Date)) {
+        return Object.fromEntries(Object.entries(v).map(([k, i]) => [k, walk(i, k)]))
+      }
+      return v
+    }
+    return walk(d, null)
   },
 
   /**
-   * 向微信服务器发起鉴黄请求，返回请求记录的_id（请求失败返回null）。
-   *
-   * @param {Object} options - 参数，包含以下属性:
-   *   - {string} appid - 发起鉴黄请求的appid。
-   *   - {string} _openid - 发起鉴黄请求的用户的openid，此用户需在近两小时访问过小程序。
-   *   - {string} image_url - 需要鉴黄的图片url，通过前端wx.cloud.CDN获得（而不是通过file_id获得）。
-   *   - {string} notice_name - 通知名称，接到通知时会执行 actions/name/{notice_name}.js 的Action。
-   *   - {Object} notice_data - 通知数据，MediaCheck Action会收到此数据。
-   *   - {number} scene - 场景值，1表示资料，2表示评论，3表示论坛，4表示社交日志，默认为1。
-   * @returns {Promise} 返回一个Promise对象，其结果为请求记录的_id（请求失败返回null）。
-   *
-   * 注意：
-   *   1. 需要在微信开发者工具中开启通知，让all_notice云函数能接到通知。
-   *   2. 需要在all_notice云函数中实现对应小程序的MediaCheck Action。
-   *   3. 通常来说调用此接口时app会有2个值，需要为dev和具体app分别实现Action。
-   *   4. 一定要确保图片已经上传到云存储并拿到了file_id。
-   *   5. 识别的文件大小不能超过10M（接口限制）。
-   *   6. 会向all_notice写一个记录，并返回此记录的_id（请求失败返回null）
-   *
-   * 等待鉴黄结果的all_notice为：
-   *     {
-   *       app       : 'draw',
-   *       name      : 'draw_project_image',
-   *       trace_id  : '鉴黄请求返回的的trace_id',
-   *       msg_id    : '', // 留空
-   *       status    : 'wait',
-   *       _openid   : '上传图片的用户openid',
-   *       created   : utils.serverDate(),
-   *       data: {
-   *         project_image_id: '',
-   *         file_id: '云存储中图片的file_id',
-   *       },
-   *     }
+   * 记录文档中每个字段（嵌套字段使用点表示法）的类型
+   * @param {Object} d - 文档或嵌套的对象
+   * @param {string} prefix - 字段名前缀，如：'info.'
+   * @param {Object} types - {字段: Set(类型)}，在此对象上修改
    */
-  async wxCheckImage ({appid, _openid, image_url, notice_name, notice_data, scene = 1} = {}) {
+  _collectFieldTypes (d, prefix, types) {
     const _ = this
-    const app = _.appName(appid)
-
-    _.assert(!_.isLocal(), 'wxCheckImage只能在正式环境中调用')
-    _.assert(!_.isAnyEmpty(appid, app, _openid, image_url, notice_name), 'utils.wxCheckImage Failed，参数必须全部不为空')
-
-    const check_data = {
-      media_url:    image_url,
-      media_type:   2,          // 2表示图片
-      version:      2,          // 当前版本号
-      openid:       _openid,
-      scene,
+    for (const [k, v] of Object.entries(d)) {
+      const field = prefix + k
+      const type = v === null ? 'null' : v instanceof Date ? 'date' : _.isArray(v) ? 'array' : typeof v
+      types[field] ??= new Set()
+      types[field].add(type)
+      if (type === 'object') {
+        _._collectFieldTypes(v, field + '.', types)
+      }
     }
+  },
 
-    // 发起鉴黄请求。拿到trace_id，用于后续查询鉴黄结果
-    const res = await _.callOpenApi({api_name: 'security.mediaCheckAsync', appid, data: check_data})
-    const trace_id = res.traceId // 文档中写的是trace_id，实际返回的是traceId
-
-    if (_.isEmpty(trace_id)) {
-      await _.logToColl('draw_user UploadImage trace_id is empty', {appid, _openid, image_url, notice_name})
-      return null
+  /**
+   * 把文档的嵌套字段展开为点表示法，用于导出CSV
+   * @param {Object} d - 文档
+   * @param {string} prefix - 字段名前缀
+   * @param {Object} out - 保存结果的对象
+   * @returns {Object} {字段: 值}，数组转换为JSON字符串，日期转换为'yyyy-MM-dd HH:mm:ss'
+   */
+  _flattenDoc (d, prefix = '', out = {}) {
+    const _ = this
+    for (const [k, v] of Object.entries(d)) {
+      if (v instanceof Date) {
+        out[prefix + k] = _.dateToString(v)
+      } else if (_.isArray(v)) {
+        out[prefix + k] = JSON.stringify(v)
+      } else if (_.isObject(v)) {
+        _._flattenDoc(v, `${prefix}${k}.`, out)
+      } else {
+        out[prefix + k] = v
+      }
     }
+    return out
+  },
 
-    const notice_doc = {
-      app,
-      action    : 'MediaCheck',
-      name      : notice_name,
-      trace_id,
-      msg_id    : '', // 等待通知没有msg_id
-      status    : 'wait',
-      _openid,
-      created   : _.serverDate(),
-      data      : notice_data,
+  /**
+   * 使用allDocs分页读取集合中的全部文档
+   * @param {string} c - 集合名称
+   * @param {Object} match - 匹配条件
+   * @param {Object} project - 返回的字段，见_makeField
+   * @param {Function} fn - 处理每页文档的函数 async (list) => {}
+   * @returns {Promise<number>} 文档数量
+   */
+  async _eachDocPage (c, match, project, fn) {
+    const _ = this
+    let count = 0
+    let cursor = ''
+    let has_more = true
+    while (has_more) {
+      const page = await _.allDocs({c, match, project, limit: PAGE_SIZE, cursor})
+      cursor = page.cursor
+      has_more = page.has_more
+      count += page.list.length
+      await fn(page.list)
     }
-
-    return await _.addDoc('all_notice', notice_doc)
-
+    return count
   },
 
-
-  /* === Promise === */
+  /**
+   * 把文档转换为jsonl的一行，日期保存为 {$date: ISO字符串}（_parseJsonlRows会还原为日期）
+   * @param {Object} d - 文档
+   * @returns {string} 以换行结尾的JSON字符串
+   */
+  _jsonlLine (d) {
+    // replacer收到的日期已经过toJSON转换为字符串，因此用this[k]判断原来的值
+    return JSON.stringify(d, function (k, v) { return this[k] instanceof Date ? {$date: v} : v }) + '\n'
+  },
 
   /**
-   * 等待并判断promise列表是否全部成功。只关心是否全部成功, 不关心返回值。
-   * 
-   * @param {Array<Promise>} promises - Promise列表
-   * @returns {Promise<boolean>} 返回一个Promise，当所有Promise都成功时，返回 `true`；否则，返回 `false`。
-   * 
-   * @example
-   *   const success = await utils.allResolved([p1, p2, p3]) // 等待并判断promise列表是否全部成功
+   * 下载云存储中的文本文件，扩展名为.gz时先解压
+   * @param {string} file_id - 文件的云存储ID
+   * @returns {Promise<string>} 文件内容（去掉BOM），下载失败时reject FILE_FAILED错误
    */
-  allResolved (promises) {
+  async _downloadText (file_id) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      Promise.all(promises)
-        .then(() => {
-          resolve(true)
-        })
-        .catch(e => {
-          resolve(false)
-        })
-    })
+    const zlib = require('zlib') // 内置库
+    let content
+    try {
+      content = (await _._cloud().downloadFile({fileID: file_id})).fileContent
+    } catch (e) {
+      throw _.makeError('FILE_FAILED', `下载文件失败。file_id:${file_id}`, {cause: e})
+    }
+    if (file_id.endsWith('.gz')) {
+      content = zlib.gunzipSync(content)
+    }
+    return content.toString('utf8').replace(/^\uFEFF/, '')
   },
 
   /**
-   * 把Array转换成Promise列表，并等待全部完成。
-   * 当你有一个组数列表，你需要对每个元素执行相同的异步操作，然后等待所有操作完成时，可以使用此函数。
-   * 
-   * @param {Array<any>} arr - 需要转换的数组
-   * @param {function} pro_func - 函数，接收两个参数，分别是arr数组的元素和index, 返回一个promise
-   * @returns {Promise<boolean>} 返回一个Promise，当所有Promise都成功时，返回 `true`；否则，返回 `false`。
-   * 
-   * @example
-   *   // 把Array转换成Promise列表，并等待全部完成
-   *   utils.awaitAll([1,2,3], (v, i) => {
-   *     return new Promise((resolve, reject) => {
-   *       setTimeout(() => {
-   *         console.log(v)
-   *         resolve()
-   *       }, 1000)
-   *     })
-   *   })
-   *   // 上面代码中，先把数组[1,2,3]转换成Promise列表，然后等待全部完成
+   * 转换为CSV的单元格，包含逗号、引号或换行时加上引号
+   * @param {*} v - 值，null和undefined为空的单元格
+   * @returns {string} 单元格文本
    */
-  awaitAll (arr, pro_func) {
+  _csvCell (v) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      _.allResolved(arr.map(pro_func)).then(resolve).catch(reject)
-    })
+    const s = _.isNone(v) ? '' : String(v)
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
   },
 
-
-  /* === admin管理员 === */
-
   /**
-   * 判断是否为管理员。
-   *
-   * @param {string} [openid] - 待检查的openid，默认为当前用户的openid。
-   * @returns {Promise} 返回一个Promise对象，如果openid对应的用户是管理员，其结果为true，否则为false。
+   * 解析jsonl文本，{$date: ISO字符串}还原为日期
+   * @param {string} text - 文件内容
+   * @returns {Array<Object>} [{row, doc}]，解析出错的行为 [{row, error}]，空行被忽略
    */
-  isAdmin (openid = null) {
-    const _ = this
-    return new Promise((resolve, reject) => {
-      if (openid === null) {
-        openid = _.openid()
+  _parseJsonlRows (text) {
+    const rows = []
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (line.trim() === '') {
+        return
+      }
+      try {
+        const doc = JSON.parse(line, (k, v) => v && typeof v === 'object' && Object.keys(v).length === 1 && typeof v.$date === 'string' ? new Date(v.$date) : v)
+        rows.push(doc && typeof doc === 'object' && !Array.isArray(doc) ? {row: i + 1, doc} : {row: i + 1, error: '不是JSON对象'})
+      } catch (e) {
+        rows.push({row: i + 1, error: `JSON格式错误：${e.message}`})
       }
-      _.assert(openid, 'openid不能为空')
-      _.getOne('all_setting', {app: 'all', key: 'admin_users'})
-        .then(setting => {
-          if (setting?.value?.admins) {
-            resolve(setting.value.admins.includes(openid))
-          } else {
-            resolve(false)
-          }
-        })
-        .catch(reject)
     })
+    return rows
   },
 
   /**
-   * 设置应用设置。
-   *
-   * @param {string} app - 应用名称。
-   * @param {string} key - 设置的键。
-   * @param {*} value - 设置的值。
-   * @param {Object} [options] - 可选参数，包含以下属性:
-   *   - {string} [name='default'] - 设置的名称，默认为'default'。
+   * 解析CSV文本（第一行为表头）
+   * @param {string} text - 文件内容
+   * @returns {Array<Object>} [{row, doc}]，row为行号，点表示法的列转换为嵌套字段，空的单元格不包含在doc中
    */
-  setAppSetting (app, key, value, { name = 'default' } = {}) {
+  _parseCsvRows (text) {
     const _ = this
-    const c = 'app_setting'
-    _.getOne(c, {app, name})
-      .then(doc => {
-        if (doc) {
-          _.updateDoc(c, doc._id, {[key]: value})
+    // 按RFC 4180解析为二维数组，引号中可以包含逗号、换行，两个引号表示一个引号
+    const records = []
+    let record = []
+    let cell = ''
+    let quoted = false
+    let line = 1
+    let start_line = 1
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i]
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          cell += '"'
+          i++
+        } else if (ch === '"') {
+          quoted = false
         } else {
-          _.addDoc(c, {app, name, [key]: value})
+          line += ch === '\n' ? 1 : 0
+          cell += ch
         }
-      })
-  },
+      } else if (ch === '"') {
+        quoted = true
+      } else if (ch === ',') {
+        record.push(cell)
+        cell = ''
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') {
+          i++
+        }
+        record.push(cell)
+        records.push({line: start_line, cells: record})
+        record = []
+        cell = ''
+        start_line = ++line
+      } else {
+        cell += ch
+      }
+    }
+    if (cell !== '' || record.length > 0) {
+      record.push(cell)
+      records.push({line: start_line, cells: record})
+    }
 
-  /**
-   * 向应用设置中添加一个值。
-   *
-   * @param {string} app - 应用名称。
-   * @param {string} key - 设置的键。
-   * @param {*} value - 设置的值。
-   * @param {Object} [options] - 可选参数，包含以下属性:
-   *   - {string} [name='default'] - 设置的名称，默认为'default'。
-   */
-  pushAppSetting (app, key, value, { name = 'default' } = {}) {
-    const _ = this
-    const $ = _.command()
-    const c = 'app_setting'
-    _.getOne(c, {app, name})
-      .then(doc => {
-        if (doc) {
-          _.updateDoc(c, doc._id, {[key]: $.push(value)})
-        } else {
-          _.addDoc(c, {app, name, [key]: [value]})
+    const [header, ...body] = records.filter(r => r.cells.some(v => v !== ''))
+    if (!header) {
+      return []
+    }
+    return body.map(({line, cells}) => {
+      const doc = {}
+      header.cells.forEach((k, j) => {
+        let v = cells[j] ?? ''
+        if (v === '' || k === '') {
+          return
+        }
+        if (/^[[{]/.test(v)) {
+          try {
+            v = JSON.parse(v)
+          } catch (e) {} // 不是JSON时保留字符串
         }
+        _.putValue(doc, k, v)
       })
+      return {row: line, doc}
+    })
   },
 
   /**
-   * 获取应用设置的值。
-   *
-   * @param {string} app - 应用名称。
-   * @param {string} key - 设置的键。
-   * @param {Object} [options] - 可选参数，包含以下属性:
-   *   - {string} [name='default'] - 设置的名称，默认为'default'。
-   * @returns {Promise} 返回一个Promise对象，其结果为应用设置的值，如果没有找到对应的设置，其结果为null。
-   *
-   * 调用次数
-   *   云端的getAppSetting不会利用缓存，每次消耗一次调用次数
+   * 合并两个查询条件。都是普通对象时展开合并，否则使用$.and
+   * SDK的命令对象（如$.or）是类的实例，展开后会变成普通对象，查询不到任何文档，因此不能写 {...w, _openid}
+   * @param {Object} w - 查询条件，可以是命令对象
+   * @param {Object} extra - 需要同时满足的条件，可以是命令对象
+   * @returns {Object} 合并后的查询条件
    */
-  getAppSetting (app, key, { name = 'default' } = {}) {
+  _andWhere (w, extra) {
     const _ = this
-    const c = 'app_setting'
-    return new Promise((resolve, reject) => {
-      _.getOne(c, {app, name})
-        .then(doc => {
-          if (doc) {
-            resolve(doc[key])
-          } else {
-            resolve(null)
-          }
-        })
-        .catch(reject)
-    })
+    if (_.isEmpty(extra)) {
+      return w
+    }
+    if (_.isEmpty(w)) {
+      return extra
+    }
+    if (_._isDbCommand(w) || _._isDbCommand(extra)) {
+      return _.command().and([w, extra])
+    }
+    return {...w, ...extra}
   },
 
-
-  // === 字符串签名 ===
-
   /**
-   * 使用secret_key config签名。
-   * 需先在云函数的config.json中添加booster_secret_key_alterable字符串。
-   * 这里的alterable表示此key可以随时修改，数据库中不会保存此key生成的签名。
-   *
-   * @param {string} data_str - 待签名的数据字符串。
-   * @returns {string} 返回签名结果。
+   * 给查询条件加上只读写当前用户的数据的条件
+   * @param {Object} w - 查询条件，可以是命令对象
+   * @param {boolean} mine - 是否只读写当前用户的数据
+   * @returns {Object} 查询条件
    */
-  alterableSign (data_str) {
+  _mineWhere (w, mine) {
     const _ = this
-    const crypto = require('crypto') // 内置库
-    const secret_key = _.getConfig('booster_secret_key_alterable')
-    if (!secret_key) {
-      throw new Error('请在config中添加booster_secret_key_alterable字符串')
-    }
-    return crypto.createHmac('sha256', secret_key).update(data_str).digest('hex')
+    return mine ? _._andWhere(w, {_openid: _.openid()}) : w
   },
 
   /**
-   * 验证数据签名。
-   *
-   * @param {string} data_str - 待验证的数据字符串。
-   * @param {string} sign - 待验证的签名。
-   * @returns {boolean} 如果签名验证成功，返回true，否则返回false。
+   * 生成事务中使用的读写函数，见transaction
+   * @param {Object} transaction - runTransaction的transaction对象
+   * @returns {Object} {getDoc, addDoc, updateDoc, setDoc, removeDoc}
    */
-  verifyAlterableSign (data_str, sign) {
+  _transactionApi (transaction) {
     const _ = this
-    return _.alterableSign(data_str) === sign    
+    const doc = (c, id) => _.coll(c, {transaction}).doc(id)
+    const check = (c, d, options) => {
+      const {doc, error} = _._applySchema(c, d, options)
+      if (error) {
+        throw error
+      }
+      return doc
+    }
+    const t = {
+      async getDoc (c, id) {
+        try {
+          const {data} = await doc(c, id).get()
+          return data ?? null
+        } catch (e) {
+          // 文档不存在时doc().get()会抛出异常
+          if (/not exist/.test(e.errMsg ?? e.message ?? '')) {
+            return null
+          }
+          throw e
+        }
+      },
+      async addDoc (c, d) {
+        d = check(c, d)
+        const {_id} = await _.coll(c, {transaction}).add({data: _._stampDoc(c, d, 'create')})
+        return _id
+      },
+      async updateDoc (c, id, {_id, _rev, ...d}) {
+        check(c, d, {partial: true})
+        const {stats} = await doc(c, id).update({data: _._stampDoc(c, d, 'update')})
+        return stats.updated > 0
+      },
+      async setDoc (c, id, {_id, _rev, ...d}) {
+        d = check(c, d)
+        // set不能使用$.inc，开启versioned时按事务中读到的版本号加1；开启timestamps、track_user时保留created、created_by
+        const {versioned} = _.getCollConfig(c)
+        const keys = _._createdKeys(c)
+        const old = versioned || keys.length > 0 ? await t.getDoc(c, id) : null
+        const rev = versioned ? (old?._rev ?? 0) : null
+        const data = keys.length > 0 && !old ? _._stampDoc(c, d, 'create', {rev}) : _._stampDoc(c, {..._.pickObj(old ?? {}, keys), ...d}, 'update', {rev})
+        const {stats} = await doc(c, id).set({data})
+        return {created: stats.created === 1, updated: stats.updated === 1}
+      },
+      async removeDoc (c, id) {
+        if (_.getCollConfig(c).soft_delete) {
+          const old = await t.getDoc(c, id)
+          if (!old) {
+            return false
+          }
+          const {_id, ...data} = old
+          await doc(`${c}_trash`, id).set({data: {...data, deleted: _.serverDate(), deleted_by: _.openid() || null, owner_openid: data._openid ?? null}})
+        }
+        const {stats} = await doc(c, id).remove()
+        return stats.removed > 0
+      },
+    }
+    return t
   },
 
   /**
-   * 使用手机号数据签名。
-   * 传入数据格式：{country_code, phone_number, timestamp}
+   * 软删除：把匹配的文档移动到回收站集合（集合名_trash），见setCollConfig的soft_delete
    *
-   * @param {Object} data - 待签名的数据，包含以下属性:
-   *   - {string} country_code - 国家代码。
-   *   - {string} pure_phone_number - 纯手机号，不包含国家代码。
-   *   - {number} timestamp - 时间戳。
-   * @returns {string} 返回签名结果。
+   * @param {string} c - 集合名称
+   * @param {Object} w - 匹配被删除文档的条件
+   * @returns {Promise<Object>} {stats: {removed}}，与collection.remove的返回值格式相同
+   *
+   * 说明
+   *   1. 先写入回收站再删除，删除失败时回收站中会多出文档，但不会丢失数据。
+   *   2. 每次最多移动PAGE_SIZE条，每批消耗4次调用次数。
    */
-  signPhoneNumber (data) {
+  async _softRemove (c, w) {
     const _ = this
-    // 传入的三个参数都不能为空
-    _.assert(!_.isEmpty(data.country_code), 'country_code不能为空')
-    _.assert(!_.isEmpty(data.pure_phone_number), 'pure_phone_number不能为空')
-    _.assert(!_.isEmpty(data.timestamp), 'timestamp不能为空')
-    const data_str = `${data.country_code}${data.pure_phone_number}${data.timestamp}`
-    return _.alterableSign(data_str)
+    const $ = _.command()
+    const trash = `${c}_trash`
+    let removed = 0
+    while (true) {
+      const {data} = await _.coll(c).where(w).limit(PAGE_SIZE).get()
+      if (data.length === 0) {
+        break
+      }
+      const ids = data.map(d => d._id)
+      const deleted_by = _.openid() || null
+      // 使用原来的_id，便于恢复。删除后又恢复过的文档，回收站中可能还有同_id的旧数据
+      await _.coll(trash).where({_id: $.in(ids)}).remove()
+      await _.coll(trash).add({data: data.map(d => ({...d, deleted: _.serverDate(), deleted_by, owner_openid: d._openid ?? null}))})
+      const res = await _.coll(c).where(_._andWhere(w, {_id: $.in(ids)})).remove()
+      removed += res.stats.removed
+      if (data.length < PAGE_SIZE || res.stats.removed === 0) {
+        break
+      }
+    }
+    return {stats: {removed}}
   },
 
   /**
-   * 验证手机号数据签名。
-   * data格式：{country_code, pure_phone_number, timestamp, phone_sign}
-   * 当前时间超过data.timestamp+time_diff时，返回false。
-   *
-   * @param {Object} data - 待验证的数据，包含以下属性:
-   *   - {string} country_code - 国家代码。
-   *   - {string} pure_phone_number - 纯手机号，不包含国家代码。
-   *   - {number} timestamp - 时间戳。
-   *   - {string} phone_sign - 手机号数据签名。
-   * @param {number} time_diff - 允许的时间偏差，单位为秒。
-   * @returns {boolean} 如果签名验证成功且当前时间未超过timestamp+time_diff，返回true，否则返回false。
+   * 按集合配置为写入的数据添加时间、用户字段，见setCollConfig
+   * @param {string} c - 集合名称
+   * @param {Object} d - 写入的数据
+   * @param {string} op - 'create'表示新增，'update'表示更新（包括setDoc）
+   * @param {Object} options - 可选参数:
+   *   - {number|null} rev - 期望的版本号，不为null时把_rev设置为rev+1（即使集合未开启versioned）
+   * @returns {Object} 添加字段后的数据（不修改d）
    */
-  verifyPhoneNumber (data, time_diff) {
+  _stampDoc (c, d, op, {rev = null} = {}) {
     const _ = this
-    const sign = _.signPhoneNumber(data)
-    _.assert(_.isPositiveInt(time_diff), 'time_diff错误')
-    // 当前时间超过timestamp+time_diff时，返回false
-    if (_.timestampSeconds() > data.timestamp + time_diff )  {
-      return false
-    } else {
-      return sign === data.phone_sign
+    const {timestamps, track_user, versioned, search_keys} = _.getCollConfig(c)
+    if (!timestamps && !track_user && !versioned && _.isEmpty(search_keys) && rev === null) {
+      return d
+    }
+    const ret = {...d}
+    const index = _.isEmpty(search_keys) ? null : _._searchIndex(search_keys, d)
+    if (index) {
+      ret._search = index
+    }
+    if (versioned || rev !== null) {
+      if (op === 'create') {
+        ret._rev = 1
+      } else {
+        ret._rev = rev === null ? _.command().inc(1) : rev + 1
+      }
+    }
+    if (timestamps) {
+      const now = _.serverDate()
+      if (op === 'create') {
+        ret.created = now
+      }
+      ret.updated = now
     }
+    const openid = track_user ? _.openid() : null
+    if (!_.isEmpty(openid)) {
+      if (op === 'create') {
+        ret.created_by = openid
+      }
+      ret.updated_by = openid
+    }
+    return ret
   },
 
-
-  /* === 私有辅助 === */
-
-  /* 是否在微信开发者工具中运行
-  */
-  _is_local: null,
-
   /**
-   * 获取云函数的名称
-   * @returns {string} 返回云函数的名称
+   * setDoc替换文档时需要保留的字段：开启timestamps时为created，开启track_user时为created_by
+   * @param {string} c - 集合名称
+   * @returns {Array<string>} 字段名列表
    */
-  _cloudFuncName () {
-    return CONFIG["booster_func_name"]
+  _createdKeys (c) {
+    const {timestamps, track_user} = this.getCollConfig(c)
+    return [...(timestamps ? ['created'] : []), ...(track_user ? ['created_by'] : [])]
   },
 
   /**
-   * 返回数据库访问对象
-   * 
-   * @returns {Object} 数据库访问对象
+   * 为setDoc替换的数据添加时间、用户字段
+   * 文档已存在时保留原来的created、created_by（d中传入时使用d中的值），不存在时按新增添加。集合未开启timestamps、track_user时不读取文档。
+   * @param {string} c - 集合名称
+   * @param {string} id - 文档ID
+   * @param {Object} d - 新的文档数据
+   * @param {Object} options - 可选参数:
+   *   - {boolean} mine - 读取时是否只读取当前用户（_.openid()）的文档
+   * @returns {Promise<Object>} 添加字段后的数据
    */
-  _db () {
-    return DB
+  async _stampSet (c, id, d, {mine = false} = {}) {
+    const _ = this
+    const keys = _._createdKeys(c)
+    if (keys.length === 0) {
+      return _._stampDoc(c, d, 'update')
+    }
+    const {data: [old]} = await _.coll(c)
+      .where(_._mineWhere({_id: id}, mine))
+      .field(Object.fromEntries(keys.map(k => [k, true])))
+      .get()
+    return old ? _._stampDoc(c, {..._.pickObj(old, keys), ...d}, 'update') : _._stampDoc(c, d, 'create')
   },
 
   /**
-   * 生产环境下给集合名称添加p_前缀(all_前缀的集合除外)
-   * 
-   * @param {string} c - 集合名
-   * @returns {string} 添加前缀后的集合名
+   * 期望版本号对应的_rev查询条件（开启versioned之前的旧文档没有_rev，视为版本0）
+   * @param {number} rev - 期望的版本号
+   * @returns {number|Object} 查询条件
    */
-  _collName (c) {
-    if( !this.isLocal() && !c.startsWith('all_') ) {
-      c = 'p_' + c
-    }
-    return c
+  _revCondition (rev) {
+    return rev === 0 ? this.command().exists(false) : rev
   },
 
   /**
-   * 获取云服务对象
-   * @returns {Cloud} 返回云服务对象
+   * 按版本号更新失败后，读取当前版本号并生成REV_CONFLICT错误
+   * @param {string} c - 集合名称
+   * @param {string} id - 文档ID
+   * @param {number} rev - 期望的版本号
+   * @param {Object} w - 额外的查询条件，如mine条件
+   * @returns {Promise<Object|null>} REV_CONFLICT错误对象，文档不存在时为null
    */
-  _cloud () {
-    return CLOUD
+  async _revConflict (c, id, rev, w = {}) {
+    const _ = this
+    const {data} = await _.coll(c).where({...w, _id: id}).field({_rev: true}).get()
+    if (data.length === 0) {
+      return null
+    }
+    const current_rev = data[0]._rev ?? 0
+    return _.makeError('REV_CONFLICT', `集合${c}中的文档${id}已被修改（期望版本${rev}，当前版本${current_rev}）`, {_id: id, current_rev})
   },
 
   /**
-   * 获取指定集合中的一个文档
+   * 按版本号替换文档，见setDoc的rev参数
+   * 文档已存在时使用带_rev条件的update（d中没有的字段用$.remove()删除，对象字段用$.set()整体替换），保证比较与写入是原子的。
+   * 文档不存在时使用add创建，同时创建时后写入的因_id重复而失败（REV_CONFLICT），不会覆盖先写入的文档。
+   *
    * @param {string} c - 集合名称
    * @param {string} id - 文档ID
-   * @returns {DocumentReference} 返回指向指定集合中的一个文档的引用
+   * @param {Object} d - 新的文档数据（已经过校验）
+   * @param {number|null} rev - 期望的版本号，为null时使用读取到的当前版本号
+   * @param {Object} options - 可选参数:
+   *   - {boolean} mine - 是否只读写当前用户（_.openid()）的文档
+   * @returns {Promise<Object>} {created, updated}，同setDoc
    */
-  _doc (c, id) {
-    return this.coll(c).doc(id)
+  async _setDocWithRev (c, id, {_id, _openid, _rev, ...d}, rev, {mine = false} = {}) {
+    const _ = this
+    const $ = _.command()
+    const w = _._mineWhere({_id: id}, mine)
+    const {data: [old]} = await _.coll(c).where(w).get()
+    const current_rev = old ? (old._rev ?? 0) : 0
+    if (rev === null) {
+      rev = current_rev
+    }
+    if (rev !== current_rev) {
+      throw _.makeError('REV_CONFLICT', `集合${c}中的文档${id}已被修改（期望版本${rev}，当前版本${current_rev}）`, {_id: id, current_rev})
+    }
+    if (!old) {
+      try {
+        await _.coll(c).add({data: {..._._stampDoc(c, d, 'create'), _id: id}})
+      } catch (e) {
+        throw (await _._revConflict(c, id, rev, w)) ?? e
+      }
+      return {created: true, updated: false}
+    }
+    const data = {}
+    for (const k in old) {
+      if (!_.in(k, ['_id', '_openid', '_rev', ..._._createdKeys(c)]) && d[k] === undefined) {
+        data[k] = $.remove()
+      }
+    }
+    for (const k in d) {
+      if (d[k] !== undefined) {
+        data[k] = _.isObject(d[k]) && !_._isDbCommand(d[k]) ? $.set(d[k]) : d[k]
+      }
+    }
+    const res = await _.coll(c)
+      .where({...w, _rev: _._revCondition(rev)})
+      .update({data: _._stampDoc(c, data, 'update', {rev})})
+    if (res.stats.updated === 0) {
+      throw (await _._revConflict(c, id, rev, w)) ?? _.makeError('REV_CONFLICT', `集合${c}中的文档${id}已被删除`, {_id: id, current_rev: null})
+    }
+    return {created: false, updated: true}
   },
 
   /**
-   * 用于创建数据查询需要返回或排除的字段
-   * 
-   * only和except是用逗号分隔的字符串，如：'_id, content'。
-   * 
-   * @param {string} [only=''] - 需要返回的字段，多个字段用逗号分隔
-   * @param {string} [except=''] - 需要排除的字段，多个字段用逗号分隔
-   * @returns {Object} 字段映射对象，需要返回的字段值为true，需要排除的字段值为false
+   * 写入前按schema填充默认值并校验
+   * @param {string} c - 集合名称
+   * @param {Object} d - 写入的数据
+   * @param {Object} options - 可选参数:
+   *   - {boolean} partial - 是否为更新（只校验d中的字段，不填充默认值）
+   * @returns {Object} {doc, error}，doc为填充默认值后的数据，error为VALIDATION_FAILED错误对象或null
    */
-  _makeField(only = '', except = '') {
+  _applySchema (c, d, {partial = false} = {}) {
     const _ = this
-    let field = {}
-    if (only){
-      _.split(only, ',').forEach(f => { field[f] = true })
+    const schema = _.getSchema(c)
+    if (!schema) {
+      return {doc: d, error: null}
     }
-    if (except){
-      _.split(except, ',').forEach(f => { field[f] = false })
+    const doc = partial ? d : {...d}
+    if (!partial) {
+      for (const f in schema.fields) {
+        const rule = schema.fields[f]
+        if (rule.default !== undefined && _._isBlank(_.pickValue(doc, f))) {
+          const value = _.isFunction(rule.default) ? rule.default() : _.deepCopy(rule.default)
+          _.putValue(doc, f, value)
+        }
+      }
     }
-    return field
+    const errors = _.validateDoc(c, doc, {partial})
+    if (errors.length === 0) {
+      return {doc, error: null}
+    }
+    const msg = `集合${c}的数据不合法：${errors.map(e => e.msg).join('；')}`
+    return {doc, error: _.makeError('VALIDATION_FAILED', msg, {errors})}
   },
 
   /**
-   * 把order_by参数转换为云数据库需要的格式
-   * 
-   * 若order_by是字符串，则视为按此字段升序排序，返回 {[order_by]: 'asc'}；
-   * 若order_by是对象，则value可以是asc, desc, 1, -1, true, false。
-   * 
-   * @param {string|Object} order_by - 排序参数
-   * @returns {Object} 转换后的排序对象
-   * @throws {Error} 当order_by不是字符串或对象时抛出错误
+   * 按规则校验一个字段
+   * @param {string} f - 字段名
+   * @param {*} v - 字段值
+   * @param {Object} rule - 字段规则，见defineSchema
+   * @returns {Object|null} 错误 {field, rule, msg}，校验通过时返回null
    */
-  _prepareOrderBy (order_by) {
+  _checkField (f, v, rule) {
     const _ = this
-    if (_.isString(order_by)) {
-      return {[order_by]: 'asc'}
-    } else if(_.isObject(order_by)) {
-      const ret = {}
-      for (let k in order_by) {
-        ret[k] = _.in(order_by[k], ['asc', 1, true]) ? 'asc' : 'desc'
-      }
-      return ret
-    } else {
-      // 抛出异常
-      throw new Error(`order_by must be string or object, but got ${order_by}`)
+    const label = rule.label ?? f
+    const fail = (name, msg) => ({field: f, rule: name, msg: rule.msg ?? msg})
+
+    if (_._isBlank(v)) {
+      return rule.required ? fail('required', `${label}不能为空`) : null
     }
+    // 数据库指令、serverDate在写入时才能确定值
+    if (_._isDbCommand(v)) {
+      return null
+    }
+
+    const {type, min_length, max_length, min, max, validator} = rule
+    const type_ok = {
+      string : () => _.isString(v),
+      number : () => typeof v === 'number' && !isNaN(v),
+      boolean: () => _.isBoolean(v),
+      date   : () => v instanceof Date,
+      array  : () => _.isArray(v),
+      object : () => _.isObject(v),
+      id     : () => _.isID(v),
+    }
+    if (type && !type_ok[type]()) {
+      return fail('type', `${label}必须是${SCHEMA_TYPES[type]}`)
+    }
+    if (rule.enum && !rule.enum.some(i => _.isEqual(i, v))) {
+      return fail('enum', `${label}必须是以下值之一：${rule.enum.join('、')}`)
+    }
+    if (max_length !== undefined && v.length > max_length) {
+      return fail('max_length', `${label}的长度不能超过${max_length}`)
+    }
+    if (min_length !== undefined && v.length < min_length) {
+      return fail('min_length', `${label}的长度不能少于${min_length}`)
+    }
+    if (max !== undefined && v > max) {
+      return fail('max', `${label}不能大于${max}`)
+    }
+    if (min !== undefined && v < min) {
+      return fail('min', `${label}不能小于${min}`)
+    }
+    if (validator && !(_.isFunction(validator) ? validator(v) : _[validator](v))) {
+      return fail('validator', `${label}的格式不正确`)
+    }
+    return null
+  },
+
+  /**
+   * 判断值是否视为未填写（null、undefined、空字符串）
+   * @param {*} v - 字段值
+   * @returns {boolean} 是否未填写
+   */
+  _isBlank (v) {
+    return v === undefined || v === null || v === ''
+  },
+
+  /**
+   * 判断值是否为数据库指令（如 $.inc(1)）或serverDate()
+   * @param {*} v - 字段值
+   * @returns {boolean} 是否为数据库指令
+   */
+  _isDbCommand (v) {
+    return this.isObject(v) && v._internalType !== undefined
   },
 
   /**
@@ -3839,10 +6366,134 @@ const utils = {
     }
   },
 
+  /**
+   * 生成keyset分页的排序规则，末尾自动添加_id，保证排序结果唯一
+   * @param {Object} sort - _prepareSort返回的排序对象，如：{rank: -1}
+   * @returns {Array} 排序规则列表，如：[['rank', -1], ['_id', 1]]
+   */
+  _keysetOrder (sort) {
+    const order = Object.entries(sort)
+    if (!order.some(([k]) => k === '_id')) {
+      order.push(['_id', 1])
+    }
+    return order
+  },
+
+  /**
+   * 获取文档中排序字段的值，用于生成下一页的查询条件
+   * @param {Array} order - _keysetOrder的返回值
+   * @param {Object} doc - 当前页的最后一个文档
+   * @returns {Array|null} 排序字段的值，有字段不存在（或为null）时返回null，表示下一页只能使用skip读取
+   */
+  _keysetValues (order, doc) {
+    const _ = this
+    const values = order.map(([k]) => _.pickValue(doc, k))
+    return values.some(v => v === undefined || v === null) ? null : values
+  },
+
+  /**
+   * 生成keyset分页的查询条件：按order排序时，位于values所在文档之后的文档
+   * @param {Array} order - _keysetOrder的返回值
+   * @param {Array} values - _keysetValues的返回值
+   * @returns {Object} 查询条件，如：{rank: $.lt(5)} 或 $.or([{rank: $.lt(5)}, {rank: $.eq(5), _id: $.gt('xxx')}])
+   */
+  _keysetMatch (order, values) {
+    const _ = this
+    const $ = _.command()
+    const conds = order.map(([k, dir], i) => {
+      const cond = {}
+      order.slice(0, i).forEach(([pk], j) => { cond[pk] = $.eq(values[j]) })
+      cond[k] = dir === 1 ? $.gt(values[i]) : $.lt(values[i])
+      return cond
+    })
+    return conds.length === 1 ? conds[0] : $.or(conds)
+  },
+
+  /**
+   * 生成cursor字符串（调用者应把它当作不透明的字符串，不要解析或修改）
+   * @param {Array} order - _keysetOrder的返回值
+   * @param {Array|null} values - _keysetValues的返回值
+   * @param {number} skip - 包括本页在内已读取的文档数量，values为null时下一页使用skip读取
+   * @returns {string} cursor
+   */
+  _encodeCursor (order, values, skip) {
+    // Date不能直接用JSON保存，需要标记类型
+    const v = values && values.map(i => i instanceof Date ? {$date: i.getTime()} : i)
+    return JSON.stringify({o: order, v, s: skip})
+  },
+
+  /**
+   * 解析cursor字符串
+   * @param {string} cursor - _encodeCursor生成的cursor
+   * @param {Array} order - 本次查询的排序规则，必须与生成cursor时相同
+   * @returns {Object} {values, skip}，同_encodeCursor的参数
+   * @throws {Object} cursor不合法或排序规则不一致时，抛出INVALID_PARAM错误对象
+   */
+  _decodeCursor (cursor, order) {
+    const _ = this
+    let o = null
+    try {
+      o = JSON.parse(cursor)
+    } catch (e) {}
+    if (!_.isObject(o) || JSON.stringify(o.o) !== JSON.stringify(order)) {
+      throw _.makeError('INVALID_PARAM', 'cursor不合法，或与本次查询的排序规则不一致', {cursor})
+    }
+    const values = o.v && o.v.map(i => _.isObject(i) && i.$date !== undefined ? new Date(i.$date) : i)
+    return {values, skip: o.s}
+  },
+
+  /**
+   * keyset分页需要读取排序字段才能生成cursor，因此only、except需要包含排序字段
+   * @param {Object} field - _makeField的返回值
+   * @param {Array} order - _keysetOrder的返回值
+   * @returns {Object} {field, extra}，extra为额外读取的字段，生成cursor后需使用_removeFields删除
+   */
+  _keysetField (field, order) {
+    return this._includeFields(field, order.map(([k]) => k))
+  },
+
+  /**
+   * 在字段映射中加入需要读取的字段
+   * @param {Object} field - 字段映射对象，见_makeField
+   * @param {Array<string>} keys - 需要读取的字段
+   * @returns {Object} {field, extra}，field为新的字段映射，extra为only、except原本不返回的字段，读取后需要删除
+   */
+  _includeFields (field, keys) {
+    const only = Object.values(field).some(v => v === true)
+    const ret = {...field}
+    const extra = []
+    for (const k of keys) {
+      if (ret[k] === false) {
+        delete ret[k]
+        extra.push(k)
+      } else if (only && ret[k] !== true && k !== '_id') {
+        ret[k] = true
+        extra.push(k)
+      }
+    }
+    return {field: ret, extra}
+  },
+
+  /**
+   * 删除文档中的字段
+   * @param {Array<Object>} docs - 文档列表
+   * @param {Array<string>} keys - 字段列表，支持点表示法
+   */
+  _removeFields (docs, keys) {
+    const _ = this
+    for (const d of docs) {
+      keys.filter(k => _.pickValue(d, k) !== undefined).forEach(k => _.putValue(d, k, undefined))
+    }
+  },
+
   /* 常用的字符集合
   */
   _characters: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
 
+  /* 各集合的配置（schema等），见defineSchema
+  */
+  _coll_configs: {},
+
 
   /* === 其他 === */
 
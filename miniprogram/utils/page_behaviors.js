@@ -9,6 +9,13 @@ import utils from './utils.js'
 
 module.exports = Behavior({
 
+  lifetimes: {
+    // 页面卸载（onUnload）时关闭_watch打开的监听
+    detached () {
+      this._unwatchAll()
+    },
+  },
+
   methods: {
 
     // === input ===
@@ -39,6 +46,53 @@ module.exports = Behavior({
       })
     },
 
+    // === watch ===
+
+    /* 实时监听集合数据，数据变化时自动setData到key，页面卸载时自动关闭监听
+
+    page.js:
+      onLoad () {
+        this._watch('todos', {c: 'todo', w: {done: false}, mine: true, order_by: {created: 'desc'}})
+      },
+
+    page.wxml:
+      <view wx:for="{{todos}}" wx:key="_id">{{item.title}}</view>
+
+    提示：
+      1、options同utils.watch，其中的onChange（可选）在setData之后调用
+      2、同一个key再次调用_watch时，会先关闭之前的监听（如切换了查询条件）
+      3、可以调用this._unwatch(key)提前关闭监听
+      */
+    _watch (key, options) {
+      const _ = this
+      _._unwatch(key)
+      _._watchers = _._watchers || {}
+      _._watchers[key] = utils.watch({
+        ...options,
+        onChange: (docs, snapshot) => {
+          _.setData({[key]: docs})
+          options.onChange?.(docs, snapshot)
+        },
+      })
+      return _._watchers[key]
+    },
+
+    // 关闭key对应的监听
+    _unwatch (key) {
+      const watcher = this._watchers?.[key]
+      if (watcher) {
+        delete this._watchers[key]
+        return watcher.close()
+      }
+      return Promise.resolve()
+    },
+
+    // 关闭本页面所有的监听
+    _unwatchAll () {
+      const keys = Object.keys(this._watchers || {})
+      return Promise.all(keys.map(key => this._unwatch(key)))
+    },
+
   }, // methods end
 
 })
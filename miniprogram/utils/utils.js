@@ -3,6 +3,57 @@
 const APP = getApp // 不要在这里执行getApp()，因为可能会返回undefined
 const PAGE_BEHAVIORS = [require('page_behaviors'), ] // 所有小程序都使用的Behavior
 const WINDOW_INFO = wx.getWindowInfo()
+// call默认重试的errno：超时、网络异常、云端资源暂时不可用（系统错误、超时、超出并发限制）
+const RETRYABLE_ERRNOS = ['TIMEOUT', -1, -501001, -501002, -501003]
+
+// 错误码（与云端utils一致）。retryable为null时，根据原始错误的errCode是否在RETRYABLE_ERRNOS中判断
+const ERRORS = {
+  TIMEOUT             : {msg: '请求超时', retryable: true},
+  CALL_FAILED         : {msg: '云函数调用失败', retryable: null},
+  ENV_ERROR           : {msg: '云函数运行环境不一致', retryable: false},
+  APP_ERROR           : {msg: '小程序无权访问此云函数', retryable: false},
+  ACTION_FAILED       : {msg: '云函数执行出错', retryable: false},
+  BATCH_ERROR         : {msg: '合并调用出错', retryable: true},
+  IDEMPOTENCY_RUNNING : {msg: '相同的请求正在处理中，请稍后重试', retryable: true},
+  INVALID_PARAM       : {msg: '参数错误', retryable: false},
+  DB_READ_FAILED      : {msg: '读取数据库失败', retryable: null},
+  DB_WRITE_FAILED     : {msg: '写入数据库失败', retryable: null},
+  STORAGE_FAILED      : {msg: '读写本地缓存失败', retryable: false},
+  USER_CONFIG_FAILED  : {msg: '读写用户配置失败', retryable: null},
+  FILE_FAILED         : {msg: '文件操作失败', retryable: null},
+  VALIDATION_FAILED   : {msg: '数据校验失败', retryable: false},
+  OFFLINE_QUEUED      : {msg: '网络不可用，已加入离线写入队列', retryable: false},
+  OFFLINE_CONFLICT    : {msg: '离线写入与云端数据冲突', retryable: false},
+  REV_CONFLICT        : {msg: '数据已被修改，请刷新后重试', retryable: false},
+  WATCH_FAILED        : {msg: '实时监听出错', retryable: true},
+}
+
+// 数据库写入因网络不可用而失败时的原始错误码
+const OFFLINE_ERRNOS = [-1]
+
+// 数据库读取缓存在globalData.cache中的key，见setCollConfig的cache_ttl
+const READ_CACHE_KEY = '_db_read_cache'
+
+// 集合配置的默认值，见setCollConfig
+const COLL_CONFIG_DEFAULTS = {
+  schema     : null,  // 数据格式，见defineSchema
+  timestamps : false, // 写入时自动添加created、updated
+  track_user : false, // 写入时自动添加created_by、updated_by
+  soft_delete: false, // 删除时把文档移动到回收站集合（集合名_trash）
+  versioned  : false, // 写入时维护版本号_rev，见updateDoc的rev参数
+  cache_ttl  : 0,     // getDoc、getOne、docs、allDocs的结果在内存中缓存的秒数，0表示不缓存
+}
+
+// defineSchema支持的字段类型及其中文名称（用于错误提示）
+const SCHEMA_TYPES = {
+  string : '字符串',
+  number : '数字',
+  boolean: '布尔值',
+  date   : '日期',
+  array  : '数组',
+  object : '对象',
+  id     : '文档ID',
+}
 
 const utils = {
 
@@ -16,59 +67,64 @@ const utils = {
    * @param {string} [options.action=''] - 云函数的动作
    * @param {object} [options.data={}] - 传给云函数的数据
    * @param {boolean|null} [options.force_online=null] - 是否强制使用线上环境
-   * @param {number|null} [options.timeout=null] - 超时时间
+   * @param {number|null} [options.timeout=null] - 超时时间（每次尝试单独计时）
+   * @param {number} [options.retry=0] - 失败后的最大重试次数，默认不重试
+   * @param {number} [options.retry_delay=500] - 第一次重试前等待的毫秒数，之后每次翻倍（指数退避）
+   * @param {Array|null} [options.retry_errnos=null] - 允许重试的errno列表（也匹配原始错误的errCode），传入时只重试列表中的错误；默认为null，按错误对象的retryable判断
+   * @param {string|null} [options.idempotency_key=null] - 幂等键，默认自动生成，所有重试使用同一个幂等键
+   * @param {boolean} [options.batch=false] - 是否合并调用。batch_wait毫秒内对同一云函数、且timeout、retry等设置相同的合并调用会通过一次callFunction发送
+   * @param {number} [options.batch_wait=20] - 合并调用的等待窗口（毫秒），以窗口内第一个调用的设置为准
    * @returns {Promise} 返回一个 Promise，resolve 时返回云函数的结果
-   */
-  call ({ name, action = '', data = {}, force_online = null, timeout = null } = {}) {
-    const _ = this
-    return new Promise((resolve, reject) => {
-      let is_local = typeof force_online === 'boolean' ? !force_online : _.isLocal()
-      let timeout_id, timeout_done = false;
-
-      // 设置超时（timeout为null时会使用全局超时时间）
-      if (timeout !== null) {
-        timeout_id = setTimeout(() => {
-          timeout_done = true // 超时了，防止后续回调函数继续执行
-          reject({ errno: 'TIMEOUT', errMsg: `云函数调用超时(${timeout}ms)` })
-        }, timeout)
-      }
-
-      _._cloud().callFunction({
-        name: name,
-        // 把当前运行环境告知云函数
-        data: { ...data, ...{is_local, action}},
-        // callFunction并不支持设置一个超时时间
-      })
-        .then(res => {
-          // 清除超时逻辑
-          if (timeout_id) clearTimeout(timeout_id);
-          if (timeout_done) return;
-
-          // 本地开发运行环境访问了正式环境的云函数,被云函数拒绝
-          if (res.result === 'ENV_ERROR') {
-            if (force_online === null) {
-              reject({errno: 'ENV_ERROR', errMsg: `请打开本地云函数(${name})的调试`})
-            } else {
-              reject({errno: 'ENV_ERROR', errMsg: `请把 force_online 设置为 ${!force_online}`})
-            }
-
-          } else if (res.result === 'APP_ERROR') {
-
-            // 云函数要求仅部分小程序可以访问
-            reject({errno: 'APP_ERROR', errMsg: `云函数已禁止${_.getConfig('app_name')}访问`})
+   *
+   * 说明
+   *   1. 每次调用都会在data中附带 idempotency_key，云函数可使用 utils.idempotent 保证写操作只执行一次。
+   *   2. 出错时reject错误对象（见makeError）。未传入retry_errnos时retryable为true的错误会重试（见ERRORS、RETRYABLE_ERRNOS），ENV_ERROR、APP_ERROR 不会重试。
+   *   3. 每次重试都会消耗1次调用次数。
+   *   4. 云函数返回错误对象（云端utils.makeError）时，call会reject此错误对象。
+   *   5. 合并调用时，云函数收到的action为'Batch'，需要在main中调用 utils.runBatch(event, context)。
+   *      每个action的结果或错误会分别返回给对应的Promise；timeout、retry等设置不同的调用分别合并，batch_wait以窗口内第一个调用为准。
+   *
+   * @example
+   *   // 网络异常或超时时最多重试3次，分别等待500ms、1000ms、2000ms
+   *   const res = await utils.call({name: 'all_user', action: 'AddOrder', data: {goods_id}, timeout: 5000, retry: 3})
+   *
+   *   // 同一时刻的3个调用只消耗1次调用次数
+   *   const [a, b, c] = await Promise.all([
+   *     utils.call({name: 'all_user', action: 'GetA', batch: true}),
+   *     utils.call({name: 'all_user', action: 'GetB', batch: true}),
+   *     utils.call({name: 'all_user', action: 'GetC', batch: true}),
+   *   ])
+   */
+  call ({ name, action = '', data = {}, force_online = null, timeout = null,
+    retry = 0, retry_delay = 500, retry_errnos = null, idempotency_key = null,
+    batch = false, batch_wait = 20 } = {}) {
+    const _ = this
+    const is_local = typeof force_online === 'boolean' ? !force_online : _.isLocal()
+    idempotency_key ??= _._makeIdempotencyKey()
+
+    if (batch) {
+      return _._addToCallBatch({name, action, data, is_local, force_online, timeout,
+        retry, retry_delay, retry_errnos, idempotency_key, batch_wait})
+    }
 
-          } else if (res.result === 'NOT_ADMIN') {
-            resolve({})
-          } else {
-            resolve(res.result)
+    return new Promise(async (resolve, reject) => {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await _._callOnce({name, action, data, is_local, force_online, timeout, idempotency_key})
+          resolve(result)
+          return
+        } catch (e) {
+          const retryable = retry_errnos === null
+            ? e?.retryable === true
+            : _.in(e?.errno, retry_errnos) || _.in(e?.cause?.errCode, retry_errnos)
+          if (attempt >= retry || !retryable) {
+            reject(e)
+            return
           }
-
-        })
-        .catch(e => {
-          if (timeout_id) clearTimeout(timeout_id);
-          if (timeout_done) return;
-          reject(e)
-        })
+          _.warn({title: `云函数(${name})调用失败，准备第${attempt + 1}次重试`, action, e})
+          await _.sleep(retry_delay * 2 ** attempt)
+        }
+      }
     })
   },
 
@@ -154,6 +210,7 @@ const utils = {
    *   1. 此函数会使用缓存，多次调用不会重复触发网络请求。
    *   2. 从第二次调用开始不再消耗“调用次数”。
    *   3. 并不能保证一定能获取到openid，可能会返回null（如网络异常时）。
+   *   4. 缓存中还没有openid时同时多次调用（如多个组件的onLoad），只会请求一次云函数。
    */
   openid () {
     const _ = this
@@ -162,7 +219,7 @@ const utils = {
       if (!_.isEmpty(cached_openid)) {
         resolve(cached_openid)
       } else {
-        _.call({
+        _._shareInflight('openid', () => _.call({
           name: 'all_user',
           action: 'GetMyOpenid',
           data: {},
@@ -172,10 +229,11 @@ const utils = {
           } else {
             _.error({title: '云端返回openid为空', openid})
           }
-          resolve(openid || null)
-        })
+          return openid || null
+        }))
+          .then(resolve)
           .catch(e => {
-            reject({errno: 'openid Failed', errMsg: `访问云函数获取openid错误`, e})
+            reject(_._toError(e, 'CALL_FAILED', '访问云函数获取openid错误'))
           })
       }
     })
@@ -330,6 +388,59 @@ const utils = {
   },
 
 
+  /* === 错误 === */
+
+  /**
+   * 创建统一格式的错误对象。utils中的数据库、文件、云函数调用等函数出错时都会reject此格式的错误对象。
+   *
+   * @param {string} code - 错误码，见文件开头的ERRORS，如：'DB_READ_FAILED'
+   * @param {string} [msg=''] - 中文说明，默认使用错误码对应的说明
+   * @param {Object} [options] - 可选参数:
+   *   - {*} cause - 原始错误
+   *   - {boolean|null} retryable - 是否可以重试，默认根据错误码和原始错误判断
+   *   - 其他属性会原样放入错误对象中
+   * @returns {Object} 错误对象 {is_error: true, errno, errMsg, cause, retryable}
+   *
+   * 说明
+   *   1. 保留errno、errMsg两个字段名，兼容之前读取e.errMsg的代码。
+   *   2. 云函数可以返回云端utils.makeError创建的错误对象，前端utils.call会reject此对象。
+   *
+   * @example
+   *   reject(utils.makeError('INVALID_PARAM', 'title不能为空'))
+   */
+  makeError (code, msg = '', {cause = null, retryable = null, ...extra} = {}) {
+    const _ = this
+    const def = ERRORS[code] || {msg: code, retryable: false}
+    cause = _._errorCause(cause)
+    if (retryable === null) {
+      retryable = def.retryable ?? (_.in(cause?.errCode, RETRYABLE_ERRNOS) || cause?.retryable === true)
+    }
+    return {...extra, is_error: true, errno: code, errMsg: msg || def.msg, cause, retryable}
+  },
+
+  /**
+   * 判断e是否为makeError创建的错误对象，并且错误码为code（之一）
+   *
+   * @param {*} e - 需要判断的对象
+   * @param {string|Array<string>|null} [code=null] - 错误码，为null时只判断是否为错误对象
+   * @returns {boolean} 是否匹配
+   *
+   * @example
+   *   utils.getDoc('todo', id).catch(e => {
+   *     if (utils.isError(e, ['DB_READ_FAILED', 'TIMEOUT'])) { ... }
+   *   })
+   */
+  isError (e, code = null) {
+    const _ = this
+    if (!_.isObject(e) || e.is_error !== true) {
+      return false
+    }
+    if (code === null) {
+      return true
+    }
+    return _.isArray(code) ? _.in(e.errno, code) : e.errno === code
+  },
+
   // === 数据库 ===
 
   /**
@@ -377,7 +488,7 @@ const utils = {
   /**
    * 根据id获取数据
    * 
-   * 如果文档不存在或文档超过1M大小，则返回null。
+   * 如果文档不存在，则返回null；读取出错（如文档超过1M大小）时reject错误对象。
    * 此函数可以设置只返回特定字段或排除某些字段。
    * 
    * @param {string} c - 集合名称。
@@ -386,6 +497,8 @@ const utils = {
    *   - {string} only - 仅返回的字段，多个字段用逗号分隔，如：'title, content'。
    *   - {string} except - 不返回的字段。
    *   - {boolean} mine - 是否只读取用户自己的数据。
+   *   - {boolean} use_cache - 集合设置了cache_ttl时（见setCollConfig），是否使用缓存，默认为true。为false时重新读取并更新缓存
+   *   - {Object|null} populate - 读取引用的其他集合的文档，同docs函数。
    * 
    * @returns {Promise<Object|null>} Promise对象，解析为文档或null。
    * 
@@ -399,15 +512,21 @@ const utils = {
    *     console.log('Document:', doc)
    *   })
    */
-  getDoc(c, id, {only = '', except = '', mine = false} = {}) {
+  getDoc(c, id, {only = '', except = '', mine = false, use_cache = true, populate = null} = {}) {
     const _ = this
     const w = {_id: id}
-    return new Promise((resolve, reject) => {
-      _.coll(c)
-        .where({...w, ...(mine ? {_openid: '{openid}'} : {})})
+    const {specs, error} = _._populateSpecs(populate)
+    if (error) {
+      return Promise.reject(error)
+    }
+    const {field, extra} = _._populateField(_._makeField(only, except), specs)
+    return _._cachedRead(c, ['getDoc', id, only, except, mine, extra], use_cache, () => new Promise((resolve, reject) => {
+      const get = _.coll(c)
+        .where(_._mineWhere(w, mine))
         .limit(1)
-        .field(_._makeField(only, except))
+        .field(field)
         .get()
+      _._dbCall('getDoc', c, get)
         .then(res => {
           if (res.data.length > 0){
             resolve(res.data[0])
@@ -416,9 +535,9 @@ const utils = {
           }
         })
         .catch(e => {
-          resolve(null)
+          reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}中的文档${id}失败`))
         })
-    })
+    })).then(doc => doc && specs.length > 0 ? _._populate([doc], specs, extra).then(() => doc) : doc)
   },
 
   /**
@@ -430,11 +549,13 @@ const utils = {
    * @param {Object} options 包含以下属性的对象:
    *   - {string} only - 仅返回的字段。
    *   - {string} except - 不返回的字段。
+   *   - {boolean} use_cache - 是否使用缓存，同getDoc。
+   *   - {Object|null} populate - 读取引用的其他集合的文档，同docs函数。
    * 
    * @returns {Promise<Object|null>} Promise对象，解析为文档或null。
    */
-  getMyDoc(c, id, {only = '', except = ''} = {}) {
-    return this.getDoc(c, id, {only, except, mine: true})
+  getMyDoc(c, id, {only = '', except = '', use_cache = true, populate = null} = {}) {
+    return this.getDoc(c, id, {only, except, mine: true, use_cache, populate})
   },
 
   /**
@@ -496,6 +617,66 @@ const utils = {
     return this.getDocByAgg(c, id, { ...options, mine: true })
   },
 
+  /**
+   * 根据id列表批量获取文档
+   * 把不重复的id按每组20个（前端单次查询的上限）分组，用$.in查询，并限制同时进行的查询数量。
+   * 
+   * @param {string} c - 集合名称。
+   * @param {Array<string>} ids - 文档ID列表，可以有重复。
+   * @param {Object} options 包含以下属性的对象:
+   *   - {string} only - 仅返回的字段，多个字段用逗号分隔，如：'title, content'。
+   *   - {string} except - 不返回的字段。
+   *   - {boolean} mine - 是否只读取用户自己的数据。
+   *   - {boolean} keep_order - 是否按ids的顺序返回，默认为true，此时返回的数组与ids一一对应，不存在的文档为null。
+   *     为false时只返回存在的文档（重复的id只返回一次，不保证顺序）
+   *   - {number} concurrency - 最多同时进行的查询数量，默认为5
+   * 
+   * @returns {Promise<Array<Object|null>>} Promise对象，解析为文档数组，读取出错时reject错误对象。
+   *
+   * 调用次数
+   *   每20个不重复的id消耗一次调用次数，如200个id消耗10次。
+   * 
+   * @example
+   *   const users = await utils.getDocsByIds('user', todos.map(t => t.user_id), {only: 'name, avatar'})
+   *   todos.forEach((t, i) => { t.user = users[i] })
+   */
+  getDocsByIds (c, ids, {only = '', except = '', mine = false, keep_order = true, concurrency = 5} = {}) {
+    const _ = this
+    const $ = _.command()
+    if (!_.isArray(ids)) {
+      return Promise.reject(_.makeError('INVALID_PARAM', 'getDocsByIds：ids必须是数组'))
+    }
+    const unique = [...new Set(ids)]
+    const chunks = []
+    for (let i = 0; i < unique.length; i += 20) {
+      chunks.push(unique.slice(i, i + 20))
+    }
+    // 需要_id把结果对应到ids，except中的_id在最后删除
+    const field = _._makeField(only, except)
+    const except_id = field._id === false
+    if (except_id) {
+      delete field._id
+    }
+    return new Promise((resolve, reject) => {
+      _._mapLimit(chunks, concurrency, chunk => _._dbCall('getDocsByIds', c, _.coll(c)
+        .where({_id: $.in(chunk), ...(mine ? {_openid: '{openid}'} : {})})
+        .limit(20)
+        .field(field)
+        .get())
+        .then(res => res.data))
+        .then(lists => {
+          const docs = lists.flat()
+          const by_id = new Map(docs.map(d => [d._id, d]))
+          const result = keep_order ? ids.map(id => by_id.get(id) ?? null) : docs
+          if (except_id) {
+            _._removeFields(docs, ['_id'])
+          }
+          resolve(result)
+        })
+        .catch(e => reject(_._toError(e, 'DB_READ_FAILED', `批量读取集合${c}中的文档失败`)))
+    })
+  },
+
   /**
    * 通过查询条件获取第一个匹配的文档
    * 
@@ -509,13 +690,20 @@ const utils = {
    *   - {boolean} mine - 是否只读取用户自己的数据。
    *   - {Object|string} order_by - 排序规则，与其他函数相同。
    *   - {boolean} last - 是否根据index字段获取index值最大的文档。
+   *   - {boolean} use_cache - 是否使用缓存，同getDoc。
+   *   - {Object|null} populate - 读取引用的其他集合的文档，同docs函数。
    * 
    * @returns {Promise<Object|null>} Promise对象，解析为文档或null。
    */
-  getOne(c, w, {only = '', except = '', mine = false, order_by = {}, last = false} = {}) {
+  getOne(c, w, {only = '', except = '', mine = false, order_by = {}, last = false, use_cache = true, populate = null} = {}) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      let query = _.coll(c).where({...w, ...(mine ? {_openid: '{openid}'} : {})})
+    const {specs, error} = _._populateSpecs(populate)
+    if (error) {
+      return Promise.reject(error)
+    }
+    const {field, extra} = _._populateField(_._makeField(only, except), specs)
+    return _._cachedRead(c, ['getOne', w, only, except, mine, order_by, last, extra], use_cache, () => new Promise((resolve, reject) => {
+      let query = _.coll(c).where(_._mineWhere(w, mine))
 
       if (last) {
         query = query.orderBy('index', 'desc')
@@ -526,9 +714,7 @@ const utils = {
         }
       }
 
-      query.limit(1)
-        .field(_._makeField(only, except))
-        .get()
+      _._dbCall('getOne', c, query.limit(1).field(field).get())
         .then(res => {
           if(res.data.length > 0){
             resolve(res.data[0])
@@ -537,9 +723,9 @@ const utils = {
           }
         })
         .catch(e => {
-          reject({errno: 'utils.getOne Failed', errMsg: `coll:${c}, where:${w}`, e})
+          reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`))
         })
-    })
+    })).then(doc => doc && specs.length > 0 ? _._populate([doc], specs, extra).then(() => doc) : doc)
   },
 
   /**
@@ -654,6 +840,8 @@ const utils = {
    * 
    * @param {string} c - 集合的名称
    * @param {Object} d - 要添加的文档数据
+   * @param {Object} options - 可选参数，包括:
+   *   - {boolean} offline - 开启离线写入（见enableOfflineWrites）后，网络不可用时是否加入离线队列，默认为true
    * @returns {Promise<string>} Promise对象，解析返回新文档的ID
    * 
    * @example
@@ -668,17 +856,27 @@ const utils = {
    * const id = await utils.addDoc('todo', {title: '我真的要学习'})
    * console.log('插入的新数据id:', id)
    */
-  addDoc(c, d) {
+  addDoc(c, d, {offline = true} = {}) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      _.coll(c).add({ data: d })
+    const {doc, error} = _._applySchema(c, d)
+    if (error) {
+      return Promise.reject(error)
+    }
+    d = doc
+    // 离线写入时需要在前端生成_id，重新提交时才能判断是否已经写入过
+    if (offline && _._offline && d._id === undefined) {
+      d = {...d, _id: _._makeDocId()}
+    }
+    return _._offlineWrite({offline, op: 'add', c, id: d._id ?? null, data: d}, () => new Promise((resolve, reject) => {
+      _._trackUserReady(c)
+        .then(() => _._dbCall('addDoc', c, _.coll(c).add({ data: _._stampDoc(c, d, 'create') })))
         .then(res => {
           resolve(res._id)
         })
         .catch(e => {
-          reject(e)
+          reject(_._toError(e, 'DB_WRITE_FAILED', `向集合${c}中添加文档失败`))
         })
-    })
+    }))
   },
 
   /**
@@ -700,8 +898,37 @@ const utils = {
    *       - 升序可以写为：'asc'、1 或 true
    *       - 降序可以写为：'desc'、0 或 false
    *   - {boolean} mine - 是否只读取用户自己的数据，当使用了“自定义安全规则”且有"auth.openid == doc._openid"规则时，mine必须为true
+   *   - {string|null} cursor - 使用cursor分页（keyset分页），第一页传入''，之后传入上一页返回的cursor。默认为null，表示使用page_num分页
+   *   - {boolean} use_cache - 集合设置了cache_ttl时（见setCollConfig），是否使用缓存，默认为true
+   *   - {Object|null} populate - 读取文档中引用的其他集合的文档，格式为 {字段: {c, only, except, as, by}}，如：{project_id: {c: 'project', only: 'name'}}
+   *     - c - 引用的集合名称，也可以直接写集合名称，如：{project_id: 'project'}
+   *     - only、except - 引用的文档仅返回、不返回的字段
+   *     - as - 引用的文档保存到的字段，默认为去掉_id后缀的字段名（如project_id为project），没有_id后缀时为 `字段_doc`
+   *     - by - 读取方式，'in'表示用$.in批量读取（见getDocsByIds），'lookup'表示在聚合查询中用lookup阶段读取。
+   *       只有allDocs支持'lookup'且默认使用'lookup'，其他函数总是使用'in'
+   * 
+   * @returns {Promise<Array|Object>} Promise对象，解析返回文档数组。使用cursor时解析为 {list, cursor, has_more}
+   *   - {Array} list - 文档数组
+   *   - {string} cursor - 读取下一页时传入的cursor
+   *   - {boolean} has_more - 是否可能还有下一页（本页已读满page_size条时为true，下一页可能为空）
+   * 
+   * 说明
+   *   1. page_num分页使用skip，页码越大越慢；翻页期间插入或删除数据，会导致数据重复或遗漏。
+   *   2. cursor分页按排序字段的值读取“上一页最后一条数据之后”的数据，不受页码与插入数据的影响，适合无限滚动的列表。
+   *   3. cursor分页时排序规则末尾会自动添加_id；排序字段应在所有文档中都有值，否则下一页会退回使用skip读取。
+   *   4. 翻页时w、order_by必须与第一页相同。
+   *   5. 引用的文档不使用缓存，每次都重新读取。
+   * 
+   * populate说明
+   *   1. 字段的值是id时，附加引用的文档（不存在时为null）；字段的值是id数组时，附加文档数组（不存在的文档不包含在内）。
+   *   2. 'in'方式每个populate字段额外消耗调用次数（同getDocsByIds）；'lookup'方式与主查询一起读取，不额外消耗调用次数，
+   *      但会读取引用文档的全部字段，only、except在读取后处理。
+   *   3. only、except不包含populate的字段时也会读取此字段，附加引用的文档后再删除。
    * 
-   * @returns {Promise<Array>} Promise对象，解析返回文档数组
+   * @example
+   *   // 同时读取每个todo所属的项目
+   *   const todos = await utils.docs({c: 'todo', populate: {project_id: {c: 'project', only: 'name'}}})
+   *   console.log(todos[0].project.name)
    * 
    * @example
    *   utils.docs({c: 'todo'}).then(todos => {
@@ -724,43 +951,91 @@ const utils = {
    *     mine: true
    *   };
    *   const docs = await utils.docs(options);
+   * 
+   * @example
+   *   // 无限滚动的列表
+   *   onLoad () {
+   *     this.cursor = ''
+   *     this.loadMore()
+   *   },
+   *   async loadMore () {
+   *     const {list, cursor, has_more} = await utils.docs({c: 'todo', order_by: {rank: 'desc'}, cursor: this.cursor})
+   *     this.cursor = cursor
+   *     this.setData({todos: [...this.data.todos, ...list], has_more})
+   *   },
    */
-  docs ({c, w = {}, page_num = 0, page_size = 20, only = '', except = '', created = false, order_by = {}, mine = false } = {}) {
+  docs ({c, w = {}, page_num = 0, page_size = 20, only = '', except = '', created = false, order_by = {}, mine = false, cursor = null, use_cache = true, populate = null } = {}) {
     const _ = this
-    return new Promise((resolve, reject) => {
+    const {specs, error} = _._populateSpecs(populate)
+    if (error) {
+      return Promise.reject(error)
+    }
+    const populate_field = _._populateField(_._makeField(only, except), specs)
+    const cache_args = ['docs', w, page_num, page_size, only, except, created, order_by, mine, cursor, populate_field.extra]
+    return _._cachedRead(c, cache_args, use_cache, () => new Promise((resolve, reject) => {
+      w = _._mineWhere(w, mine)
+      let field = populate_field.field
+      let skip = page_num * page_size
+      let order = []
+      let extra = [] // cursor分页时为生成cursor额外读取的字段
+      let read = 0 // cursor分页时之前各页已读取的文档数量
+
+      if (cursor !== null) {
+        order = _._keysetOrder(_._prepareSort(order_by))
+        const keyset_field = _._keysetField(field, order)
+        field = keyset_field.field
+        extra = keyset_field.extra
+        skip = 0
+        if (cursor !== '') {
+          const {values, skip: s} = _._decodeCursor(cursor, order)
+          read = s
+          if (values) {
+            w = _.isEmpty(w) ? _._keysetMatch(order, values) : _.command().and([w, _._keysetMatch(order, values)])
+          } else {
+            skip = read
+          }
+        }
+      } else if (!_.isEmpty(order_by)) {
+        order = Object.entries(_._prepareSort(order_by))
+      }
+
       let query = _.coll(c)
-        .where({...w, ...(mine ? {_openid: '{openid}'} : {})})
-        .skip(page_num * page_size)
+        .where(w)
+        .skip(skip)
         .limit(page_size)
-        .field(_._makeField(only, except))
+        .field(field)
 
-      if (!_.isEmpty(order_by)) {
-        order_by = _._prepareOrderBy(order_by)
-        for (let k in order_by) {
-          query = query.orderBy(k, order_by[k])
-        }
+      for (let [k, dir] of order) {
+        query = query.orderBy(k, dir === 1 ? 'asc' : 'desc')
       }
 
-      query.get().then(res => {
-        if (res.data.length > 0) {
+      _._dbCall('docs', c, query.get()).then(res => {
+        const list = res.data
 
-          // 根据_id获得创建时间created
-          if (created) {
-            for (let d of res.data) {
-              d.created = _.getTimeFromId(d._id)
-              d.created_str = _.dateToString(d.created)
-              d.yymmdd = _.yymmdd(d.created)
-              d.hhmmss = _.hhmmss(d.created)
-            }
+        // 根据_id获得创建时间created
+        if (created) {
+          for (let d of list) {
+            d.created = _.getTimeFromId(d._id)
+            d.created_str = _.dateToString(d.created)
+            d.yymmdd = _.yymmdd(d.created)
+            d.hhmmss = _.hhmmss(d.created)
           }
+        }
 
-          resolve(res.data)
-        } else {
-          resolve([])
+        if (cursor === null) {
+          resolve(list)
+          return
+        }
+
+        let next = cursor
+        if (list.length > 0) {
+          next = _._encodeCursor(order, _._keysetValues(order, list.at(-1)), read + list.length)
         }
+        _._removeFields(list, extra)
+        resolve({list, cursor: next, has_more: list.length === page_size})
       })
-        .catch(reject)
-    })
+        .catch(e => reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`)))
+    })).then(r => specs.length > 0 ? _._populate(cursor === null ? r : r.list, specs, populate_field.extra).then(() => r) : r)
   },
 
   /**
@@ -791,31 +1066,66 @@ const utils = {
    *   - {string} only - 仅包含指定字段。
    *   - {string} except - 排除指定字段。
    *   - {number} limit - 限制读取的文档数量。
-   * @returns {Promise<Array>} 返回一个包含查询结果的数组。
+   *   - {string|null} cursor - 从cursor处继续读取，第一次传入''，之后传入上次返回的cursor（通常与limit一起使用）。
+   *     默认为null，表示读取全部数据
+   *   - {boolean} use_cache - 集合设置了cache_ttl时（见setCollConfig），是否使用缓存，默认为true
+   *   - {Object|null} populate - 读取引用的其他集合的文档，同docs函数，默认使用lookup读取
+   * @returns {Promise<Array|Object>} 返回一个包含查询结果的数组。使用cursor时解析为 {list, cursor, has_more}，同docs函数
+   * 
+   * 说明
+   *   1. 每次查询使用keyset分页（按上一页最后一条数据的排序字段值读取下一页），而不是skip，集合越大越明显。
+   *   2. 排序规则末尾会自动添加_id，保证排序结果唯一。排序字段在某个文档中不存在时，之后的页会退回使用skip读取。
+   *   3. 使用lookup读取的引用文档与主集合的文档一起缓存；使用'in'读取的引用文档不使用缓存。
    */
-  allDocs ({c, match = {}, project = {}, sort = {_id: 1}, mine = false, page_size = 1000, show_loading = false, only = '', except = '', limit = null } = {}) {
+  allDocs ({c, match = {}, project = {}, sort = {_id: 1}, mine = false, page_size = 1000, show_loading = false, only = '', except = '', limit = null, cursor = null, use_cache = true, populate = null } = {}) {
     const _ = this
+    const {specs, error} = _._populateSpecs(populate, 'lookup')
+    if (error) {
+      return Promise.reject(error)
+    }
+    const lookups = specs.filter(spec => spec.by === 'lookup')
+    const populate_field = _._populateField(_._makeField(only, except), specs)
+    const cache_args = ['allDocs', match, project, sort, mine, page_size, only, except, limit, cursor, lookups, populate_field.extra]
     let total = 0
-    match = {...match, ...(mine ? {_openid: '{openid}'} : {})}
+    match = _._mineWhere(match, mine)
     if (!_.isEmpty(sort)) {
       sort = _._prepareSort(sort)
     }
-    if (show_loading) {
-      _.showLoading()
-    }
-    return new Promise(async (resolve, reject) => {
+    const order = _._keysetOrder(sort)
+    const {field, extra} = _._keysetField(populate_field.field, order)
+    return _._cachedRead(c, cache_args, use_cache, () => new Promise(async (resolve, reject) => {
+      if (show_loading) {
+        _.showLoading()
+      }
       let result = []
       let has_more = true
-      let page_num = 0
+      let values = null // 上一页最后一个文档的排序字段值，为null时使用skip读取
+      let skip = 0 // 已读取的文档数量（包括cursor之前读取的）
+      let last_full = false // 最后一次查询是否读满
+
+      if (cursor) {
+        try {
+          ({values, skip} = _._decodeCursor(cursor, order))
+        } catch (e) {
+          if (show_loading) {
+            _.hideLoading()
+          }
+          reject(e)
+          return
+        }
+      }
 
       while (has_more) {
         let query = _.agg(c).match(match)
 
         if (!_.isEmpty(project)) { query = query.project(project) }
 
+        // 排序字段以project之后的文档为准
+        if (values) { query = query.match(_._keysetMatch(order, values)) }
+
         // 先执行project，再执行only、except
         if (only || except) {
-          query = query.project(_._makeField(only, except))
+          query = query.project(field)
         }
 
         // 计算本次最多读取的文档数量
@@ -826,16 +1136,32 @@ const utils = {
           current_page_size = page_size
         }
 
-        query = query.sort(sort).skip(page_num * page_size).limit(current_page_size)
+        query = query.sort(Object.fromEntries(order))
+        if (!values && skip > 0) {
+          query = query.skip(skip)
+        }
+        query = query.limit(current_page_size)
+
+        // lookup放在limit之后，只为本页的文档读取引用的文档
+        lookups.forEach(({field, c: from}, i) => {
+          query = query.lookup({from: _._collName(from), localField: field, foreignField: '_id', as: `_populate_${i}`})
+        })
 
         try {
-          let res = await query.end()
+          let res = await _._dbCall('allDocs', c, query.end())
           result = result.concat(res.list)
           total += res.list.length
+          skip += res.list.length
           has_more = res.list.length === page_size && (!limit || total < limit)
-          page_num++
+          last_full = res.list.length === current_page_size
+          if (res.list.length > 0) {
+            values = _._keysetValues(order, res.list.at(-1))
+          }
         } catch (e) {
-          reject({errno: 'allDoc Failed', errMsg: `query查询出错`, e})
+          if (show_loading) {
+            _.hideLoading()
+          }
+          reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`))
           return
         }
 
@@ -844,12 +1170,23 @@ const utils = {
       if (limit && total > limit) {
         result = result.slice(0, limit)
       }
+      _._removeFields(result, extra)
+      _._attachLookups(result, lookups)
 
       if (show_loading) {
         _.hideLoading()
       }
-      resolve(result)
+      if (cursor === null) {
+        resolve(result)
+      } else {
+        // 最后一次读满了本次的数量，说明可能还有数据
+        resolve({list: result, cursor: total > 0 ? _._encodeCursor(order, values, skip) : cursor, has_more: last_full})
+      }
 
+    })).then(r => {
+      // lookup读取的引用文档已经附加，_populate还会删除为populate额外读取的字段
+      const ins = specs.filter(spec => spec.by !== 'lookup')
+      return specs.length > 0 ? _._populate(cursor === null ? r : r.list, ins, populate_field.extra).then(() => r) : r
     })
   },
 
@@ -860,8 +1197,8 @@ const utils = {
    * @param {Object} options - 同 allDocs 函数的参数。
    * @returns {Promise<Array>} 返回一个包含查询结果的数组。
    */
-  allMyDocs ({c, match = {}, project = {}, sort = {_id: 1},  page_size = 1000, only = '', except = '', limit = null } = {}) {
-    return this.allDocs({c, match, sort, project, mine: true, page_size, only, except, limit})
+  allMyDocs ({c, match = {}, project = {}, sort = {_id: 1},  page_size = 1000, only = '', except = '', limit = null, use_cache = true } = {}) {
+    return this.allDocs({c, match, sort, project, mine: true, page_size, only, except, limit, use_cache})
   },
 
   /**
@@ -874,6 +1211,9 @@ const utils = {
    * @param {Object} d - 包含更新数据的对象，支持点表示法更新嵌套字段，如：{'a.b.c': 1}
    * @param {Object} options - 可选参数，包括:
    *   - {boolean} mine - 是否仅更新用户自己的数据。当使用自定义安全规则且有"auth.openid == doc._openid"规则时，必须设置为true
+   *   - {boolean} offline - 开启离线写入（见enableOfflineWrites）后，网络不可用时是否加入离线队列，默认为true
+   *   - {number|null} rev - 期望的版本号（读取文档时得到的_rev，旧文档没有_rev时传入0）。
+   *     不为null时，只有数据库中的_rev仍等于rev才会更新，并把_rev设置为rev+1；否则reject REV_CONFLICT错误（含current_rev）。默认为null
    * @returns {Promise<boolean>} Promise对象，解析返回是否成功更新。true表示更新成功，false表示失败。
    * 
    * @example
@@ -884,25 +1224,45 @@ const utils = {
    *     console.log('无法更新，可能是由于文档不存在或数据未变更')
    *   }
    * 
-   * 注意：在更新中，_openid和_id字段被过滤（微信不允许更新这两个字段，若更新会抛出异常。本函数允许你在参数d中传入_id和_openid，但会过滤掉这两个字段，实际上并不更新）。
+   * @example
+   *   // 防止多人同时编辑时互相覆盖
+   *   const doc = await utils.getDoc('article', id)
+   *   try {
+   *     await utils.updateDoc('article', id, {content}, {rev: doc._rev ?? 0})
+   *   } catch (e) {
+   *     if (utils.isError(e, 'REV_CONFLICT')) {
+   *       utils.showTip({text: '文章已被其他人修改，请刷新后重新编辑'})
+   *     }
+   *   }
+   * 
+   * 注意：在更新中，_openid、_id和_rev字段被过滤（微信不允许更新_openid和_id，若更新会抛出异常。本函数允许你在参数d中传入这些字段，但会过滤掉，实际上并不更新）。
    */
-  updateDoc (c, id, {_openid, _id, ...d}, {mine = false} = {}) {
+  updateDoc (c, id, {_openid, _id, _rev, ...d}, {mine = false, offline = true, rev = null} = {}) {
     const _ = this
-    const w = {_id: id}
-    return new Promise((resolve, reject) => {
-      _.coll(c)
-        .where({...w, ...(mine ? {_openid: '{openid}'} : {})})
-        .limit(1)
-        .update({data: d})
-        .then(res => {
+    const {error} = _._applySchema(c, d, {partial: true})
+    if (error) {
+      return Promise.reject(error)
+    }
+    const w = {_id: id, ...(mine ? {_openid: '{openid}'} : {})}
+    return _._offlineWrite({offline, op: 'update', c, id, data: d, mine, rev}, () => new Promise((resolve, reject) => {
+      _._trackUserReady(c)
+        .then(() => _._dbCall('updateDoc', c, _.coll(c)
+          .where(rev === null ? w : {...w, _rev: _._revCondition(rev)})
+          .limit(1)
+          .update({data: _._stampDoc(c, d, 'update', {rev})})))
+        .then(async res => {
           if(res.stats.updated > 0){
             resolve(true)
+          } else if (rev !== null) {
+            // 文档存在但没有更新，说明版本号已经变化
+            const conflict = await _._revConflict(c, id, rev, w)
+            conflict ? reject(conflict) : resolve(false)
           } else {
             resolve(false)
           }
         })
-        .catch(reject)
-    })
+        .catch(e => reject(_._toError(e, 'DB_WRITE_FAILED', `更新集合${c}中的文档${id}失败`)))
+    }))
   },
 
   /**
@@ -930,19 +1290,24 @@ const utils = {
    */
   updateMatch(c, w, d, {mine = false} = {}) {
     const _ = this
+    const {error} = _._applySchema(c, d, {partial: true})
+    if (error) {
+      return Promise.reject(error)
+    }
     return new Promise((resolve, reject) => {
       if (_.isEmpty(w) && !mine) {
-        reject({errno: 'updateMatch Failed', errMsg: `mine为false时w不能为空`})
+        reject(_.makeError('INVALID_PARAM', 'updateMatch：mine为false时w不能为空'))
       } else {
-        _.coll(c)
-          .where({...w, ...(mine ? {_openid: '{openid}'} : {})})
+        const update = _._trackUserReady(c).then(() => _._dbCall('updateMatch', c, _.coll(c)
+          .where(_._mineWhere(w, mine))
           .update({
-            data: _.undefinedToRemove(d)
-          })
+            data: _._stampDoc(c, _.undefinedToRemove(d), 'update')
+          })))
+        _._written(c, update)
           .then(res => {
             resolve(res.stats.updated)
           })
-          .catch(reject)
+          .catch(e => reject(_._toError(e, 'DB_WRITE_FAILED', `更新集合${c}失败`)))
       }
     })
   },
@@ -965,6 +1330,9 @@ const utils = {
    * @param {string} c - 集合名称。
    * @param {string} id - 文档的ID。
    * @param {Object} d - 新的文档数据。
+   * @param {Object} options - 可选参数，包括:
+   *   - {number|null} rev - 期望的版本号，同updateDoc的rev参数。文档不存在时视为版本0。默认为null
+   *   - {boolean} mine - 需要先读取文档时（见注意4、5），是否在查询条件中加入_openid，数据库权限为“自定义安全规则”且有“auth.openid == doc._openid”规则时需要设置为true。默认为false
    * @returns {Promise<Object>} 返回一个包含创建和更新状态的Promise对象。
    * @description 此操作与update不同，update仅使用文档d中的字段进行更新，不包含的字段不会删除。
    * 
@@ -972,6 +1340,8 @@ const utils = {
    *   1. 如果指定的id不存在，将创建一个新的文档。
    *   2. setDoc会删除现有文档中d中未包含的字段（重新设置），而updateDoc仅更新d中包含的字段。
    *   3. 用户必须拥有对数据的写权限。
+   *   4. 传入rev或集合开启了versioned时，会先读取文档再按版本号更新，多消耗一次调用次数。
+   *   5. 集合开启了timestamps或track_user时，会先读取文档以保留原来的created、created_by（文档不存在时添加），多消耗一次调用次数。
    * 
    * @example
    *   utils.setDoc('todo', 'id123', { title: '重置任务', status: '未完成' })
@@ -983,30 +1353,41 @@ const utils = {
    *       }
    *     })
    */
-  setDoc (c, id, d) {
+  setDoc (c, id, d, {rev = null, mine = false} = {}) {
     const _ = this
+    const {doc, error} = _._applySchema(c, d)
+    if (error) {
+      return Promise.reject(error)
+    }
+    d = doc
     return new Promise((resolve, reject) => {
-      _.coll(c)
-        .doc(id)
-        .set({
-          data: d
-        })
+      if (rev !== null || _.getCollConfig(c).versioned) {
+        _._written(c, _._trackUserReady(c).then(() => _._setDocWithRev(c, id, d, rev, {mine})))
+          .then(resolve)
+          .catch(e => reject(_._toError(e, 'DB_WRITE_FAILED', `设置集合${c}中的文档${id}失败`)))
+        return
+      }
+      const set = _._trackUserReady(c)
+        .then(() => _._stampSet(c, id, d, {mine}))
+        .then(data => _._dbCall('setDoc', c, _.coll(c).doc(id).set({data})))
+      _._written(c, set)
         .then(({stats}) => {
           resolve({created: stats.created === 1, updated: stats.updated === 1})
         })
-        .catch(reject)
+        .catch(e => reject(_._toError(e, 'DB_WRITE_FAILED', `设置集合${c}中的文档${id}失败`)))
     })
   },
 
   /**
    * 删除指定的文档
    * 此函数用于删除集合中指定ID的文档。它返回一个布尔值，指示删除操作是否成功执行。
-   * 如果文档存在并且被成功删除，则返回true。如果文档不存在或删除操作失败，则返回false。
+   * 如果文档存在并且被成功删除，则返回true。如果文档不存在，则返回false；删除出错时reject错误对象。
    * 
    * @param {string} c - 集合名称，指明在哪个集合中执行删除操作
    * @param {string} id - 文档ID，用于定位需要删除的文档
    * @param {Object} options - 可选参数，包括:
    *   - {boolean} mine - 是否仅删除用户自己的数据。当使用自定义安全规则且有"auth.openid == doc._openid"规则时，必须设置为true
+   *   - {boolean} offline - 开启离线写入（见enableOfflineWrites）后，网络不可用时是否加入离线队列，默认为true
    * @returns {Promise<boolean>} Promise对象，解析返回是否成功删除。true表示删除成功，false表示失败。
    * 
    * @example
@@ -1017,14 +1398,13 @@ const utils = {
    *     console.log('删除失败，可能是由于文档不存在或其他原因');
    *   }
    */
-  removeDoc (c, id, {mine = false} = {}) {
+  removeDoc (c, id, {mine = false, offline = true} = {}) {
     const _ = this
     const w = {_id: id}
-    return new Promise((resolve, reject) => {
-      _.coll(c)
-        .where({...w, ...(mine ? {_openid: '{openid}'} : {})})
-        .limit(1)
-        .remove()
+    return _._offlineWrite({offline, op: 'remove', c, id, mine}, () => new Promise((resolve, reject) => {
+      const where = _._mineWhere(w, mine)
+      const remove = _.getCollConfig(c).soft_delete ? _._softRemove(c, where) : _._dbCall('removeDoc', c, _.coll(c).where(where).limit(1).remove())
+      remove
         .then(async res => {
           if(res.stats.removed > 0){
             resolve(true)
@@ -1033,9 +1413,9 @@ const utils = {
           }
         })
         .catch(e => {
-          resolve(false)
+          reject(_._toError(e, 'DB_WRITE_FAILED', `删除集合${c}中的文档${id}失败`))
         })
-    })
+    }))
   },
 
   /**
@@ -1066,15 +1446,15 @@ const utils = {
     const _ = this
     return new Promise((resolve, reject) => {
       if (_.isEmpty(w) && !mine) {
-        reject({errno: 'removeMatch Failed', errMsg: `mine为false时w不能为空`})
+        reject(_.makeError('INVALID_PARAM', 'removeMatch：mine为false时w不能为空'))
       } else {
-        _.coll(c)
-          .where({...w, ...(mine ? {_openid: '{openid}'} : {})})
-          .remove()
+        const where = _._mineWhere(w, mine)
+        const remove = _.getCollConfig(c).soft_delete ? _._softRemove(c, where) : _._dbCall('removeMatch', c, _.coll(c).where(where).remove())
+        _._written(c, remove)
           .then(res => {
             resolve(res.stats.removed)
           })
-          .catch(reject)
+          .catch(e => reject(_._toError(e, 'DB_WRITE_FAILED', `删除集合${c}中的文档失败`)))
       }
     })
   },
@@ -1137,11 +1517,12 @@ const utils = {
   exists(c, w_or_id, {mine = false} = {}) {
     const _ = this
     const w = _.isString(w_or_id) ? {_id: w_or_id} : w_or_id
-    return new Promise((resolve) => {
-      _.coll(c)
-        .where({...w, ...(mine ? {_openid: '{openid}'} : {})})
+    return new Promise((resolve, reject) => {
+      const get = _.coll(c)
+        .where(_._mineWhere(w, mine))
         .limit(1)
         .get()
+      _._dbCall('exists', c, get)
         .then(res => {
           if (res.data.length > 0) {
             resolve(true)
@@ -1149,6 +1530,7 @@ const utils = {
             resolve(false)
           }
         })
+        .catch(e => reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`)))
     })
   },
 
@@ -1174,14 +1556,12 @@ const utils = {
   count (c, w = {}, {mine = false} = {}) {
     const _ = this
     return new Promise((resolve, reject) => {
-      _.coll(c)
-        .where({...w, ...(mine ? {_openid: '{openid}'} : {})})
-        .count()
+      _._dbCall('count', c, _.coll(c).where(_._mineWhere(w, mine)).count())
         .then(res => {
           resolve(res.total)
         })
         .catch(e => {
-          reject(e)
+          reject(_._toError(e, 'DB_READ_FAILED', `统计集合${c}的文档数量失败`))
         })
     })
   },
@@ -1213,11 +1593,12 @@ const utils = {
   getMaxFeild (c, feild, {w = {}, mine = false, default_value = null, _order_by = 'desc'} = {}) {
     const _ = this
     return new Promise((resolve, reject) => {
-      _.coll(c)
-        .where({...w, ...(mine ? {_openid: '{openid}'} : {})})
+      const get = _.coll(c)
+        .where(_._mineWhere(w, mine))
         .orderBy(feild, _order_by) // orderBy支持点表示法
         .limit(1)
         .get()
+      _._dbCall('getMaxFeild', c, get)
         .then(res => {
           if (res.data.length > 0) {
             resolve(res.data[0][feild])
@@ -1225,7 +1606,7 @@ const utils = {
             resolve(default_value)
           }
         })
-        .catch(reject)
+        .catch(e => reject(_._toError(e, 'DB_READ_FAILED', `读取集合${c}失败`)))
     })
   },
 
@@ -1253,4045 +1634,5851 @@ const utils = {
   },
 
   /**
-   * 递归搜索，把obj对象中所有undefined设置为数据库删除命令。
-   * `undefinedToRemove`函数通过递归检查对象或数组中的每个元素，将值为undefined的属性替换为数据库删除命令。
-   * @param {Object|Array} obj - 需要处理的对象或数组。
-   * @returns {Object|Array} 返回处理后的新对象或数组。
+   * 按字段的值分组，统计每组的文档数量
+   *
+   * @param {string} c - 集合名称。
+   * @param {string} field - 分组字段，支持点表示法。
+   * @param {Object} options
+   *   - {Object} w - 查询条件，默认为空对象。
+   *   - {boolean} mine - 是否只统计当前用户的数据。
+   *   - {number} page_size - 每次读取的分组数量，默认为1000。分组较多时分多次读取（见_groupAll）
+   * @returns {Promise<Array<Object>>} [{value, count}]，按count从大到小排序。字段不存在的文档value为null
    *
    * @example
-   *   // 把数据库中doc为undefined的属性删除（递归搜索所有undefined）
-   *   doc2 = utils.undefinedToRemove(doc)
-   *   utils.updateDoc('todo', 'id123', doc2)
+   *   const stats = await utils.groupCount('todo', 'status')
+   *   // [{value: '未完成', count: 12}, {value: '已完成', count: 5}]
    */
-  undefinedToRemove(obj){
+  groupCount (c, field, {w = {}, mine = false, page_size = 1000} = {}) {
     const _ = this
-    const $ = _.command()
-    obj = _.deepCopy(obj) // 需要保留undefined值，所以不使用jsonDeepcopy
-
-    function _remove(obj){
-      if (_.isObject(obj)) {
-        for (let key in obj) {
-          if (obj[key] === undefined) {
-            obj[key] = $.remove()
-          } else if (_.isObjectOrArray(obj[key])) {
-            _remove(obj[key])
-          }
-        }
-      } else if (_.isArray(obj)) {
-        for (let i = 0; i < obj.length; i++) {
-          if (_.isObjectOrArray(obj[i])) {
-            _remove(obj[i])
-          }
-        }
-      }
-    }
-
-    _remove(obj)
-    return obj
+    const $ = _.command().aggregate
+    return _._groupAll(c, _._mineWhere(w, mine), {_id: '$' + field, count: $.sum(1)}, page_size)
+      .then(groups => groups.map(g => ({value: g._id, count: g.count})).sort((a, b) => b.count - a.count))
   },
 
-
-  /* === 对象 === */
-
   /**
-   * 判断值是否为undefined或null
-   * 
-   * @param {*} i - 要判断的值
-   * @returns {boolean} 如果值为undefined或null，返回true；否则返回false
+   * 计算字段的合计值
+   *
+   * @param {string} c - 集合名称。
+   * @param {string} field - 数字字段，支持点表示法。
+   * @param {Object} options
+   *   - {Object} w - 查询条件，默认为空对象。
+   *   - {boolean} mine - 是否只统计当前用户的数据。
+   * @returns {Promise<number>} 合计值，没有符合条件的文档时为0。字段不是数字的文档不计入
+   *
+   * @example
+   *   const total = await utils.sumField('order', 'price', {w: {status: '已支付'}})
    */
-  isNone (i) {
-    return i === undefined || i === null
+  sumField (c, field, {w = {}, mine = false} = {}) {
+    const _ = this
+    const $ = _.command().aggregate
+    return _._groupAll(c, _._mineWhere(w, mine), {_id: null, value: $.sum('$' + field)})
+      .then(groups => groups.length > 0 ? groups[0].value : 0)
   },
 
   /**
-   * 判断值是否为空对象{}、空数组[]、空字符串''、空内容串'  '、undefined或null
-   * 
-   * @param {*} i - 要判断的值
-   * @returns {boolean} 如果值为空返回true；否则返回false
+   * 计算字段的平均值
+   *
+   * @param {string} c - 集合名称。
+   * @param {string} field - 数字字段，支持点表示法。
+   * @param {Object} options
+   *   - {Object} w - 查询条件，默认为空对象。
+   *   - {boolean} mine - 是否只统计当前用户的数据。
+   * @returns {Promise<number|null>} 平均值，没有符合条件的文档时为null。字段不是数字的文档不计入
    */
-  isEmpty (i) {
+  avgField (c, field, {w = {}, mine = false} = {}) {
     const _ = this
-    return (
-      _.isNone(i) 
-      || (_.isArray(i) && i.length === 0)
-      || (_.isString(i) && i.trim().length === 0)
-      || (_.isObject(i) && Object.keys(i).length === 0)
-    );
+    const $ = _.command().aggregate
+    return _._groupAll(c, _._mineWhere(w, mine), {_id: null, value: $.avg('$' + field)})
+      .then(groups => groups.length > 0 ? groups[0].value : null)
   },
 
   /**
-   * 判断值是否为数组
-   * 
-   * @param {*} i - 要判断的值
-   * @returns {boolean} 如果值为数组，返回true；否则返回false
+   * 获取字段所有不重复的值
+   *
+   * @param {string} c - 集合名称。
+   * @param {string} field - 字段名称，支持点表示法。
+   * @param {Object} options
+   *   - {Object} w - 查询条件，默认为空对象。
+   *   - {boolean} mine - 是否只统计当前用户的数据。
+   *   - {number} page_size - 每次读取的数量，默认为1000。
+   * @returns {Promise<Array>} 不重复的值，按升序排列。字段不存在或为null的文档不计入
+   *
+   * @example
+   *   const tags = await utils.distinct('article', 'category')
    */
-  isArray(i){
-    return Array.isArray(i)
+  distinct (c, field, {w = {}, mine = false, page_size = 1000} = {}) {
+    const _ = this
+    return _._groupAll(c, _._mineWhere(w, mine), {_id: '$' + field}, page_size)
+      .then(groups => groups.map(g => g._id).filter(v => !_.isNone(v)))
   },
 
   /**
-   * 判断值是否为对象（不包括数组、null和undefined、时间对象）
-   * 
-   * 在JavaScript中，数组和null的typeof也是'object'，但此函数会排除这些情况。
-   * 
-   * @param {*} i - 要判断的值
-   * @returns {boolean} 如果值为对象（不包括数组、null和undefined），返回true；否则返回false
+   * 按日期字段统计每天（周、月）的文档数量
+   *
+   * @param {string} c - 集合名称。
+   * @param {string} field - 日期字段（Date类型，如timestamps添加的created），支持点表示法，默认为'created'。
+   * @param {Object} options
+   *   - {Object} w - 查询条件，默认为空对象。
+   *   - {boolean} mine - 是否只统计当前用户的数据。
+   *   - {string} unit - 统计单位：'day'、'week'（周一开始）或'month'，默认为'day'
+   *   - {string} timezone - 时区，默认为'Asia/Shanghai'
+   *   - {number} page_size - 每次读取的分组数量，默认为1000。
+   * @returns {Promise<Array<Object>>} [{date, count}]，按date升序排列，没有文档的日期不包含在内。
+   *   date为'2024-06-03'的形式，unit为'week'时是周一的日期，为'month'时是'2024-06'的形式
+   *
+   * @example
+   *   // 最近30天每天完成的todo数量
+   *   const $ = utils.command()
+   *   const days = await utils.dateHistogram('todo', 'done_time', {w: {status: '已完成', done_time: $.gte(utils.daysAgoDate(30))}})
    */
-  isObject(i){
+  dateHistogram (c, field = 'created', {w = {}, mine = false, unit = 'day', timezone = 'Asia/Shanghai', page_size = 1000} = {}) {
     const _ = this
-    return typeof i === 'object' && !_.isArray(i) && !_.isNone(i) && !_.isDate(i)
+    const $ = _.command().aggregate
+    const formats = {day: '%Y-%m-%d', week: '%Y-%m-%d', month: '%Y-%m'}
+    if (!formats[unit]) {
+      return Promise.reject(_.makeError('INVALID_PARAM', `dateHistogram：不支持的统计单位${unit}`))
+    }
+    const date = $.dateToString({date: '$' + field, format: formats[unit], timezone, onNull: null})
+    return _._groupAll(c, _._mineWhere(w, mine), {_id: date, count: $.sum(1)}, page_size)
+      .then(groups => {
+        groups = groups.filter(g => g._id !== null)
+        if (unit !== 'week') {
+          return groups.map(g => ({date: g._id, count: g.count}))
+        }
+        // 按天读取后合并为周，date为周一的日期
+        const weeks = new Map()
+        for (const g of groups) {
+          const t = new Date(g._id + 'T00:00:00Z')
+          t.setUTCDate(t.getUTCDate() - (t.getUTCDay() || 7) + 1)
+          const monday = t.toISOString().slice(0, 10)
+          weeks.set(monday, (weeks.get(monday) || 0) + g.count)
+        }
+        return [...weeks].map(([date, count]) => ({date, count}))
+      })
   },
 
   /**
-   * 判断输入是否为对象或数组。
-   * @param {*} i - 待检查的输入。
-   * @returns {boolean} 如果输入是对象或数组，则返回true，否则返回false。
+   * 按关键词搜索文档
+   *
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {string} c - 集合名称
+   *   - {string} keyword - 关键词，多个关键词用空格分隔，每个关键词都要在某个字段中出现（不区分大小写）
+   *   - {Array<string>|string} fields - 搜索的字段，如：['title', 'content'] 或 'title, content'，支持点表示法
+   *   - {Object} w - 其他查询条件，默认为{}
+   *   - {boolean} mine - 是否只搜索用户自己的数据
+   *   - {number} page_num - 页码，从0开始
+   *   - {number} page_size - 每页大小，默认为20
+   *   - {string} only - 仅返回的字段
+   *   - {string} except - 不返回的字段，使用索引时可传入'_search'减少读取的数据量
+   *   - {Object|string} order_by - 排序规则，同docs
+   *   - {boolean} use_index - 是否使用搜索索引（由云端utils在写入时维护，见云端setCollConfig的search_keys），默认为false
+   * @returns {Promise<Array>} 文档数组，keyword为空时不读取数据库，直接返回[]
+   *
+   * 说明
+   *   1. 不使用索引时用正则表达式匹配，数据库需要逐个检查文档，集合较大时较慢。
+   *   2. 使用索引时按分词匹配：中文按单字和相邻的两个字分词，英文和数字按整个单词分词（搜索'java'不会匹配'javascript'）。
+   *
+   * @example
+   *   const todos = await utils.search({c: 'todo', keyword: '周报 review', fields: 'title, content', mine: true})
    */
-  isObjectOrArray(i){
+  search ({c, keyword = '', fields = [], w = {}, mine = false, page_num = 0, page_size = 20, only = '', except = '', order_by = {}, use_index = false} = {}) {
     const _ = this
-    return _.isObject(i) || _.isArray(i)
+    const cond = _._searchMatch(keyword, _.isString(fields) ? _.split(fields, ',') : fields, use_index)
+    if (cond === null) {
+      return Promise.resolve([])
+    }
+    return _.docs({c, w: _._andWhere(_._mineWhere(w, mine), cond), page_num, page_size, only, except, order_by})
   },
 
   /**
-   * 判断值是否为字符串
-   * 
-   * @param {*} i - 要判断的值
-   * @returns {boolean} 如果值为字符串，返回true；否则返回false
+   * 递归搜索，把obj对象中所有undefined设置为数据库删除命令。
+   * `undefinedToRemove`函数通过递归检查对象或数组中的每个元素，将值为undefined的属性替换为数据库删除命令。
+   * @param {Object|Array} obj - 需要处理的对象或数组。
+   * @returns {Object|Array} 返回处理后的新对象或数组。
+   *
+   * @example
+   *   // 把数据库中doc为undefined的属性删除（递归搜索所有undefined）
+   *   doc2 = utils.undefinedToRemove(doc)
+   *   utils.updateDoc('todo', 'id123', doc2)
    */
-  isString(i){
-    return typeof i === 'string' || i instanceof String
+  undefinedToRemove(obj){
+    const _ = this
+    const $ = _.command()
+    obj = _.deepCopy(obj) // 需要保留undefined值，所以不使用jsonDeepcopy
+
+    function _remove(obj){
+      if (_.isObject(obj)) {
+        for (let key in obj) {
+          if (obj[key] === undefined) {
+            obj[key] = $.remove()
+          } else if (_.isObjectOrArray(obj[key])) {
+            _remove(obj[key])
+          }
+        }
+      } else if (_.isArray(obj)) {
+        for (let i = 0; i < obj.length; i++) {
+          if (_.isObjectOrArray(obj[i])) {
+            _remove(obj[i])
+          }
+        }
+      }
+    }
+
+    _remove(obj)
+    return obj
   },
 
+
+  /* === 实时监听 === */
+
   /**
-   * 判断是否是Set。
-   * 
-   * @param {any} i - 被判断的值
-   * @returns {boolean} 如果值是Set，返回 `true`；否则返回 `false`。
-   * 
+   * 实时监听集合中匹配的数据（封装collection.where().watch()），出错（如断网）后自动重连。
+   *
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {string} c - 集合名称，当运行在生产环境时会自动添加p_前缀
+   *   - {Object} w - 查询条件，默认为{}
+   *   - {boolean} mine - 是否只监听用户自己的数据，同docs的mine
+   *   - {Object|string} order_by - 排序规则，同docs的order_by
+   *   - {number|null} limit - 最多监听的文档数量，默认为null，表示不限制
+   *   - {Function} onChange - 数据变化时调用，参数为 (docs, snapshot)，docs为当前匹配的全部文档，snapshot为微信返回的原始快照
+   *   - {Function|null} onError - 出错时调用，参数为WATCH_FAILED错误对象（之后会自动重连）。默认为null
+   *   - {number} retry_delay - 第一次重连前等待的毫秒数，之后每次翻倍，默认为1000
+   *   - {number} max_retry_delay - 重连前最多等待的毫秒数，默认为30000
+   * @returns {Object} 监听器 {close}，调用close()关闭监听（返回Promise）
+   *
+   * 说明
+   *   1. 重连成功后onChange会收到完整的docs（snapshot.type为'init'），直接使用docs即可，无需合并docChanges。
+   *   2. 在页面中建议使用page_behaviors.js的_watch，页面卸载时会自动关闭监听。
+   *   3. 集合需允许前端读取，且w必须满足安全规则（如使用mine）。
+   *
    * @example
-   * utils.isSet(new Set([1, 2, 3])) // true
+   *   const watcher = utils.watch({
+   *     c: 'todo',
+   *     w: {done: false},
+   *     mine: true,
+   *     onChange: docs => console.log('最新的数据:', docs),
+   *   })
+   *   // 不再需要时
+   *   watcher.close()
    */
-  isSet(i){
-    return i instanceof Set
+  watch ({c, w = {}, mine = false, order_by = {}, limit = null, onChange, onError = null, retry_delay = 1000, max_retry_delay = 30000} = {}) {
+    const _ = this
+    _.assert(_.isFunction(onChange), 'watch：onChange必须是函数')
+    const order = _.isEmpty(order_by) ? [] : Object.entries(_._prepareSort(order_by))
+    const state = {watcher: null, timer: null, retries: 0, closed: false}
+
+    const retry = (e) => {
+      state.watcher = null
+      if (state.closed) {
+        return
+      }
+      const delay = Math.min(retry_delay * 2 ** state.retries, max_retry_delay)
+      state.retries++
+      onError?.(_._toError(e, 'WATCH_FAILED', `监听集合${c}出错，${delay}毫秒后重连`))
+      state.timer = setTimeout(connect, delay)
+    }
+
+    const connect = () => {
+      state.timer = null
+      let query = _.coll(c).where(_._mineWhere(w, mine))
+      for (let [k, dir] of order) {
+        query = query.orderBy(k, dir === 1 ? 'asc' : 'desc')
+      }
+      if (limit) {
+        query = query.limit(limit)
+      }
+      try {
+        state.watcher = query.watch({
+          onChange: snapshot => {
+            state.retries = 0
+            onChange(snapshot.docs, snapshot)
+          },
+          onError: retry,
+        })
+      } catch (e) {
+        retry(e)
+      }
+    }
+
+    connect()
+    return {
+      close () {
+        state.closed = true
+        clearTimeout(state.timer)
+        const watcher = state.watcher
+        state.watcher = null
+        return watcher ? Promise.resolve(watcher.close()).catch(() => {}) : Promise.resolve()
+      },
+    }
   },
 
+  /* === 离线写入 === */
+
   /**
-   * 判断是否是函数。
-   * 
-   * @param {any} i - 被判断的值
-   * @returns {boolean} 如果值是函数，返回 `true`；否则返回 `false`。
-   * 
+   * 开启离线写入。开启后，addDoc、updateDoc、removeDoc（包括updateMyDoc、removeMyDoc）因网络不可用而失败时，
+   * 写入操作会按顺序保存到本地持久存储中，网络恢复后（wx.onNetworkStatusChange）自动按顺序重新提交。
+   *
+   * @param {Object} options - 可选参数:
+   *   - {string} storage_key - 保存离线队列的Storage键名，默认为'_offline_writes'
+   * @returns {Promise<Object>} 开启后会立即尝试提交一次，解析为flushOfflineWrites的返回值
+   *
+   * 说明
+   *   1. 加入离线队列的写入会reject错误码为OFFLINE_QUEUED的错误对象，其中offline_id为队列中的ID，_id为文档ID。
+   *      开启后addDoc会在前端生成_id，因此页面可以先用e._id显示新数据。
+   *   2. 队列不为空时，新的写入会排在队列末尾，保证提交顺序与用户的操作顺序一致。
+   *   3. 重新提交时若出现网络以外的错误（如更新的文档已被删除、没有权限），此写入会移入冲突列表，
+   *      需要页面调用resolveOfflineConflict处理。
+   *   4. 队列保存在Storage中，小程序重启后再次调用enableOfflineWrites即可继续提交。
+   *   5. 离线写入的数据会保存到Storage中，因此不能包含 $.inc() 等数据库指令和 serverDate()。
+   *
    * @example
-   * utils.isFunction(function () {}) // true
+   *   // 在app.js的onLaunch中开启
+   *   utils.enableOfflineWrites()
+   *
+   * @example
+   *   utils.addDoc('todo', {title: '买菜'})
+   *     .then(id => { ... })
+   *     .catch(e => {
+   *       if (utils.isError(e, 'OFFLINE_QUEUED')) {
+   *         // 已加入离线队列，网络恢复后会自动提交，页面可以先显示这条数据
+   *         this.setData({pending_ids: [...this.data.pending_ids, e._id]})
+   *       }
+   *     })
    */
-  isFunction(i){
-    return typeof i === 'function'
+  enableOfflineWrites ({storage_key = '_offline_writes'} = {}) {
+    const _ = this
+    if (!_._offline) {
+      _._offline = {storage_key, loaded: false, pending: [], conflicts: [], waiting: {}, listeners: []}
+      wx.onNetworkStatusChange(({isConnected}) => {
+        if (isConnected) {
+          _.flushOfflineWrites().catch(e => _.error({title: '提交离线写入队列失败', e}))
+        }
+      })
+    }
+    const offline = _._offline
+    return _._offlineSerial(async () => {
+      if (!offline.loaded) {
+        const saved = await _.getStorage(offline.storage_key).catch(() => null)
+        offline.pending = saved?.pending ?? []
+        offline.conflicts = saved?.conflicts ?? []
+        offline.loaded = true
+      }
+    }).then(() => _.flushOfflineWrites())
   },
 
   /**
-   * 判断值是否为布尔值。
-   * 
-   * @param {any} i - 被判断的值
-   * @returns {boolean} 如果值是布尔值，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   * utils.isBoolean(true) // true
+   * 按顺序提交离线队列中的写入，遇到网络错误时停止（等待下次网络恢复）。
+   *
+   * @returns {Promise<Object>} {done, pending, conflicts}，分别为本次提交成功的数量、剩余的数量、冲突的总数量
+   *
+   * 注意
+   *   1. 网络恢复时会自动调用此函数，通常不需要手动调用。
+   *   2. 未调用enableOfflineWrites时，直接解析为 {done: 0, pending: 0, conflicts: 0}。
    */
-  isBoolean(i){
-    return typeof i === 'boolean'
+  flushOfflineWrites () {
+    const _ = this
+    const offline = _._offline
+    if (!offline) {
+      return Promise.resolve({done: 0, pending: 0, conflicts: 0})
+    }
+    return _._offlineSerial(async () => {
+      let done = 0
+      while (offline.pending.length > 0) {
+        const item = offline.pending[0]
+        const waiter = offline.waiting[item.offline_id]
+        try {
+          const result = await _._runOfflineWrite(item)
+          offline.pending.shift()
+          done++
+          waiter?.resolve(result)
+        } catch (e) {
+          if (_._isOfflineError(e)) {
+            item.tries++
+            item.last_error = e.errMsg
+            await _._saveOfflineWrites()
+            break
+          }
+          offline.pending.shift()
+          const error = _.isError(e, 'OFFLINE_CONFLICT') ? e : _.makeError('OFFLINE_CONFLICT', `离线写入${item.c}失败`, {cause: e})
+          offline.conflicts.push({...item, error})
+          waiter?.reject({...error, offline_id: item.offline_id, _id: item.id})
+        }
+        delete offline.waiting[item.offline_id]
+        await _._saveOfflineWrites()
+      }
+      // 仍在队列中的写入，告知调用者已加入离线队列
+      for (const item of offline.pending) {
+        const waiter = offline.waiting[item.offline_id]
+        if (waiter) {
+          delete offline.waiting[item.offline_id]
+          waiter.reject(_.makeError('OFFLINE_QUEUED', `网络不可用，${item.c}的写入已加入离线队列`, {offline_id: item.offline_id, _id: item.id}))
+        }
+      }
+      return {done, pending: offline.pending.length, conflicts: offline.conflicts.length}
+    })
   },
 
-  /** 
-   * 判断是否是时间对象。
-   * 
-   * @param {any} i - 被判断的值
-   * @returns {boolean} 如果值是时间对象，返回 `true`；否则返回 `false`。
+  /**
+   * 获取离线队列中等待提交的写入，可用于在页面中显示“待同步”的数据。
+   *
+   * @param {Object} options - 可选参数:
+   *   - {string|null} c - 只返回此集合的写入，默认为null，表示全部
+   * @returns {Array<Object>} 写入列表（按提交顺序），每项为：
+   *   - {string} offline_id - 队列中的ID
+   *   - {string} op - 'add'、'update'或'remove'
+   *   - {string} c - 集合名称
+   *   - {string|null} id - 文档ID
+   *   - {Object|null} data - 写入的数据
+   *   - {boolean} mine - 同updateDoc、removeDoc的mine参数
+   *   - {number|null} rev - 同updateDoc的rev参数
+   *   - {number} created - 加入队列的时间戳
+   *   - {number} tries - 已重新提交的次数
+   *   - {string} last_error - 最后一次提交失败的原因
    */
-  isDate(i){
-    return i instanceof Date
+  offlineWrites ({c = null} = {}) {
+    const _ = this
+    const pending = _._offline?.pending ?? []
+    return _.deepCopy(c === null ? pending : pending.filter(item => item.c === c))
   },
 
   /**
-   * 向对象中按照路径赋值，如果路径上的中间对象不存在，则自动创建。
-   * @param {Object} obj - 目标对象。
-   * @param {string} key - 属性路径，支持'a.b.c'形式。
-   * @param {*} value - 要设置的值。
-   * @param {Object} [options={}] - 可选参数。
-   *   - {boolean} remove_undefined - 如果为true且value为undefined，则删除该属性。
-   * @throws {Error} 如果obj为null或undefined，或路径不合法（如中间非对象）则抛出异常。
+   * 获取离线写入冲突列表，即重新提交时出现网络以外错误的写入。
+   *
+   * @param {Object} options - 可选参数:
+   *   - {string|null} c - 只返回此集合的冲突，默认为null，表示全部
+   * @returns {Array<Object>} 冲突列表，每项与offlineWrites的返回值相同，另有error字段为错误对象
    */
-  putValue(obj, key, value, {remove_undefined = true} = {}){
+  offlineConflicts ({c = null} = {}) {
     const _ = this
+    const conflicts = _._offline?.conflicts ?? []
+    return _.deepCopy(c === null ? conflicts : conflicts.filter(item => item.c === c))
+  },
 
-    if (key.includes('.')) {
-
-      let ks = key.split('.')
-      let current, pre, i
-
-      for (i = 0; i < ks.length; i++) {
-
-        if(i === 0){
-          pre = null
-          current = obj
-        } else {
-          pre = current
-          current = current[ks[i-1]]
-        }
-
-        if (_.isNone(current)) {
-          if(i === 0){
-            throw new Error('传给utils.putValue的obj不能为null或undefined')
-          } else {
-            current = pre[ks[i-1]] = {}
-          }
-        } else if(!_.isObject(current)) {
-          break
-        }
-
+  /**
+   * 处理离线写入冲突。
+   *
+   * @param {string} offline_id - 冲突的offline_id
+   * @param {Object} options - 可选参数:
+   *   - {string} action - 'discard'表示放弃此写入（默认），'retry'表示重新加入离线队列末尾
+   *   - {Object|null} data - retry时使用新的写入数据，如用户修改后的内容。默认为null，表示使用原来的数据
+   *   - {number|null} rev - retry时使用新的期望版本号，版本冲突时通常为error.cause.current_rev。默认为null，表示使用原来的版本号
+   * @returns {Promise<Object>} 解析为flushOfflineWrites的返回值
+   *
+   * @example
+   *   const conflicts = utils.offlineConflicts({c: 'todo'})
+   *   // 用户选择放弃
+   *   await utils.resolveOfflineConflict(conflicts[0].offline_id)
+   *   // 更新的文档已被删除，用户选择重新添加
+   *   await utils.resolveOfflineConflict(conflicts[0].offline_id, {action: 'retry'})
+   */
+  resolveOfflineConflict (offline_id, {action = 'discard', data = null, rev = null} = {}) {
+    const _ = this
+    const offline = _._offline
+    if (!offline) {
+      return Promise.reject(_.makeError('INVALID_PARAM', '请先调用enableOfflineWrites开启离线写入'))
+    }
+    if (!_.in(action, ['discard', 'retry'])) {
+      return Promise.reject(_.makeError('INVALID_PARAM', `resolveOfflineConflict：不支持的action ${action}`))
+    }
+    return _._offlineSerial(async () => {
+      const i = offline.conflicts.findIndex(item => item.offline_id === offline_id)
+      if (i < 0) {
+        throw _.makeError('INVALID_PARAM', `离线写入冲突不存在：${offline_id}`)
       }
-
-      if (i === ks.length) {
-        if (value === undefined && remove_undefined) {
-          delete current[ks[i-1]]
-        } else {
-          current[ks[i-1]] = value
-        }
-      } else {
-        throw new Error(`传给utils.putValue的key ${key} 不合法，因为${ks[i-1]}不是对象`)
+      const [{error, ...item}] = offline.conflicts.splice(i, 1)
+      if (action === 'retry') {
+        offline.pending.push({...item, data: data ?? item.data, rev: rev ?? item.rev ?? null, tries: 0, last_error: ''})
       }
+      await _._saveOfflineWrites()
+    }).then(() => _.flushOfflineWrites())
+  },
 
-    } else {
-      if (_.isNone(obj)) {
-        throw new Error('传给utils.putValue的obj不能为null或undefined')
-      } else {
-        if (value === undefined && remove_undefined) {
-          delete obj[key]
-        } else {
-          obj[key] = value
-        }
-      }
+  /**
+   * 监听离线队列、冲突列表的变化，可用于刷新页面上的“待同步”状态。
+   *
+   * @param {Function} fn - 回调函数，参数为 {pending, conflicts}，同offlineWrites、offlineConflicts的返回值
+   * @returns {Function} 取消监听的函数，请在页面onUnload时调用
+   *
+   * @example
+   *   onLoad () {
+   *     this._off = utils.onOfflineWritesChange(({pending}) => this.setData({pending_count: pending.length}))
+   *   },
+   *   onUnload () {
+   *     this._off()
+   *   },
+   */
+  onOfflineWritesChange (fn) {
+    const _ = this
+    _.assert(_._offline, '请先调用enableOfflineWrites开启离线写入')
+    _._offline.listeners.push(fn)
+    return () => {
+      _._offline.listeners = _._offline.listeners.filter(f => f !== fn)
     }
   },
 
+  /* === 调用次数统计 === */
+
   /**
-   * 将一个对象的所有属性按路径添加到另一个对象中。
-   * @param {Object} obj - 目标对象。
-   * @param {Object} obj_value - 要添加的属性对象，键支持'a.b.c'形式的路径。
-   * @param {Object} [options={}] - 可选参数。
-   *   - {boolean} remove_undefined - 如果为true且value为undefined，则删除该属性。
-   * @throws {Error} 如果obj为null或undefined，或路径不合法（如中间非对象）则抛出异常。
+   * 获取数据库与云函数的调用次数统计（自小程序启动或上次resetDbCallStats起）。
+   * 每次实际发出的请求计1次，命中读取缓存（见setCollConfig的cache_ttl）或共用请求时不计。
+   *
+   * @param {Object} options - 可选参数:
+   *   - {string|null} page - 只统计此页面路径（如'pages/index/index'）中的调用，默认为null，表示所有页面
+   *   - {string|null} c - 只统计此集合（或云函数）的调用，默认为null
+   *   - {string|null} op - 只统计此操作的调用，如'getDoc'，默认为null
+   * @returns {Object} {total, list}
+   *   - {number} total - 调用次数合计
+   *   - {Array<Object>} list - [{page, op, c, count}]，按count从大到小排序
+   *
+   * 说明
+   *   1. op为发出请求的函数名：getDoc、getOne、getDocsByIds、docs、allDocs（每读取一页计1次）、exists、count、getMaxFeild、
+   *      addDoc、updateDoc、updateMatch、setDoc、removeDoc、removeMatch；以及aggregate（groupCount、sumField等统计函数）、
+   *      softRemove（软删除）、revConflict（版本冲突时读取当前版本号）、call（云函数，c为云函数名称，每次重试都计1次）。
+   *   2. getUserConfig、setUserConfig等函数通过getMyOneByAgg、updateMyMatch、addDoc读写数据库，分别计入allDocs、updateMatch、addDoc；
+   *      getDocByAgg、getOneByAgg也计入allDocs。
+   *   3. page为发出请求时的当前页面路径，在App.onLaunch等没有页面时为''。
+   *   4. watch的实时推送不计入。
    *
    * @example
-   *   const obj = {a: 1}
-   *   const obj_value = {'b.c.d': 2, b: {e: 3}}
-   *   utils.putObj(obj, obj_value)
-   *   console.log(obj) // { a: 1, b: { c: { d: 2 }, e: 3 } }
-   * 
-   * 注意
-   *   若obj_value中出现重复路径，则后者会覆盖前者。
-   *   如 obj_value = {a: {b: 1}, 'a.b': 2}，则结果为 {a: {b: 2}}
+   *   // 查看当前页面读写最多的集合
+   *   const {total, list} = utils.dbCallStats({page: utils.currPagePath()})
+   *   utils.log({total, top: list.slice(0, 5)})
    */
-  putObj(obj, obj_value, { remove_undefined = true} = {}) {
+  dbCallStats ({page = null, c = null, op = null} = {}) {
     const _ = this
-    function _put(pre_path, o_value) {
-      for (let key in o_value) {
-        const value = o_value[key]
-        if (_.isObject(value)) {
-          _put(`${pre_path}${key}.`, value)
-        } else {
-          _.putValue(obj, `${pre_path}${key}`, value, { remove_undefined })
-        }
-      }
-    }
-    _put('', obj_value)
+    const list = Object.values(_._db_call_stats)
+      .filter(st => (page === null || st.page === page) && (c === null || st.c === c) && (op === null || st.op === op))
+      .map(st => ({...st}))
+      .sort((a, b) => b.count - a.count)
+    return {total: list.reduce((sum, st) => sum + st.count, 0), list}
   },
 
   /**
-   * 将值推入对象指定路径的数组中，若路径或数组不存在则自动创建。
-   * @param {Object} obj - 目标对象。
-   * @param {string} key - 数组属性的路径，支持'a.b.c'形式。
-   * @param {*} value - 要推入的值。
-   * @throws {Error} 如果路径不是数组，则抛出异常。
+   * 重置调用次数统计
    */
-  pushValue(obj, key, value){
-    const _ = this
-    const exists = _.pickValue(obj, key)
-    if (_.isNone(exists)) {
-      _.putValue(obj, key, [value])
-    } else if (_.isArray(exists)) {
-      exists.push(value)
-    } else {
-      throw new Error(`传给utils.pushValue的key ${key} 不合法，因为${key}不是数组`)
-    }
+  resetDbCallStats () {
+    this._db_call_stats = {}
   },
 
   /**
-   * 从对象中按照路径提取属性的值。
-   * @param {Object} obj - 源对象。
-   * @param {string} key - 属性路径，支持'a.b.c'形式。
-   * @returns {*} 提取的值，如果路径不存在则返回undefined。
+   * 设置每个页面的调用次数预算，在本地开发环境中，页面（每次打开）的调用次数超过预算时打印警告日志。
+   *
+   * @param {number|null} budget - 每次打开页面最多的调用次数，为null时取消
+   * @param {Object} options - 可选参数:
+   *   - {boolean} toast - 超过预算时是否同时在页面上显示提示，默认为false
+   *
+   * 说明
+   *   1. 只在本地开发环境（isLocal）中检查，线上环境不会打印日志或显示提示。
+   *   2. 每次打开页面只提示一次，日志中包含此页面路径自启动以来的调用统计，便于找到调用次数多的函数。
+   *
+   * @example
+   *   // 在app.js的onLaunch中设置
+   *   utils.setDbCallBudget(10, {toast: true})
    */
-  pickValue(obj, key){
-    const _ = this
-    if (key.includes('.')) {
-      let ks = key.split('.')
-      for (let i = 0; i < ks.length; i++) {
-        obj = obj[ks[i]]
-        if (_.isNone(obj)) {
-          return obj
-        }
-      }
-      return obj
-    } else {
-      return obj[key]
-    }
+  setDbCallBudget (budget, {toast = false} = {}) {
+    this._db_call_budget = budget === null ? null : {budget, toast}
   },
 
+  /* === 集合配置与数据校验 === */
+
   /**
-   * 从对象中挑选指定的属性，构造一个新对象。
-   * @param {Object|Array} obj - 源对象或数组。
-   * @param {Array<string>} keys - 要挑选的属性列表，支持'a.b.c'形式。
-   * @returns {Object|Array} 新对象或其数组，只包含指定的属性。
+   * 设置集合的配置（与之前的配置合并），对本utils中该集合的所有写入函数生效
+   *
+   * @param {string} c - 集合名称（不含p_前缀）
+   * @param {Object} config - 配置项:
+   *   - {boolean} timestamps - 写入时自动添加服务器时间（serverDate）：
+   *     addDoc添加created、updated，updateDoc、updateMatch、setDoc更新updated。默认为false
+   *   - {boolean} track_user - 写入时自动添加当前用户的openid：新增时添加created_by、updated_by，更新时更新updated_by。默认为false
+   *   - {boolean} soft_delete - 软删除：removeDoc、removeMatch、removeAll、removeMyAll把文档移动到回收站集合（集合名_trash，如todo_trash），
+   *     并添加deleted（删除时间）、deleted_by（删除者的openid）、owner_openid（原来的_openid，恢复时使用）。
+   *     读取函数读不到回收站中的文档，云端可用restoreDoc恢复。默认为false
+   *   - {boolean} versioned - 版本号：新增时添加_rev为1，之后每次updateDoc、updateMatch、setDoc都把_rev加1，
+   *     配合updateDoc、setDoc的rev参数防止多人同时编辑时互相覆盖。默认为false
+   *   - {number} cache_ttl - getDoc、getOne、docs、allDocs（及getMyDoc等）的读取结果在内存中缓存的秒数，
+   *     相同的查询在有效期内直接返回缓存，不消耗调用次数；本utils写入该集合后自动清除缓存。默认为0，表示不缓存
+   *
+   * 说明
+   *   1. 新增时同时添加updated，因此可以用 {updated: $.gt(上次同步的时间)} 增量读取新增和修改过的数据。
+   *   2. setDoc会替换整个文档，但保留原来的created、created_by（d中传入时使用d中的值），文档不存在时添加created、created_by。
+   *   3. 开启track_user后，写入前会先调用utils.openid()获取openid（之后使用缓存），获取失败时写入失败。
+   *
+   * @example
+   *   // 在app.js的onLaunch中设置
+   *   utils.setCollConfig('todo', {timestamps: true, track_user: true})
    */
-  pickObj(obj, keys){
+  setCollConfig (c, config) {
     const _ = this
-    if (_.isArray(obj)) {
-      return obj.map(o => _.pickObj(o, keys))
-    } else {
-      let new_obj = {}
-      keys.forEach(key => {
-        new_obj[key] = _.pickValue(obj, key)
-      })
-      return new_obj
-    }
+    _._coll_configs[c] = {..._._coll_configs[c], ...config}
   },
 
   /**
-   * 返回一个字符串或对象的字节数（比特）。object转json后会增加几个字节。
-   * 
-   * @param {any} obj - 要计算字节长度的对象或字符串
-   * @param {boolean} add_key_bytes - 是否添加 size_k 的字节数，默认为 `false`
-   *   通常情况下，你需要把对象的字节数保存到一个 size_k 的字段中，这时需要把这个字段的字节数也计算在内。
-   *   当 add_key_bytes 为true时，默认增加20个字节，用于增加 size_k 的字节数（估算值）。
-   * @returns {number} 返回计算后的字节长度
-   *
-   * 如何判断此函数是否精准？
-   *   首先，使用updateDoc函数时，如果文档超过了512K，微信开发者工具会报错，并提示“不可以超过512K”
-   *   然后，使用下面的代码尝试写入一个数据：
-   *     let data = []
-   *     for (let i = 0; i < 66900; i++) {
-   *       data.push(i.toString())
-   *     }
-   *     console.log(`write ${utils.getKLen(data)}k`)
-   *     await utils.updateMyDoc(coll, id, {data})
-   *   此时，控制台会输出“write 511.8k”，此时可以正常写入数据。
-   *   然后，把for循环的66900改成67000，再次运行，控制台会输出“write 512.6k”，此时会报错，并提示“不可以超过512K”。
-   * 
-   * 注意
-   *   1. 此函数的结果会有一定的误差。
-   *   2. 特别是当data不是一个纯数组，而是一个对象，并且内部有许多对象的属性时，计算出来的字节数会比实际的要小。
-   *   3. 如果你有更好的方法，请告诉我，谢谢！sdjllyh@gmail.com
+   * 获取集合的配置（包括默认值）
+   * @param {string} c - 集合名称
+   * @returns {Object} 集合配置，见setCollConfig
    */
-  getByteLen (obj, add_key_bytes = false) {
-    // 如果obj不是字符串,则json化
-    if (typeof obj !== 'string') {
-      obj = JSON.stringify(obj)
-    }
-    let len = 0
-    for (let i = 0; i < obj.length; i++) {
-      len += obj.charAt(i).match(/[^\x00-\xff]/ig) !== null ? 2 : 1
-    }
-    return add_key_bytes ? len + 20 : len
+  getCollConfig (c) {
+    return {...COLL_CONFIG_DEFAULTS, ...this._coll_configs[c]}
   },
 
   /**
-   * 返回一个字符串或对象有多少K（仅保留一位小数）。
-   * 
-   * @param {any} obj - 要计算 K 长度的对象或字符串
-   * @returns {string} 返回计算后的 K 长度，保留一位小数
+   * 为集合注册数据格式（schema），注册后addDoc、setDoc会校验完整的文档并填充默认值，
+   * updateDoc、updateMatch只校验本次更新的字段。校验不通过时不会访问数据库，直接reject错误码为VALIDATION_FAILED的错误对象。
+   *
+   * @param {string} c - 集合名称（不含p_前缀）
+   * @param {Object} fields - 字段规则，键为字段名（支持点表示法，如'address.city'），值为规则对象:
+   *   - {string} type - 类型：'string'、'number'、'boolean'、'date'、'array'、'object'、'id'（文档_id）
+   *   - {boolean} required - 是否必填，默认为false（null、undefined、''视为未填写）
+   *   - {Array} enum - 允许的值
+   *   - {*|Function} default - 默认值，addDoc、setDoc时字段未填写则使用此值，为函数时使用函数的返回值
+   *   - {number} max_length - 字符串、数组的最大长度
+   *   - {number} min_length - 字符串、数组的最小长度
+   *   - {number} max - 数字的最大值
+   *   - {number} min - 数字的最小值
+   *   - {string|Function} validator - 校验函数，可以是utils中校验函数的名称，如'isPhoneNumber'、'isPrice'、'isName'，
+   *     也可以是返回true/false的函数
+   *   - {string} label - 字段的中文名称，用于错误提示，默认为字段名
+   *   - {string} msg - 自定义的错误提示，默认根据不通过的规则生成
+   * @param {Object} options - 可选参数:
+   *   - {boolean} strict - 是否不允许写入fields中未定义的字段（_id、_openid除外），默认为false
+   *
+   * 说明
+   *   1. 数据库指令（如 $.inc(1)、$.push(x)）和serverDate()不做校验。
+   *   2. 重复注册同一个集合时，后注册的schema会覆盖之前的。
+   *
+   * @example
+   *   utils.defineSchema('todo', {
+   *     title : {type: 'string', required: true, max_length: 50, label: '标题'},
+   *     status: {type: 'string', enum: ['未完成', '已完成'], default: '未完成', label: '状态'},
+   *     phone : {type: 'string', validator: 'isPhoneNumber', label: '手机号'},
+   *     price : {validator: 'isPrice', label: '价格'},
+   *   })
+   *
+   *   utils.addDoc('todo', {status: '完成'}).catch(e => {
+   *     if (utils.isError(e, 'VALIDATION_FAILED')) {
+   *       console.log(e.errors) // [{field: 'title', rule: 'required', msg: '标题不能为空'}, {field: 'status', rule: 'enum', msg: ...}]
+   *     }
+   *   })
    */
-  getKLen (obj, add_key_bytes = true) {
-    return (this.getByteLen(obj, add_key_bytes) / 1024).toFixed(1)
+  defineSchema (c, fields, {strict = false} = {}) {
+    const _ = this
+    _.assert(_.isObject(fields), 'defineSchema：fields必须是对象')
+    for (const f in fields) {
+      const {type, validator} = fields[f]
+      _.assert(type === undefined || SCHEMA_TYPES[type], `defineSchema：${c}.${f}的type不合法：${type}`)
+      _.assert(validator === undefined || _.isFunction(validator) || _.isFunction(_[validator]), `defineSchema：${c}.${f}的validator不存在：${validator}`)
+    }
+    _.setCollConfig(c, {schema: {fields, strict}})
   },
 
   /**
-   * 判断多个值是否有任意一个为空。
-   * 
-   * @param {...any} args - 被判断的值
-   * @returns {boolean} 如果任意一个值为空，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   * utils.isAnyEmpty('', '123') // true
+   * 获取集合注册的schema
+   * @param {string} c - 集合名称
+   * @returns {Object|null} {fields, strict}，未注册时返回null
    */
-  isAnyEmpty (...args) {
-    const _ = this
-    return args.some(_.isEmpty.bind(_))
+  getSchema (c) {
+    return this.getCollConfig(c).schema
   },
 
   /**
-   * 判断两个对象是否完全相等，需递归比较每一个属性值，包括null、undefined也要相等。
-   * 
-   * @param {any} a - 第一个对象
-   * @param {any} b - 第二个对象
-   * @returns {boolean} 如果两个对象完全相等，返回 `true`；否则返回 `false`。
-   * 
+   * 按集合的schema校验数据（不访问数据库，也不填充默认值），可用于在提交表单前提示用户
+   *
+   * @param {string} c - 集合名称
+   * @param {Object} d - 需要校验的数据
+   * @param {Object} options - 可选参数:
+   *   - {boolean} partial - 是否只校验d中包含的字段（用于更新），默认为false，表示校验完整的文档
+   * @returns {Array<Object>} 错误列表，每项为 {field, rule, msg}。校验通过或集合未注册schema时返回空数组
+   *
    * @example
-   * utils.isEqual({ a: 1, b: 2 }, { b: 2, a: 1 }) // true
+   *   const errors = utils.validateDoc('todo', this.data.form)
+   *   if (errors.length > 0) {
+   *     utils.showError({text: errors[0].msg})
+   *   }
    */
-  isEqual (a, b) {
+  validateDoc (c, d, {partial = false} = {}) {
     const _ = this
-    if (a === b) return true
-    if (_.isNone(a) || _.isNone(b)) return false
-    if (_.isArray(a) && _.isArray(b)) {
-      if (a.length !== b.length) return false
-      for (let i = 0; i < a.length; i++) {
-        if (!_.isEqual(a[i], b[i])) return false
-      }
-      return true
+    const schema = _.getSchema(c)
+    if (!schema) {
+      return []
     }
-    if (_.isObject(a) && _.isObject(b)) {
-      if (Object.keys(a).length !== Object.keys(b).length) return false
-      for (let k in a) {
-        if (!_.isEqual(a[k], b[k])) return false
+    const errors = []
+    for (const f in schema.fields) {
+      const rule = schema.fields[f]
+      const has = f in d || _.pickValue(d, f) !== undefined
+      if (partial && !has) {
+        continue
+      }
+      const error = _._checkField(f, f in d ? d[f] : _.pickValue(d, f), rule)
+      if (error) {
+        errors.push(error)
       }
-      return true
     }
-    if (_.isSet(a) && _.isSet(b)) {
-      if (a.size !== b.size) { return false }
-      for (let i of a) {
-        if (!b.has(i)) { return false }
-        return true
+    if (schema.strict) {
+      for (const k in d) {
+        const root = k.split('.')[0]
+        const defined = Object.keys(schema.fields).some(f => f === k || f.split('.')[0] === root)
+        if (!defined && !_.in(k, ['_id', '_openid', '_rev'])) {
+          errors.push({field: k, rule: 'strict', msg: `不允许的字段：${k}`})
+        }
       }
     }
-    return false
+    return errors
   },
 
+  /* === 对象 === */
+
   /**
-   * 判断对象是否有某个属性，可以传入多个key。
-   * 
-   * @param {Object} obj - 被判断的对象
-   * @param {...string} keys - 要判断的属性名
-   * @returns {boolean} 如果对象有任意一个属性名，返回 `true`；否则返回 `false`。
+   * 判断值是否为undefined或null
    * 
-   * @example
-   * utils.hasAnyKey({ a: 1, b: 2 }, 'a', 'c') // true
+   * @param {*} i - 要判断的值
+   * @returns {boolean} 如果值为undefined或null，返回true；否则返回false
    */
-  hasAnyKey (obj, ...keys) {
-    return keys.some(key => obj.hasOwnProperty(key)) // hasOwnProperty不检查原型链，而in会检查原型链
+  isNone (i) {
+    return i === undefined || i === null
   },
 
   /**
-   * 深拷贝对象或数组，保留undefined和null值。
-   * @param {Object|Array} obj - 要拷贝的对象或数组。
-   * @returns {Object|Array} 深拷贝后的新对象或数组。
+   * 判断值是否为空对象{}、空数组[]、空字符串''、空内容串'  '、undefined或null
+   * 
+   * @param {*} i - 要判断的值
+   * @returns {boolean} 如果值为空返回true；否则返回false
    */
-  deepCopy(obj) {
+  isEmpty (i) {
     const _ = this
-    if (typeof obj !== 'object' || obj === null || obj === undefined) {
-      return obj
-    } else if (_.isArray(obj)) {
-      return obj.map(_.deepCopy.bind(_))
-    } else {
-      const ret = {}
-      for (let key in obj) {
-        ret[key] = _.deepCopy(obj[key])
-      }
-      return ret
-    }
+    return (
+      _.isNone(i) 
+      || (_.isArray(i) && i.length === 0)
+      || (_.isString(i) && i.trim().length === 0)
+      || (_.isObject(i) && Object.keys(i).length === 0)
+    );
   },
 
   /**
-   * 深度拷贝，会忽略undefined、null。
-   * 此函数会先把对象转为json字符串，再转回对象
-   * 
-   * @param {any} i - 被复制的值
-   * @returns {any} 返回复制后的值。
+   * 判断值是否为数组
    * 
-   * @example
-   * utils.jsonDeepcopy({ a: 1, b: null }) // { a: 1 }
+   * @param {*} i - 要判断的值
+   * @returns {boolean} 如果值为数组，返回true；否则返回false
    */
-  jsonDeepcopy (i) {
-    return JSON.parse(JSON.stringify(i))
+  isArray(i){
+    return Array.isArray(i)
   },
 
   /**
-   * 把对象转为json字符串。
+   * 判断值是否为对象（不包括数组、null和undefined、时间对象）
    * 
-   * @param {any} i - 被转换的对象
-   * @returns {string} 返回对象转换后的json字符串。
+   * 在JavaScript中，数组和null的typeof也是'object'，但此函数会排除这些情况。
    * 
-   * @example
-   * utils.toJsonString({ a: 1, b: 2 }) // '{"a":1,"b":2}'
+   * @param {*} i - 要判断的值
+   * @returns {boolean} 如果值为对象（不包括数组、null和undefined），返回true；否则返回false
    */
-  toJsonString (i) {
-    return JSON.stringify(i)
+  isObject(i){
+    const _ = this
+    return typeof i === 'object' && !_.isArray(i) && !_.isNone(i) && !_.isDate(i)
   },
 
   /**
-   * 把json字符串转为对象。
-   * 
-   * @param {string} i - 被转换的json字符串
-   * @returns {any} 返回json字符串转换后的对象。
-   * 
-   * @example
-   * utils.fromJsonString('{"a":1,"b":2}') // { a: 1, b: 2 }
-   */
-  fromJsonString (i) {
-    return JSON.parse(i)
+   * 判断输入是否为对象或数组。
+   * @param {*} i - 待检查的输入。
+   * @returns {boolean} 如果输入是对象或数组，则返回true，否则返回false。
+   */
+  isObjectOrArray(i){
+    const _ = this
+    return _.isObject(i) || _.isArray(i)
   },
 
   /**
-   * 传入obj和del_key, 递归删除obj中所有名字为del_key的属性。obj可能是数组或对象。
-   * 注意：在原对象上修改。
+   * 判断值是否为字符串
    * 
-   * @param {Object|Array} obj - 要删除属性的对象或数组
-   * @param {string} del_key - 要删除的属性名
+   * @param {*} i - 要判断的值
+   * @returns {boolean} 如果值为字符串，返回true；否则返回false
+   */
+  isString(i){
+    return typeof i === 'string' || i instanceof String
+  },
+
+  /**
+   * 判断是否是Set。
+   * 
+   * @param {any} i - 被判断的值
+   * @returns {boolean} 如果值是Set，返回 `true`；否则返回 `false`。
    * 
    * @example
-   *   let obj = { a: 1, b: { a: 2, c: 3 } }
-   *   utils.deleteAllKey(obj, 'a') 
-   *   console.log(obj) // { b: { c: 3 } }
+   * utils.isSet(new Set([1, 2, 3])) // true
    */
-  deleteAllKey (obj, del_key) {
-    const _ = this
-    if (_.isArray(obj)) {
-      for (let i = 0; i < obj.length; i++) {
-        _.deleteAllKey(obj[i], del_key)
-      }
-    } else if (_.isObject(obj)) {
-      for (let key in obj) {
-        if (key === del_key) {
-          delete obj[key]
-        } else if (typeof obj[key] === 'object') {
-          _.deleteAllKey(obj[key], del_key)
-        }
-      }
-    }
+  isSet(i){
+    return i instanceof Set
   },
 
   /**
-   * 递归遍历obj中的所有属性，并对每个属性值执行fn函数，在原来的位置保存fn函数的返回值。
-   * fn返回undefined时不会删除属性，而是赋值为null。
-   * fn = (v, obj) => {}，其中obj是当前属性所在的对象。
+   * 判断是否是函数。
    * 
-   * @param {Object|Array} obj - 要遍历的对象或数组
-   * @param {string} key - 要匹配的属性名
-   * @param {Function} fn - 对匹配的属性值执行的函数
-   * @param {Object} [options]
-   *   - {boolean} [options.over_write=true] - 是否覆盖原来的值
-   * @param {boolean} [options.over_write=true] - 是否覆盖原来的值
-   *
-   * 注意
-   *   1. 若over_write为true，则会覆盖key属性原来的值。
-   *   2. 当不希望覆盖key属性值，只是想要对key属性值进行操作时，可以设置over_write为false。
-   *   3. 在fn函数中，obj是根据key匹配到的属性值。举个例子，若在下面的例子中，key为'b'，则obj是{ a: 2, c: 3 }。
+   * @param {any} i - 被判断的值
+   * @returns {boolean} 如果值是函数，返回 `true`；否则返回 `false`。
    * 
    * @example
-   *   let obj = { a: 1, b: { a: 2, c: 3 } }
-   *   utils.allKeyMap(obj, 'a', (v, obj) => v * 2)
-   *   console.log(obj) // { a: 2, b: { a: 4, c: 3 } }
+   * utils.isFunction(function () {}) // true
    */
-  allKeyMap (obj, key, fn, {over_write = true} = {}) {
-    const _ = this
-    if (_.isArray(obj)) {
-      for (let i = 0; i < obj.length; i++) {
-        _.allKeyMap(obj[i], key, fn, {over_write})
-      }
-    } else if (_.isObject(obj)) {
-      for (let k in obj) {
-        if (k === key) {
-          let result = fn(obj[k], obj)
-          if (over_write) {
-            obj[k] = result === undefined ? null : result
-          }
-        } else if (typeof obj[k] === 'object') {
-          _.allKeyMap(obj[k], key, fn, {over_write})
-        }
-      }
-    }
+  isFunction(i){
+    return typeof i === 'function'
   },
 
   /**
-   * 给数组对象设置默认值，支持a.b.c这种格式。
-   * 第一个参数是一个数组，第二个参数是一个对象。
-   * obj的key是数组对象的key，value是默认值。
+   * 判断值是否为布尔值。
    * 
-   * @param {Array} arr - 要设置默认值的数组
-   * @param {Object} obj - 默认值对象，key 是数组对象的 key，value 是默认值
-   * @throws {Error} 如果 arr 不是数组，将抛出异常
-   *
-   * 注意
-   *   1. 如果数组的值是undefined或null，则不会设置默认值
-   *   2. 需要为一个obj设置时，可以使用[{}]这种格式
-   *   3. 当数组中对应值存在时，不会修改其值
-   *   4. 当你从数据库中读取一个列表数据，需要给每一个数据设置多个默认值时，可以使用此函数
+   * @param {any} i - 被判断的值
+   * @returns {boolean} 如果值是布尔值，返回 `true`；否则返回 `false`。
    * 
    * @example
-   *   utils.setDefault([{ a: 1, b: {} }], { a: 0, 'b.c': 2 }) // [{ a: 1, b: {c: 2} }]
+   * utils.isBoolean(true) // true
    */
-  setDefault (arr, obj) {
-    const _ = this
-
-    // 如果arr不是数组，抛出异常
-    if (!_.isArray(arr)) {
-      throw new Error('传给utils.setDefault的arr必须是数组')
-    }
-
-    let keys = Object.keys(obj)
-
-    for (let i = 0; i < arr.length; i++) {
-
-      if (_.isNone(arr[i])) { continue }
-
-      for (let j = 0; j < keys.length; j++) {
+  isBoolean(i){
+    return typeof i === 'boolean'
+  },
 
-        let key = keys[j]
-        let value = obj[key]
+  /** 
+   * 判断是否是时间对象。
+   * 
+   * @param {any} i - 被判断的值
+   * @returns {boolean} 如果值是时间对象，返回 `true`；否则返回 `false`。
+   */
+  isDate(i){
+    return i instanceof Date
+  },
 
-        // 注意，这里不能用putValue代替，因为putValue会覆盖已存在的值，而setDefault不会
-        if (key.includes('.')) {
+  /**
+   * 向对象中按照路径赋值，如果路径上的中间对象不存在，则自动创建。
+   * @param {Object} obj - 目标对象。
+   * @param {string} key - 属性路径，支持'a.b.c'形式。
+   * @param {*} value - 要设置的值。
+   * @param {Object} [options={}] - 可选参数。
+   *   - {boolean} remove_undefined - 如果为true且value为undefined，则删除该属性。
+   * @throws {Error} 如果obj为null或undefined，或路径不合法（如中间非对象）则抛出异常。
+   */
+  putValue(obj, key, value, {remove_undefined = true} = {}){
+    const _ = this
 
-          let ks = key.split('.')
-          let current, pre, ki
+    if (key.includes('.')) {
 
-          for (ki = 0; ki < ks.length; ki++) {
+      let ks = key.split('.')
+      let current, pre, i
 
-            if(ki === 0){
-              pre = null
-              current = arr[i]
-            } else {
-              pre = current
-              current = current[ks[ki-1]]
-            }
+      for (i = 0; i < ks.length; i++) {
 
-            if (_.isNone(current)) {
-              if(ki === 0){
-                current = arr[i] = {}
-              } else {
-                current = pre[ks[ki-1]] = {}
-              }
-            } else if(!_.isObject(current)) {
-              break
-            }
+        if(i === 0){
+          pre = null
+          current = obj
+        } else {
+          pre = current
+          current = current[ks[i-1]]
+        }
 
+        if (_.isNone(current)) {
+          if(i === 0){
+            throw new Error('传给utils.putValue的obj不能为null或undefined')
+          } else {
+            current = pre[ks[i-1]] = {}
           }
+        } else if(!_.isObject(current)) {
+          break
+        }
 
-          if (ki=== ks.length && _.isNone(current[ks[ki-1]])) {
-            current[ks[ki-1]] = value
-          }
+      }
 
-        } else if(_.isNone(arr[i][key])) {
-          arr[i][key] = value
+      if (i === ks.length) {
+        if (value === undefined && remove_undefined) {
+          delete current[ks[i-1]]
+        } else {
+          current[ks[i-1]] = value
         }
+      } else {
+        throw new Error(`传给utils.putValue的key ${key} 不合法，因为${ks[i-1]}不是对象`)
+      }
 
+    } else {
+      if (_.isNone(obj)) {
+        throw new Error('传给utils.putValue的obj不能为null或undefined')
+      } else {
+        if (value === undefined && remove_undefined) {
+          delete obj[key]
+        } else {
+          obj[key] = value
+        }
       }
     }
   },
 
   /**
-   * 把obj对象转成为字符串，用于格式化打印对象。每个key，value对显示在一行。
-   * 例如：
-   *   {a: 1, b: {c: 2, e: [1,2,3]}, d: 'haha'}
-   *   会转成
-   *   a: 1
-   *   b: 
-   *    c: 2
-   *    e: 1,2,3
-   *   d: haha
+   * 将一个对象的所有属性按路径添加到另一个对象中。
+   * @param {Object} obj - 目标对象。
+   * @param {Object} obj_value - 要添加的属性对象，键支持'a.b.c'形式的路径。
+   * @param {Object} [options={}] - 可选参数。
+   *   - {boolean} remove_undefined - 如果为true且value为undefined，则删除该属性。
+   * @throws {Error} 如果obj为null或undefined，或路径不合法（如中间非对象）则抛出异常。
+   *
+   * @example
+   *   const obj = {a: 1}
+   *   const obj_value = {'b.c.d': 2, b: {e: 3}}
+   *   utils.putObj(obj, obj_value)
+   *   console.log(obj) // { a: 1, b: { c: { d: 2 }, e: 3 } }
    * 
-   * @param {any} obj - 要转换的对象
-   * @param {number} indent - 缩进的空格数，默认为 0
-   * @returns {string} 返回转换后的字符串
+   * 注意
+   *   若obj_value中出现重复路径，则后者会覆盖前者。
+   *   如 obj_value = {a: {b: 1}, 'a.b': 2}，则结果为 {a: {b: 2}}
    */
-  obj2str (obj, indent = 0) {
+  putObj(obj, obj_value, { remove_undefined = true} = {}) {
     const _ = this
-    let str = ''
-    let indent_str = '  '.repeat(indent)
-    if (_.isNone(obj)) { return 'null' }
-    let keys = Object.keys(obj)
-    for (let i = 0; i < keys.length; i++) {
-      let key = keys[i]
-      let value = obj[key]
-      if (_.isObject(value)) {
-        str += `${indent_str}${key}: \n${_.obj2str(value, indent + 1)}\n`
-      } else if (_.isArray(value)) {
-        str += `${indent_str}${key}:\n`
-        // 遇到数组，每个元素显示在一行
-        let arr_str = []
-        for (let j = 0; j < value.length; j++) {
-          arr_str.push(`${indent_str}  [${j}]`)
-          arr_str.push(_.obj2str(value[j], indent + 2))
-        }
-        str += arr_str.join('\n')
-      } else {
-        str += `${indent_str}${key}: ${value}\n`
+    function _put(pre_path, o_value) {
+      for (let key in o_value) {
+        const value = o_value[key]
+        if (_.isObject(value)) {
+          _put(`${pre_path}${key}.`, value)
+        } else {
+          _.putValue(obj, `${pre_path}${key}`, value, { remove_undefined })
+        }
       }
     }
-    // 去掉右边的空字符
-    return str.trimEnd()
+    _put('', obj_value)
   },
 
   /**
-   * 传入一个obj或arr，递归检查所有key，如果value的类型是字符串，则去掉首尾空格。
-   * 在原对象上修改。
-   * 
-   * @param {Object|Array} obj - 要处理的对象或数组
-   * 
-   * @example
-   *   let obj = { a: ' 1 ', b: { a: ' 2 ', c: ' 3 ' } }
-   *   utils.trimAllKey(obj)
-   *   console.log(obj) // { a: '1', b: { a: '2', c: '3' } }
+   * 将值推入对象指定路径的数组中，若路径或数组不存在则自动创建。
+   * @param {Object} obj - 目标对象。
+   * @param {string} key - 数组属性的路径，支持'a.b.c'形式。
+   * @param {*} value - 要推入的值。
+   * @throws {Error} 如果路径不是数组，则抛出异常。
    */
-  trimAllKey(obj){
+  pushValue(obj, key, value){
     const _ = this
-    if (_.isObject(obj)) {
-      for (let key in obj) {
-        if (_.isString(obj[key])) {
-          obj[key] = obj[key].trim()
-        } else if (_.isObjectOrArray(obj[key])) {
-          _.trimAllKey(obj[key])
-        }
-      }
-    } else if (_.isArray(obj)) {
-      for (let i = 0; i < obj.length; i++) {
-        if (_.isString(obj[i])) {
-          obj[i] = obj[i].trim()
-        } else if (_.isObjectOrArray(obj[i])) {
-          _.trimAllKey(obj[i])
-        }
-      }
+    const exists = _.pickValue(obj, key)
+    if (_.isNone(exists)) {
+      _.putValue(obj, key, [value])
+    } else if (_.isArray(exists)) {
+      exists.push(value)
+    } else {
+      throw new Error(`传给utils.pushValue的key ${key} 不合法，因为${key}不是数组`)
     }
   },
 
   /**
-   * 获得一个obj有多少个key。
-   * 
-   * @param {Object} obj - 要计算属性数量的对象
-   * @returns {number} 返回对象的属性数量
-   * 
-   * @example
-   * utils.objLength({ a: 1, b: 2, c: 3 }) // 3
-   */
-  objLength(obj){
-    return Object.keys(obj).length
-  },
-
-  /**
-   * 把一个obj转为可用于cache的key字符串。
-   * 当obj的内容相同（但顺序不同）时总是返回相同的字符串。
-   * 
-   * @param {any} obj - 要序列化的对象
-   * @returns {string} 返回序列化后的字符串
-   * 
-   * @example
-   *   const obj1 = { a: 1, b: 2 }
-   *   const obj2 = { b: 2, a: 1 }
-   *   utils.serializeObj(obj1) === utils.serializeObj(obj2) // true
+   * 从对象中按照路径提取属性的值。
+   * @param {Object} obj - 源对象。
+   * @param {string} key - 属性路径，支持'a.b.c'形式。
+   * @returns {*} 提取的值，如果路径不存在则返回undefined。
    */
-  serializeObj(obj) {
+  pickValue(obj, key){
     const _ = this
-    const sort = (obj) => {
-      if (_.isArray(obj)) {
-        return obj.map(sort)
-      }
-      if (!_.isObject(obj)) {
-        return obj
+    if (key.includes('.')) {
+      let ks = key.split('.')
+      for (let i = 0; i < ks.length; i++) {
+        obj = obj[ks[i]]
+        if (_.isNone(obj)) {
+          return obj
+        }
       }
-      // 此时obj是对象，按key的顺序重新赋值一个新的对象
-      const sorted_keys = Object.keys(obj).sort()
-      return sorted_keys.reduce((result, key) => {
-        result[key] = sort(obj[key])
-        return result
-      }, {})
+      return obj
+    } else {
+      return obj[key]
     }
-    return JSON.stringify(sort(obj))
   },
 
-
-  /* === 字符串 === */
-
   /**
-   * 按指定字符拆分字符串，返回拆分后的数组
-   * 
-   * 此函数会过滤掉拆分后的空字符串，并去除每个元素两边的空白。
-   * 
-   * @param {string} s - 要拆分的字符串
-   * @param {string} [char=' '] - 用于拆分的字符，默认为空格
-   * @returns {Array<string>} 拆分后的字符串数组，已过滤空字符串并去除元素两边空白
+   * 从对象中挑选指定的属性，构造一个新对象。
+   * @param {Object|Array} obj - 源对象或数组。
+   * @param {Array<string>} keys - 要挑选的属性列表，支持'a.b.c'形式。
+   * @returns {Object|Array} 新对象或其数组，只包含指定的属性。
    */
-  split (s, char = ' ') {
-    return s.split(char).map(i => i.trim()).filter(i => i.length > 0)
+  pickObj(obj, keys){
+    const _ = this
+    if (_.isArray(obj)) {
+      return obj.map(o => _.pickObj(o, keys))
+    } else {
+      let new_obj = {}
+      keys.forEach(key => {
+        new_obj[key] = _.pickValue(obj, key)
+      })
+      return new_obj
+    }
   },
 
   /**
-   * 将字符串按照第一个指定字符分割为三部分。
+   * 返回一个字符串或对象的字节数（比特）。object转json后会增加几个字节。
    * 
-   * @param {string} s - 要分割的字符串
-   * @param {string} [char=' '] - 作为分割标记的字符
-   * @returns {Array<string>} 返回一个包含三个字符串的数组。原字符串中从头开始到第一个匹配标记之前的部分，匹配标记，以及第一个匹配标记之后的部分。如果没有找到匹配标记，返回的数组将包含原字符串，后两个字符串将为空。
+   * @param {any} obj - 要计算字节长度的对象或字符串
+   * @param {boolean} add_key_bytes - 是否添加 size_k 的字节数，默认为 `false`
+   *   通常情况下，你需要把对象的字节数保存到一个 size_k 的字段中，这时需要把这个字段的字节数也计算在内。
+   *   当 add_key_bytes 为true时，默认增加20个字节，用于增加 size_k 的字节数（估算值）。
+   * @returns {number} 返回计算后的字节长度
+   *
+   * 如何判断此函数是否精准？
+   *   首先，使用updateDoc函数时，如果文档超过了512K，微信开发者工具会报错，并提示“不可以超过512K”
+   *   然后，使用下面的代码尝试写入一个数据：
+   *     let data = []
+   *     for (let i = 0; i < 66900; i++) {
+   *       data.push(i.toString())
+   *     }
+   *     console.log(`write ${utils.getKLen(data)}k`)
+   *     await utils.updateMyDoc(coll, id, {data})
+   *   此时，控制台会输出“write 511.8k”，此时可以正常写入数据。
+   *   然后，把for循环的66900改成67000，再次运行，控制台会输出“write 512.6k”，此时会报错，并提示“不可以超过512K”。
    * 
-   * @example
-   *   utils.partition('hello world') // ['hello', ' ', 'world']
+   * 注意
+   *   1. 此函数的结果会有一定的误差。
+   *   2. 特别是当data不是一个纯数组，而是一个对象，并且内部有许多对象的属性时，计算出来的字节数会比实际的要小。
+   *   3. 如果你有更好的方法，请告诉我，谢谢！sdjllyh@gmail.com
    */
-  partition (s, char = ' ') {
-    if(s.includes(char)){
-      let i = s.indexOf(char)
-      return [s.substring(0, i), char, s.substring(i+char.length, s.length)]
-    }else{
-      return [s, '', '']
+  getByteLen (obj, add_key_bytes = false) {
+    // 如果obj不是字符串,则json化
+    if (typeof obj !== 'string') {
+      obj = JSON.stringify(obj)
+    }
+    let len = 0
+    for (let i = 0; i < obj.length; i++) {
+      len += obj.charAt(i).match(/[^\x00-\xff]/ig) !== null ? 2 : 1
     }
+    return add_key_bytes ? len + 20 : len
   },
 
   /**
-   * 类似于 `partition`，但是从右边开始查找。
-   * 
-   * @param {string} s - 要分割的字符串
-   * @param {string} [char=' '] - 作为分割标记的字符
-   * @returns {Array<string>} 返回一个包含三个字符串的数组。
+   * 返回一个字符串或对象有多少K（仅保留一位小数）。
    * 
-   * @example
-   *   utils.rpartition('hello world', 'o) // ['hello w', 'o', 'rld']
+   * @param {any} obj - 要计算 K 长度的对象或字符串
+   * @returns {string} 返回计算后的 K 长度，保留一位小数
    */
-  rpartition (s, char = ' ') {
-    if (s.includes(char)) {
-      let i = s.lastIndexOf(char)
-      return [s.substring(0, i), char, s.substring(i+char.length, s.length)]
-    } else {
-      return ['', '', s]
-    }
+  getKLen (obj, add_key_bytes = true) {
+    return (this.getByteLen(obj, add_key_bytes) / 1024).toFixed(1)
   },
 
   /**
-   * 判断字符串是否仅包含字母。
+   * 判断多个值是否有任意一个为空。
    * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串仅包含字母，返回 `true`；否则返回 `false`。
+   * @param {...any} args - 被判断的值
+   * @returns {boolean} 如果任意一个值为空，返回 `true`；否则返回 `false`。
    * 
    * @example
-   *   utils.isAlpha('abc') // true
+   * utils.isAnyEmpty('', '123') // true
    */
-  isAlpha (s) {
-    return /^([a-zA-Z])+$/.test(s)
+  isAnyEmpty (...args) {
+    const _ = this
+    return args.some(_.isEmpty.bind(_))
   },
 
   /**
-   * 判断字符串是否仅包含数字或字母。
+   * 判断两个对象是否完全相等，需递归比较每一个属性值，包括null、undefined也要相等。
    * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串仅包含数字或字母，返回 `true`；否则返回 `false`。
+   * @param {any} a - 第一个对象
+   * @param {any} b - 第二个对象
+   * @returns {boolean} 如果两个对象完全相等，返回 `true`；否则返回 `false`。
    * 
    * @example
-   *   utils.isAlnum('abc123') // true
+   * utils.isEqual({ a: 1, b: 2 }, { b: 2, a: 1 }) // true
    */
-  isAlnum (s) {
-    return /^([\da-zA-Z])+$/.test(this)
+  isEqual (a, b) {
+    const _ = this
+    if (a === b) return true
+    if (_.isNone(a) || _.isNone(b)) return false
+    if (_.isArray(a) && _.isArray(b)) {
+      if (a.length !== b.length) return false
+      for (let i = 0; i < a.length; i++) {
+        if (!_.isEqual(a[i], b[i])) return false
+      }
+      return true
+    }
+    if (_.isObject(a) && _.isObject(b)) {
+      if (Object.keys(a).length !== Object.keys(b).length) return false
+      for (let k in a) {
+        if (!_.isEqual(a[k], b[k])) return false
+      }
+      return true
+    }
+    if (_.isSet(a) && _.isSet(b)) {
+      if (a.size !== b.size) { return false }
+      for (let i of a) {
+        if (!b.has(i)) { return false }
+        return true
+      }
+    }
+    return false
   },
 
   /**
-   * 判断一个字符串是否包含中文字符。
+   * 判断对象是否有某个属性，可以传入多个key。
    * 
-   * @param {string} str - 被判断的字符串
-   * @returns {boolean} 如果字符串包含中文字符，返回 `true`；否则返回 `false`。
+   * @param {Object} obj - 被判断的对象
+   * @param {...string} keys - 要判断的属性名
+   * @returns {boolean} 如果对象有任意一个属性名，返回 `true`；否则返回 `false`。
    * 
    * @example
-   *   utils.isContainChinese('你好abc') // true
+   * utils.hasAnyKey({ a: 1, b: 2 }, 'a', 'c') // true
    */
-  isContainChinese (str) {
-    return /[\u4e00-\u9fff]/.test(str)
+  hasAnyKey (obj, ...keys) {
+    return keys.some(key => obj.hasOwnProperty(key)) // hasOwnProperty不检查原型链，而in会检查原型链
   },
 
   /**
-   * 获得字符串的最后n个字符。
-   * 
-   * @param {string} s - 原字符串
-   * @param {number} n - 要获取的字符数
-   * @returns {string} 返回字符串的最后n个字符。
-   * 
-   * @example
-   *   utils.lastStr('hello', 2) // 'lo'
+   * 深拷贝对象或数组，保留undefined和null值。
+   * @param {Object|Array} obj - 要拷贝的对象或数组。
+   * @returns {Object|Array} 深拷贝后的新对象或数组。
    */
-  lastStr (s, n) {
-    return s.substr(s.length - n)
+  deepCopy(obj) {
+    const _ = this
+    if (typeof obj !== 'object' || obj === null || obj === undefined) {
+      return obj
+    } else if (_.isArray(obj)) {
+      return obj.map(_.deepCopy.bind(_))
+    } else {
+      const ret = {}
+      for (let key in obj) {
+        ret[key] = _.deepCopy(obj[key])
+      }
+      return ret
+    }
   },
 
   /**
-   * 移除字符串中所有的空白字符，包含空格、制表符、换行符等。
+   * 深度拷贝，会忽略undefined、null。
+   * 此函数会先把对象转为json字符串，再转回对象
    * 
-   * @param {string} s - 原字符串
-   * @returns {string} 返回没有空白字符的字符串。
+   * @param {any} i - 被复制的值
+   * @returns {any} 返回复制后的值。
    * 
    * @example
-   * utils.removeAllSpace('h e l l o') // 'hello'
+   * utils.jsonDeepcopy({ a: 1, b: null }) // { a: 1 }
    */
-  removeAllSpace (s) {
-    return s.replace(/\s/g, '')
+  jsonDeepcopy (i) {
+    return JSON.parse(JSON.stringify(i))
   },
 
   /**
-   * 将字符串转换为PascalCase形式。
+   * 把对象转为json字符串。
    * 
-   * @param {string} str - 原字符串
-   * @returns {string} 返回PascalCase形式的字符串。
+   * @param {any} i - 被转换的对象
+   * @returns {string} 返回对象转换后的json字符串。
    * 
    * @example
-   * utils.toPascalCase('hello_world') // 'HelloWorld'
+   * utils.toJsonString({ a: 1, b: 2 }) // '{"a":1,"b":2}'
    */
-  toPascalCase(str) {
-    return str.split('_').map(i => { return i === '' ? '' : i.charAt(0).toUpperCase() + i.slice(1) }).join('')
+  toJsonString (i) {
+    return JSON.stringify(i)
   },
 
-
-  /* === 数值、数字、价格、金额 === */
-
   /**
-   * 判断值是否为数字字面量或Number对象（不能是NaN、null、undefined）。
+   * 把json字符串转为对象。
    * 
-   * @param {number|string} i - 被判断的值
-   * @param {Object} [options] - 包含以下属性的对象:
-   *   - {boolean} [is_positive=false] - 判断是否为正数（可为0）
-   *   - {boolean} [is_integer=false] - 判断是否为整数（可为0）
-   *   - {boolean} [allow_string=true] - 默认允许数字字符串，如'123'
-   * @returns {boolean} 如果值为数字字面量或Number对象，返回 `true`；否则返回 `false`。
+   * @param {string} i - 被转换的json字符串
+   * @returns {any} 返回json字符串转换后的对象。
    * 
    * @example
-   *   utils.isNumber(123) // true
-   *   utils.isNumber('123') // true
+   * utils.fromJsonString('{"a":1,"b":2}') // { a: 1, b: 2 }
    */
-  isNumber(i, {
-    is_positive = false, // 判断是否为正数（可为0）
-    is_integer = false,  // 判断是否为整数（可为0）
-    allow_string = true, // 默认允许数字字符串
-  } = {}){
-    if (i === '') return false;
-    if (allow_string && typeof i === "string") {
-      i = Number(i)
-    }
-    if (typeof i !== "number" || isNaN(i)) return false;
-    if (is_positive && i < 0) return false;
-    if (is_integer && !Number.isInteger(i)) return false;
-    return true;
+  fromJsonString (i) {
+    return JSON.parse(i)
   },
 
   /**
-   * 判断值是否为大于0的正整数，不接受字符串。
+   * 传入obj和del_key, 递归删除obj中所有名字为del_key的属性。obj可能是数组或对象。
+   * 注意：在原对象上修改。
    * 
-   * @param {number} i - 被判断的值
-   * @returns {boolean} 如果值为大于0的正整数，返回 `true`；否则返回 `false`。
+   * @param {Object|Array} obj - 要删除属性的对象或数组
+   * @param {string} del_key - 要删除的属性名
    * 
    * @example
-   *   utils.isPositiveInt(123) // true
-   *   utils.isPositiveInt('123') // false
-   *   utils.isPositiveInt(123.4) // false
+   *   let obj = { a: 1, b: { a: 2, c: 3 } }
+   *   utils.deleteAllKey(obj, 'a') 
+   *   console.log(obj) // { b: { c: 3 } }
    */
-  isPositiveInt(i) {
+  deleteAllKey (obj, del_key) {
     const _ = this
-    return _.isNumber(i, {is_positive: true, is_integer: true, allow_string: false}) && i > 0
-  },
-
-  /**
-   * 判断是否是合法的rank值，可以是小数、负数、字符串。
-   * 
-   * @param {number|string} i - 被判断的值
-   * @returns {boolean} 如果值是合法的rank值，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   *   utils.isRank(123.45) // true
-   */
-  isRank(i) {
-    return this.isNumber(i, { is_positive: false, is_integer: false, allow_string: true })
+    if (_.isArray(obj)) {
+      for (let i = 0; i < obj.length; i++) {
+        _.deleteAllKey(obj[i], del_key)
+      }
+    } else if (_.isObject(obj)) {
+      for (let key in obj) {
+        if (key === del_key) {
+          delete obj[key]
+        } else if (typeof obj[key] === 'object') {
+          _.deleteAllKey(obj[key], del_key)
+        }
+      }
+    }
   },
 
   /**
-   * 判断字符串是否仅包含数字，不含负数、小数。
+   * 递归遍历obj中的所有属性，并对每个属性值执行fn函数，在原来的位置保存fn函数的返回值。
+   * fn返回undefined时不会删除属性，而是赋值为null。
+   * fn = (v, obj) => {}，其中obj是当前属性所在的对象。
    * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串仅包含数字，返回 `true`；否则返回 `false`。
+   * @param {Object|Array} obj - 要遍历的对象或数组
+   * @param {string} key - 要匹配的属性名
+   * @param {Function} fn - 对匹配的属性值执行的函数
+   * @param {Object} [options]
+   *   - {boolean} [options.over_write=true] - 是否覆盖原来的值
+   * @param {boolean} [options.over_write=true] - 是否覆盖原来的值
+   *
+   * 注意
+   *   1. 若over_write为true，则会覆盖key属性原来的值。
+   *   2. 当不希望覆盖key属性值，只是想要对key属性值进行操作时，可以设置over_write为false。
+   *   3. 在fn函数中，obj是根据key匹配到的属性值。举个例子，若在下面的例子中，key为'b'，则obj是{ a: 2, c: 3 }。
    * 
    * @example
-   * utils.isDigit('123') // true
+   *   let obj = { a: 1, b: { a: 2, c: 3 } }
+   *   utils.allKeyMap(obj, 'a', (v, obj) => v * 2)
+   *   console.log(obj) // { a: 2, b: { a: 4, c: 3 } }
    */
-  isDigit (s) {
-    return /^\d+$/.test(s)
+  allKeyMap (obj, key, fn, {over_write = true} = {}) {
+    const _ = this
+    if (_.isArray(obj)) {
+      for (let i = 0; i < obj.length; i++) {
+        _.allKeyMap(obj[i], key, fn, {over_write})
+      }
+    } else if (_.isObject(obj)) {
+      for (let k in obj) {
+        if (k === key) {
+          let result = fn(obj[k], obj)
+          if (over_write) {
+            obj[k] = result === undefined ? null : result
+          }
+        } else if (typeof obj[k] === 'object') {
+          _.allKeyMap(obj[k], key, fn, {over_write})
+        }
+      }
+    }
   },
 
   /**
-   * 判断是否为价格，可以有两位小数，不能为负数，不能以0开头，但可以以0.开头。
-   * isNumber相比，此函数支持数字字符串。
+   * 给数组对象设置默认值，支持a.b.c这种格式。
+   * 第一个参数是一个数组，第二个参数是一个对象。
+   * obj的key是数组对象的key，value是默认值。
    * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串是合法的价格，返回 `true`；否则返回 `false`。
+   * @param {Array} arr - 要设置默认值的数组
+   * @param {Object} obj - 默认值对象，key 是数组对象的 key，value 是默认值
+   * @throws {Error} 如果 arr 不是数组，将抛出异常
+   *
+   * 注意
+   *   1. 如果数组的值是undefined或null，则不会设置默认值
+   *   2. 需要为一个obj设置时，可以使用[{}]这种格式
+   *   3. 当数组中对应值存在时，不会修改其值
+   *   4. 当你从数据库中读取一个列表数据，需要给每一个数据设置多个默认值时，可以使用此函数
    * 
    * @example
-   *   utils.isPrice('123.45') // true
+   *   utils.setDefault([{ a: 1, b: {} }], { a: 0, 'b.c': 2 }) // [{ a: 1, b: {c: 2} }]
    */
-  isPrice (s) {
-    return /^(0|[1-9][0-9]*)(\.[0-9]{1,2})?$/.test(s)
-  },
+  setDefault (arr, obj) {
+    const _ = this
 
-  /**
-   * 判断是否为整数价格，不能有小数，不能为负数，不能以0开头。
-   * 和isNumber相比，此函数支持数字字符串。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串是合法的整数价格，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   *   utils.isIntPrice('123') // true
-   */
-  isIntPrice (s) {
-    return /^(0|[1-9][0-9]*)$/.test(s)
-  },
+    // 如果arr不是数组，抛出异常
+    if (!_.isArray(arr)) {
+      throw new Error('传给utils.setDefault的arr必须是数组')
+    }
 
-  /**
-   * 判断是否为合法的11位手机号码。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串是合法的11位手机号码，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   *   utils.isPhoneNumber('12345678901') // true
-   */
-  isPhoneNumber (s) {
-    return /^1[3-9]\d{9}$/.test(s)
-  },
+    let keys = Object.keys(obj)
 
-  /**
-   * 判断是否是133****1234格式的手机号码，中间4位是*字符。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串是133****1234格式的手机号码，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   *   utils.isMaskedPhoneNumber('133****1234') // true
-   */
-  isMaskedPhoneNumber(s) {
-    return /^1[3-9]\d\*{4}\d{4}$/.test(s)
-  },
+    for (let i = 0; i < arr.length; i++) {
 
-  /**
-   * 判断是否为英文小写的name（不能以数字开头，可以有下划线）。
-   * 
-   * @param {string} s - 被判断的字符串
-   * @returns {boolean} 如果字符串是英文小写的name，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   *   utils.isName('abc') // true
-   */
-  isName (s) {
-    return /^[a-z][a-z0-9_]*$/.test(s)
-  },
+      if (_.isNone(arr[i])) { continue }
 
-  /**
-   * 判断是否是合法的doc._id。参数支持数组，任何一个不合法都返回false。
-   * 
-   * @param {...string} s - 被判断的值
-   * @returns {boolean} 如果所有值都是合法的doc._id，返回 `true`；否则返回 `false`。
-   * 
-   * @example
-   *   utils.isID('1234567890abcdef1234567890abcdef') // true
-   *   utils.isID(id1, id2, ...) // 任何一个不合法都返回false
-   */
-  isID (...s) {
-    return s.every(i => /^[0-9a-z]{32}$/.test(i))
-  },
+      for (let j = 0; j < keys.length; j++) {
+
+        let key = keys[j]
+        let value = obj[key]
+
+        // 注意，这里不能用putValue代替，因为putValue会覆盖已存在的值，而setDefault不会
+        if (key.includes('.')) {
+
+          let ks = key.split('.')
+          let current, pre, ki
+
+          for (ki = 0; ki < ks.length; ki++) {
+
+            if(ki === 0){
+              pre = null
+              current = arr[i]
+            } else {
+              pre = current
+              current = current[ks[ki-1]]
+            }
+
+            if (_.isNone(current)) {
+              if(ki === 0){
+                current = arr[i] = {}
+              } else {
+                current = pre[ks[ki-1]] = {}
+              }
+            } else if(!_.isObject(current)) {
+              break
+            }
+
+          }
+
+          if (ki=== ks.length && _.isNone(current[ks[ki-1]])) {
+            current[ks[ki-1]] = value
+          }
+
+        } else if(_.isNone(arr[i][key])) {
+          arr[i][key] = value
+        }
+
+      }
+    }
+  },
 
   /**
-   * 把价格由分转为元，返回float格式。支持空字符串。
-   * 
-   * @param {string} p - 被转换的价格（单位：分）
-   * @returns {number|string} 返回转换后的价格（单位：元）。如果输入为空字符串，则返回空字符串。否则，如果输入是非法的价格，则返回NaN。
+   * 把obj对象转成为字符串，用于格式化打印对象。每个key，value对显示在一行。
+   * 例如：
+   *   {a: 1, b: {c: 2, e: [1,2,3]}, d: 'haha'}
+   *   会转成
+   *   a: 1
+   *   b: 
+   *    c: 2
+   *    e: 1,2,3
+   *   d: haha
    * 
-   * @example
-   *   utils.centsToPrice('12345') // 123.45
+   * @param {any} obj - 要转换的对象
+   * @param {number} indent - 缩进的空格数，默认为 0
+   * @returns {string} 返回转换后的字符串
    */
-  centsToPrice(p) {
+  obj2str (obj, indent = 0) {
     const _ = this
-    // 空字符串返回空字符串
-    if (_.isString(p) && _.isEmpty(p)) {
-      return ''
-    } else if (_.isIntPrice(p)) {
-      return Number(p) / 100
-    } else {
-      return NaN
+    let str = ''
+    let indent_str = '  '.repeat(indent)
+    if (_.isNone(obj)) { return 'null' }
+    let keys = Object.keys(obj)
+    for (let i = 0; i < keys.length; i++) {
+      let key = keys[i]
+      let value = obj[key]
+      if (_.isObject(value)) {
+        str += `${indent_str}${key}: \n${_.obj2str(value, indent + 1)}\n`
+      } else if (_.isArray(value)) {
+        str += `${indent_str}${key}:\n`
+        // 遇到数组，每个元素显示在一行
+        let arr_str = []
+        for (let j = 0; j < value.length; j++) {
+          arr_str.push(`${indent_str}  [${j}]`)
+          arr_str.push(_.obj2str(value[j], indent + 2))
+        }
+        str += arr_str.join('\n')
+      } else {
+        str += `${indent_str}${key}: ${value}\n`
+      }
     }
+    // 去掉右边的空字符
+    return str.trimEnd()
   },
 
   /**
-   * 把价格由元转为分。支持空字符串。
+   * 传入一个obj或arr，递归检查所有key，如果value的类型是字符串，则去掉首尾空格。
+   * 在原对象上修改。
    * 
-   * @param {string} p - 被转换的价格（单位：元）
-   * @returns {number|string} 返回转换后的价格（单位：分）。如果输入为空字符串，则返回空字符串。否则，如果输入是非法的价格，则返回NaN。
+   * @param {Object|Array} obj - 要处理的对象或数组
    * 
    * @example
-   *   utils.priceToCents('123.45') // 12345
+   *   let obj = { a: ' 1 ', b: { a: ' 2 ', c: ' 3 ' } }
+   *   utils.trimAllKey(obj)
+   *   console.log(obj) // { a: '1', b: { a: '2', c: '3' } }
    */
-  priceToCents(p) {
+  trimAllKey(obj){
     const _ = this
-    // 空字符串返回空字符串
-    if (_.isString(p) && _.isEmpty(p)) {
-      return ''
-    } else if (_.isPrice(p)) {
-      return Math.round(Number(p) * 100)
-    } else {
-      return NaN
+    if (_.isObject(obj)) {
+      for (let key in obj) {
+        if (_.isString(obj[key])) {
+          obj[key] = obj[key].trim()
+        } else if (_.isObjectOrArray(obj[key])) {
+          _.trimAllKey(obj[key])
+        }
+      }
+    } else if (_.isArray(obj)) {
+      for (let i = 0; i < obj.length; i++) {
+        if (_.isString(obj[i])) {
+          obj[i] = obj[i].trim()
+        } else if (_.isObjectOrArray(obj[i])) {
+          _.trimAllKey(obj[i])
+        }
+      }
     }
   },
 
   /**
-   * 把价格转为显示给用户的字符串（传入分）。若传入的参数不是数值，则返回其字符串。
+   * 获得一个obj有多少个key。
    * 
-   * @param {...number} price - 被转换的价格（单位：分）
-   * @returns {string|array<string>} 返回格式化后的价格字符串。如果只传入一个价格，返回字符串；如果传入多个价格，返回字符串数组。
+   * @param {Object} obj - 要计算属性数量的对象
+   * @returns {number} 返回对象的属性数量
    * 
    * @example
-   * utils.priceFormat(12345) // '123.45'
+   * utils.objLength({ a: 1, b: 2, c: 3 }) // 3
    */
-  priceFormat(...price) {
-    const _ = this
-    function format(p) {
-      if (_.isIntPrice(p)) {
-        return (Math.round(p * 100) / 100).toFixed(2).replace(/0+$/,'').replace(/\.$/,'')
-      } else {
-        return String(p)
-      }
-    }
-    price = price.map(format)
-    return (price.length === 1) ? price[0] : price
+  objLength(obj){
+    return Object.keys(obj).length
   },
 
   /**
-   * 把数字除以100再转为str格式，用于积分、单量、价格等字段的显示【传入分】。
+   * 把一个obj转为可用于cache的key字符串。
+   * 当obj的内容相同（但顺序不同）时总是返回相同的字符串。
    * 
-   * @param {...number} numbers - 被转换的数字（单位：分）
-   * @returns {string|array<string>} 返回格式化后的数字字符串。如果只传入一个数字，返回字符串；如果传入多个数字，返回字符串数组。
+   * @param {any} obj - 要序列化的对象
+   * @returns {string} 返回序列化后的字符串
    * 
    * @example
-   * utils.df(12345) // '123.45'
+   *   const obj1 = { a: 1, b: 2 }
+   *   const obj2 = { b: 2, a: 1 }
+   *   utils.serializeObj(obj1) === utils.serializeObj(obj2) // true
    */
-  df(...numbers) {
+  serializeObj(obj) {
     const _ = this
-    if (numbers.length === 1) {
-      return _.priceFormat(_.centsToPrice(numbers[0]))
-    } else {
-      return _.priceFormat(..._.centsToPrice(...numbers))
+    const sort = (obj) => {
+      if (_.isArray(obj)) {
+        return obj.map(sort)
+      }
+      if (!_.isObject(obj)) {
+        return obj
+      }
+      // 此时obj是对象，按key的顺序重新赋值一个新的对象
+      const sorted_keys = Object.keys(obj).sort()
+      return sorted_keys.reduce((result, key) => {
+        result[key] = sort(obj[key])
+        return result
+      }, {})
     }
+    return JSON.stringify(sort(obj))
   },
 
+
+  /* === 字符串 === */
+
   /**
-   * 给货币数据增加逗号，方便阅读，返回字符串（传入分）。
+   * 按指定字符拆分字符串，返回拆分后的数组
    * 
-   * @param {number} price - 被格式化的价格（单位：分）
-   * @returns {string} 返回格式化后的价格字符串。
+   * 此函数会过滤掉拆分后的空字符串，并去除每个元素两边的空白。
    * 
-   * @example
-   * utils.formatCurrency(12345) // '123.45'
+   * @param {string} s - 要拆分的字符串
+   * @param {string} [char=' '] - 用于拆分的字符，默认为空格
+   * @returns {Array<string>} 拆分后的字符串数组，已过滤空字符串并去除元素两边空白
    */
-  formatCurrency(price) {
-    return parseFloat(price).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  split (s, char = ' ') {
+    return s.split(char).map(i => i.trim()).filter(i => i.length > 0)
   },
 
   /**
-   * 用于显示价格的整数部分，返回字符串（传入分）。
+   * 将字符串按照第一个指定字符分割为三部分。
    * 
-   * @param {number} price - 被格式化的价格（单位：分）
-   * @returns {string} 返回价格的整数部分。
+   * @param {string} s - 要分割的字符串
+   * @param {string} [char=' '] - 作为分割标记的字符
+   * @returns {Array<string>} 返回一个包含三个字符串的数组。原字符串中从头开始到第一个匹配标记之前的部分，匹配标记，以及第一个匹配标记之后的部分。如果没有找到匹配标记，返回的数组将包含原字符串，后两个字符串将为空。
    * 
    * @example
-   * utils.roundPrice(12345) // '123'
+   *   utils.partition('hello world') // ['hello', ' ', 'world']
    */
-  roundPrice (price) {
-    const _ = this
-    price = _.centsToPrice(price)
-    return (price < 0 ? '-' : '') + Math.abs(Math.trunc(price)).toString()
+  partition (s, char = ' ') {
+    if(s.includes(char)){
+      let i = s.indexOf(char)
+      return [s.substring(0, i), char, s.substring(i+char.length, s.length)]
+    }else{
+      return [s, '', '']
+    }
   },
 
   /**
-   * 用于显示价格的小数部分，返回字符串（传入分）。
-   * 会返回 .2 不会返回.20。
+   * 类似于 `partition`，但是从右边开始查找。
    * 
-   * @param {number} price - 被格式化的价格（单位：分）
-   * @returns {string} 返回价格的小数部分。
+   * @param {string} s - 要分割的字符串
+   * @param {string} [char=' '] - 作为分割标记的字符
+   * @returns {Array<string>} 返回一个包含三个字符串的数组。
    * 
    * @example
-   * utils.fractionPrice(12345) // '.45'
+   *   utils.rpartition('hello world', 'o) // ['hello w', 'o', 'rld']
    */
-  fractionPrice (price) {
-    const _ = this
-    price = _.centsToPrice(price)
-    if (price === parseInt(price)) {
-      return ''
+  rpartition (s, char = ' ') {
+    if (s.includes(char)) {
+      let i = s.lastIndexOf(char)
+      return [s.substring(0, i), char, s.substring(i+char.length, s.length)]
     } else {
-      return '.' + _.partition(parseFloat(price).toFixed(2).trimEnd('0'), '.')[2]
+      return ['', '', s]
     }
   },
 
   /**
-   * 把小数保留小数点后2位，返回实数类型。
+   * 判断字符串是否仅包含字母。
    * 
-   * @param {number} n - 被四舍五入的数
-   * @returns {number} 返回四舍五入后的数。
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串仅包含字母，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.round2(123.456) // 123.46
+   *   utils.isAlpha('abc') // true
    */
-  round2 (n) {
-    return Math.round(n * 100) / 100
+  isAlpha (s) {
+    return /^([a-zA-Z])+$/.test(s)
   },
 
   /**
-   * 限制一个值的范围，注意这不是worklet函数，不能给worklet使用。
+   * 判断字符串是否仅包含数字或字母。
    * 
-   * @param {number} i - 被限制的值
-   * @param {number} min - 值的最小边界
-   * @param {number} max - 值的最大边界
-   * @returns {number} 返回在限定范围内的值。
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串仅包含数字或字母，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.clamp(10, 0, 5) // 5
+   *   utils.isAlnum('abc123') // true
    */
-  clamp (i, min, max) {
-    return Math.min(Math.max(val, min), max)
+  isAlnum (s) {
+    return /^([\da-zA-Z])+$/.test(this)
   },
 
   /**
-   * 把阿拉伯数字转为中文数字，最大支持5位数（万）。
+   * 判断一个字符串是否包含中文字符。
    * 
-   * @param {number} n - 被转换的阿拉伯数字
-   * @returns {string} 返回转换后的中文数字。如果数字太大或太小，抛出异常。
+   * @param {string} str - 被判断的字符串
+   * @returns {boolean} 如果字符串包含中文字符，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.numberToChinese(12345) // '一万二千三百四十五'
+   *   utils.isContainChinese('你好abc') // true
    */
-  numberToChinese (n) {
-    const _ = this
-    let units = '个十百千万'
-    let chars = '零一二三四五六七八九'
-    n = n.toString()
-    let s = []
-
-    _.assert(n.length <= 5, '数字太大，不能解析')
-    _.assert(n.length > 0, '数字不能是空字符串')
-    _.assert(n[0] != '0', '数字不能以0开头')
-
-    for (let i = 0; i < n.length; i++) {
-      let num = n[i]
-      let unit = units[n.length - i - 1]
-      let char = chars[num]
-      if (num === '0') {
-        if (i === n.length - 1 || n[i + 1] !== '0') {
-          s.push('零')
-        }
-      } else {
-        s.push(char)
-        s.push(unit)
-      }
-    }
-
-    // 需要删除的末尾字符
-    const del_chars = ['零', '个']
-
-    // 用while删除末尾的字符
-    while (del_chars.includes(s[s.length - 1])) {
-      s.pop()
-    }
+  isContainChinese (str) {
+    return /[\u4e00-\u9fff]/.test(str)
+  },
 
-    let ret = s.join('')
+  /**
+   * 获得字符串的最后n个字符。
+   * 
+   * @param {string} s - 原字符串
+   * @param {number} n - 要获取的字符数
+   * @returns {string} 返回字符串的最后n个字符。
+   * 
+   * @example
+   *   utils.lastStr('hello', 2) // 'lo'
+   */
+  lastStr (s, n) {
+    return s.substr(s.length - n)
+  },
 
-    // 如果是"一十"开头，则删除"一"
-    if (ret.startsWith('一十')) {
-      ret = ret.substr(1)
-    }
+  /**
+   * 移除字符串中所有的空白字符，包含空格、制表符、换行符等。
+   * 
+   * @param {string} s - 原字符串
+   * @returns {string} 返回没有空白字符的字符串。
+   * 
+   * @example
+   * utils.removeAllSpace('h e l l o') // 'hello'
+   */
+  removeAllSpace (s) {
+    return s.replace(/\s/g, '')
+  },
 
-    return ret
-  }, // numberToChinese
+  /**
+   * 将字符串转换为PascalCase形式。
+   * 
+   * @param {string} str - 原字符串
+   * @returns {string} 返回PascalCase形式的字符串。
+   * 
+   * @example
+   * utils.toPascalCase('hello_world') // 'HelloWorld'
+   */
+  toPascalCase(str) {
+    return str.split('_').map(i => { return i === '' ? '' : i.charAt(0).toUpperCase() + i.slice(1) }).join('')
+  },
 
 
-  /*  === 数组、列表  === */
+  /* === 数值、数字、价格、金额 === */
 
   /**
-   * 判断某个元素是否在数组、对象的键或字符串中
+   * 判断值是否为数字字面量或Number对象（不能是NaN、null、undefined）。
    * 
-   * 如果arr是数组，判断item是否在数组arr中；
-   * 如果arr是对象，判断item是否在对象arr的键中；
-   * 如果arr是字符串，判断子串item是否在字符串arr中。
+   * @param {number|string} i - 被判断的值
+   * @param {Object} [options] - 包含以下属性的对象:
+   *   - {boolean} [is_positive=false] - 判断是否为正数（可为0）
+   *   - {boolean} [is_integer=false] - 判断是否为整数（可为0）
+   *   - {boolean} [allow_string=true] - 默认允许数字字符串，如'123'
+   * @returns {boolean} 如果值为数字字面量或Number对象，返回 `true`；否则返回 `false`。
    * 
-   * @param {*} item - 要查找的元素
-   * @param {Array|Object|string} arr - 要查找的数组、对象或字符串
-   * @returns {boolean} 如果item在arr中，返回true；否则返回false
+   * @example
+   *   utils.isNumber(123) // true
+   *   utils.isNumber('123') // true
    */
-  in (item, arr) {
-    const _ = this
-    if (_.isArray(arr)) {
-      return arr.indexOf(item) !== -1
-    } else if (_.isObject(arr)) {
-      return _.in(item, Object.keys(arr))
-    } else if (_.isString(arr)) {
-      return arr.indexOf(item) !== -1
-    } else {
-      return false
+  isNumber(i, {
+    is_positive = false, // 判断是否为正数（可为0）
+    is_integer = false,  // 判断是否为整数（可为0）
+    allow_string = true, // 默认允许数字字符串
+  } = {}){
+    if (i === '') return false;
+    if (allow_string && typeof i === "string") {
+      i = Number(i)
     }
+    if (typeof i !== "number" || isNaN(i)) return false;
+    if (is_positive && i < 0) return false;
+    if (is_integer && !Number.isInteger(i)) return false;
+    return true;
   },
 
   /**
-   * 传入数组 arr 和属性名 key，key 对应一个子数组，把所有子数组合并成一个数组。
+   * 判断值是否为大于0的正整数，不接受字符串。
    * 
-   * @param {Array} arr - 输入的数组，该数组中的对象应含有子数组
-   * @param {string} key - 对应子数组的属性名
-   * @returns {Array} 返回合并后的数组
+   * @param {number} i - 被判断的值
+   * @returns {boolean} 如果值为大于0的正整数，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.extractNestedArrays([{a: [1,2]}, {a: [3,4]}, {a: null}, {b: [5, 6]}], 'a') // [1,2,3,4]
+   *   utils.isPositiveInt(123) // true
+   *   utils.isPositiveInt('123') // false
+   *   utils.isPositiveInt(123.4) // false
    */
-  extractNestedArrays (arr, key) {
+  isPositiveInt(i) {
     const _ = this
-    let result = []
-    for (let i = 0; i < arr.length; i++) {
-      if (_.isArray(arr[i][key])) {
-        result = result.concat(arr[i][key])
-      }
-    }
-    return result
+    return _.isNumber(i, {is_positive: true, is_integer: true, allow_string: false}) && i > 0
   },
 
   /**
-   * 把一个数据分成多个数组，每个数组的长度为 size。
+   * 判断是否是合法的rank值，可以是小数、负数、字符串。
    * 
-   * @param {Array} arr - 要被分割的数组
-   * @param {number} size - 每个子数组的长度
-   * @returns {Array} 返回包含多个子数组的数组
+   * @param {number|string} i - 被判断的值
+   * @returns {boolean} 如果值是合法的rank值，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.splitArray([1, 2, 3, 4, 5, 6], 2) // [[1, 2], [3, 4], [5, 6]]
+   *   utils.isRank(123.45) // true
    */
-  splitArray (arr, size) {
-    const _ = this
-    let result = []
-    for (let i = 0; i < arr.length; i += size) {
-      result.push(arr.slice(i, i + size))
-    }
-    return result
+  isRank(i) {
+    return this.isNumber(i, { is_positive: false, is_integer: false, allow_string: true })
   },
 
   /**
-   * 给出一个数组和多个字段名，返回一个新数组，新数组的每个元素是原数组的每个元素的这些字段的值。
+   * 判断字符串是否仅包含数字，不含负数、小数。
    * 
-   * @param {Array} arr - 输入的数组
-   * @param {...string} fields - 要提取的字段名
-   * @returns {Array} 返回包含新对象的数组，每个对象包含指定字段的值
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串仅包含数字，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.extractFields([{ a: 1, b: 2 }, { a: 3, b: 4 }], 'a') // [{ a: 1 }, { a: 3 }]
+   * utils.isDigit('123') // true
    */
-  extractFields (arr, ...fields) {
-    const _ = this
-    let result = []
-    for (let i = 0; i < arr.length; i++) {
-      let obj = {}
-      for (let j = 0; j < fields.length; j++) {
-        obj[fields[j]] = arr[i][fields[j]]
-      }
-      result.push(obj)
-    }
-    return result
+  isDigit (s) {
+    return /^\d+$/.test(s)
   },
 
   /**
-   * 通过 _id 判断一个 doc 是否在数组中。
+   * 判断是否为价格，可以有两位小数，不能为负数，不能以0开头，但可以以0.开头。
+   * isNumber相比，此函数支持数字字符串。
    * 
-   * @param {Array} arr - 搜索的数组
-   * @param {Object} doc - 输入的对象，该对象应含有 `_id` 属性
-   * @returns {boolean} 如果数组中包含 doc，则返回 true，否则返回 false
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串是合法的价格，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.includesDoc([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], { _id: 1 }) // true
+   *   utils.isPrice('123.45') // true
    */
-  includesDoc (arr, doc) {
-    const _ = this
-    return arr.some(item => item._id === doc._id)
+  isPrice (s) {
+    return /^(0|[1-9][0-9]*)(\.[0-9]{1,2})?$/.test(s)
   },
 
   /**
-   * 通过 _id 找到数组中的元素的索引。
+   * 判断是否为整数价格，不能有小数，不能为负数，不能以0开头。
+   * 和isNumber相比，此函数支持数字字符串。
    * 
-   * @param {Array} arr - 输入的数组
-   * @param {Object} doc - 输入的对象，该对象应含有 `_id` 属性
-   * @returns {number} 返回 doc 在数组中的索引，如果数组中不包含 doc，则返回 -1
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串是合法的整数价格，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.docIndexOf([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], { _id: 1 }) // 0
+   *   utils.isIntPrice('123') // true
    */
-  docIndexOf (arr, doc) {
-    const _ = this
-    return arr.findIndex(item => item._id === doc._id)
+  isIntPrice (s) {
+    return /^(0|[1-9][0-9]*)$/.test(s)
   },
 
   /**
-   * 把数组中某个值的元素全部替换为新元素。
+   * 判断是否为合法的11位手机号码。
    * 
-   * @param {Array} array - 输入的数组
-   * @param {any} target - 需要被替换的元素
-   * @param {any} replacement - 用于替换的新元素
-   * @returns {Array} 返回包含替换后的元素的数组
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串是合法的11位手机号码，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.replaceAll([1, 2, 3, 2, 4, 2], 2, 'two') // [1, 'two', 3, 'two', 4, 'two']
+   *   utils.isPhoneNumber('12345678901') // true
    */
-  replaceAll(array, target, replacement) {
-    return array.map((element) => {
-      return element === target ? replacement : element
-    })
+  isPhoneNumber (s) {
+    return /^1[3-9]\d{9}$/.test(s)
   },
 
   /**
-   * 传入一个数组 arr，以及 keys，根据 keys 对 arr 进行排序。
+   * 判断是否是133****1234格式的手机号码，中间4位是*字符。
    * 
-   * @param {Array} arr - 输入的数组
-   * @param {Object} keys - 一个对象，键为排序的字段，值为 'asc' 或 'desc'，表示升序或降序
-   * @returns {Array} 返回排序后的新数组
-   *
-   * 注意
-   *   1. keys是有序的，若希望先按a排序，再按b排序，应该传入 {a: 'asc', b: 'asc'}
-   *   2. keys是支持点表示法的，如 { 'a.b.c': 'asc' }
-   *   3. 任何属性取值为 null 或 undefined 的元素将被过滤掉
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串是133****1234格式的手机号码，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.sortByKeys([{ a: 1, b: 2 }, { a: 2, b: 1 }], { a: 'asc' }) // [{ a: 1, b: 2 }, { a: 2, b: 1 }]
+   *   utils.isMaskedPhoneNumber('133****1234') // true
    */
-  sortByKeys (arr, keys) {
-    const _ = this
-
-    // 比较函数
-    function compare(a, b) {
-      for (const key in keys) {
-        const value_a = _.pickValue(a, key)
-        const value_b = _.pickValue(b, key)
-
-        let c = value_a > value_b ? 1 : value_a < value_b ? -1 : 0
-
-        if (keys[key] === 'desc') {
-          c *= -1
-        } else if (keys[key] !== 'asc') {
-          throw new Error(`排序参数错误，必须是asc或desc，不能是${keys[key]}`)
-        }
-
-        if (c !== 0) return c;
-      }
-      return 0
-    }
-
-    // 过滤掉任何属性取值为null或undefined的元素
-    arr = arr.filter(item => Object.keys(keys).every(key => !_.isNone(_.pickValue(item, key))))
-
-    return arr.sort(compare)
+  isMaskedPhoneNumber(s) {
+    return /^1[3-9]\d\*{4}\d{4}$/.test(s)
   },
 
   /**
-   * 过滤掉数组中的 null 和 undefined。
+   * 判断是否为英文小写的name（不能以数字开头，可以有下划线）。
    * 
-   * @param {Array} arr - 输入的数组
-   * @returns {Array} 返回过滤后的数组
+   * @param {string} s - 被判断的字符串
+   * @returns {boolean} 如果字符串是英文小写的name，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.filterNone([1, null, 2, undefined, 3]) // [1, 2, 3]
+   *   utils.isName('abc') // true
    */
-  filterNone (arr) {
-    const _ = this
-    return arr.filter(item => !_.isNone(item))
+  isName (s) {
+    return /^[a-z][a-z0-9_]*$/.test(s)
   },
 
   /**
-   * 删除数组中的重复元素（用于排除重复数字、字符串）。
-   * 函数会保持原数组的顺序。
+   * 判断是否是合法的doc._id。参数支持数组，任何一个不合法都返回false。
    * 
-   * @param {Array} arr - 输入的数组
-   * @returns {Array} 返回删除重复元素后的数组
+   * @param {...string} s - 被判断的值
+   * @returns {boolean} 如果所有值都是合法的doc._id，返回 `true`；否则返回 `false`。
    * 
    * @example
-   * utils.uniqueArray([1, 1, 2, 2, 3, 3]) // [1, 2, 3]
+   *   utils.isID('1234567890abcdef1234567890abcdef') // true
+   *   utils.isID(id1, id2, ...) // 任何一个不合法都返回false
    */
-  uniqueArray (arr) {
-    const unique_arr = []
-    const existing_set = new Set()
-    for (const item of arr) {
-      if (!existing_set.has(item)) {
-        unique_arr.push(item)
-        existing_set.add(item)
-      }
-    }
-    return unique_arr
+  isID (...s) {
+    return s.every(i => /^[0-9a-z]{32}$/.test(i))
   },
 
   /**
-   * 根据 _id 删除数组中的元素。
+   * 把价格由分转为元，返回float格式。支持空字符串。
    * 
-   * @param {Array} arr - 输入的数组，数组中的元素应包含 `_id` 属性
-   * @param {string | number} id - `_id` 的值
-   * @returns {Array} 返回删除指定元素后的数组
+   * @param {string} p - 被转换的价格（单位：分）
+   * @returns {number|string} 返回转换后的价格（单位：元）。如果输入为空字符串，则返回空字符串。否则，如果输入是非法的价格，则返回NaN。
    * 
    * @example
-   * utils.removeById([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], 1) // [{ _id: 2, name: 'Jerry' }]
+   *   utils.centsToPrice('12345') // 123.45
    */
-  removeById (arr, id) {
-    return arr.filter(item => item._id !== id)
+  centsToPrice(p) {
+    const _ = this
+    // 空字符串返回空字符串
+    if (_.isString(p) && _.isEmpty(p)) {
+      return ''
+    } else if (_.isIntPrice(p)) {
+      return Number(p) / 100
+    } else {
+      return NaN
+    }
   },
 
   /**
-   * 判断数组中是否有重复元素。
+   * 把价格由元转为分。支持空字符串。
    * 
-   * @param {Array} arr - 输入的数组
-   * @returns {boolean} 如果数组中有重复元素，则返回 true，否则返回 false
+   * @param {string} p - 被转换的价格（单位：元）
+   * @returns {number|string} 返回转换后的价格（单位：分）。如果输入为空字符串，则返回空字符串。否则，如果输入是非法的价格，则返回NaN。
    * 
    * @example
-   * utils.hasDuplicate([1, 2, 3, 2]) // true
+   *   utils.priceToCents('123.45') // 12345
    */
-  hasDuplicate (arr) {
-    return new Set(arr).size !== arr.length
+  priceToCents(p) {
+    const _ = this
+    // 空字符串返回空字符串
+    if (_.isString(p) && _.isEmpty(p)) {
+      return ''
+    } else if (_.isPrice(p)) {
+      return Math.round(Number(p) * 100)
+    } else {
+      return NaN
+    }
   },
 
-
-  /* === 时间 === */
-
   /**
-   * 从数据_id中获取时间，返回Date对象
+   * 把价格转为显示给用户的字符串（传入分）。若传入的参数不是数值，则返回其字符串。
    * 
-   * 系统使用什么时区，就返回什么时区的时间（以插入数据时的时区决定）。
-   * 建议在云函数中把时区转换为上海时区，即添加 TZ=Asia/Shanghai 配置。
+   * @param {...number} price - 被转换的价格（单位：分）
+   * @returns {string|array<string>} 返回格式化后的价格字符串。如果只传入一个价格，返回字符串；如果传入多个价格，返回字符串数组。
    * 
-   * @param {string} id - 数据的_id
-   * @returns {Date} 从_id中解析出的时间
+   * @example
+   * utils.priceFormat(12345) // '123.45'
    */
-  getTimeFromId (id) {
-    let t = parseInt(id.substring(8, 16), 16) * 1000
-    return new Date(t)
+  priceFormat(...price) {
+    const _ = this
+    function format(p) {
+      if (_.isIntPrice(p)) {
+        return (Math.round(p * 100) / 100).toFixed(2).replace(/0+$/,'').replace(/\.$/,'')
+      } else {
+        return String(p)
+      }
+    }
+    price = price.map(format)
+    return (price.length === 1) ? price[0] : price
   },
 
   /**
-   * 返回时间的年月日字符串
+   * 把数字除以100再转为str格式，用于积分、单量、价格等字段的显示【传入分】。
    * 
-   * @param {Date} t - 要格式化的时间
-   * @returns {string} 格式为'yyyy-MM-dd'的日期字符串，如：'2023-07-01'
+   * @param {...number} numbers - 被转换的数字（单位：分）
+   * @returns {string|array<string>} 返回格式化后的数字字符串。如果只传入一个数字，返回字符串；如果传入多个数字，返回字符串数组。
+   * 
+   * @example
+   * utils.df(12345) // '123.45'
    */
-  yymmdd (t) {
-    let y = t.getFullYear()
-    let m = (t.getMonth() + 1).toString().padStart(2, '0')
-    let d = t.getDate().toString().padStart(2, '0')
-    return `${y}-${m}-${d}`
+  df(...numbers) {
+    const _ = this
+    if (numbers.length === 1) {
+      return _.priceFormat(_.centsToPrice(numbers[0]))
+    } else {
+      return _.priceFormat(..._.centsToPrice(...numbers))
+    }
   },
 
   /**
-   * 返回时间的时分秒字符串
+   * 给货币数据增加逗号，方便阅读，返回字符串（传入分）。
    * 
-   * @param {Date} t - 要格式化的时间
-   * @returns {string} 格式为'HH:mm:ss'的时间字符串，如：'01:02:03'
+   * @param {number} price - 被格式化的价格（单位：分）
+   * @returns {string} 返回格式化后的价格字符串。
+   * 
+   * @example
+   * utils.formatCurrency(12345) // '123.45'
    */
-  hhmmss (t) {
-    let h = t.getHours().toString().padStart(2, '0')
-    let m = t.getMinutes().toString().padStart(2, '0')
-    let s = t.getSeconds().toString().padStart(2, '0')
-    return `${h}:${m}:${s}`
+  formatCurrency(price) {
+    return parseFloat(price).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
   },
 
   /**
-   * 返回时间的完整字符串
+   * 用于显示价格的整数部分，返回字符串（传入分）。
    * 
-   * 未传入参数时，返回当前时间的字符串。
+   * @param {number} price - 被格式化的价格（单位：分）
+   * @returns {string} 返回价格的整数部分。
    * 
-   * @param {Date} [t] - 要格式化的时间，默认为当前时间
-   * @returns {string} 格式为'yyyy-MM-dd HH:mm:ss'的完整时间字符串，如：'2023-07-01 01:02:03'
+   * @example
+   * utils.roundPrice(12345) // '123'
    */
-  dateToString (t) {
-    if (t === undefined) { t = new Date() }
-    if (!t) { return '' }
-    return this.yymmdd(t) + ' ' + this.hhmmss(t)
+  roundPrice (price) {
+    const _ = this
+    price = _.centsToPrice(price)
+    return (price < 0 ? '-' : '') + Math.abs(Math.trunc(price)).toString()
   },
 
   /**
-   * 获取云数据库的当前日期和时间，可以指定秒、分钟和天数的偏移量。
+   * 用于显示价格的小数部分，返回字符串（传入分）。
+   * 会返回 .2 不会返回.20。
    * 
-   * @param {Object} offsetObject - 包含偏移量的对象
-   *   - seconds - 秒偏移量，正数表示未来时间，负数表示过去时间，下同
-   *   - minutes - 分钟偏移量
-   *   - days - 天数偏移量
-   * @returns {Object} 返回云数据库的当前日期和时间
+   * @param {number} price - 被格式化的价格（单位：分）
+   * @returns {string} 返回价格的小数部分。
+   * 
+   * @example
+   * utils.fractionPrice(12345) // '.45'
    */
-  serverDate ({seconds = 0, minutes = 0, days = 0} = {}) {
+  fractionPrice (price) {
     const _ = this
-    const offset = (seconds + minutes * 60 + days * 24 * 60 * 60) * 1000
-    return _._db().serverDate({offset})
+    price = _.centsToPrice(price)
+    if (price === parseInt(price)) {
+      return ''
+    } else {
+      return '.' + _.partition(parseFloat(price).toFixed(2).trimEnd('0'), '.')[2]
+    }
   },
 
   /**
-   * 获取日期和时间。
+   * 把小数保留小数点后2位，返回实数类型。
    * 
-   * @returns {Date}
+   * @param {number} n - 被四舍五入的数
+   * @returns {number} 返回四舍五入后的数。
+   * 
+   * @example
+   * utils.round2(123.456) // 123.46
    */
-  now () {
-    return new Date()
+  round2 (n) {
+    return Math.round(n * 100) / 100
   },
 
   /**
-   * 传入一个整数或字符串，表示月份或天数，如果小于10，前面补0。
+   * 限制一个值的范围，注意这不是worklet函数，不能给worklet使用。
+   * 
+   * @param {number} i - 被限制的值
+   * @param {number} min - 值的最小边界
+   * @param {number} max - 值的最大边界
+   * @returns {number} 返回在限定范围内的值。
    * 
-   * @param {number|string} n - 一个整数或字符串，表示月份或天数
-   * @returns {string} 返回补零后的字符串
-   *
    * @example
-   * utils.padDateZero(1) // '01'
+   * utils.clamp(10, 0, 5) // 5
    */
-  padDateZero (n) {
-    return n.toString().padStart(2, '0')
+  clamp (i, min, max) {
+    return Math.min(Math.max(val, min), max)
   },
 
   /**
-   * 把字符串转换成日期和时间（不能自己使用 new Date 转换，以免时区错误）。
-   * 支持的格式：（当前时区）
-   *     2023-02-12
-   *     2023-02-12 12:34:56
+   * 把阿拉伯数字转为中文数字，最大支持5位数（万）。
    * 
-   * @param {string} s - 日期和时间的字符串表示
-   * @returns {Date} 返回转换得到的日期和时间
+   * @param {number} n - 被转换的阿拉伯数字
+   * @returns {string} 返回转换后的中文数字。如果数字太大或太小，抛出异常。
+   * 
+   * @example
+   * utils.numberToChinese(12345) // '一万二千三百四十五'
    */
-  dateFromString (s) {
-    // 如果s是YYYY-MM-DD格式
-    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
-      return new Date(s + ' 00:00:00') // 必须加上时分秒，否则会使用UTC时区，加上时分秒后会被当成本地时间
-      // 如果s是YYYY-MM-DD HH:MM:SS格式
-    } else if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(s)) {
-      return new Date(s)
-    } else {
-      throw new Error(`不支持的日期格式：${s}`)
+  numberToChinese (n) {
+    const _ = this
+    let units = '个十百千万'
+    let chars = '零一二三四五六七八九'
+    n = n.toString()
+    let s = []
+
+    _.assert(n.length <= 5, '数字太大，不能解析')
+    _.assert(n.length > 0, '数字不能是空字符串')
+    _.assert(n[0] != '0', '数字不能以0开头')
+
+    for (let i = 0; i < n.length; i++) {
+      let num = n[i]
+      let unit = units[n.length - i - 1]
+      let char = chars[num]
+      if (num === '0') {
+        if (i === n.length - 1 || n[i + 1] !== '0') {
+          s.push('零')
+        }
+      } else {
+        s.push(char)
+        s.push(unit)
+      }
     }
-  },
+
+    // 需要删除的末尾字符
+    const del_chars = ['零', '个']
+
+    // 用while删除末尾的字符
+    while (del_chars.includes(s[s.length - 1])) {
+      s.pop()
+    }
+
+    let ret = s.join('')
+
+    // 如果是"一十"开头，则删除"一"
+    if (ret.startsWith('一十')) {
+      ret = ret.substr(1)
+    }
+
+    return ret
+  }, // numberToChinese
+
+
+  /*  === 数组、列表  === */
 
   /**
-   * 返回日期和时间的时间戳，单位为毫秒，若参数 t 为 undefined，则返回当前时间。
+   * 判断某个元素是否在数组、对象的键或字符串中
    * 
-   * @param {[Date]} t - 日期和时间
-   * @returns {number} 返回时间戳
+   * 如果arr是数组，判断item是否在数组arr中；
+   * 如果arr是对象，判断item是否在对象arr的键中；
+   * 如果arr是字符串，判断子串item是否在字符串arr中。
+   * 
+   * @param {*} item - 要查找的元素
+   * @param {Array|Object|string} arr - 要查找的数组、对象或字符串
+   * @returns {boolean} 如果item在arr中，返回true；否则返回false
    */
-  timestamp (t) {
-    return t ? t.getTime() : new Date().getTime()
+  in (item, arr) {
+    const _ = this
+    if (_.isArray(arr)) {
+      return arr.indexOf(item) !== -1
+    } else if (_.isObject(arr)) {
+      return _.in(item, Object.keys(arr))
+    } else if (_.isString(arr)) {
+      return arr.indexOf(item) !== -1
+    } else {
+      return false
+    }
   },
 
   /**
-   * 返回日期和时间的时间戳，单位为秒，若参数 t 为 undefined，则返回当前时间。
+   * 传入数组 arr 和属性名 key，key 对应一个子数组，把所有子数组合并成一个数组。
    * 
-   * @param {[Date]} t - 日期和时间
-   * @returns {number} 返回时间戳
+   * @param {Array} arr - 输入的数组，该数组中的对象应含有子数组
+   * @param {string} key - 对应子数组的属性名
+   * @returns {Array} 返回合并后的数组
+   * 
+   * @example
+   * utils.extractNestedArrays([{a: [1,2]}, {a: [3,4]}, {a: null}, {b: [5, 6]}], 'a') // [1,2,3,4]
    */
-  timestampSeconds (t) {
-    return Math.floor(this.timestamp(t) / 1000)
+  extractNestedArrays (arr, key) {
+    const _ = this
+    let result = []
+    for (let i = 0; i < arr.length; i++) {
+      if (_.isArray(arr[i][key])) {
+        result = result.concat(arr[i][key])
+      }
+    }
+    return result
   },
 
   /**
-   * 返回类似于 20230701123456 这样的日期和时间字符串。
+   * 把一个数据分成多个数组，每个数组的长度为 size。
    * 
-   * @param {[Date]} t - 日期和时间
-   * @returns {string} 返回格式化后的日期和时间字符串
+   * @param {Array} arr - 要被分割的数组
+   * @param {number} size - 每个子数组的长度
+   * @returns {Array} 返回包含多个子数组的数组
+   * 
+   * @example
+   * utils.splitArray([1, 2, 3, 4, 5, 6], 2) // [[1, 2], [3, 4], [5, 6]]
    */
-  timestampString(t=null) {
-    t = t || new Date()
-    let y = t.getFullYear()
-    let m = (t.getMonth() + 1).toString().padStart(2, '0')
-    let d = t.getDate().toString().padStart(2, '0')
-    let h = t.getHours().toString().padStart(2, '0')
-    let M = t.getMinutes().toString().padStart(2, '0')
-    let s = t.getSeconds().toString().padStart(2, '0')
-    return `${y}${m}${d}${h}${M}${s}`
+  splitArray (arr, size) {
+    const _ = this
+    let result = []
+    for (let i = 0; i < arr.length; i += size) {
+      result.push(arr.slice(i, i + size))
+    }
+    return result
   },
 
   /**
-   * 获取昨天的日期字符串
+   * 给出一个数组和多个字段名，返回一个新数组，新数组的每个元素是原数组的每个元素的这些字段的值。
    * 
-   * @returns {string} 返回昨天的日期字符串
+   * @param {Array} arr - 输入的数组
+   * @param {...string} fields - 要提取的字段名
+   * @returns {Array} 返回包含新对象的数组，每个对象包含指定字段的值
+   * 
+   * @example
+   * utils.extractFields([{ a: 1, b: 2 }, { a: 3, b: 4 }], 'a') // [{ a: 1 }, { a: 3 }]
    */
-  yesterday() {
+  extractFields (arr, ...fields) {
     const _ = this
-    return _.daysAgo(1)
+    let result = []
+    for (let i = 0; i < arr.length; i++) {
+      let obj = {}
+      for (let j = 0; j < fields.length; j++) {
+        obj[fields[j]] = arr[i][fields[j]]
+      }
+      result.push(obj)
+    }
+    return result
   },
 
   /**
-   * 返回今天的日期字符串
+   * 通过 _id 判断一个 doc 是否在数组中。
    * 
-   * @returns {string} 返回今天的日期字符串
+   * @param {Array} arr - 搜索的数组
+   * @param {Object} doc - 输入的对象，该对象应含有 `_id` 属性
+   * @returns {boolean} 如果数组中包含 doc，则返回 true，否则返回 false
+   * 
+   * @example
+   * utils.includesDoc([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], { _id: 1 }) // true
    */
-  today() {
+  includesDoc (arr, doc) {
     const _ = this
-    const date = new Date()
-    return _.yymmdd(date)
+    return arr.some(item => item._id === doc._id)
   },
 
   /**
-   * 获取明天的日期字符串
+   * 通过 _id 找到数组中的元素的索引。
    * 
-   * @returns {string} 返回明天的日期字符串
+   * @param {Array} arr - 输入的数组
+   * @param {Object} doc - 输入的对象，该对象应含有 `_id` 属性
+   * @returns {number} 返回 doc 在数组中的索引，如果数组中不包含 doc，则返回 -1
+   * 
+   * @example
+   * utils.docIndexOf([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], { _id: 1 }) // 0
    */
-  tomorrow() {
+  docIndexOf (arr, doc) {
     const _ = this
-    return _.daysAgo(-1)
+    return arr.findIndex(item => item._id === doc._id)
   },
 
   /**
-   * 获取后天的日期字符串
+   * 把数组中某个值的元素全部替换为新元素。
    * 
-   * @returns {string} 返回后天的日期字符串
+   * @param {Array} array - 输入的数组
+   * @param {any} target - 需要被替换的元素
+   * @param {any} replacement - 用于替换的新元素
+   * @returns {Array} 返回包含替换后的元素的数组
+   * 
+   * @example
+   * utils.replaceAll([1, 2, 3, 2, 4, 2], 2, 'two') // [1, 'two', 3, 'two', 4, 'two']
    */
-  afterTomorrow() {
-    const _ = this
-    return _.daysAgo(-2)
+  replaceAll(array, target, replacement) {
+    return array.map((element) => {
+      return element === target ? replacement : element
+    })
   },
 
   /**
-   * 返回本周周一的日期字符串。
-   * 可传入一个数字，表示第几周，0表示本周，1表示下周，-1表示上周。
+   * 传入一个数组 arr，以及 keys，根据 keys 对 arr 进行排序。
    * 
-   * @param {number} n - 表示第几周
-   * @returns {string} 返回周一的日期字符串
+   * @param {Array} arr - 输入的数组
+   * @param {Object} keys - 一个对象，键为排序的字段，值为 'asc' 或 'desc'，表示升序或降序
+   * @returns {Array} 返回排序后的新数组
+   *
+   * 注意
+   *   1. keys是有序的，若希望先按a排序，再按b排序，应该传入 {a: 'asc', b: 'asc'}
+   *   2. keys是支持点表示法的，如 { 'a.b.c': 'asc' }
+   *   3. 任何属性取值为 null 或 undefined 的元素将被过滤掉
+   * 
+   * @example
+   * utils.sortByKeys([{ a: 1, b: 2 }, { a: 2, b: 1 }], { a: 'asc' }) // [{ a: 1, b: 2 }, { a: 2, b: 1 }]
    */
-  firstDayOfWeek (n = 0) {
+  sortByKeys (arr, keys) {
     const _ = this
-    const date = new Date()
-    let day = date.getDay()
-    if (day === 0) { day = 7 }
-    date.setDate(date.getDate() - day + 1 + n * 7)
-    return _.yymmdd(date)
+
+    // 比较函数
+    function compare(a, b) {
+      for (const key in keys) {
+        const value_a = _.pickValue(a, key)
+        const value_b = _.pickValue(b, key)
+
+        let c = value_a > value_b ? 1 : value_a < value_b ? -1 : 0
+
+        if (keys[key] === 'desc') {
+          c *= -1
+        } else if (keys[key] !== 'asc') {
+          throw new Error(`排序参数错误，必须是asc或desc，不能是${keys[key]}`)
+        }
+
+        if (c !== 0) return c;
+      }
+      return 0
+    }
+
+    // 过滤掉任何属性取值为null或undefined的元素
+    arr = arr.filter(item => Object.keys(keys).every(key => !_.isNone(_.pickValue(item, key))))
+
+    return arr.sort(compare)
   },
 
   /**
-   * 返回本周周日的日期字符串。
-   * 可传入一个数字，表示第几周，0表示本周，1表示下周，-1表示上周。
+   * 过滤掉数组中的 null 和 undefined。
    * 
-   * @param {number} n - 表示第几周
-   * @returns {string} 返回周日的日期字符串
+   * @param {Array} arr - 输入的数组
+   * @returns {Array} 返回过滤后的数组
+   * 
+   * @example
+   * utils.filterNone([1, null, 2, undefined, 3]) // [1, 2, 3]
    */
-  lastDayOfWeek (n = 0) {
+  filterNone (arr) {
     const _ = this
-    const date = new Date()
-    let day = date.getDay()
-    if (day === 0) { day = 7 }
-    date.setDate(date.getDate() - day + 7 + n * 7)
-    return _.yymmdd(date)
+    return arr.filter(item => !_.isNone(item))
   },
 
   /**
-   * 返回本月第一天的日期字符串。
-   * 可传入一个数字，表示第几月，0表示本月，1表示下月，-1表示上月。
+   * 删除数组中的重复元素（用于排除重复数字、字符串）。
+   * 函数会保持原数组的顺序。
    * 
-   * @param {number} n - 表示第几月
-   * @returns {string} 返回月初的日期字符串
-   */
-  firstDayOfMonth (n = 0) {
-    const _ = this
-    const date = new Date()
-    date.setDate(1)
-    date.setMonth(date.getMonth() + n)
-    return _.yymmdd(date)
-  },
-
-  /**
-   * 返回本月最后一天的日期字符串。
-   * 可传入一个数字，表示第几月，0表示本月，1表示下月，-1表示上月。
+   * @param {Array} arr - 输入的数组
+   * @returns {Array} 返回删除重复元素后的数组
    * 
-   * @param {number} n - 表示第几月
-   * @returns {string} 返回月末的日期字符串
+   * @example
+   * utils.uniqueArray([1, 1, 2, 2, 3, 3]) // [1, 2, 3]
    */
-  lastDayOfMonth (n = 0) {
-    const _ = this
-    const date = new Date()
-    date.setDate(1)
-    date.setMonth(date.getMonth() + 1 + n)
-    date.setDate(0)
-    return _.yymmdd(date)
+  uniqueArray (arr) {
+    const unique_arr = []
+    const existing_set = new Set()
+    for (const item of arr) {
+      if (!existing_set.has(item)) {
+        unique_arr.push(item)
+        existing_set.add(item)
+      }
+    }
+    return unique_arr
   },
 
   /**
-   * 返回 n 天以前的日期。
+   * 根据 _id 删除数组中的元素。
    * 
-   * @param {number} n - 天数
-   * @returns {Date} 返回 n 天以前的日期
+   * @param {Array} arr - 输入的数组，数组中的元素应包含 `_id` 属性
+   * @param {string | number} id - `_id` 的值
+   * @returns {Array} 返回删除指定元素后的数组
+   * 
+   * @example
+   * utils.removeById([{ _id: 1, name: 'Tom' }, { _id: 2, name: 'Jerry' }], 1) // [{ _id: 2, name: 'Jerry' }]
    */
-  daysAgoDate(n) {
-    const _ = this
-    const date = new Date()
-    date.setDate(date.getDate() - n)
-    return date
+  removeById (arr, id) {
+    return arr.filter(item => item._id !== id)
   },
 
   /**
-   * 返回 n 天以后的日期。
+   * 判断数组中是否有重复元素。
    * 
-   * @param {number} n - 天数
-   * @returns {Date} 返回 n 天以后的日期
+   * @param {Array} arr - 输入的数组
+   * @returns {boolean} 如果数组中有重复元素，则返回 true，否则返回 false
+   * 
+   * @example
+   * utils.hasDuplicate([1, 2, 3, 2]) // true
    */
-  daysLaterDate(n) {
-    return this.daysAgoDate(-n)
+  hasDuplicate (arr) {
+    return new Set(arr).size !== arr.length
   },
 
+
+  /* === 时间 === */
+
   /**
-   * 返回 n 天以前的日期字符串。
+   * 从数据_id中获取时间，返回Date对象
    * 
-   * @param {number} n - 天数
-   * @returns {string} 返回 n 天以前的日期字符串
+   * 系统使用什么时区，就返回什么时区的时间（以插入数据时的时区决定）。
+   * 建议在云函数中把时区转换为上海时区，即添加 TZ=Asia/Shanghai 配置。
+   * 
+   * @param {string} id - 数据的_id
+   * @returns {Date} 从_id中解析出的时间
    */
-  daysAgo(n) {
-    const _ = this
-    return _.yymmdd(_.daysAgoDate(n))
+  getTimeFromId (id) {
+    let t = parseInt(id.substring(8, 16), 16) * 1000
+    return new Date(t)
   },
 
   /**
-   * 返回 n 天以后的日期字符串。
+   * 返回时间的年月日字符串
    * 
-   * @param {number} n - 天数
-   * @returns {string} 返回 n 天以后的日期字符串
+   * @param {Date} t - 要格式化的时间
+   * @returns {string} 格式为'yyyy-MM-dd'的日期字符串，如：'2023-07-01'
    */
-  daysLater(n) {
-    return this.daysAgo(-n)
+  yymmdd (t) {
+    let y = t.getFullYear()
+    let m = (t.getMonth() + 1).toString().padStart(2, '0')
+    let d = t.getDate().toString().padStart(2, '0')
+    return `${y}-${m}-${d}`
   },
 
   /**
-   * 返回 n 个月以前的今天日期。
+   * 返回时间的时分秒字符串
    * 
-   * @param {number} n - 月数
-   * @returns {Date} 返回 n 个月前的今天日期
+   * @param {Date} t - 要格式化的时间
+   * @returns {string} 格式为'HH:mm:ss'的时间字符串，如：'01:02:03'
    */
-  monthsAgoDate(n) {
-    const _ = this
-    const date = new Date()
-    date.setMonth(date.getMonth() - n)
-    return date
+  hhmmss (t) {
+    let h = t.getHours().toString().padStart(2, '0')
+    let m = t.getMinutes().toString().padStart(2, '0')
+    let s = t.getSeconds().toString().padStart(2, '0')
+    return `${h}:${m}:${s}`
   },
 
   /**
-   * 返回 n 个月以后的今天日期。
+   * 返回时间的完整字符串
    * 
-   * @param {number} n - 月数
-   * @returns {Date} 返回 n 个月以后的今天日期
+   * 未传入参数时，返回当前时间的字符串。
+   * 
+   * @param {Date} [t] - 要格式化的时间，默认为当前时间
+   * @returns {string} 格式为'yyyy-MM-dd HH:mm:ss'的完整时间字符串，如：'2023-07-01 01:02:03'
    */
-  monthsLaterDate(n) {
-    return this.monthsAgoDate(-n)
+  dateToString (t) {
+    if (t === undefined) { t = new Date() }
+    if (!t) { return '' }
+    return this.yymmdd(t) + ' ' + this.hhmmss(t)
   },
 
   /**
-   * 返回 n 个月以前的今天日期字符串。
+   * 获取云数据库的当前日期和时间，可以指定秒、分钟和天数的偏移量。
    * 
-   * @param {number} n - 月数
-   * @returns {string} 返回 n 个月以前的今天日期字符串
+   * @param {Object} offsetObject - 包含偏移量的对象
+   *   - seconds - 秒偏移量，正数表示未来时间，负数表示过去时间，下同
+   *   - minutes - 分钟偏移量
+   *   - days - 天数偏移量
+   * @returns {Object} 返回云数据库的当前日期和时间
    */
-  monthsAgo(n) {
+  serverDate ({seconds = 0, minutes = 0, days = 0} = {}) {
     const _ = this
-    return _.yymmdd(_.monthsAgoDate(n))
+    const offset = (seconds + minutes * 60 + days * 24 * 60 * 60) * 1000
+    return _._db().serverDate({offset})
   },
 
   /**
-   * 返回 n 个月以后的今天日期字符串。
+   * 获取日期和时间。
    * 
-   * @param {number} n - 月数
-   * @returns {string} 返回 n 个月以后的今天日期字符串
+   * @returns {Date}
    */
-  monthsLater(n) {
-    return this.monthsAgo(-n)
+  now () {
+    return new Date()
   },
 
   /**
-   * 返回 n 分钟以前的时间
+   * 传入一个整数或字符串，表示月份或天数，如果小于10，前面补0。
    * 
-   * @param {number} n - 分钟数
-   * @returns {Date} 返回 n 分钟以前的时间
+   * @param {number|string} n - 一个整数或字符串，表示月份或天数
+   * @returns {string} 返回补零后的字符串
+   *
+   * @example
+   * utils.padDateZero(1) // '01'
    */
-  minutesAgo(n) {
-    const _ = this
-    const date = new Date()
-    date.setMinutes(date.getMinutes() - n)
-    return date
+  padDateZero (n) {
+    return n.toString().padStart(2, '0')
   },
 
   /**
-   * 返回 n 分钟以后的时间
+   * 把字符串转换成日期和时间（不能自己使用 new Date 转换，以免时区错误）。
+   * 支持的格式：（当前时区）
+   *     2023-02-12
+   *     2023-02-12 12:34:56
    * 
-   * @param {number} n - 分钟数
-   * @returns {Date} 返回 n 分钟以后的时间
+   * @param {string} s - 日期和时间的字符串表示
+   * @returns {Date} 返回转换得到的日期和时间
    */
-  minutesLater(n) {
-    return this.minutesAgo(-n)
+  dateFromString (s) {
+    // 如果s是YYYY-MM-DD格式
+    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+      return new Date(s + ' 00:00:00') // 必须加上时分秒，否则会使用UTC时区，加上时分秒后会被当成本地时间
+      // 如果s是YYYY-MM-DD HH:MM:SS格式
+    } else if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(s)) {
+      return new Date(s)
+    } else {
+      throw new Error(`不支持的日期格式：${s}`)
+    }
   },
 
   /**
-   * 返回 n 秒以前的时间
+   * 返回日期和时间的时间戳，单位为毫秒，若参数 t 为 undefined，则返回当前时间。
    * 
-   * @param {number} n - 秒数
-   * @returns {Date} 返回 n 秒以前的时间
+   * @param {[Date]} t - 日期和时间
+   * @returns {number} 返回时间戳
    */
-  secondsAgo(n) {
-    const _ = this
-    const date = new Date()
-    date.setSeconds(date.getSeconds() - n)
-    return date
+  timestamp (t) {
+    return t ? t.getTime() : new Date().getTime()
   },
 
   /**
-   * 返回 n 秒以后的时间
+   * 返回日期和时间的时间戳，单位为秒，若参数 t 为 undefined，则返回当前时间。
    * 
-   * @param {number} n - 秒数
-   * @returns {Date} 返回 n 秒以后的时间
+   * @param {[Date]} t - 日期和时间
+   * @returns {number} 返回时间戳
    */
-  secondsLater(n) {
-    return this.secondsAgo(-n)
+  timestampSeconds (t) {
+    return Math.floor(this.timestamp(t) / 1000)
   },
 
   /**
-   * 传入两个参数，第一个是时间 t，第二个是秒数 n，判断 t 是否在 n 秒以内。
-   * t 可以是时间戳，也可以是 Date 对象。
+   * 返回类似于 20230701123456 这样的日期和时间字符串。
    * 
-   * @param {number|Date} t - 时间，可以是时间戳或 Date 对象
-   * @param {number} n - 秒数
-   * @returns {boolean} 如果 t 在 n 秒以内，返回 true，否则返回 false
+   * @param {[Date]} t - 日期和时间
+   * @returns {string} 返回格式化后的日期和时间字符串
    */
-  withinSeconds(t, n) {
-    const _ = this
-    if (!_.isNumber(t)) {
-      t = _.timestamp(t)
-    }
-    return _.timestamp(_.secondsAgo(n)) < t
+  timestampString(t=null) {
+    t = t || new Date()
+    let y = t.getFullYear()
+    let m = (t.getMonth() + 1).toString().padStart(2, '0')
+    let d = t.getDate().toString().padStart(2, '0')
+    let h = t.getHours().toString().padStart(2, '0')
+    let M = t.getMinutes().toString().padStart(2, '0')
+    let s = t.getSeconds().toString().padStart(2, '0')
+    return `${y}${m}${d}${h}${M}${s}`
   },
 
   /**
-   * 判断时间参数 t 是否为今天，支持字符串和 Date 类型。
+   * 获取昨天的日期字符串
    * 
-   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
-   * @returns {boolean} 如果 t 是今天，返回 true，否则返回 false
+   * @returns {string} 返回昨天的日期字符串
    */
-  isToday (t) {
+  yesterday() {
     const _ = this
-    if (!t) return false
-    if (_.isString(t)) t = _.dateFromString(t)
-    return _.yymmdd(t) === _.today()
+    return _.daysAgo(1)
   },
 
   /**
-   * 判断字符串是否是正确的日期格式。
+   * 返回今天的日期字符串
    * 
-   * @param {string} s - 日期字符串
-   * @returns {boolean} 如果字符串是正确的日期格式，返回 true，否则返回 false
+   * @returns {string} 返回今天的日期字符串
    */
-  isDateString (s) {
+  today() {
     const _ = this
-    if (!_.isString(s)) return false
-    const reg = /^\d{4}-\d{2}-\d{2}$/
-    if (!reg.test(s)) return false
-    const date = _.dateFromString(s)
-    return _.yymmdd(date) === s
+    const date = new Date()
+    return _.yymmdd(date)
   },
 
   /**
-   * 比较两个日期字符串的大小。
+   * 获取明天的日期字符串
    * 
-   * @param {string} s1 - 第一个日期字符串
-   * @param {string} s2 - 第二个日期字符串
-   * @returns {number|null} 如果 s1 > s2，返回 1，如果 s1 == s2，返回 0，如果 s1 < s2，返回 -1，如果日期不正确，返回 null
+   * @returns {string} 返回明天的日期字符串
    */
-  compareDateString (s1, s2) {
+  tomorrow() {
     const _ = this
-    if (!_.isDateString(s1) || !_.isDateString(s2)) return null
-    const d1 = _.dateFromString(s1)
-    const d2 = _.dateFromString(s2)
-    return d1 > d2 ? 1 : (d1 < d2 ? -1 : 0)
+    return _.daysAgo(-1)
   },
 
   /**
-   * 返回 "2023年5月3日" 这样的格式。
-   * 支持字符串和 Date 类型。
+   * 获取后天的日期字符串
    * 
-   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
-   * @returns {string} 返回日期的中文表示
+   * @returns {string} 返回后天的日期字符串
    */
-  dayCN(t) {
+  afterTomorrow() {
     const _ = this
-    if (_.isString(t)) t = _.dateFromString(t)
-    let y = t.getFullYear()
-    let m = t.getMonth() + 1
-    let d = t.getDate()
-    return `${y}年${m}月${d}日`
+    return _.daysAgo(-2)
   },
 
   /**
-   * 返回时间是星期几，返回 "周一"、"周二"、"周日"。
-   * 支持字符串和 Date 类型。
+   * 返回本周周一的日期字符串。
+   * 可传入一个数字，表示第几周，0表示本周，1表示下周，-1表示上周。
    * 
-   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
-   * @returns {string} 返回星期的中文表示
+   * @param {number} n - 表示第几周
+   * @returns {string} 返回周一的日期字符串
    */
-  weekdayCN (t) {
+  firstDayOfWeek (n = 0) {
     const _ = this
-    if (!t) return ''
-    if (_.isString(t)) t = _.dateFromString(t)
-    let w = t.getDay()
-    return '周' + '日一二三四五六'[w]
+    const date = new Date()
+    let day = date.getDay()
+    if (day === 0) { day = 7 }
+    date.setDate(date.getDate() - day + 1 + n * 7)
+    return _.yymmdd(date)
   },
 
   /**
-   * 输入时间 t，获得这个时间当月有多少天。
-   * 支持字符串格式和 Date 格式。
+   * 返回本周周日的日期字符串。
+   * 可传入一个数字，表示第几周，0表示本周，1表示下周，-1表示上周。
    * 
-   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
-   * @returns {number} 返回当月的天数
+   * @param {number} n - 表示第几周
+   * @returns {string} 返回周日的日期字符串
    */
-  getDaysInMonth (t) {
-    if (_.isString(t)) {
-      t = new Date(t)
-    }
-    let year = t.getFullYear()
-    let month = t.getMonth() + 1 // getMonth()从0开始的，加1表示下个月
-    // Date()构造函数的月份从1开始计算，因此这里获得的是下个月初的上一天，第三个参数0表示上一天
-    return new Date(year, month, 0).getDate()
+  lastDayOfWeek (n = 0) {
+    const _ = this
+    const date = new Date()
+    let day = date.getDay()
+    if (day === 0) { day = 7 }
+    date.setDate(date.getDate() - day + 7 + n * 7)
+    return _.yymmdd(date)
   },
 
   /**
-   * 等待指定的毫秒数。
-   * 
-   * @param {number} ms - 毫秒数
-   * @returns {Promise} 返回一个 Promise，会在指定的毫秒数后 resolve
+   * 返回本月第一天的日期字符串。
+   * 可传入一个数字，表示第几月，0表示本月，1表示下月，-1表示上月。
    * 
-   * @example
-   * await utils.sleep(1000) // 等待1秒，注意必须使用await
+   * @param {number} n - 表示第几月
+   * @returns {string} 返回月初的日期字符串
    */
-  sleep (ms) {
-    return new Promise(resolve => setTimeout(resolve, ms))
+  firstDayOfMonth (n = 0) {
+    const _ = this
+    const date = new Date()
+    date.setDate(1)
+    date.setMonth(date.getMonth() + n)
+    return _.yymmdd(date)
   },
 
   /**
-   * 返回 created 距离现在的时间字符串，如："刚刚"、"5分钟前"、"1小时前"、"1天前"、"1个月前"、"1年前"。
-   * 常用语标识评论、文章的发布时间。
+   * 返回本月最后一天的日期字符串。
+   * 可传入一个数字，表示第几月，0表示本月，1表示下月，-1表示上月。
    * 
-   * @param {Date} date - 创建日期
-   * @returns {string} 返回距离现在的时间字符串
+   * @param {number} n - 表示第几月
+   * @returns {string} 返回月末的日期字符串
    */
-  relativeTimeString(date) {
+  lastDayOfMonth (n = 0) {
     const _ = this
-    const now = new Date()
-    const diff = now - date
-
-    if (diff < 0) { return "未来" }
-
-    const minute = 60 * 1000
-    const hour = 60 * minute
-    const day = 24 * hour
-    const month = 30 * day
-    const year = 365 * day
-
-    if (diff < minute) {
-      return "刚刚"
-    } else if (diff < hour) {
-      const minutes = Math.floor(diff / minute)
-      return `${minutes}分钟前`
-    } else if (diff < day) {
-      const hours = Math.floor(diff / hour)
-      return `${hours}小时前`
-    } else if (diff < month) {
-      const days = Math.floor(diff / day)
-      return `${days}天前`
-    } else if (diff < year) {
-      const months = Math.floor(diff / month)
-      return `${months}月前`
-    } else {
-      // 年需要精确到小数点后1位
-      const years = (diff / year).toFixed(1)
-      return `${years}年前`
-    }
+    const date = new Date()
+    date.setDate(1)
+    date.setMonth(date.getMonth() + 1 + n)
+    date.setDate(0)
+    return _.yymmdd(date)
   },
 
+  /**
+   * 返回 n 天以前的日期。
+   * 
+   * @param {number} n - 天数
+   * @returns {Date} 返回 n 天以前的日期
+   */
+  daysAgoDate(n) {
+    const _ = this
+    const date = new Date()
+    date.setDate(date.getDate() - n)
+    return date
+  },
 
-  /* === 前端本地缓存 === */
+  /**
+   * 返回 n 天以后的日期。
+   * 
+   * @param {number} n - 天数
+   * @returns {Date} 返回 n 天以后的日期
+   */
+  daysLaterDate(n) {
+    return this.daysAgoDate(-n)
+  },
 
   /**
-   * 同步设置内存缓存。若给定的`value`为`undefined`，则删除对应的`key`。
-   * @param {string} key - 缓存键名，支持使用'a.b.c'的形式访问嵌套属性。
-   * @param {*} value - 要设置的缓存值。若为`undefined`，则执行删除操作。
-   *
-   * 注意
-   *   1. 此函数不涉及数据库操作，不会消耗调用次数。
+   * 返回 n 天以前的日期字符串。
+   * 
+   * @param {number} n - 天数
+   * @returns {string} 返回 n 天以前的日期字符串
    */
-  setCache (key, value) {
+  daysAgo(n) {
     const _ = this
-    _.putValue(_.globalData().cache, key, value)
+    return _.yymmdd(_.daysAgoDate(n))
   },
 
   /**
-   * 从内存中获取缓存值。
-   * @param {string} key - 缓存键名，支持'a.b.c'形式访问嵌套属性。
-   * @param {Object} options - 可选参数。
-   *   - {any} default_value - 若缓存不存在时的默认值，默认为null。
-   * @returns {*} 返回找到的缓存值，若未找到则返回`default_value`。
-   *
-   * 注意
-   *   1. 此函数为同步执行，且不涉及数据库操作，不消耗调用次数。
-   *   2. 不要用 utils.getCache(key) || xxx 的形式，因为getCache可能会返回0、false、空字符串等
-   *   3. 需要默认值时请使用default_value参数
-   *   4. 不能认为使用了setCache(key, value)后就一定能用相同的key获取到value，因为缓存可能会被清空，见app_init.js文件
+   * 返回 n 天以后的日期字符串。
+   * 
+   * @param {number} n - 天数
+   * @returns {string} 返回 n 天以后的日期字符串
    */
-  getCache (key, {default_value = null} = {}) {
+  daysLater(n) {
+    return this.daysAgo(-n)
+  },
+
+  /**
+   * 返回 n 个月以前的今天日期。
+   * 
+   * @param {number} n - 月数
+   * @returns {Date} 返回 n 个月前的今天日期
+   */
+  monthsAgoDate(n) {
     const _ = this
-    const v = _.pickValue(_.globalData().cache, key)
-    return v !== undefined ? v : default_value
+    const date = new Date()
+    date.setMonth(date.getMonth() - n)
+    return date
   },
 
   /**
-   * 异步设置手机硬盘持久存储。
-   * @param {string} key - 存储键名。
-   * @param {*} value - 要存储的数据。
-   * @param {boolean} encrypt - 是否对数据进行加密，默认为`false`。
-   * @returns {Promise} 返回一个Promise，成功时无返回值，失败时返回错误信息。
+   * 返回 n 个月以后的今天日期。
    * 
-   * 注意
-   *   1. 单个键允许的最大数据长度为1MB（加密后约为0.7MB），总存储上限为10MB（加密后为7MB）。
-   *   2. 用户拖动删除小程序时，硬盘持久存储也会被清除。
+   * @param {number} n - 月数
+   * @returns {Date} 返回 n 个月以后的今天日期
    */
-  setStorage (key, value, encrypt = false) {
-    return wx.setStorage({key, data: value, encrypt})
+  monthsLaterDate(n) {
+    return this.monthsAgoDate(-n)
   },
 
   /**
-   * 异步获取硬盘持久存储。
-   * @param {string} key - 存储键名。
-   * @param {boolean} encrypt - 是否对存储数据进行加密，默认为`false`。
-   * @returns {Promise} 返回一个Promise，成功时返回存储的数据，失败时返回错误信息。
+   * 返回 n 个月以前的今天日期字符串。
+   * 
+   * @param {number} n - 月数
+   * @returns {string} 返回 n 个月以前的今天日期字符串
    */
-  getStorage (key, encrypt = false) {
+  monthsAgo(n) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      wx.getStorage({key, encrypt})
-        .then(res => {
-          if (res.data) {
-            resolve(res.data)
-          } else {
-            reject({errno: 'getStorage Failed', errMsg: `获取Storage数据失败`})
-          }
-        })
-        .catch(e => { reject({errno: 'getStorage Failed', errMsg: `获取Storage数据失败`, e}) })
-    })
+    return _.yymmdd(_.monthsAgoDate(n))
   },
 
   /**
-   * 移除指定key的本地持久存储的同步接口。
-   * @param {string} key - 存储键名。
+   * 返回 n 个月以后的今天日期字符串。
+   * 
+   * @param {number} n - 月数
+   * @returns {string} 返回 n 个月以后的今天日期字符串
    */
-  removeStorageSync (key) {
-    return wx.removeStorageSync(key)
+  monthsLater(n) {
+    return this.monthsAgo(-n)
   },
 
   /**
-   * 清空本地持久存储的同步接口。
+   * 返回 n 分钟以前的时间
+   * 
+   * @param {number} n - 分钟数
+   * @returns {Date} 返回 n 分钟以前的时间
    */
-  clearStorageSync () {
-    return wx.clearStorageSync()
+  minutesAgo(n) {
+    const _ = this
+    const date = new Date()
+    date.setMinutes(date.getMinutes() - n)
+    return date
   },
 
   /**
-   * 在数据库和本地存储中写入用户配置数据
-   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
-   * @param {string} key - 用户配置项的键，支持点表示法，如'a.b.c'
-   * @param {any} value - 配置项的值
-   * @param {Object} options - 配置选项:
-   *   - {boolean} skip_equal - 是否跳过相等值检查直接写入数据库，默认为false
-   *   - {boolean} encrypt - 是否加密存储，默认为true
-   * @returns {Promise<boolean>} 返回一个Promise对象，resolved值为true表示数据已更改，false表示数据未更改
-   *
-   * 说明
-   *   1. 如果本地存储中有数据，则优先使用本地数据覆盖数据库
-   *   2. 如果本地无数据，则以数据库数据为准
-   *   3. 支持使用undefined值来删除数据项
-   *   4. 必须确保c参数指定的集合存在，用于保存用户的私有数据
-   *   5. 用户的value数据不能超过512K
-   *   6. 用户配置只能在前端写入，请勿在云函数中修改用户配置，以保证数据的同步
-   *
-   * 调用次数
-   *   1. value改变时，会写1次数据库，会消耗1次调用次数
-   *   2. value未改变时，不会写数据库，不消耗调用次数
-   *   3. 指定skip_equal=true时会跳过判断值是否变动，直接写数据库，会消耗1次调用次数
-   *   4. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数
-   *   
-   * @example
-   *   utils.setUserConfig('admin_user', 'theme.color', 'light').then(changed => {
-   *     if (changed) {
-   *       console.log('设置成功')
-   *     } else {
-   *       console.log('设置未变动，原本就是light主题')
-   *     }
-   *   })
+   * 返回 n 分钟以后的时间
+   * 
+   * @param {number} n - 分钟数
+   * @returns {Date} 返回 n 分钟以后的时间
    */
-  setUserConfig (c, key, value, {skip_equal = false, encrypt = true} = {}) {
-    const _ = this
-    const storage_key = 's_' + c
-    return new Promise((resolve, reject) => {
-
-      // 获得本地缓存数据
-      _.getStorage(storage_key, encrypt)
-
-      // 本地有缓存（以本地缓存为准）
-        .then(data => {
-          // 本地缓存与value不相等时，才更新数据库（减少次数）
-          if (skip_equal || !_.isEqual(_.pickValue(data, key), value)) {
-            _.putValue(data, key, value, {remove_undefined: false})
-            _._saveUserConfigToStorageAndCloudDB(c, data, {encrypt, write_keys: [key]}).then(() => {
-              resolve(true)
-            }).catch(reject)
-          } else {
-            resolve(false)
-          }
-        })
-
-      // 本地没有缓存，先读一下数据库中是否有数据
-        .catch(() => {
-          _.getMyOneByAgg(c, {})
-            .then(doc => {
-              // 数据库没有数据时新建
-              if (!doc) {
-                doc = c.endsWith('_user') ? {is_admin: false} : {}
-              }
-              if (skip_equal || !_.isEqual(_.pickValue(doc, key), value)) {
-                _.putValue(doc, key, value, {remove_undefined: false})
-                _._saveUserConfigToStorageAndCloudDB(c, doc, {encrypt, write_keys: [key]}).then(() => {
-                  resolve(true)
-                }).catch(reject)
-              } else {
-                _.putValue(doc, '_openid', undefined)
-                _.putValue(doc, '_id', undefined)
-                _.setStorage(storage_key, doc, encrypt)
-                  .then(() => {
-                    resolve(true)
-                  })
-                  .catch(e => { reject({errno: 'setUserConfig Failed', errMsg: `调用setStorage时失败`, e}) })
-              }
-            })
-        })
-
-    })
+  minutesLater(n) {
+    return this.minutesAgo(-n)
   },
 
   /**
-   * 从数据库中读取用户配置，如果没有本地缓存，则读取数据库。
-   * 若数据库中也没有，则返回 `null`，并缓存到本地。
-   * 最大支持读取5M的数据（使用了聚合查询）
-   * 
-   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
-   * @param {string} key - 配置项的键名，支持 'a.b.c' 的形式。
-   * @param {Object} options - 包含以下属性的对象:
-   *   - {any} default_value - 默认值，当配置项不存在时，返回此值
-   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
-   * @returns {Promise<any>} 返回一个Promise，当成功时，返回配置项的值（可能为 `undefined`）；当失败时，返回错误信息。
-   *
-   * 注意:
-   *   1. 如果有本地缓存对象，但读取的 `key` 不存在，则返回 `default_value`，且不读取数据库。
-   *   2. 当你在云函数中修改用户配置时就可能出现情况2，因此请勿在云函数中修改用户配置。
+   * 返回 n 秒以前的时间
    * 
-   * @example
-   *   utils.getUserConfig('key', 'a.b.c', {default_value: 1, encrypt: true}) // 读取用户配置
+   * @param {number} n - 秒数
+   * @returns {Date} 返回 n 秒以前的时间
    */
-  getUserConfig (c, key, {default_value = null, encrypt = true} = {}) {
+  secondsAgo(n) {
     const _ = this
-    const storage_key = 's_' + c
-    return new Promise((resolve, reject) => {
-      // 添加app前缀是为了避免本地app名称变动时，用本地的错误缓存去更新数据库
-      // 如本地app开发时应该是a，但设置成了b，可能会用本地缓存去更新数据库b_user
-
-      function _loadFromCloud() {
-        _.getMyOneByAgg(c, {})
-          .then(doc => {
-            // 数据库中有数据
-            if (doc) {
-              _.putValue(doc, '_openid', undefined)
-              _.putValue(doc, '_id', undefined)
-              // 保存到本地缓存
-              _.setStorage(storage_key, doc, encrypt)
-                .then(() => { resolve(_.pickValue(doc, key) ?? default_value) })
-                .catch(e => { reject({errno: 'getUserConfig Failed', errMsg: `调用setStorage时失败`, e}) })
-            } else {
-              // 数据库中没有数据
-              // 在本地缓存中写入空数据（避免反复读取数据库），此时数据库中没有对应的数据
-              doc = c.endsWith('_user') ? {is_admin: false} : {}
-              _.setStorage(storage_key, doc, encrypt)
-                .then(() => { resolve(_.pickValue(doc, key) ?? default_value) })
-                .catch(e => { reject({errno: 'getUserConfig Failed', errMsg: `调用setStorage时失败`, e}) })
-
-            }
-          })
-          .catch(e => { reject({errno: 'getUserConfig Failed', errMsg: `调用getOne时失败`, e}) })
-      }
+    const date = new Date()
+    date.setSeconds(date.getSeconds() - n)
+    return date
+  },
 
-      // 从本地缓存中读取
-      _.getStorage(storage_key, encrypt)
+  /**
+   * 返回 n 秒以后的时间
+   * 
+   * @param {number} n - 秒数
+   * @returns {Date} 返回 n 秒以后的时间
+   */
+  secondsLater(n) {
+    return this.secondsAgo(-n)
+  },
 
-      // 本地有缓存
-        .then(data => {
-          resolve(_.pickValue(data, key) ?? default_value)
-        })
+  /**
+   * 传入两个参数，第一个是时间 t，第二个是秒数 n，判断 t 是否在 n 秒以内。
+   * t 可以是时间戳，也可以是 Date 对象。
+   * 
+   * @param {number|Date} t - 时间，可以是时间戳或 Date 对象
+   * @param {number} n - 秒数
+   * @returns {boolean} 如果 t 在 n 秒以内，返回 true，否则返回 false
+   */
+  withinSeconds(t, n) {
+    const _ = this
+    if (!_.isNumber(t)) {
+      t = _.timestamp(t)
+    }
+    return _.timestamp(_.secondsAgo(n)) < t
+  },
 
-      // 本地没有缓存，从数据库中读取
-        .catch(_loadFromCloud)
+  /**
+   * 判断时间参数 t 是否为今天，支持字符串和 Date 类型。
+   * 
+   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
+   * @returns {boolean} 如果 t 是今天，返回 true，否则返回 false
+   */
+  isToday (t) {
+    const _ = this
+    if (!t) return false
+    if (_.isString(t)) t = _.dateFromString(t)
+    return _.yymmdd(t) === _.today()
+  },
 
-    })
+  /**
+   * 判断字符串是否是正确的日期格式。
+   * 
+   * @param {string} s - 日期字符串
+   * @returns {boolean} 如果字符串是正确的日期格式，返回 true，否则返回 false
+   */
+  isDateString (s) {
+    const _ = this
+    if (!_.isString(s)) return false
+    const reg = /^\d{4}-\d{2}-\d{2}$/
+    if (!reg.test(s)) return false
+    const date = _.dateFromString(s)
+    return _.yymmdd(date) === s
   },
 
   /**
-   * 向用户配置数组末尾添加一个元素
+   * 比较两个日期字符串的大小。
    * 
-   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
-   * @param {string} key - 配置项的键名，必须是数组或未定义，支持点表示法，如'a.b.c'
-   * @param {any} value - 要添加的元素
-   * @param {Object} options - 包含以下属性的对象:
-   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
-   *   - {boolean} allow_repeats - 默认为 `true`，是否允许重复
-   *   - {number|null} limit - 数组最大长度，超过该长度时，会删除前面的元素
-   *   - {boolean} prepend - 默认为 `false`，是否添加到数组的最前面
-   * @returns {Promise<Array>} 返回一个Promise，当成功时，返回修改后的数组；当失败时，返回错误信息
+   * @param {string} s1 - 第一个日期字符串
+   * @param {string} s2 - 第二个日期字符串
+   * @returns {number|null} 如果 s1 > s2，返回 1，如果 s1 == s2，返回 0，如果 s1 < s2，返回 -1，如果日期不正确，返回 null
+   */
+  compareDateString (s1, s2) {
+    const _ = this
+    if (!_.isDateString(s1) || !_.isDateString(s2)) return null
+    const d1 = _.dateFromString(s1)
+    const d2 = _.dateFromString(s2)
+    return d1 > d2 ? 1 : (d1 < d2 ? -1 : 0)
+  },
+
+  /**
+   * 返回 "2023年5月3日" 这样的格式。
+   * 支持字符串和 Date 类型。
    * 
-   * 注意
-   *   1. 当 `allow_repeats` 为 `false` 时，若数组中已有该元素时，不会再添加
-   *   2. 当 `allow_repeats` 为 `false` 且 `value` 是对象时，会根据 `_id` 去重复
-   *   3. 当 `prepend` 为 `true` 且使用了 `limit` 时，数量超过 `limit` 时会删除最后面的元素
-   *
-   * 调用次数
-   *   1. 此函数几乎每次调用都会写入数据库，会消耗1次调用次数
-   *   2. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数
+   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
+   * @returns {string} 返回日期的中文表示
+   */
+  dayCN(t) {
+    const _ = this
+    if (_.isString(t)) t = _.dateFromString(t)
+    let y = t.getFullYear()
+    let m = t.getMonth() + 1
+    let d = t.getDate()
+    return `${y}年${m}月${d}日`
+  },
+
+  /**
+   * 返回时间是星期几，返回 "周一"、"周二"、"周日"。
+   * 支持字符串和 Date 类型。
    * 
-   * @example
-   *   utils.pushUserConfig('admin_user', 'arr_key_path', 'value')
+   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
+   * @returns {string} 返回星期的中文表示
    */
-  pushUserConfig (c, key, value, {encrypt = true, allow_repeats = true, limit = null, prepend = false} = {}) {
+  weekdayCN (t) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      _.getUserConfig(c, key, {encrypt})
-        .then(data => {
-          if (_.isNone(data)) { data = [] }
-          if (Array.isArray(data)) {
-            // 不允许重复时，如果添加的元素重复
-            if (!allow_repeats
-              && ( (_.isObject(value) && _.includesDoc(data, value))
-                || data.includes(value) )
-            ) {
-              if (prepend) {
-                // 检查元素是否在数组的第一位
-                const index = _.isObject(value) ? _.docIndexOf(data, value) : data.indexOf(value)
-                if (index === 0 && (limit === null || data.length < limit)) {
-                  if (_.isEqual(data[0], value)) {
-                    resolve(data)
-                  } else {
-                    data[0] = value
-                    _.setUserConfig(c, key, data, {encrypt})
-                      .then(() => { resolve(data) })
-                      .catch(e => { reject({errno: 'pushUserConfig Failed', errMsg: `调用setUserConfig时失败`, e}) })
-                  }
-                  return
-                }
-                // 移除元素
-                data.splice(index, 1)
-                // 添加到数组的最前面
-                data.unshift(value)
-              } else {
-                // 检查元素是否在数组的最后一位
-                const index = _.isObject(value) ? _.docIndexOf(data, value) : data.indexOf(value)
-                if (index === data.length - 1 && (limit === null || data.length < limit)) {
-                  if (_.isEqual(data[data.length - 1], value)) {
-                    resolve(data)
-                  } else {
-                    data[data.length - 1] = value
-                    _.setUserConfig(c, key, data, {encrypt})
-                      .then(() => { resolve(data) })
-                      .catch(e => { reject({errno: 'pushUserConfig Failed', errMsg: `调用setUserConfig时失败`, e}) })
-                  }
-                  return
-                }
-                // 移除元素
-                data.splice(index, 1)
-                // 添加到数组的最后面
-                data.push(value)
-              }
-            } else {
-              // 允许重复或数组中不存在该元素时
-              if (prepend) {
-                data.unshift(value)
-              } else {
-                data.push(value)
-              }
-            }
-            // 数组长度超过限制时，删除多余的元素
-            if (limit && data.length > limit) {
-              if (prepend) {
-                data = data.slice(0, limit)
-              } else {
-                data = data.slice(data.length - limit)
-              }
-            }
-            // 保存到数据库
-            _.setUserConfig(c, key, data, {encrypt})
-              .then(() => { resolve(data) })
-              .catch(e => { reject({errno: 'pushUserConfig Failed', errMsg: `调用setUserConfig时失败`, e}) })
-          } else {
-            reject({errno: 'pushUserConfig Failed', errMsg: `配置项${key}不是数组`})
-          }
-        })
-        .catch(e => { reject({errno: 'pushUserConfig Failed', errMsg: `调用getUserConfig时失败`, e}) })
-    })
+    if (!t) return ''
+    if (_.isString(t)) t = _.dateFromString(t)
+    let w = t.getDay()
+    return '周' + '日一二三四五六'[w]
   },
 
   /**
-   * 从用户配置数组中删除一个或多个匹配的元素，返回删除的元素个数。
+   * 输入时间 t，获得这个时间当月有多少天。
+   * 支持字符串格式和 Date 格式。
    * 
-   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
-   * @param {string} key - 配置项的键名，必须是数组或未定义，支持点表示法，如'a.b.c'
-   * @param {any} value - 要删除的元素
-   * @param {Object} options - 包含以下属性的对象:
-   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
-   *   - {boolean} prepend - 默认为 `false`，是否从数组的最前面删除，默认从最后面删除
-   *   - {number} limit - 最多删除的元素个数，默认为1。设置为null或0时，删除所有匹配的元素
-   *   - {boolean} match_by_id - 默认为 `true`，当value是对象时，会根据 _id 删除
-   * @returns {Promise<number>} 返回一个Promise，当成功时，返回删除的元素个数；当失败时，返回错误信息。
+   * @param {string|Date} t - 时间，可以是字符串或 Date 对象
+   * @returns {number} 返回当月的天数
+   */
+  getDaysInMonth (t) {
+    if (_.isString(t)) {
+      t = new Date(t)
+    }
+    let year = t.getFullYear()
+    let month = t.getMonth() + 1 // getMonth()从0开始的，加1表示下个月
+    // Date()构造函数的月份从1开始计算，因此这里获得的是下个月初的上一天，第三个参数0表示上一天
+    return new Date(year, month, 0).getDate()
+  },
+
+  /**
+   * 等待指定的毫秒数。
    * 
-   * 调用次数
-   *   1. 此函数几乎每次调用都会写入数据库，会消耗1次调用次数。
-   *   2. 未找到任何元素，未删除时，不消耗调用次数。
-   *   3. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数。
-   *
-   * 注意
-   *   1. limit为null或0时，删除所有匹配的元素
-   *   2. 当数组元素是对象时，默认情况会根据 _id 删除，如果不需要根据 _id 删除，可以设置 match_by_id 为 false
+   * @param {number} ms - 毫秒数
+   * @returns {Promise} 返回一个 Promise，会在指定的毫秒数后 resolve
    * 
    * @example
-   *   utils.pluckUserConfig('admin_user', 'arr_key_path', 'value')
+   * await utils.sleep(1000) // 等待1秒，注意必须使用await
    */
-  pluckUserConfig (c, key, value, {encrypt = true, prepend = false, limit = 1, match_by_id = true} = {}) {
-    const _ = this
-    return new Promise((resolve, reject) => {
-      _.getUserConfig(c, key, {encrypt})
-        .then(data => {
-          if (_.isNone(data)) { data = [] }
-          if (Array.isArray(data)) {
-
-            let remove_count = 0 // 记录已删除的元素数量
-            const indices_to_remove = [] // 存储需要删除的元素索引
-
-            // 如果 limit 为 null 或 0 ，则删除所有匹配的元素
-            if (limit === null || limit === 0) {
-              limit = data.length
-            }
-
-            // 从前面或后面开始删除元素
-            const start_index = prepend ? 0 : data.length - 1
-            const step = prepend ? 1 : -1
+  sleep (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+  },
 
-            for (let i = start_index; prepend ? (i < data.length && remove_count < limit) : (i >= 0 && remove_count < limit); i += step) {
-              const item = data[i]
+  /**
+   * 返回 created 距离现在的时间字符串，如："刚刚"、"5分钟前"、"1小时前"、"1天前"、"1个月前"、"1年前"。
+   * 常用语标识评论、文章的发布时间。
+   * 
+   * @param {Date} date - 创建日期
+   * @returns {string} 返回距离现在的时间字符串
+   */
+  relativeTimeString(date) {
+    const _ = this
+    const now = new Date()
+    const diff = now - date
 
-              // 判断当前元素是否匹配需要删除的值
-              let is_match = false
-              if (match_by_id && _.isObject(value) && _.isObject(item)) {
-                const id1 = _.pickValue(item, '_id')
-                const id2 = _.pickValue(value, '_id')
-                is_match = id1 === id2 && _.isString(id1) && !_.isEmpty(id1)
-              } else {
-                is_match = _.isEqual(item, value)
-              }
+    if (diff < 0) { return "未来" }
 
-              if (is_match) {
-                indices_to_remove.push(i) // 记录匹配的索引
-                remove_count++ // 增加删除计数
-              }
-            }
+    const minute = 60 * 1000
+    const hour = 60 * minute
+    const day = 24 * hour
+    const month = 30 * day
+    const year = 365 * day
 
-            // 按从高到低的顺序排序索引，防止删除时影响后续索引
-            indices_to_remove.sort((a, b) => b - a)
+    if (diff < minute) {
+      return "刚刚"
+    } else if (diff < hour) {
+      const minutes = Math.floor(diff / minute)
+      return `${minutes}分钟前`
+    } else if (diff < day) {
+      const hours = Math.floor(diff / hour)
+      return `${hours}小时前`
+    } else if (diff < month) {
+      const days = Math.floor(diff / day)
+      return `${days}天前`
+    } else if (diff < year) {
+      const months = Math.floor(diff / month)
+      return `${months}月前`
+    } else {
+      // 年需要精确到小数点后1位
+      const years = (diff / year).toFixed(1)
+      return `${years}年前`
+    }
+  },
 
-            // 删除匹配的元素
-            for (const idx of indices_to_remove) {
-              data.splice(idx, 1)
-            }
 
-            // 如果有元素被删除，则更新用户配置
-            if (remove_count > 0) {
-              _.setUserConfig(c, key, data, {encrypt})
-                .then(() => { 
-                  resolve(remove_count) // 返回删除的元素数量
-                })
-                .catch(e => { 
-                  reject({errno: 'removeFromArrayConfig Failed', errMsg: `调用setUserConfig时失败`, e}) 
-                })
-            } else {
-              // 如果没有元素被删除，返回0
-              resolve(0)
-            }
+  /* === 前端本地缓存 === */
 
-          } else {
-            reject({errno: 'pluckUserConfig Failed', errMsg: `配置项${key}不是数组`})
-          }
-        })
-        .catch(e => { reject({errno: 'pluckUserConfig Failed', errMsg: `调用getUserConfig时失败`, e}) })
-    })
+  /**
+   * 同步设置内存缓存。若给定的`value`为`undefined`，则删除对应的`key`。
+   * @param {string} key - 缓存键名，支持使用'a.b.c'的形式访问嵌套属性。
+   * @param {*} value - 要设置的缓存值。若为`undefined`，则执行删除操作。
+   *
+   * 注意
+   *   1. 此函数不涉及数据库操作，不会消耗调用次数。
+   */
+  setCache (key, value) {
+    const _ = this
+    _.putValue(_.globalData().cache, key, value)
   },
 
   /**
-   * 从用户配置数组中取出一个或多个元素，返回取出的元素或元素数组。
-   * 
-   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
-   * @param {string} key - 配置项的键名，必须是数组或未定义，支持点表示法，如'a.b.c'
-   * @param {Object} options - 包含以下属性的对象:
-   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
-   *   - {boolean} prepend - 默认为 `false`，是否从数组的最前面取出元素，默认从最后面取出
-   *   - {number} count - 要取出的元素个数，默认为1
-   * @returns {Promise<Array>} 返回一个Promise，当count=1时，返回取出的元素；当count>1时，返回取出的元素数组；
-   * 
-   * 调用次数
-   *   1. 此函数几乎每次调用都会写入数据库，会消耗1次调用次数。
-   *   2. 数组为空或count=0时，会返回undefined，不消耗调用次数。
-   *   3. count大于1时，也只消耗1次调用次数。
-   *   4. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数。
+   * 从内存中获取缓存值。
+   * @param {string} key - 缓存键名，支持'a.b.c'形式访问嵌套属性。
+   * @param {Object} options - 可选参数。
+   *   - {any} default_value - 若缓存不存在时的默认值，默认为null。
+   * @returns {*} 返回找到的缓存值，若未找到则返回`default_value`。
    *
    * 注意
-   *   1. 当 `count` 大于数组长度时，取出所有可用的元素。
-   *   2. 当 `prepend` 为 `false` 时，取出的元素顺序与数组中相应部分的顺序相反。例如，数组为 [1,2,3,4,5]，count=3，prepend=false 时，返回 [5,4,3]。
-   *   3. 当 `prepend` 为 `true` 时，取出的元素顺序与数组中相应部分的顺序相同。例如，数组为 [1,2,3,4,5]，count=3，prepend=true 时，返回 [1,2,3]。
-   *   4. 如果配置项 `key` 不是数组，则返回错误。
-   * 
-   * @example
-   *   utils.pullUserConfig('admin_user', 'arr_key_path', {prepend: false, count: 3}).then(pulled => {
-   *     console.log(pulled) // 可能输出 [5,4,3]
-   *   })
+   *   1. 此函数为同步执行，且不涉及数据库操作，不消耗调用次数。
+   *   2. 不要用 utils.getCache(key) || xxx 的形式，因为getCache可能会返回0、false、空字符串等
+   *   3. 需要默认值时请使用default_value参数
+   *   4. 不能认为使用了setCache(key, value)后就一定能用相同的key获取到value，因为缓存可能会被清空，见app_init.js文件
    */
-  pullUserConfig (c, key, {encrypt = true, prepend = false, count = 1} = {}) {
+  getCache (key, {default_value = null} = {}) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      // 获取指定用户配置的数组数据
-      _.getUserConfig(c, key, {encrypt})
-        .then(data => {
-          // 如果数据为null或undefined，初始化为空数组
-          if (_.isNone(data)) { data = [] }
+    const v = _.pickValue(_.globalData().cache, key)
+    return v !== undefined ? v : default_value
+  },
 
-          // 确保目标配置项是一个数组
-          if (Array.isArray(data)) {
+  /**
+   * 清除数据库读取缓存（见setCollConfig的cache_ttl）。
+   * 本utils写入集合后会自动清除，只有在其他途径修改了数据（如云函数、其他用户）且需要立即读到时才需调用。
+   *
+   * @param {string|null} c - 集合名称，默认为null，表示清除所有集合的缓存
+   */
+  clearReadCache (c = null) {
+    const _ = this
+    const colls = c === null ? Object.keys(_._read_cache_gens) : [c]
+    // 正在进行的读取在完成时发现版本变化，不会写入缓存
+    for (const k of colls) {
+      _._read_cache_gens[k] = (_._read_cache_gens[k] ?? 0) + 1
+    }
+    const all = _.getCache(READ_CACHE_KEY)
+    if (all) {
+      if (c === null) {
+        _.setCache(READ_CACHE_KEY, undefined)
+      } else {
+        delete all[c]
+      }
+    }
+  },
+
+  /**
+   * 获取数据库读取缓存的命中统计（自小程序启动或上次resetReadCacheStats起）。
+   *
+   * @param {string|null} c - 集合名称，默认为null，表示所有集合的合计
+   * @returns {Object} {hits, misses, hit_rate}，hit_rate为命中率（0~1），没有读取时为0
+   *
+   * @example
+   *   const {hits, misses, hit_rate} = utils.readCacheStats('todo')
+   *   utils.log(`缓存命中${hits}次，未命中${misses}次，命中率${(hit_rate * 100).toFixed(1)}%`)
+   */
+  readCacheStats (c = null) {
+    const _ = this
+    const list = c === null ? Object.values(_._read_cache_stats) : [_._read_cache_stats[c] ?? {hits: 0, misses: 0}]
+    const hits = list.reduce((sum, st) => sum + st.hits, 0)
+    const misses = list.reduce((sum, st) => sum + st.misses, 0)
+    return {hits, misses, hit_rate: hits + misses > 0 ? hits / (hits + misses) : 0}
+  },
+
+  /**
+   * 重置数据库读取缓存的命中统计
+   */
+  resetReadCacheStats () {
+    this._read_cache_stats = {}
+  },
+
+  /**
+   * 异步设置手机硬盘持久存储。
+   * @param {string} key - 存储键名。
+   * @param {*} value - 要存储的数据。
+   * @param {boolean} encrypt - 是否对数据进行加密，默认为`false`。
+   * @returns {Promise} 返回一个Promise，成功时无返回值，失败时返回错误信息。
+   * 
+   * 注意
+   *   1. 单个键允许的最大数据长度为1MB（加密后约为0.7MB），总存储上限为10MB（加密后为7MB）。
+   *   2. 用户拖动删除小程序时，硬盘持久存储也会被清除。
+   */
+  setStorage (key, value, encrypt = false) {
+    const _ = this
+    return wx.setStorage({key, data: value, encrypt})
+      .catch(e => { throw _.makeError('STORAGE_FAILED', `设置Storage数据失败：${key}`, {cause: e}) })
+  },
+
+  /**
+   * 异步获取硬盘持久存储。
+   * @param {string} key - 存储键名。
+   * @param {boolean} encrypt - 是否对存储数据进行加密，默认为`false`。
+   * @returns {Promise} 返回一个Promise，成功时返回存储的数据，失败时返回错误信息。
+   */
+  getStorage (key, encrypt = false) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      wx.getStorage({key, encrypt})
+        .then(res => {
+          if (res.data) {
+            resolve(res.data)
+          } else {
+            reject(_.makeError('STORAGE_FAILED', `获取Storage数据失败：${key}`))
+          }
+        })
+        .catch(e => { reject(_.makeError('STORAGE_FAILED', `获取Storage数据失败：${key}`, {cause: e})) })
+    })
+  },
+
+  /**
+   * 移除指定key的本地持久存储的同步接口。
+   * @param {string} key - 存储键名。
+   */
+  removeStorageSync (key) {
+    return wx.removeStorageSync(key)
+  },
+
+  /**
+   * 清空本地持久存储的同步接口。
+   */
+  clearStorageSync () {
+    return wx.clearStorageSync()
+  },
+
+  /**
+   * 在数据库和本地存储中写入用户配置数据
+   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
+   * @param {string} key - 用户配置项的键，支持点表示法，如'a.b.c'
+   * @param {any} value - 配置项的值
+   * @param {Object} options - 配置选项:
+   *   - {boolean} skip_equal - 是否跳过相等值检查直接写入数据库，默认为false
+   *   - {boolean} encrypt - 是否加密存储，默认为true
+   * @returns {Promise<boolean>} 返回一个Promise对象，resolved值为true表示数据已更改，false表示数据未更改
+   *
+   * 说明
+   *   1. 如果本地存储中有数据，则优先使用本地数据覆盖数据库
+   *   2. 如果本地无数据，则以数据库数据为准
+   *   3. 支持使用undefined值来删除数据项
+   *   4. 必须确保c参数指定的集合存在，用于保存用户的私有数据
+   *   5. 用户的value数据不能超过512K
+   *   6. 用户配置只能在前端写入，请勿在云函数中修改用户配置，以保证数据的同步
+   *
+   * 调用次数
+   *   1. value改变时，会写1次数据库，会消耗1次调用次数
+   *   2. value未改变时，不会写数据库，不消耗调用次数
+   *   3. 指定skip_equal=true时会跳过判断值是否变动，直接写数据库，会消耗1次调用次数
+   *   4. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数
+   *   
+   * @example
+   *   utils.setUserConfig('admin_user', 'theme.color', 'light').then(changed => {
+   *     if (changed) {
+   *       console.log('设置成功')
+   *     } else {
+   *       console.log('设置未变动，原本就是light主题')
+   *     }
+   *   })
+   */
+  setUserConfig (c, key, value, {skip_equal = false, encrypt = true} = {}) {
+    const _ = this
+    const storage_key = 's_' + c
+    return new Promise((resolve, reject) => {
+
+      // 获得本地缓存数据
+      _.getStorage(storage_key, encrypt)
+
+      // 本地有缓存（以本地缓存为准）
+        .then(data => {
+          // 本地缓存与value不相等时，才更新数据库（减少次数）
+          if (skip_equal || !_.isEqual(_.pickValue(data, key), value)) {
+            _.putValue(data, key, value, {remove_undefined: false})
+            _._saveUserConfigToStorageAndCloudDB(c, data, {encrypt, write_keys: [key]}).then(() => {
+              resolve(true)
+            }).catch(reject)
+          } else {
+            resolve(false)
+          }
+        })
+
+      // 本地没有缓存，先读一下数据库中是否有数据
+        .catch(() => {
+          _.getMyOneByAgg(c, {})
+            .then(doc => {
+              // 数据库没有数据时新建
+              if (!doc) {
+                doc = c.endsWith('_user') ? {is_admin: false} : {}
+              }
+              if (skip_equal || !_.isEqual(_.pickValue(doc, key), value)) {
+                _.putValue(doc, key, value, {remove_undefined: false})
+                _._saveUserConfigToStorageAndCloudDB(c, doc, {encrypt, write_keys: [key]}).then(() => {
+                  resolve(true)
+                }).catch(reject)
+              } else {
+                _.putValue(doc, '_openid', undefined)
+                _.putValue(doc, '_id', undefined)
+                _.setStorage(storage_key, doc, encrypt)
+                  .then(() => {
+                    resolve(true)
+                  })
+                  .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `setUserConfig：调用setStorage时失败`)) })
+              }
+            })
+        })
+
+    })
+  },
+
+  /**
+   * 从数据库中读取用户配置，如果没有本地缓存，则读取数据库。
+   * 若数据库中也没有，则返回 `null`，并缓存到本地。
+   * 最大支持读取5M的数据（使用了聚合查询）
+   * 
+   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
+   * @param {string} key - 配置项的键名，支持 'a.b.c' 的形式。
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {any} default_value - 默认值，当配置项不存在时，返回此值
+   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
+   * @returns {Promise<any>} 返回一个Promise，当成功时，返回配置项的值（可能为 `undefined`）；当失败时，返回错误信息。
+   *
+   * 注意:
+   *   1. 如果有本地缓存对象，但读取的 `key` 不存在，则返回 `default_value`，且不读取数据库。
+   *   2. 当你在云函数中修改用户配置时就可能出现情况2，因此请勿在云函数中修改用户配置。
+   *   3. 没有本地缓存时同时多次调用（如多个组件的onLoad），只会读取一次数据库（见getOneByAgg）。
+   * 
+   * @example
+   *   utils.getUserConfig('key', 'a.b.c', {default_value: 1, encrypt: true}) // 读取用户配置
+   */
+  getUserConfig (c, key, {default_value = null, encrypt = true} = {}) {
+    const _ = this
+    const storage_key = 's_' + c
+    return new Promise((resolve, reject) => {
+      // 添加app前缀是为了避免本地app名称变动时，用本地的错误缓存去更新数据库
+      // 如本地app开发时应该是a，但设置成了b，可能会用本地缓存去更新数据库b_user
+
+      function _loadFromCloud() {
+        _.getMyOneByAgg(c, {})
+          .then(doc => {
+            // 数据库中有数据
+            if (doc) {
+              _.putValue(doc, '_openid', undefined)
+              _.putValue(doc, '_id', undefined)
+              // 保存到本地缓存
+              _.setStorage(storage_key, doc, encrypt)
+                .then(() => { resolve(_.pickValue(doc, key) ?? default_value) })
+                .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `getUserConfig：调用setStorage时失败`)) })
+            } else {
+              // 数据库中没有数据
+              // 在本地缓存中写入空数据（避免反复读取数据库），此时数据库中没有对应的数据
+              doc = c.endsWith('_user') ? {is_admin: false} : {}
+              _.setStorage(storage_key, doc, encrypt)
+                .then(() => { resolve(_.pickValue(doc, key) ?? default_value) })
+                .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `getUserConfig：调用setStorage时失败`)) })
+
+            }
+          })
+          .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `getUserConfig：调用getOne时失败`)) })
+      }
+
+      // 从本地缓存中读取
+      _.getStorage(storage_key, encrypt)
+
+      // 本地有缓存
+        .then(data => {
+          resolve(_.pickValue(data, key) ?? default_value)
+        })
+
+      // 本地没有缓存，从数据库中读取
+        .catch(_loadFromCloud)
+
+    })
+  },
+
+  /**
+   * 向用户配置数组末尾添加一个元素
+   * 
+   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
+   * @param {string} key - 配置项的键名，必须是数组或未定义，支持点表示法，如'a.b.c'
+   * @param {any} value - 要添加的元素
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
+   *   - {boolean} allow_repeats - 默认为 `true`，是否允许重复
+   *   - {number|null} limit - 数组最大长度，超过该长度时，会删除前面的元素
+   *   - {boolean} prepend - 默认为 `false`，是否添加到数组的最前面
+   * @returns {Promise<Array>} 返回一个Promise，当成功时，返回修改后的数组；当失败时，返回错误信息
+   * 
+   * 注意
+   *   1. 当 `allow_repeats` 为 `false` 时，若数组中已有该元素时，不会再添加
+   *   2. 当 `allow_repeats` 为 `false` 且 `value` 是对象时，会根据 `_id` 去重复
+   *   3. 当 `prepend` 为 `true` 且使用了 `limit` 时，数量超过 `limit` 时会删除最后面的元素
+   *
+   * 调用次数
+   *   1. 此函数几乎每次调用都会写入数据库，会消耗1次调用次数
+   *   2. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数
+   * 
+   * @example
+   *   utils.pushUserConfig('admin_user', 'arr_key_path', 'value')
+   */
+  pushUserConfig (c, key, value, {encrypt = true, allow_repeats = true, limit = null, prepend = false} = {}) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      _.getUserConfig(c, key, {encrypt})
+        .then(data => {
+          if (_.isNone(data)) { data = [] }
+          if (Array.isArray(data)) {
+            // 不允许重复时，如果添加的元素重复
+            if (!allow_repeats
+              && ( (_.isObject(value) && _.includesDoc(data, value))
+                || data.includes(value) )
+            ) {
+              if (prepend) {
+                // 检查元素是否在数组的第一位
+                const index = _.isObject(value) ? _.docIndexOf(data, value) : data.indexOf(value)
+                if (index === 0 && (limit === null || data.length < limit)) {
+                  if (_.isEqual(data[0], value)) {
+                    resolve(data)
+                  } else {
+                    data[0] = value
+                    _.setUserConfig(c, key, data, {encrypt})
+                      .then(() => { resolve(data) })
+                      .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `pushUserConfig：调用setUserConfig时失败`)) })
+                  }
+                  return
+                }
+                // 移除元素
+                data.splice(index, 1)
+                // 添加到数组的最前面
+                data.unshift(value)
+              } else {
+                // 检查元素是否在数组的最后一位
+                const index = _.isObject(value) ? _.docIndexOf(data, value) : data.indexOf(value)
+                if (index === data.length - 1 && (limit === null || data.length < limit)) {
+                  if (_.isEqual(data[data.length - 1], value)) {
+                    resolve(data)
+                  } else {
+                    data[data.length - 1] = value
+                    _.setUserConfig(c, key, data, {encrypt})
+                      .then(() => { resolve(data) })
+                      .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `pushUserConfig：调用setUserConfig时失败`)) })
+                  }
+                  return
+                }
+                // 移除元素
+                data.splice(index, 1)
+                // 添加到数组的最后面
+                data.push(value)
+              }
+            } else {
+              // 允许重复或数组中不存在该元素时
+              if (prepend) {
+                data.unshift(value)
+              } else {
+                data.push(value)
+              }
+            }
+            // 数组长度超过限制时，删除多余的元素
+            if (limit && data.length > limit) {
+              if (prepend) {
+                data = data.slice(0, limit)
+              } else {
+                data = data.slice(data.length - limit)
+              }
+            }
+            // 保存到数据库
+            _.setUserConfig(c, key, data, {encrypt})
+              .then(() => { resolve(data) })
+              .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `pushUserConfig：调用setUserConfig时失败`)) })
+          } else {
+            reject(_.makeError('USER_CONFIG_FAILED', `pushUserConfig：配置项${key}不是数组`))
+          }
+        })
+        .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `pushUserConfig：调用getUserConfig时失败`)) })
+    })
+  },
+
+  /**
+   * 从用户配置数组中删除一个或多个匹配的元素，返回删除的元素个数。
+   * 
+   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
+   * @param {string} key - 配置项的键名，必须是数组或未定义，支持点表示法，如'a.b.c'
+   * @param {any} value - 要删除的元素
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
+   *   - {boolean} prepend - 默认为 `false`，是否从数组的最前面删除，默认从最后面删除
+   *   - {number} limit - 最多删除的元素个数，默认为1。设置为null或0时，删除所有匹配的元素
+   *   - {boolean} match_by_id - 默认为 `true`，当value是对象时，会根据 _id 删除
+   * @returns {Promise<number>} 返回一个Promise，当成功时，返回删除的元素个数；当失败时，返回错误信息。
+   * 
+   * 调用次数
+   *   1. 此函数几乎每次调用都会写入数据库，会消耗1次调用次数。
+   *   2. 未找到任何元素，未删除时，不消耗调用次数。
+   *   3. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数。
+   *
+   * 注意
+   *   1. limit为null或0时，删除所有匹配的元素
+   *   2. 当数组元素是对象时，默认情况会根据 _id 删除，如果不需要根据 _id 删除，可以设置 match_by_id 为 false
+   * 
+   * @example
+   *   utils.pluckUserConfig('admin_user', 'arr_key_path', 'value')
+   */
+  pluckUserConfig (c, key, value, {encrypt = true, prepend = false, limit = 1, match_by_id = true} = {}) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      _.getUserConfig(c, key, {encrypt})
+        .then(data => {
+          if (_.isNone(data)) { data = [] }
+          if (Array.isArray(data)) {
+
+            let remove_count = 0 // 记录已删除的元素数量
+            const indices_to_remove = [] // 存储需要删除的元素索引
+
+            // 如果 limit 为 null 或 0 ，则删除所有匹配的元素
+            if (limit === null || limit === 0) {
+              limit = data.length
+            }
+
+            // 从前面或后面开始删除元素
+            const start_index = prepend ? 0 : data.length - 1
+            const step = prepend ? 1 : -1
+
+            for (let i = start_index; prepend ? (i < data.length && remove_count < limit) : (i >= 0 && remove_count < limit); i += step) {
+              const item = data[i]
+
+              // 判断当前元素是否匹配需要删除的值
+              let is_match = false
+              if (match_by_id && _.isObject(value) && _.isObject(item)) {
+                const id1 = _.pickValue(item, '_id')
+                const id2 = _.pickValue(value, '_id')
+                is_match = id1 === id2 && _.isString(id1) && !_.isEmpty(id1)
+              } else {
+                is_match = _.isEqual(item, value)
+              }
+
+              if (is_match) {
+                indices_to_remove.push(i) // 记录匹配的索引
+                remove_count++ // 增加删除计数
+              }
+            }
+
+            // 按从高到低的顺序排序索引，防止删除时影响后续索引
+            indices_to_remove.sort((a, b) => b - a)
+
+            // 删除匹配的元素
+            for (const idx of indices_to_remove) {
+              data.splice(idx, 1)
+            }
+
+            // 如果有元素被删除，则更新用户配置
+            if (remove_count > 0) {
+              _.setUserConfig(c, key, data, {encrypt})
+                .then(() => { 
+                  resolve(remove_count) // 返回删除的元素数量
+                })
+                .catch(e => { 
+                  reject(_._toError(e, 'USER_CONFIG_FAILED', `removeFromArrayConfig：调用setUserConfig时失败`)) 
+                })
+            } else {
+              // 如果没有元素被删除，返回0
+              resolve(0)
+            }
+
+          } else {
+            reject(_.makeError('USER_CONFIG_FAILED', `pluckUserConfig：配置项${key}不是数组`))
+          }
+        })
+        .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `pluckUserConfig：调用getUserConfig时失败`)) })
+    })
+  },
+
+  /**
+   * 从用户配置数组中取出一个或多个元素，返回取出的元素或元素数组。
+   * 
+   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
+   * @param {string} key - 配置项的键名，必须是数组或未定义，支持点表示法，如'a.b.c'
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
+   *   - {boolean} prepend - 默认为 `false`，是否从数组的最前面取出元素，默认从最后面取出
+   *   - {number} count - 要取出的元素个数，默认为1
+   * @returns {Promise<Array>} 返回一个Promise，当count=1时，返回取出的元素；当count>1时，返回取出的元素数组；
+   * 
+   * 调用次数
+   *   1. 此函数几乎每次调用都会写入数据库，会消耗1次调用次数。
+   *   2. 数组为空或count=0时，会返回undefined，不消耗调用次数。
+   *   3. count大于1时，也只消耗1次调用次数。
+   *   4. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数。
+   *
+   * 注意
+   *   1. 当 `count` 大于数组长度时，取出所有可用的元素。
+   *   2. 当 `prepend` 为 `false` 时，取出的元素顺序与数组中相应部分的顺序相反。例如，数组为 [1,2,3,4,5]，count=3，prepend=false 时，返回 [5,4,3]。
+   *   3. 当 `prepend` 为 `true` 时，取出的元素顺序与数组中相应部分的顺序相同。例如，数组为 [1,2,3,4,5]，count=3，prepend=true 时，返回 [1,2,3]。
+   *   4. 如果配置项 `key` 不是数组，则返回错误。
+   * 
+   * @example
+   *   utils.pullUserConfig('admin_user', 'arr_key_path', {prepend: false, count: 3}).then(pulled => {
+   *     console.log(pulled) // 可能输出 [5,4,3]
+   *   })
+   */
+  pullUserConfig (c, key, {encrypt = true, prepend = false, count = 1} = {}) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      // 获取指定用户配置的数组数据
+      _.getUserConfig(c, key, {encrypt})
+        .then(data => {
+          // 如果数据为null或undefined，初始化为空数组
+          if (_.isNone(data)) { data = [] }
+
+          // 确保目标配置项是一个数组
+          if (Array.isArray(data)) {
             // 确定实际需要取出的元素个数，不超过数组长度
             const actual_count = Math.min(count, data.length)
             let pulled_elements = []
 
-            if (prepend) {
-              // 从数组前端取出元素
-              pulled_elements = data.slice(0, actual_count)
-              // 从数组中移除取出的元素
-              data.splice(0, actual_count)
-            } else {
-              // 从数组末端取出元素，并保持取出元素的顺序相反
-              pulled_elements = data.slice(-actual_count).reverse()
-              // 从数组中移除取出的元素
-              data.splice(data.length - actual_count, actual_count)
-            }
+            if (prepend) {
+              // 从数组前端取出元素
+              pulled_elements = data.slice(0, actual_count)
+              // 从数组中移除取出的元素
+              data.splice(0, actual_count)
+            } else {
+              // 从数组末端取出元素，并保持取出元素的顺序相反
+              pulled_elements = data.slice(-actual_count).reverse()
+              // 从数组中移除取出的元素
+              data.splice(data.length - actual_count, actual_count)
+            }
+
+            if (pulled_elements.length > 0) {
+              // 更新用户配置数组
+              _.setUserConfig(c, key, data, {encrypt})
+                .then(() => {
+                  // 返回取出的元素
+                  if (count === 1) {
+                    resolve(pulled_elements[0])
+                  } else {
+                    resolve(pulled_elements)
+                  }
+                })
+                .catch(e => {
+                  reject(_._toError(e, 'USER_CONFIG_FAILED', `pullUserConfig：调用setUserConfig时失败`))
+                })
+            } else {
+              if (count === 1) {
+                resolve(undefined)
+              } else {
+                resolve([])
+              }
+            }
+
+          } else {
+            // 如果目标配置项不是数组，则返回错误
+            reject(_.makeError('USER_CONFIG_FAILED', `pullUserConfig：配置项${key}不是数组`))
+          }
+        })
+        .catch(e => { 
+          // 处理获取用户配置时的错误
+          reject(_._toError(e, 'USER_CONFIG_FAILED', `pullUserConfig：调用getUserConfig时失败`)) 
+        })
+    })
+  },
+
+  /**
+   * 传入一个对象，设置多个用户配置值。
+   * 
+   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
+   * @param {Object} obj 用户配置对象，其中key支持点表示法，如 { 'a.b.c': 'value' }
+   * @param {Object} options 包含以下属性的对象:
+   *   - {boolean} skip_equal - 默认为 `false`，当为 `true` 时，不对存储进行比较，直接写入数据库
+   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
+   * @returns {Promise<boolean>} 返回一个Promise，当成功时，返回 `true`；当失败时，返回 `false`。
+   * 
+   * 说明
+   *   1. `obj` 的 `value` 为 `undefined` 时，可以删除用户配置。
+   *   2. 在 `onUnload` 中使用时记得添加await，如 `await utils.setUserConfigObj`，否则可能导致写入数据库失败。
+   *   3. 当 `changed` 为 `true` 时，表示修改了本地存储或数据库。
+   *
+   * 调用次数
+   *   1. obj中有任何一个value改变时，会写1次数据库，会消耗1次调用次数
+   *   2. obj中的所有value均未改变时，不会写数据库，不消耗调用次数
+   *   3. 指定skip_equal=true时会跳过判断值是否变动，直接写数据库，会消耗1次调用次数
+   *   4. 当obj中有多个value改变时，仅消耗1次调用次数
+   *   5. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数
+   *
+   * @example
+   *   await utils.setUserConfigObj('key', {path: 'value', 'a.b.c': 1})
+   */
+  setUserConfigObj (c, obj, {skip_equal = false, encrypt = true} = {}) {
+    const _ = this
+    const storage_key = 's_' + c
+    const obj_keys = Object.keys(obj)
+    return new Promise((resolve, reject) => {
+
+      // 获得本地缓存数据
+      _.getStorage(storage_key, encrypt)
+
+      // 本地有缓存（以本地缓存为准）
+        .then(data => {
+          let write_keys
+          if (skip_equal) {
+            write_keys = obj_keys
+          } else {
+            write_keys = obj_keys.filter(key => !_.isEqual(_.pickValue(data, key), obj[key]))
+          }
+          if (skip_equal || write_keys.length > 0) {
+            for (let key in obj) {
+              _.putValue(data, key, obj[key], {remove_undefined: false})
+            }
+            _._saveUserConfigToStorageAndCloudDB(c, data, {encrypt, write_keys}).then(() => {
+              resolve(true)
+            }).catch(reject)
+          } else {
+            resolve(false)
+          }
+        })
+
+      // 本地没有缓存，先读一下数据库中是否有数据
+        .catch(() => {
+          _.getMyOneByAgg(c, {})
+            .then(doc => {
+              // 数据库没有数据时新建
+              if (!doc) {
+                doc = c.endsWith('_user') ? {is_admin: false} : {}
+              }
+              _.putValue(doc, '_openid', undefined) // 需要先删除_openid再和obj比较
+              _.putValue(doc, '_id', undefined)
+              let write_keys
+              if (skip_equal) {
+                write_keys = obj_keys
+              } else {
+                write_keys = obj_keys.filter(key => !_.isEqual(_.pickValue(doc, key), obj[key]))
+              }
+              if (skip_equal || write_keys.length > 0) {
+                for (let key in obj) {
+                  _.putValue(doc, key, obj[key], {remove_undefined: false})
+                }
+                _._saveUserConfigToStorageAndCloudDB(c, doc, {encrypt, write_keys}).then(() => {
+                  resolve(true)
+                }).catch(reject)
+              } else {
+                _.setStorage(storage_key, doc, encrypt)
+                  .then(() => {
+                    resolve(true)
+                  })
+                  .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `setUserConfigObj：调用setStorage时失败`)) })
+              }
+            })
+        })
+
+    })
+  },
+
+  /**
+   * 传入一个对象根据key获得多个用户配置。
+   * 返回的对象中，key为传入的对象的key，value为对应的用户配置，传入的obj的value是config不存在时的默认值。
+   * 
+   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
+   * @param {Object} obj - 用户配置对象，其中 `key` 是配置项的键名，`value` 是配置项不存在时的默认值
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
+   * @returns {Promise<Object>} 返回一个Promise，当成功时，返回一个对象，其中 `key` 是传入的对象的 `key`，`value` 是对应的用户配置；当失败时，返回错误信息。
+   * 
+   * 注意
+   *   1. 新用户调用时，数据库中没有数据，此时会在本地写入空 Storage，但不会在数据库中创建数据。
+   *   2. 若 `obj` 中部分 `key` 在本地缓存中有值，部分 `key` 没有值，则不会读取数据库，会使用 `obj` 默认值。
+   *   3. 同样的，之所以有情况2存在，可能是因为在云函数中修改用户配置，因此请勿在云函数中修改用户配置。
+   *
+   * @example
+   *   const setting = await utils.getUserConfigObj('key', {'a.b.c': 1, d: ''}) // 根据key获得多个用户配置
+   *   console.log(setting['a.b.c'])
+   *   console.log(setting.d)
+   */
+  getUserConfigObj (c, obj, {encrypt = true} = {}) {
+    const _ = this
+    const storage_key = 's_' + c
+    return new Promise(async (resolve, reject) => {
+
+      function _getObjFromData (obj, data) {
+        const result = {}
+        for (const key in obj) {
+          result[key] = _.pickValue(data, key) ?? obj[key]
+        }
+        return result
+      }
+
+      function _loadFromCloud() {
+        _.getMyOneByAgg(c, {})
+          .then(doc => {
+            // 数据库中有数据
+            if (doc) {
+              _.putValue(doc, '_openid', undefined)
+              _.putValue(doc, '_id', undefined)
+              // 保存到本地缓存
+              _.setStorage(storage_key, doc, encrypt)
+                .then(() => { 
+                  resolve(_getObjFromData(obj, doc))
+                })
+                .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `getUserConfigObj：调用setStorage时失败`)) })
+            } else {
+              // 数据库中没有数据
+              // 在本地缓存中写入空数据（避免反复读取数据库），此时数据库中没有对应的数据
+              doc = c.endsWith('_user') ? {is_admin: false} : {}
+              _.setStorage(storage_key, doc, encrypt)
+                .then(() => {
+                  resolve(_getObjFromData(obj, doc))
+                })
+                .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `getUserConfigObj：调用setStorage时失败`)) })
+            }
+          })
+          .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `getUserConfigObj：调用getOne时失败`)) })
+      }
+
+      // 从本地缓存中读取
+      _.getStorage(storage_key, encrypt)
+
+      // 本地有缓存
+        .then(data => {
+          resolve(_getObjFromData(obj, data))
+        })
+
+      // 本地没有缓存，从数据库中读取
+        .catch(_loadFromCloud)
+
+    })
+  },
+
+  /**
+   * 把用户配置先放入缓冲区，用 `flushUserConfigBuffer` 函数一次性写入，以减少数据库调用次数。
+   * 
+   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
+   * @param {string} key 配置项的键名，支持点表示法，如'a.b.c'
+   * @param {any} value 配置项的值
+   * 
+   * 说明
+   *   1. 在设置页面，可先调用此函数，然后在 `onUnload` 事件中使用 `await utils.flushUserConfigBuffer()`。
+   *   2. 此函数只会修改缓冲区，不会修改数据库，从而不消耗调用次数。
+   *   3. 直至调用 `flushUserConfigBuffer` 函数后，才会修改本地存储和数据库。
+   *
+   * @example
+   *   utils.setUserConfigBuffer('admin_user', 'a.b.c', 'value') // 将配置项放入缓冲区
+   */
+  setUserConfigBuffer (c, key, value) {
+    const _ = this
+    const buffer = _._user_config_buffer
+    // 确保_user_config_buffer[c]存在，且是一个对象
+    if (!_.isObject(buffer[c])) { buffer[c] = {} }
+    /* 注意，这里不能使用_.putValue，当c是点表示法时需要逐一保存
+       举例说明，若使用_.putValue，当key等于a.b时，buffer[c]会变成{a: {b: value}}
+       此时当调用flushUserConfigBuffer时，data.a会被替换为{b: value}，导致a的其他数据丢失
+       */
+    buffer[c][key] = value // 这里不能使用_.putValue
+  },
+
+  /**
+   * 把用户配置缓冲区中的数据一次性写入数据库。
+   * 
+   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
+   * @param {Object} options 包含以下属性的对象:
+   *   - {boolean} skip_equal - 默认为 `false`，当为 `true` 时，跳过比较直接写入数据库
+   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
+   * @returns {Promise} 返回一个Promise，当成功时，返回 `undefined`；当失败时，返回错误信息。
+   *
+   * 调用次数
+   *   1. 当 `skip_equal=false` 时，仅在缓冲区有数据且数据有变化时，会消耗1次调用次数，否则不消耗调用次数。
+   *   2. 当 `skip_equal=true` 时，无论缓冲区中的数据是否变化，都会直接写入数据库，消耗1次调用次数。
+   *   3. 不管缓冲区中有多少数据，写数据库操作只消耗1次调用次数。
+   *   4. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数
+   *
+   * 注意
+   *   1. 注意缓冲区数据不能超过512K。
+   *   2. 在`onUnload`事件中调用时，记得使用 `await`，如 `await utils.flushUserConfigBuffer()`，否则可能导致写入数据库失败。
+   * 
+   * @example
+   *   utils.flushUserConfigBuffer('admin_user') // 一次性将缓冲区中的数据写入数据库
+   */
+  flushUserConfigBuffer (c, {skip_equal = false, encrypt = true} = {}) {
+    const _ = this
+    const storage_key = 's_' + c
+    const buffer = _._user_config_buffer[c]
+    if (!_.isObject(buffer) || _.isEmpty(buffer)) {
+      return Promise.resolve()
+    }
+    return new Promise((resolve, reject) => {
+
+      // 获得本地缓存数据
+      _.getStorage(storage_key, encrypt)
+
+      // 本地有缓存（以本地缓存为准）
+        .then(data => {
+          let write_keys
+          if (skip_equal) {
+            write_keys = Object.keys(buffer)
+          } else {
+            write_keys = Object.keys(buffer).filter(key => !_.isEqual(_.pickValue(data, key), buffer[key]))
+          }
+          if (!skip_equal && write_keys.length === 0) {
+            _.clearUserConfigBuffer(c)
+            return resolve()
+          }
+          for (const key in buffer) {
+            _.putValue(data, key, buffer[key], {remove_undefined: false})
+          }
+          _._saveUserConfigToStorageAndCloudDB(c, data, {encrypt, write_keys}).then(() => {
+            _.clearUserConfigBuffer(c)
+            resolve()
+          }).catch(reject)
+        })
+
+      // 本地没有缓存，先读一下数据库中是否有数据
+        .catch(() => {
+          _.getMyOneByAgg(c, {})
+            .then(doc => {
+              // 数据库没有数据时新建
+              if (!doc) {
+                doc = c.endsWith('_user') ? {is_admin: false} : {}
+              }
+              let write_keys
+              if (skip_equal) {
+                write_keys = Object.keys(buffer)
+              } else {
+                write_keys = Object.keys(buffer).filter(key => !_.isEqual(_.pickValue(doc, key), buffer[key]))
+              }
+              if (!skip_equal && write_keys.length === 0) {
+                _.clearUserConfigBuffer(c)
+                _.setStorage(storage_key, doc, encrypt).then(resolve)
+                return // resolve在上一行
+              }
+              for (const key in buffer) {
+                _.putValue(doc, key, buffer[key], {remove_undefined: false})
+              }
+              _._saveUserConfigToStorageAndCloudDB(c, doc, {encrypt, write_keys}).then(() => {
+                _.clearUserConfigBuffer(c)
+                resolve()
+              }).catch(reject)
+            })
+        })
+    })
+  },
+
+  /**
+   * 清空用户配置缓冲区。当 `c` 为 `null` 时，清空所有缓冲区。
+   * 
+   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
+   * @param {string|null} c - 用户配置的key值，当为 `null` 时，清空所有缓冲区
+   * 
+   * @example
+   *   utils.clearUserConfigBuffer('admin_user') // 清空指定的缓冲区
+   *   utils.clearUserConfigBuffer(null) // 清空所有缓冲区
+   */
+  clearUserConfigBuffer (c = null) {
+    const _ = this
+    if (c === null) {
+      _._user_config_buffer = {}
+    } else {
+      delete _._user_config_buffer[c]
+    }
+  },
+
+  /**
+   * 从 app_setting 集合中获取网站设置。
+   * 
+   * @param {string} key - 设置的键名
+   * @param {object} [options] - 可选参数
+   * @param {string} [options.name='default'] - 应用设置的名称
+   * @param {boolean} [options.use_cache=true] - 是否使用缓存
+   * @returns {Promise} 返回一个 Promise，resolve 时返回键名对应的值
+   */
+  getAppSetting (key, { name = 'default', use_cache = true } = {}) {
+    const _ = this
+    const c = 'app_setting'
+    const cache_key = `app_setting_${name}`
+    const cache = _.getCache(cache_key)
+    const app = _.appName()
+    return new Promise((resolve, reject) => {
+      // 从数据库获取最新版本
+      function getFromDB () {
+        _.getOne(c, {app, name})
+          .then(doc => {
+            if (doc) {
+              _.setCache(cache_key, doc)
+              resolve(_.pickValue(doc, key))
+            } else {
+              _.setCache(cache_key, {})
+              resolve(null)
+            }
+          })
+          .catch(reject)
+      }
+      if ( use_cache && !_.isNone(cache) && !_.isEmpty(cache) ) {
+        const value = _.pickValue(cache, key)
+        if (!_.isNone(value)) {
+          resolve(value)
+        } else {
+          getFromDB()
+        }
+      } else {
+        getFromDB()
+      }
+    })
+  },
+
+
+  /* === 环境值 === */
+
+  /**
+   * 获取状态栏高度。
+   * 
+   * @returns {number} 返回状态栏的高度
+   */
+  statusBarHeight () {
+    return WINDOW_INFO.statusBarHeight
+  },
+
+  /**
+   * 获取底部安全区域的高度。
+   * 
+   * @returns {number} 返回底部安全区域的高度
+   */
+  bottomSafeAreaHeight () {
+    const _ = this
+    const info = WINDOW_INFO
+    if (info?.safeArea) {
+      return info.screenHeight - info.safeArea.bottom
+    } else {
+      return 0
+    }
+  },
+
+  /**
+   * 获取整个可视区域的宽度。
+   * 
+   * @returns {number} 返回可视区域的宽度
+   */
+  getScreenWidth () {
+    return WINDOW_INFO.windowWidth
+  },
+
+  /**
+   * 获取整个可视区域的高度。
+   * 
+   * @returns {number} 返回可视区域的高度
+   */
+  getScreenHeight () {
+    return WINDOW_INFO.windowHeight
+  },
+
+
+  /* === 页面组件 === */
+
+  /**
+   * 获取当前页面滚动的高度。
+   * 
+   * @returns {Promise} 返回一个 Promise，resolve 时返回滚动的高度
+   */
+  getPageScrollTop () {
+    const _ = this
+    return new Promise(async (resolve, reject) => {
+      wx.createSelectorQuery().selectViewport().scrollOffset(function (res) {
+        resolve(res.scrollTop)
+      }).exec()
+    })
+  },
+
+  /**
+   * 获取指定元素的滚动高度（通常是 `<scroll-view>`）。
+   * 
+   * @param {string} selector - 选择器
+   * @returns {Promise} 返回一个 Promise，resolve 时返回滚动的高度
+   */
+  getViewScrollTop (selector) {
+    const _ = this
+    return new Promise(async (resolve, reject) => {
+      wx.createSelectorQuery().select(selector).scrollOffset(function (res) {
+        _.log(res)
+        resolve(res.scrollTop)
+      }).exec()
+    })
+  },
+
+  /**
+   * 获取一个元素的宽度，元素不存在时触发 catch。
+   * 
+   * @param {string} selector - 选择器
+   * @returns {Promise} 返回一个 Promise，resolve 时返回元素的宽度
+   */
+  getViewWidth (selector) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      wx.createSelectorQuery().select(selector).boundingClientRect(function(rect) {
+        if (rect) { resolve(rect.width) } else { reject() }
+      }).exec()
+    })
+  },
+
+  /**
+   * 获取一个元素的高度，元素不存在时触发 catch。
+   * 
+   * @param {string} selector - 选择器
+   * @returns {Promise} 返回一个 Promise，resolve 时返回元素的高度
+   */
+  getViewHeight (selector) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      wx.createSelectorQuery().select(selector).boundingClientRect(function(rect) {
+        if (rect) { resolve(rect.height) } else { reject() }
+      }).exec()
+    })
+  },
+
+
+  /* === 页面路由跳转 === */
+
+  /**
+   * 打开给定 URL 的页面（URL 为以 `/` 开头的绝对路径）。
+   * 
+   * @param {string} url - 要打开的页面的 URL
+   * @returns {Promise} 返回一个 Promise，resolve 时表示页面已打开
+   */
+  openPage (url) {
+    return wx.navigateTo({ url })
+  },
+
+  /**
+   * 切换到给定 URL 的 tab 页面。
+   * 
+   * @param {string} url - 要切换到的 tab 页面的 URL
+   * @returns {Promise} 返回一个 Promise，resolve 时表示已切换到 tab 页面
+   */
+  switchTab (url) {
+    return wx.switchTab({ url })
+  },
+
+  /**
+   * 关闭当前所有页面，并跳转到新页面（清空页面栈）。
+   * 
+   * @param {string} url - 要跳转到的新页面的 URL
+   * @returns {Promise} 返回一个 Promise，resolve 时表示已跳转到新页面
+   */
+  reLaunch (url) {
+    return wx.reLaunch({ url })
+  },
+
+  /**
+   * 获取上一个页面。
+   * 
+   * @returns {object|null} 返回上一个页面，如果不存在，返回 null
+   */
+  prevPage () {
+    return getCurrentPages().at(-2) ?? null
+  },
+
+  /**
+   * 获取当前页面。
+   * 
+   * @returns {object} 返回当前页面
+   */
+  currPage () {
+    return getCurrentPages().pop()
+  },
+
+  /**
+   * 获取当前页面的路径。
+   * 
+   * @returns {string} 返回当前页面的路径
+   */
+  currPagePath () {
+    return getCurrentPages().pop().route
+  },
+
+  /**
+   * 查找并返回给定路径的页面对象（URL 为以 `/` 开头的绝对路径）。
+   * 
+   * @param {string} url - 要查找的页面的 URL
+   * @returns {object|null} 返回给定路径的页面对象，如果不存在，返回 null
+   */
+  findPageByPath(url) {
+    // 获取当前的页面栈
+    const pages = getCurrentPages()
+
+    if (url[0] !== '/') { throw new Error('url必须以/开头') }
+
+    // 遍历页面栈，查找匹配的页面实例
+    for (let i = 0; i < pages.length; i++) {
+      if ('/' + pages[i].route === url) {
+        return pages[i]
+      }
+    }
+
+    return null
+  },
+
+  /**
+   * 回到上一个页面，如果在回到上一个页面后需要显示提示信息，可以提供 `show_ok` 或 `show_tip` 参数。
+   * 
+   * @param {object} [options] - 可选参数
+   * @param {string|null} [options.default_page=null] - 默认的页面
+   * @param {string|null} [options.show_ok=null] - 成功时要显示的提示信息
+   * @param {string|null} [options.show_tip=null] - 失败时要显示的提示信息
+   * @returns {Promise} 返回一个 Promise，resolve 时表示已回到上一个页面
+   * 
+   * 注意
+   *   1. 若想在back后显示提示信息，可以这样写：sh.back({show_ok = '提交成功', show_tip = '提交失败'})
+   *   2. 使用此函数需在app.js文件中的 globalData.config.default_page 设置默认页面，表示回到上一个页面失败时跳转的页面
+   */
+  back ({default_page = null, show_ok = null, show_tip = null} = {}) {
+    const _ = this
+    if (_.isEmpty(_.getConfig('default_page'))) {
+      throw new Error('请在 app.js 文件中的 globalData.config.default_page 设置默认页面')
+    }
+    return wx.navigateBack({
+      delta: 1
+
+    }).catch(() => {
+      return wx.navigateTo({
+        url: default_page ?? _.getConfig('default_page')
+      })
+
+    }).catch(e => {
+      return wx.switchTab({
+        url: default_page ?? _.getConfig('default_page')
+      })
+
+    }).then(() => {
+      if (show_ok) {
+        _.showOk({text: show_ok})
+      } else if (show_tip) {
+        _.showTip({text: show_tip})
+      }
+    })
+  },
+
+  /**
+   * 获取上一个页面的名称（即 `abc.wxml` 中的 `abc`）。
+   * 
+   * @returns {string} 返回上一个页面的名称
+   */
+  prevPageName () {
+    return this.prevPage()?.route.split('/').pop() ?? ''
+  },
+
+
+  /* === 网络 === */
+
+  /**
+   * 从云存储中下载图片，不支持网络url。
+   * 
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {string} fileID - 文件ID
+   *   - {string} [tip='图片下载中'] - 下载过程中显示的提示信息
+   *   - {string} [ok='图片已保存'] - 下载完成后显示的提示信息
+   * @returns {Promise} 返回一个Promise，当成功时，返回 `undefined`；当失败时，返回错误信息
+   */
+  downImage ({fileID, tip = '图片下载中', ok = '图片已保存'}) {
+    const _ = this
+    const showErrorTip = () => { _.showTip({text: '下载失败'}) }
+
+    return new Promise((resolve, reject) => {
+
+      // 查询权限需要时间，因此先显示loading，以免视觉卡顿
+      wx.showLoading({ title: tip, mask: true })
+
+      _.authorized({auth: 'scope.writePhotosAlbum'})
+        .then(() => {
+
+          _._cloud().downloadFile({
+            fileID: fileID,
+          })
+            .then(res => {
+
+              if (res.statusCode === 200) {
+                wx.saveImageToPhotosAlbum({
+                  filePath: res.tempFilePath,
+                })
+                  .then(() => {
+                    wx.showToast({ title: ok, icon: 'success', duration: 1500 })
+                    resolve()
+                  })
+                  .catch(e => {
+                    _.showTip({text: '已取消下载'})
+                  })
+              } else {
+                _.error({title: 'utils.downImage下载失败，res.statusCode不等于200', res})
+                showErrorTip()
+                reject(_.makeError('FILE_FAILED', `下载云存储文件失败，statusCode：${res.statusCode}`))
+              }
+
+            })
+            .catch(e => {
+              _.error({title: 'utils.downImage下载失败，_._cloud().downloadFile异常', e})
+              showErrorTip()
+              reject(_._toError(e, 'FILE_FAILED', '下载云存储文件失败'))
+            })
+          // 应该等 _._cloud().downloadFile 执行完后才隐藏loading
+            .finally(wx.hideLoading)
 
-            if (pulled_elements.length > 0) {
-              // 更新用户配置数组
-              _.setUserConfig(c, key, data, {encrypt})
-                .then(() => {
-                  // 返回取出的元素
-                  if (count === 1) {
-                    resolve(pulled_elements[0])
-                  } else {
-                    resolve(pulled_elements)
+        })
+        .catch(e => {
+          wx.hideLoading()
+          _.showTip({text: '需开启相册权限，请点击右上角“...” -> “设置”，打开相册授权'})
+          reject(e)
+        })
+
+    })
+
+  },
+
+  /**
+   * 从网络URL下载图片。
+   * 
+   * @param {Object} options - 包含以下属性的对象:
+   *   - {string} url - 图片的URL
+   *   - {string} [tip='图片下载中'] - 下载过程中显示的提示信息
+   *   - {string} [ok='图片已保存'] - 下载完成后显示的提示信息
+   * @returns {Promise} 返回一个Promise，当成功时，返回 `undefined`；当失败时，返回错误信息
+   */
+  downImageFromUrl ({url, tip = '图片下载中', ok = '图片已保存'}) {
+    const _ = this
+    const showErrorTip = () => { _.showTip({text: '下载失败'}) }
+
+    return new Promise((resolve, reject) => {
+
+      // 查询权限需要时间，因此先显示loading，以免视觉卡顿
+      wx.showLoading({ title: tip, mask: true })
+
+      _.authorized({auth: 'scope.writePhotosAlbum'})
+        .then(() => {
+
+          wx.downloadFile({
+            url,
+            success: (res) => {
+              if (res.statusCode === 200) {
+                wx.saveImageToPhotosAlbum({
+                  filePath: res.tempFilePath,
+                  success: () => {
+                    wx.showToast({ title: ok, icon: 'success', duration: 1500 })
+                    resolve()
+                  },
+                  fail: () => {
+                    _.showTip({text: '已取消下载'})
+                    reject()
                   }
                 })
-                .catch(e => {
-                  reject({errno: 'pullUserConfig Failed', errMsg: `调用setUserConfig时失败`, e})
-                })
-            } else {
-              if (count === 1) {
-                resolve(undefined)
               } else {
-                resolve([])
+                _.error({title: 'utils.downImageFromUrl下载失败，res.statusCode不等于200', res})
+                showErrorTip()
+                reject(_.makeError('FILE_FAILED', `下载图片失败，statusCode：${res.statusCode}`))
               }
+            },
+            fail: (e) => {
+              _.error({title: 'utils.downImageFromUrl下载失败，wx.downloadFile异常', e})
+              showErrorTip()
+              reject(_._toError(e, 'FILE_FAILED', '下载图片失败'))
+            },
+            complete: () => {
+              wx.hideLoading()
             }
+          })
 
-          } else {
-            // 如果目标配置项不是数组，则返回错误
-            reject({errno: 'pullUserConfig Failed', errMsg: `配置项${key}不是数组`})
-          }
         })
-        .catch(e => { 
-          // 处理获取用户配置时的错误
-          reject({errno: 'pullUserConfig Failed', errMsg: `调用getUserConfig时失败`, e}) 
+        .catch(e => {
+          wx.hideLoading()
+          _.showTip({text: '需开启相册权限，请点击右上角"..." -> "设置"，打开相册授权'})
+          reject(e)
+        })
+
+    })
+
+  },
+
+  /**
+   * 获得image.js中的图片。
+   * 
+   * @param {string} image_name - 图片名称
+   * @returns {string|null} 返回图片的URL，如果找不到，返回 `null`
+   */
+  globalImage (image_name){
+    const _ = this
+    const global_image = _.globalData().image
+    return global_image?.[image_name] ?? null
+  },
+
+
+  /* === 文件 === */
+
+  /**
+   * 预加载图片文件。
+   * @param {Object} obj - 包含图片URL的对象或数组。
+   * @param {string} url_key - 对象中包含URL的键名。
+   *
+   * 根据对象中的URL键值，使用 `wx.downloadFile` 方法下载图片到本地临时路径。
+   * 注意使用时需先调用 `preloadFiles` 下载图片，然后再使用 `setData` 更新数据，
+   * 并确保在wxml中使用 `tempFilePath || url` 来引用图片。
+   */
+  preloadFiles (obj, url_key) {
+    const _ = this
+    _.allKeyMap(obj, url_key, (url, o) => {
+      if (url && !o.tempFilePath) {
+        wx.downloadFile({
+          url,
+          success: (res) => {
+            o.tempFilePath = res.tempFilePath
+          },
         })
+      }
+    }, { over_write: false }) // over_write: false, 不修改已有的url_key
+  },
+
+  /**
+   * 清理无效的预加载图片文件。
+   * @param {Object} obj - 包含 `tempFilePath` 的对象或数组。
+   * 
+   * 针对已保存到本地的图片，如果根据 `tempFilePath` 找不到图片，则删除该路径。
+   */
+  clearRemovedPreloadFiles (obj) {
+    const _ = this
+    _.allKeyMap(obj, 'tempFilePath', (path, o) => {
+      // 判断文件是否存在
+      wx.getFileSystemManager().access({
+        path: path,
+        fail: () => {
+          // 文件不存在
+          delete o.tempFilePath
+        },
+      })
+    }, { over_write: false }) // over_write: false, 让回调函数自己决定是否删除tempFilePath
+  },
+
+  /**
+   * 同步检查文件是否存在。
+   * @param {string} path - 检查的文件路径。
+   * @returns {boolean} 文件存在返回true，否则返回false。
+   */
+  tempFileExistsSync (path) {
+    try {
+      wx.getFileSystemManager().accessSync(path)
+      return true
+    } catch(e) {
+      return false
+    }
+  },
+
+  /**
+   * 获取文件的临时URL，优先使用本地缓存。
+   * @param {Array} file_list - 包含文件ID的数组，每个元素形式为 {file_id}。
+   * @returns {Promise<Array>} 返回一个包含文件临时URL的Promise对象。
+   *
+   * 注意：
+   *   1、临时URL有效时间仅10分钟，获取后要尽快加载图片
+   *   2、已经加载成功的，就算超过10分钟，也不影响图片的显示
+   *   3、临时URL如果已经超过5分钟，就会重新获取，而不是使用缓存
+   *   4、尽量一次性获取多个临时URL，减少调用次数，但每次最多50张图
+   *   5、此函数会调用all_user云函数，因为前端无法调用wx.cloud.getTempFileURL
+   *   6、图片被删除时deleted=true,temp_file_url=''（需在缓存过期下次获取时更新）
+   * 
+   * @example
+   * const fileList = [
+   *   { file_id: 'cloud://example-12345.abcdefgh/file1.jpg' },
+   *   { file_id: 'cloud://example-12345.abcdefgh/file2.jpg' }
+   * ];
+   *
+   * getTempFileURL(fileList).then(result => {
+   *   for (let i in result) {
+   *     console.log(result[i].temp_file_url) // 临时URL
+   *     console.log(result[i].deleted) // 是否已被删除
+   *     console.log(result[i].file_id) // 对应的file_id
+   *   }
+   * })
+   */
+  getTempFileURL (file_list) {
+    const _ = this
+    const cache_key = 'temp_file_urls'
+    return new Promise(async (resolve, reject) => {
+      const cache = _.getCache(cache_key, {default_value: {}})
+      const len = _.objLength(file_list)
+      if (len > 50) {
+        reject(_.makeError('INVALID_PARAM', 'wx.cloud.getTempFileURL接口限制最多50个文件', {len}))
+      }
+      const urls = {} // 临时URL字典
+      const expired_file_ids = [] // 过期需要查询的file_id
+      const now = _.now()    // 要用用户的本地时间判断
+      for (let i in file_list) {
+        const file_id = file_list[i].file_id
+        const c = cache[file_id]
+        // 如果缓存地址在有效期内（确定已删除的图片不需要再次获取URL）
+        if (c?.deleted || (c?.expire_time && now < c.expire_time)) {
+          urls[file_id] = cache[file_id].temp_file_url
+        } else {
+          expired_file_ids.push(file_id)
+        }
+      }
+      // 若有过期图片，去云端获得新的临时URL
+      if (expired_file_ids.length > 0) {
+        let res
+        try {
+          res = await _.call({
+            name: 'all_user',
+            action: 'GetTempFileUrl',
+            data: {
+              file_ids: expired_file_ids,
+            }
+          })
+        } catch (e) {
+          reject(_._toError(e, 'FILE_FAILED', '发起wx.cloud.getTempFileURL失败'))
+          return
+        }
+        if (!res.success) {
+          reject(_.makeError('FILE_FAILED', `获取临时URL失败：${res.errMsg}`))
+          return
+        }
+        const expire_time = _.minutesAgo(-5)
+        for (let i in res.file_list) {
+          const { file_id, temp_file_url } = res.file_list[i]
+          const deleted = _.isEmpty(temp_file_url)
+          cache[file_id] = {temp_file_url, expire_time, deleted}
+          urls[file_id] = temp_file_url
+        }
+      }
+      try {
+        _.assert(_.objLength(urls) === len)
+      } catch (e) {
+        reject(_.makeError('FILE_FAILED', '返回的临时URL数量不对', {len, urls}))
+        return
+      }
+      _.setCache(cache_key, cache)
+      return resolve(file_list.map(o => ({
+        file_id: o.file_id,
+        temp_file_url: urls[o.file_id],
+        deleted: _.isEmpty(urls[o.file_id]),
+      })))
     })
   },
 
+
+  /* === Promise === */
+
   /**
-   * 传入一个对象，设置多个用户配置值。
+   * 等待并判断promise列表是否全部成功。只关心是否全部成功, 不关心返回值。
    * 
-   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
-   * @param {Object} obj 用户配置对象，其中key支持点表示法，如 { 'a.b.c': 'value' }
-   * @param {Object} options 包含以下属性的对象:
-   *   - {boolean} skip_equal - 默认为 `false`，当为 `true` 时，不对存储进行比较，直接写入数据库
-   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
-   * @returns {Promise<boolean>} 返回一个Promise，当成功时，返回 `true`；当失败时，返回 `false`。
+   * @param {Array<Promise>} promises - Promise列表
+   * @returns {Promise<boolean>} 返回一个Promise，当所有Promise都成功时，返回 `true`；否则，返回 `false`。
    * 
-   * 说明
-   *   1. `obj` 的 `value` 为 `undefined` 时，可以删除用户配置。
-   *   2. 在 `onUnload` 中使用时记得添加await，如 `await utils.setUserConfigObj`，否则可能导致写入数据库失败。
-   *   3. 当 `changed` 为 `true` 时，表示修改了本地存储或数据库。
-   *
-   * 调用次数
-   *   1. obj中有任何一个value改变时，会写1次数据库，会消耗1次调用次数
-   *   2. obj中的所有value均未改变时，不会写数据库，不消耗调用次数
-   *   3. 指定skip_equal=true时会跳过判断值是否变动，直接写数据库，会消耗1次调用次数
-   *   4. 当obj中有多个value改变时，仅消耗1次调用次数
-   *   5. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数
-   *
    * @example
-   *   await utils.setUserConfigObj('key', {path: 'value', 'a.b.c': 1})
+   *   const success = await utils.allResolved([p1, p2, p3]) // 等待并判断promise列表是否全部成功
    */
-  setUserConfigObj (c, obj, {skip_equal = false, encrypt = true} = {}) {
+  allResolved (promises) {
     const _ = this
-    const storage_key = 's_' + c
-    const obj_keys = Object.keys(obj)
     return new Promise((resolve, reject) => {
-
-      // 获得本地缓存数据
-      _.getStorage(storage_key, encrypt)
-
-      // 本地有缓存（以本地缓存为准）
-        .then(data => {
-          let write_keys
-          if (skip_equal) {
-            write_keys = obj_keys
-          } else {
-            write_keys = obj_keys.filter(key => !_.isEqual(_.pickValue(data, key), obj[key]))
-          }
-          if (skip_equal || write_keys.length > 0) {
-            for (let key in obj) {
-              _.putValue(data, key, obj[key], {remove_undefined: false})
-            }
-            _._saveUserConfigToStorageAndCloudDB(c, data, {encrypt, write_keys}).then(() => {
-              resolve(true)
-            }).catch(reject)
-          } else {
-            resolve(false)
-          }
+      Promise.all(promises)
+        .then(() => {
+          resolve(true)
         })
-
-      // 本地没有缓存，先读一下数据库中是否有数据
-        .catch(() => {
-          _.getMyOneByAgg(c, {})
-            .then(doc => {
-              // 数据库没有数据时新建
-              if (!doc) {
-                doc = c.endsWith('_user') ? {is_admin: false} : {}
-              }
-              _.putValue(doc, '_openid', undefined) // 需要先删除_openid再和obj比较
-              _.putValue(doc, '_id', undefined)
-              let write_keys
-              if (skip_equal) {
-                write_keys = obj_keys
-              } else {
-                write_keys = obj_keys.filter(key => !_.isEqual(_.pickValue(doc, key), obj[key]))
-              }
-              if (skip_equal || write_keys.length > 0) {
-                for (let key in obj) {
-                  _.putValue(doc, key, obj[key], {remove_undefined: false})
-                }
-                _._saveUserConfigToStorageAndCloudDB(c, doc, {encrypt, write_keys}).then(() => {
-                  resolve(true)
-                }).catch(reject)
-              } else {
-                _.setStorage(storage_key, doc, encrypt)
-                  .then(() => {
-                    resolve(true)
-                  })
-                  .catch(e => { reject({errno: 'setUserConfigObj Failed', errMsg: `调用setStorage时失败`, e}) })
-              }
-            })
+        .catch(e => {
+          resolve(false)
         })
-
     })
   },
 
   /**
-   * 传入一个对象根据key获得多个用户配置。
-   * 返回的对象中，key为传入的对象的key，value为对应的用户配置，传入的obj的value是config不存在时的默认值。
+   * 把Array转换成Promise列表，并等待全部完成。
+   * 当你有一个组数列表，你需要对每个元素执行相同的异步操作，然后等待所有操作完成时，可以使用此函数。
    * 
-   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
-   * @param {Object} obj - 用户配置对象，其中 `key` 是配置项的键名，`value` 是配置项不存在时的默认值
-   * @param {Object} options - 包含以下属性的对象:
-   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
-   * @returns {Promise<Object>} 返回一个Promise，当成功时，返回一个对象，其中 `key` 是传入的对象的 `key`，`value` 是对应的用户配置；当失败时，返回错误信息。
+   * @param {Array<any>} arr - 需要转换的数组
+   * @param {function} pro_func - 函数，接收两个参数，分别是arr数组的元素和index, 返回一个promise
+   * @returns {Promise<boolean>} 返回一个Promise，当所有Promise都成功时，返回 `true`；否则，返回 `false`。
    * 
-   * 注意
-   *   1. 新用户调用时，数据库中没有数据，此时会在本地写入空 Storage，但不会在数据库中创建数据。
-   *   2. 若 `obj` 中部分 `key` 在本地缓存中有值，部分 `key` 没有值，则不会读取数据库，会使用 `obj` 默认值。
-   *   3. 同样的，之所以有情况2存在，可能是因为在云函数中修改用户配置，因此请勿在云函数中修改用户配置。
+   * @example
+   *   // 把Array转换成Promise列表，并等待全部完成
+   *   utils.awaitAll([1,2,3], (v, i) => {
+   *     return new Promise((resolve, reject) => {
+   *       setTimeout(() => {
+   *         console.log(v)
+   *         resolve()
+   *       }, 1000)
+   *     })
+   *   })
+   *   // 上面代码中，先把数组[1,2,3]转换成Promise列表，然后等待全部完成
+   */
+  awaitAll (arr, pro_func) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+      _.allResolved(arr.map(pro_func)).then(resolve).catch(reject)
+    })
+  },
+
+  /**
+   * 把一个Promise函数添加到顺序执行的队列中。
+   * 
+   * @param {function} promise_func - Promise函数，应返回一个Promise对象
    *
+   * 注意
+   *   1. `promise_func` 必须返回Promise
+   *   2. `promise_func` 会按顺序执行，不会并发执行，即使 `addPromiseToQueue` 被并发调用。
+   *   3. 此函数在整个小程序的所有页面中共享同一个队列
+   *   4. 若被添加的Promise执行时出现异常，不会影响后续Promise的执行
+   * 
    * @example
-   *   const setting = await utils.getUserConfigObj('key', {'a.b.c': 1, d: ''}) // 根据key获得多个用户配置
-   *   console.log(setting['a.b.c'])
-   *   console.log(setting.d)
+   *   utils.addPromiseToQueue(p1) // 把一个Promise函数添加到队列中，假设这个p1需要执行2秒钟
+   *   utils.addPromiseToQueue(p2) // 立即把另一个Promise添加到队列中，p2会在p1执行完后再执行
+   *   // 继续向队列中添加更多Promise，它们会按添加顺序逐一执行
    */
-  getUserConfigObj (c, obj, {encrypt = true} = {}) {
+  addPromiseToQueue (promise_func) {
     const _ = this
-    const storage_key = 's_' + c
-    return new Promise(async (resolve, reject) => {
+    _._promise_queue = _._promise_queue.then(() => promise_func()).catch(e => {})
+  },
 
-      function _getObjFromData (obj, data) {
-        const result = {}
-        for (const key in obj) {
-          result[key] = _.pickValue(data, key) ?? obj[key]
-        }
-        return result
-      }
 
-      function _loadFromCloud() {
-        _.getMyOneByAgg(c, {})
-          .then(doc => {
-            // 数据库中有数据
-            if (doc) {
-              _.putValue(doc, '_openid', undefined)
-              _.putValue(doc, '_id', undefined)
-              // 保存到本地缓存
-              _.setStorage(storage_key, doc, encrypt)
-                .then(() => { 
-                  resolve(_getObjFromData(obj, doc))
-                })
-                .catch(e => { reject({errno: 'getUserConfigObj Failed', errMsg: `调用setStorage时失败`, e}) })
-            } else {
-              // 数据库中没有数据
-              // 在本地缓存中写入空数据（避免反复读取数据库），此时数据库中没有对应的数据
-              doc = c.endsWith('_user') ? {is_admin: false} : {}
-              _.setStorage(storage_key, doc, encrypt)
-                .then(() => {
-                  resolve(_getObjFromData(obj, doc))
-                })
-                .catch(e => { reject({errno: 'getUserConfigObj Failed', errMsg: `调用setStorage时失败`, e}) })
-            }
-          })
-          .catch(e => { reject({errno: 'getUserConfigObj Failed', errMsg: `调用getOne时失败`, e}) })
-      }
+  /* === first app admin === */
 
-      // 从本地缓存中读取
-      _.getStorage(storage_key, encrypt)
+  /**
+   * 判断当前用户是否为管理员，用于显示隐藏的功能等。
+   * 
+   * @param {string} app - 应用名称
+   * @returns {boolean} 如果用户是管理员，返回 true，否则返回 false
+   */
+  isAdmin (app) {
+    const _ = this
+    _.assert(app, 'isAdmin函数的app不能为空')
+    const c = `${app}_user`
+    return _.getUserConfig(c, 'is_admin')
+  },
+
+  /**
+   * 仅管理员可使用，设置应用setting。
+   * 
+   * @param {string} key - 设置的键名
+   * @param {any} value - 设置的值
+   * @param {object} [options] - 可选参数
+   *   - name='default' - 应用设置的名称
+   */
+  setAppSetting (key, value, { name = 'default' } = {}) {
+    const _ = this
+    const c = 'app_setting'
+    const cache_key = `app_setting_${name}`
+    const app = _.appName()
+    _.getOne(c, {app, name})
+      .then(doc => {
+        if (doc) {
+          _.updateDoc(c, doc._id, {[key]: value})
+          _.putValue(doc, key, value)
+          _.setCache(cache_key, doc)
+        } else {
+          _.addDoc(c, {app, name, [key]: value, })
+          _.setCache(cache_key, {[key]: value})
+        }
+      })
+  },
+
+  /**
+   * 仅管理员可使用，向应用setting数组中添加值。
+   * 
+   * @param {string} key - 设置的键名
+   * @param {any} value - 设置的值
+   * @param {object} [options] - 可选参数
+   *   - name='default' - 应用设置的名称
+   */
+  pushAppSetting (key, value, { name = 'default' } = {}) {
+    const _ = this
+    const $ = _.command()
+    const c = 'app_setting'
+    const cache_key = `app_setting_${name}`
+    const app = _.appName()
+    _.getOne(c, {app, name})
+      .then(doc => {
+        if (doc) {
+          _.updateDoc(c, doc._id, {[key]: $.push(value)})
+          _.pushValue(doc, key, new_value)
+          _.setCache(cache_key, doc)
+        } else {
+          _.addDoc(c, {app, name, [key]: [value], })
+          _.setCache(cache_key, {[key]: [value]})
+        }
+      })
+  },
 
-      // 本地有缓存
-        .then(data => {
-          resolve(_getObjFromData(obj, data))
-        })
 
-      // 本地没有缓存，从数据库中读取
-        .catch(_loadFromCloud)
+  /* === 其他函数 === */
 
-    })
+  /**
+   * 获取当前小程序的名称name
+   * 需在app.js的globalData.config.app_name处设置app_name(请使用小写字母)
+   * @returns {string} 返回配置中设置的小程序名称
+   */
+  appName(){
+    const _ = this
+    const app_name = _.getConfig('app_name')
+    if (_.isEmpty(app_name)) {
+      throw new Error('请在app.js文件的globalData.config.app_name处设置app_name(请使用小写字母)')
+    }
+    return app_name
   },
 
   /**
-   * 把用户配置先放入缓冲区，用 `flushUserConfigBuffer` 函数一次性写入，以减少数据库调用次数。
-   * 
-   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
-   * @param {string} key 配置项的键名，支持点表示法，如'a.b.c'
-   * @param {any} value 配置项的值
-   * 
-   * 说明
-   *   1. 在设置页面，可先调用此函数，然后在 `onUnload` 事件中使用 `await utils.flushUserConfigBuffer()`。
-   *   2. 此函数只会修改缓冲区，不会修改数据库，从而不消耗调用次数。
-   *   3. 直至调用 `flushUserConfigBuffer` 函数后，才会修改本地存储和数据库。
-   *
-   * @example
-   *   utils.setUserConfigBuffer('admin_user', 'a.b.c', 'value') // 将配置项放入缓冲区
+   * 显示加载提示框。
+   * @param {Object} [options={title: '加载中...'}]
+   * @returns {Promise} 返回一个Promise对象。
    */
-  setUserConfigBuffer (c, key, value) {
-    const _ = this
-    const buffer = _._user_config_buffer
-    // 确保_user_config_buffer[c]存在，且是一个对象
-    if (!_.isObject(buffer[c])) { buffer[c] = {} }
-    /* 注意，这里不能使用_.putValue，当c是点表示法时需要逐一保存
-       举例说明，若使用_.putValue，当key等于a.b时，buffer[c]会变成{a: {b: value}}
-       此时当调用flushUserConfigBuffer时，data.a会被替换为{b: value}，导致a的其他数据丢失
-       */
-    buffer[c][key] = value // 这里不能使用_.putValue
+  showLoading ({title = '加载中...'} = {}) {
+    return wx.showLoading({ title, mask: true })
   },
 
   /**
-   * 把用户配置缓冲区中的数据一次性写入数据库。
-   * 
-   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
+   * 隐藏加载提示框。
+   * @returns {Promise} 返回一个Promise对象。
+   */
+  hideLoading () {
+    return wx.hideLoading()
+  },
+
+  /**
+   * 显示确认对话框，并在用户点击确认后执行后续操作。
+   * 点击取消时，如果设置`cancel_catch`为true，则触发Promise的reject。
    * @param {Object} options 包含以下属性的对象:
-   *   - {boolean} skip_equal - 默认为 `false`，当为 `true` 时，跳过比较直接写入数据库
-   *   - {boolean} encrypt - 默认为 `true`，是否对存储进行加密处理
-   * @returns {Promise} 返回一个Promise，当成功时，返回 `undefined`；当失败时，返回错误信息。
-   *
-   * 调用次数
-   *   1. 当 `skip_equal=false` 时，仅在缓冲区有数据且数据有变化时，会消耗1次调用次数，否则不消耗调用次数。
-   *   2. 当 `skip_equal=true` 时，无论缓冲区中的数据是否变化，都会直接写入数据库，消耗1次调用次数。
-   *   3. 不管缓冲区中有多少数据，写数据库操作只消耗1次调用次数。
-   *   4. 当前端Storage不存在时，会先读取一次数据库，此时会多消耗1次调用次数
-   *
-   * 注意
-   *   1. 注意缓冲区数据不能超过512K。
-   *   2. 在`onUnload`事件中调用时，记得使用 `await`，如 `await utils.flushUserConfigBuffer()`，否则可能导致写入数据库失败。
-   * 
-   * @example
-   *   utils.flushUserConfigBuffer('admin_user') // 一次性将缓冲区中的数据写入数据库
+   *   - {string} title - 对话框标题。
+   *   - {string} [content=''] - 对话框内容。
+   *   - {string} [confirmText='好的'] - 确认按钮的文本。
+   *   - {string|null} [confirmColor=null] - 确认按钮的颜色，未设置时基于`confirmText`自动选择。
+   *   - {string} [cancelText='取消'] - 取消按钮的文本。
+   *   - {boolean} [showCancel=true] - 是否显示取消按钮。
+   *   - {boolean} [cancel_catch=false] - 点击取消时是否触发Promise的reject。
+   * @returns {Promise} 根据用户的选择解决或拒绝Promise。
    */
-  flushUserConfigBuffer (c, {skip_equal = false, encrypt = true} = {}) {
+  confirm ({title, content = '', confirmText = '好的', confirmColor = null, cancelText = '取消', showCancel = true, cancel_catch = false} = {}) {
     const _ = this
-    const storage_key = 's_' + c
-    const buffer = _._user_config_buffer[c]
-    if (!_.isObject(buffer) || _.isEmpty(buffer)) {
-      return Promise.resolve()
-    }
     return new Promise((resolve, reject) => {
-
-      // 获得本地缓存数据
-      _.getStorage(storage_key, encrypt)
-
-      // 本地有缓存（以本地缓存为准）
-        .then(data => {
-          let write_keys
-          if (skip_equal) {
-            write_keys = Object.keys(buffer)
-          } else {
-            write_keys = Object.keys(buffer).filter(key => !_.isEqual(_.pickValue(data, key), buffer[key]))
-          }
-          if (!skip_equal && write_keys.length === 0) {
-            _.clearUserConfigBuffer(c)
-            return resolve()
-          }
-          for (const key in buffer) {
-            _.putValue(data, key, buffer[key], {remove_undefined: false})
-          }
-          _._saveUserConfigToStorageAndCloudDB(c, data, {encrypt, write_keys}).then(() => {
-            _.clearUserConfigBuffer(c)
-            resolve()
-          }).catch(reject)
-        })
-
-      // 本地没有缓存，先读一下数据库中是否有数据
-        .catch(() => {
-          _.getMyOneByAgg(c, {})
-            .then(doc => {
-              // 数据库没有数据时新建
-              if (!doc) {
-                doc = c.endsWith('_user') ? {is_admin: false} : {}
-              }
-              let write_keys
-              if (skip_equal) {
-                write_keys = Object.keys(buffer)
-              } else {
-                write_keys = Object.keys(buffer).filter(key => !_.isEqual(_.pickValue(doc, key), buffer[key]))
-              }
-              if (!skip_equal && write_keys.length === 0) {
-                _.clearUserConfigBuffer(c)
-                _.setStorage(storage_key, doc, encrypt).then(resolve)
-                return // resolve在上一行
-              }
-              for (const key in buffer) {
-                _.putValue(doc, key, buffer[key], {remove_undefined: false})
-              }
-              _._saveUserConfigToStorageAndCloudDB(c, doc, {encrypt, write_keys}).then(() => {
-                _.clearUserConfigBuffer(c)
-                resolve()
-              }).catch(reject)
-            })
+      if (confirmColor === null) {
+        confirmColor = _.in('删除', confirmText) ? _.getConfig('color.danger') : _.getConfig('color.ok')
+      }
+      if (title){
+        wx.showModal({
+          title,
+          content,
+          showCancel: true,
+          confirmText,
+          confirmColor,
+          cancelText,
+          showCancel,
+          cancelColor: _.getConfig('color.cancel'),
+        }).then( res => {
+          res.confirm ? resolve() : cancel_catch ? reject() : null
         })
+      }else{
+        reject({errno: 'confirm Failed', errMsg: '请传入title参数'})
+      }
     })
   },
 
   /**
-   * 清空用户配置缓冲区。当 `c` 为 `null` 时，清空所有缓冲区。
+   * 在给定的延迟后显示成功的提示。
    * 
-   * @param {string} c - 集合名称，通常形式为{app}_user，如admin_user
-   * @param {string|null} c - 用户配置的key值，当为 `null` 时，清空所有缓冲区
+   * @param {object} [options] - 可选参数
+   * @param {string} [options.text='ok'] - 要显示的文本
+   * @param {number} [options.duration=1500] - 提示显示的持续时间（毫秒）
+   * @param {number} [options.delay=0] - 显示提示前的延迟时间（毫秒）
+   */
+  showOk ({text = 'ok', duration = 1500, delay = 0} = {}) {
+    const _ = this
+    _.assert(_.isString(text), `传给showOk的参数必须是字符串: typeof text = ${typeof text}`)
+    function run () {
+      return wx.showToast({ title: text, icon: 'success', duration: duration })
+    }
+    if (delay === 0) {
+      return run()
+    } else {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          run().then(resolve).catch(reject)
+        }, delay)
+      })
+    }
+  },
+
+  /**
+   * 在给定的延迟后显示提示信息。
    * 
-   * @example
-   *   utils.clearUserConfigBuffer('admin_user') // 清空指定的缓冲区
-   *   utils.clearUserConfigBuffer(null) // 清空所有缓冲区
+   * @param {object} [options] - 可选参数
+   * @param {string} options.text - 要显示的文本
+   * @param {number} [options.duration=1500] - 提示显示的持续时间（毫秒）
+   * @param {number} [options.delay=0] - 显示提示前的延迟时间（毫秒）
+   * @returns {Promise} 返回一个 Promise，resolve 时返回提示信息
    */
-  clearUserConfigBuffer (c = null) {
+  showTip ({text, duration = 1500, delay = 0} = {}) {
     const _ = this
-    if (c === null) {
-      _._user_config_buffer = {}
+    _.assert(_.isString(text), `传给showTip的参数必须是字符串: typeof text = ${typeof text}`)
+    function run () {
+      return wx.showToast({ title: text.toString(), icon: 'none', duration })
+    }
+    if (delay === 0) {
+      return run()
     } else {
-      delete _._user_config_buffer[c]
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          run().then(resolve).catch(reject)
+        }, delay)
+      })
     }
   },
 
   /**
-   * 从 app_setting 集合中获取网站设置。
+   * 在给定的延迟后显示错误信息。
    * 
-   * @param {string} key - 设置的键名
    * @param {object} [options] - 可选参数
-   * @param {string} [options.name='default'] - 应用设置的名称
-   * @param {boolean} [options.use_cache=true] - 是否使用缓存
-   * @returns {Promise} 返回一个 Promise，resolve 时返回键名对应的值
+   * @param {string} options.text - 要显示的错误信息
+   * @param {number} [options.duration=2000] - 提示显示的持续时间（毫秒）
+   * @param {number} [options.delay=0] - 显示提示前的延迟时间（毫秒）
+   * @returns {Promise} 返回一个 Promise，resolve 时返回错误信息
    */
-  getAppSetting (key, { name = 'default', use_cache = true } = {}) {
+  showError ({text, duration = 2000, delay = 0} = {}) {
     const _ = this
-    const c = 'app_setting'
-    const cache_key = `app_setting_${name}`
-    const cache = _.getCache(cache_key)
-    const app = _.appName()
+    _.assert(_.isString(text), `传给showError的参数必须是字符串: typeof text = ${typeof text}`)
+    function run () {
+      return wx.showToast({ title: text.toString(), icon: 'error', duration })
+    }
+    if (delay === 0) {
+      return run()
+    } else {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          run().then(resolve).catch(reject)
+        }, delay)
+      })
+    }
+  },
+
+  /**
+   * 请求权限后执行某项操作。
+   * 
+   * @param {object} options - 参数对象
+   * @param {string} options.auth - 请求的权限
+   * @returns {Promise} 返回一个 Promise，resolve 时表示用户已授权
+   */
+  authorized ({auth} = {}) {
     return new Promise((resolve, reject) => {
-      // 从数据库获取最新版本
-      function getFromDB () {
-        _.getOne(c, {app, name})
-          .then(doc => {
-            if (doc) {
-              _.setCache(cache_key, doc)
-              resolve(_.pickValue(doc, key))
+      if (auth){
+        wx.getSetting()
+          .then(res => {
+            if (res.authSetting[auth]) {
+              resolve()
             } else {
-              _.setCache(cache_key, {})
-              resolve(null)
+              wx.authorize({ scope: auth }).then(resolve).catch(reject)
             }
           })
           .catch(reject)
-      }
-      if ( use_cache && !_.isNone(cache) && !_.isEmpty(cache) ) {
-        const value = _.pickValue(cache, key)
-        if (!_.isNone(value)) {
-          resolve(value)
-        } else {
-          getFromDB()
-        }
-      } else {
-        getFromDB()
+      }else{
+        reject({errno: 'auth Failed', errMsg: '缺少auth参数'})
       }
     })
   },
 
-
-  /* === 环境值 === */
-
   /**
-   * 获取状态栏高度。
+   * 返回大于等于 0，小于 max 的随机整数。
    * 
-   * @returns {number} 返回状态栏的高度
+   * @param {number} max - 最大值
+   * @returns {number} 返回随机整数
    */
-  statusBarHeight () {
-    return WINDOW_INFO.statusBarHeight
+  randomInt (max) {
+    return Math.floor(Math.random() * max)
   },
 
   /**
-   * 获取底部安全区域的高度。
+   * 返回长度为 size 的随机字符串。
    * 
-   * @returns {number} 返回底部安全区域的高度
+   * @param {number} size - 字符串长度
+   * @param {object} [options] - 可选参数
+   * @param {boolean} [options.only_lowercase=false] - 是否只包含小写字母
+   * @returns {string} 返回随机字符串
    */
-  bottomSafeAreaHeight () {
-    const _ = this
-    const info = WINDOW_INFO
-    if (info?.safeArea) {
-      return info.screenHeight - info.safeArea.bottom
-    } else {
-      return 0
+  randomString(size, {only_lowercase = false} = {}) {
+    const upper = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+    const lower = 'abcdefghijklmnopqrstuvwxyz'
+    const digits = '0123456789'
+    let s = only_lowercase ? lower : upper + lower + digits
+    let result = ''
+    for (let i = 0; i < size; i++) {
+      result += s.charAt(Math.floor(Math.random() * s.length))
     }
+    return result
   },
 
   /**
-   * 获取整个可视区域的宽度。
+   * 返回长度为 size 的随机数字字符串，可能以 0 开头。
    * 
-   * @returns {number} 返回可视区域的宽度
+   * @param {number} size - 字符串长度
+   * @returns {string} 返回随机数字字符串
    */
-  getScreenWidth () {
-    return WINDOW_INFO.windowWidth
+  randomNumber(size) {
+    const digits = '0123456789'
+    let result = ''
+    for (let i = 0; i < size; i++) {
+      result += digits.charAt(Math.floor(Math.random() * digits.length))
+    }
+    return result
   },
 
   /**
-   * 获取整个可视区域的高度。
+   * 从数组中随机选择几个元素的函数。
    * 
-   * @returns {number} 返回可视区域的高度
+   * @param {Array} l - 原数组
+   * @param {number} [count=1] - 选择的元素个数
+   * @returns {Array} 返回随机选择的元素数组
    */
-  getScreenHeight () {
-    return WINDOW_INFO.windowHeight
+  randomChoose(l, count = 1) {
+    const l2 = Array.from(l)
+    if (l2.length > 0) {
+      if (count === 1) {
+        return l2[Math.floor(Math.random() * l2.length)]
+      } else {
+        const shuffled = l2.slice().sort(() => Math.random() - 0.5)
+        return shuffled.slice(0, count)
+      }
+    } else {
+      return (count === 1) ? null : []
+    }
   },
 
-
-  /* === 页面组件 === */
-
   /**
-   * 获取当前页面滚动的高度。
+   * 断言函数，如果条件不满足，抛出错误。
    * 
-   * @returns {Promise} 返回一个 Promise，resolve 时返回滚动的高度
+   * @param {boolean} condition - 断言的条件
+   * @param {string} [message=''] - 如果断言失败，抛出的错误信息
    */
-  getPageScrollTop () {
-    const _ = this
-    return new Promise(async (resolve, reject) => {
-      wx.createSelectorQuery().selectViewport().scrollOffset(function (res) {
-        resolve(res.scrollTop)
-      }).exec()
-    })
+  assert (condition, message = '') {
+    if (!condition) {
+      throw new Error(message || 'Assertion failed')
+    }
   },
 
   /**
-   * 获取指定元素的滚动高度（通常是 `<scroll-view>`）。
+   * 比较两个版本号的大小。
    * 
-   * @param {string} selector - 选择器
-   * @returns {Promise} 返回一个 Promise，resolve 时返回滚动的高度
+   * @param {string} v1 - 第一个版本号
+   * @param {string} v2 - 第二个版本号
+   * @returns {number} 如果 v1 > v2，返回 1，如果 v1 < v2，返回 -1，如果 v1 = v2，返回 0
    */
-  getViewScrollTop (selector) {
-    const _ = this
-    return new Promise(async (resolve, reject) => {
-      wx.createSelectorQuery().select(selector).scrollOffset(function (res) {
-        _.log(res)
-        resolve(res.scrollTop)
-      }).exec()
-    })
+  compareVersion(v1, v2) {
+    v1 = v1.split('.')
+    v2 = v2.split('.')
+
+    const len = Math.max(v1.length, v2.length)
+
+    while (v1.length < len) {
+      v1.push('0')
+    }
+    while (v2.length < len) {
+      v2.push('0')
+    }
+
+    for (let i = 0; i < len; i++) {
+      const num1 = parseInt(v1[i])
+      const num2 = parseInt(v2[i])
+
+      if (num1 > num2) {
+        return 1
+      } else if (num1 < num2) {
+        return -1
+      }
+    }
+
+    return 0
   },
 
   /**
-   * 获取一个元素的宽度，元素不存在时触发 catch。
+   * 复制内容到剪贴板。
    * 
-   * @param {string} selector - 选择器
-   * @returns {Promise} 返回一个 Promise，resolve 时返回元素的宽度
+   * @param {string} text - 要复制到剪贴板的文本
    */
-  getViewWidth (selector) {
-    const _ = this
-    return new Promise((resolve, reject) => {
-      wx.createSelectorQuery().select(selector).boundingClientRect(function(rect) {
-        if (rect) { resolve(rect.width) } else { reject() }
-      }).exec()
+  copyToClipboard(text) {
+    wx.setClipboardData({
+      data: text
     })
   },
 
   /**
-   * 获取一个元素的高度，元素不存在时触发 catch。
+   * 从剪贴板中获取内容（前端）。
    * 
-   * @param {string} selector - 选择器
-   * @returns {Promise} 返回一个 Promise，resolve 时返回元素的高度
+   * @returns {Promise} 返回一个 Promise，resolve 时返回剪贴板的内容
    */
-  getViewHeight (selector) {
+  getClipboardData() {
     const _ = this
     return new Promise((resolve, reject) => {
-      wx.createSelectorQuery().select(selector).boundingClientRect(function(rect) {
-        if (rect) { resolve(rect.height) } else { reject() }
-      }).exec()
+      wx.getClipboardData()
+        .then(res => {
+          resolve(res.data)
+        })
+        .catch(reject)
     })
   },
 
-
-  /* === 页面路由跳转 === */
-
   /**
-   * 打开给定 URL 的页面（URL 为以 `/` 开头的绝对路径）。
+   * 预览对象。
    * 
-   * @param {string} url - 要打开的页面的 URL
-   * @returns {Promise} 返回一个 Promise，resolve 时表示页面已打开
+   * @param {object} options - 参数对象
+   * @param {object} options.obj - 要预览的对象
    */
-  openPage (url) {
-    return wx.navigateTo({ url })
+  previewObject({obj}) {
+    const _ = this
+    _.globalData().temp.preview_obj = obj
+    _.openPage(`/utils/dev_tools/preview_obj/preview_obj?data_from=temp`)
   },
 
   /**
-   * 切换到给定 URL 的 tab 页面。
+   * 发送文件给朋友(pdf、word等）。
+   * 注意：
+   *    1. 此函数不能在utils.call中使用(通常需要用call获得file_url)，要提前获得file_url
+   *       也不能和utils.call放在同一个函数中，否则看不见分享效果
+   *       需要使用两个按钮来分享文件，第一个是创建文件，第二个是调用shareFileToFriend分享
+   *    2. 需在小程序后台->开发->开发设置->服务器域名的 downloadFile合法域名 中添加 https://xxxxxxxxx.qcloud.la 域名
+   *    3. 微信开发者工具中看不到分享效果，电脑端可用浏览器下载后预览
    * 
-   * @param {string} url - 要切换到的 tab 页面的 URL
-   * @returns {Promise} 返回一个 Promise，resolve 时表示已切换到 tab 页面
+   * @param {string} file_url - 文件的网络地址
+   * @param {string} file_name - 文件名，带后缀
+   * @returns {Promise} 返回一个Promise，当成功时，返回 `undefined`；当失败时，返回错误信息
    */
-  switchTab (url) {
-    return wx.switchTab({ url })
+  shareFileToFriend (file_url, file_name) {
+    const _ = this
+    return new Promise((resolve, reject) => {
+
+      // 这里需要保存到用户本地目录，否则Android分享没有文件icon
+      const filePath = `${wx.env.USER_DATA_PATH}/${file_name}`
+
+      wx.downloadFile({
+        url: file_url,
+        filePath,
+        success: ({statusCode, tempFilePath}) => {
+          if (statusCode === 200) {
+            wx.shareFileMessage({
+              filePath, // 这里要使用上面的路径，而不是tempFilePath
+              fileName: file_name,
+            })
+            resolve()
+          } else {
+            reject()
+          }
+        },
+        fail: reject,
+      })
+    })
   },
 
+
+  /* === 私有辅助 === */
+
   /**
-   * 关闭当前所有页面，并跳转到新页面（清空页面栈）。
+   * 返回数据库访问对象
    * 
-   * @param {string} url - 要跳转到的新页面的 URL
-   * @returns {Promise} 返回一个 Promise，resolve 时表示已跳转到新页面
+   * @returns {Object} 数据库访问对象
    */
-  reLaunch (url) {
-    return wx.reLaunch({ url })
+  _db () {
+    return APP().cloud.database()
   },
 
   /**
-   * 获取上一个页面。
+   * 生产环境下给集合名称添加p_前缀(all_前缀的集合除外)
    * 
-   * @returns {object|null} 返回上一个页面，如果不存在，返回 null
+   * @param {string} c - 集合名
+   * @returns {string} 添加前缀后的集合名
    */
-  prevPage () {
-    return getCurrentPages().at(-2) ?? null
+  _collName(c){
+    const _ = this
+    if( !_.isLocal() && !c.startsWith('all_') ){
+      c = 'p_' + c
+    }
+    return c
   },
 
   /**
-   * 获取当前页面。
+   * 用于创建数据查询需要返回或排除的字段
    * 
-   * @returns {object} 返回当前页面
-   */
-  currPage () {
-    return getCurrentPages().pop()
-  },
-
-  /**
-   * 获取当前页面的路径。
+   * only和except是用逗号分隔的字符串，如：'_id, content'。
    * 
-   * @returns {string} 返回当前页面的路径
+   * @param {string} [only=''] - 需要返回的字段，多个字段用逗号分隔，支持点表示法
+   * @param {string} [except=''] - 需要排除的字段，多个字段用逗号分隔，支持点表示法
+   * @returns {Object} 字段映射对象，需要返回的字段值为true，需要排除的字段值为false
    */
-  currPagePath () {
-    return getCurrentPages().pop().route
+  _makeField(only = '', except = '') {
+    const _ = this
+    let field = {}
+    if (only){
+      _.split(only, ',').forEach(f => { field[f] = true })
+    }
+    if (except){
+      _.split(except, ',').forEach(f => { field[f] = false })
+    }
+    return field
   },
 
   /**
-   * 查找并返回给定路径的页面对象（URL 为以 `/` 开头的绝对路径）。
-   * 
-   * @param {string} url - 要查找的页面的 URL
-   * @returns {object|null} 返回给定路径的页面对象，如果不存在，返回 null
+   * 对数组的每个元素执行异步函数，最多同时执行limit个
+   * @param {Array} arr - 数组
+   * @param {number} limit - 最多同时执行的数量
+   * @param {Function} fn - 异步函数，参数为 (元素, index)
+   * @returns {Promise<Array>} 与arr一一对应的结果，任一失败时reject
    */
-  findPageByPath(url) {
-    // 获取当前的页面栈
-    const pages = getCurrentPages()
-
-    if (url[0] !== '/') { throw new Error('url必须以/开头') }
-
-    // 遍历页面栈，查找匹配的页面实例
-    for (let i = 0; i < pages.length; i++) {
-      if ('/' + pages[i].route === url) {
-        return pages[i]
+  async _mapLimit (arr, limit, fn) {
+    const results = new Array(arr.length)
+    let next = 0
+    const worker = async () => {
+      while (next < arr.length) {
+        const i = next++
+        results[i] = await fn(arr[i], i)
       }
     }
-
-    return null
+    await Promise.all(Array.from({length: Math.max(1, Math.min(limit, arr.length))}, worker))
+    return results
   },
 
   /**
-   * 回到上一个页面，如果在回到上一个页面后需要显示提示信息，可以提供 `show_ok` 或 `show_tip` 参数。
-   * 
-   * @param {object} [options] - 可选参数
-   * @param {string|null} [options.default_page=null] - 默认的页面
-   * @param {string|null} [options.show_ok=null] - 成功时要显示的提示信息
-   * @param {string|null} [options.show_tip=null] - 失败时要显示的提示信息
-   * @returns {Promise} 返回一个 Promise，resolve 时表示已回到上一个页面
-   * 
-   * 注意
-   *   1. 若想在back后显示提示信息，可以这样写：sh.back({show_ok = '提交成功', show_tip = '提交失败'})
-   *   2. 使用此函数需在app.js文件中的 globalData.config.default_page 设置默认页面，表示回到上一个页面失败时跳转的页面
+   * 整理populate参数（见docs函数）
+   * @param {Object|null} populate - populate参数
+   * @param {string} by - 未指定by时使用的读取方式
+   * @returns {Object} {specs, error}
+   *   - {Array<Object>} specs - [{field, c, only, except, as, by}]
+   *   - {Object|null} error - populate参数不正确时为INVALID_PARAM错误对象，由调用者reject
    */
-  back ({default_page = null, show_ok = null, show_tip = null} = {}) {
+  _populateSpecs (populate, by = 'in') {
     const _ = this
-    if (_.isEmpty(_.getConfig('default_page'))) {
-      throw new Error('请在 app.js 文件中的 globalData.config.default_page 设置默认页面')
-    }
-    return wx.navigateBack({
-      delta: 1
-
-    }).catch(() => {
-      return wx.navigateTo({
-        url: default_page ?? _.getConfig('default_page')
-      })
-
-    }).catch(e => {
-      return wx.switchTab({
-        url: default_page ?? _.getConfig('default_page')
-      })
-
-    }).then(() => {
-      if (show_ok) {
-        _.showOk({text: show_ok})
-      } else if (show_tip) {
-        _.showTip({text: show_tip})
+    const specs = []
+    for (let [field, spec] of Object.entries(populate || {})) {
+      if (_.isString(spec)) {
+        spec = {c: spec}
       }
-    })
+      if (!spec || !_.isString(spec.c)) {
+        return {specs: [], error: _.makeError('INVALID_PARAM', `populate：字段${field}必须指定集合名称c`)}
+      }
+      const as = spec.as || (field.endsWith('_id') ? field.slice(0, -3) : `${field}_doc`)
+      specs.push({field, c: spec.c, only: spec.only || '', except: spec.except || '', as, by: spec.by || by})
+    }
+    return {specs, error: null}
   },
 
   /**
-   * 获取上一个页面的名称（即 `abc.wxml` 中的 `abc`）。
-   * 
-   * @returns {string} 返回上一个页面的名称
+   * 在字段映射中加入populate的字段，否则only、except不包含这些字段时读取不到引用的文档
+   * @param {Object} field - 字段映射对象，见_makeField
+   * @param {Array<Object>} specs - _populateSpecs的结果
+   * @returns {Object} {field, extra}，extra为读取引用的文档后需要删除的字段（引用的文档保存在原字段时不删除）
    */
-  prevPageName () {
-    return this.prevPage()?.route.split('/').pop() ?? ''
+  _populateField (field, specs) {
+    const _ = this
+    const ret = _._includeFields(field, specs.map(spec => spec.field))
+    return {field: ret.field, extra: ret.extra.filter(k => !specs.some(spec => spec.as === k))}
   },
 
-
-  /* === 网络 === */
-
   /**
-   * 从云存储中下载图片，不支持网络url。
-   * 
-   * @param {Object} options - 包含以下属性的对象:
-   *   - {string} fileID - 文件ID
-   *   - {string} [tip='图片下载中'] - 下载过程中显示的提示信息
-   *   - {string} [ok='图片已保存'] - 下载完成后显示的提示信息
-   * @returns {Promise} 返回一个Promise，当成功时，返回 `undefined`；当失败时，返回错误信息
+   * 用$.in批量读取docs引用的文档，并附加到docs中（直接修改docs）
+   * @param {Array<Object>} docs - 文档列表
+   * @param {Array<Object>} specs - _populateSpecs的结果
+   * @param {Array<string>} extra - 附加后需要删除的字段，见_populateField
+   * @returns {Promise<Array<Object>>} 附加了引用文档的docs
    */
-  downImage ({fileID, tip = '图片下载中', ok = '图片已保存'}) {
+  _populate (docs, specs, extra = []) {
     const _ = this
-    const showErrorTip = () => { _.showTip({text: '下载失败'}) }
-
-    return new Promise((resolve, reject) => {
-
-      // 查询权限需要时间，因此先显示loading，以免视觉卡顿
-      wx.showLoading({ title: tip, mask: true })
-
-      _.authorized({auth: 'scope.writePhotosAlbum'})
-        .then(() => {
-
-          _._cloud().downloadFile({
-            fileID: fileID,
-          })
-            .then(res => {
-
-              if (res.statusCode === 200) {
-                wx.saveImageToPhotosAlbum({
-                  filePath: res.tempFilePath,
-                })
-                  .then(() => {
-                    wx.showToast({ title: ok, icon: 'success', duration: 1500 })
-                    resolve()
-                  })
-                  .catch(e => {
-                    _.showTip({text: '已取消下载'})
-                  })
-              } else {
-                _.error({title: 'utils.downImage下载失败，res.statusCode不等于200', res})
-                showErrorTip()
-                reject({errno: 'downImage Failed', errMsg: 'res.statusCode不等于200'})
-              }
-
-            })
-            .catch(e => {
-              _.error({title: 'utils.downImage下载失败，_._cloud().downloadFile异常', e})
-              showErrorTip()
-              reject(e)
-            })
-          // 应该等 _._cloud().downloadFile 执行完后才隐藏loading
-            .finally(wx.hideLoading)
-
-        })
-        .catch(e => {
-          wx.hideLoading()
-          _.showTip({text: '需开启相册权限，请点击右上角“...” -> “设置”，打开相册授权'})
-          reject(e)
-        })
-
+    return Promise.all(specs.map(({field, c, only, except, as}) => {
+      const refs = docs.flatMap(d => [_.pickValue(d, field)].flat())
+      const ids = [...new Set(refs.filter(id => _.isString(id) && id !== ''))]
+      return _.getDocsByIds(c, ids, {only, except}).then(list => {
+        _._attachRefs(docs, field, as, new Map(ids.map((id, i) => [id, list[i]])))
+      })
+    })).then(() => {
+      _._removeFields(docs, extra)
+      return docs
     })
-
   },
 
   /**
-   * 从网络URL下载图片。
-   * 
-   * @param {Object} options - 包含以下属性的对象:
-   *   - {string} url - 图片的URL
-   *   - {string} [tip='图片下载中'] - 下载过程中显示的提示信息
-   *   - {string} [ok='图片已保存'] - 下载完成后显示的提示信息
-   * @returns {Promise} 返回一个Promise，当成功时，返回 `undefined`；当失败时，返回错误信息
+   * 把聚合查询lookup阶段读取的文档（保存在_populate_i字段中）附加到docs中（直接修改docs）
+   * @param {Array<Object>} docs - 文档列表
+   * @param {Array<Object>} specs - 使用lookup读取的_populateSpecs，i为其中的序号
    */
-  downImageFromUrl ({url, tip = '图片下载中', ok = '图片已保存'}) {
+  _attachLookups (docs, specs) {
     const _ = this
-    const showErrorTip = () => { _.showTip({text: '下载失败'}) }
-
-    return new Promise((resolve, reject) => {
-
-      // 查询权限需要时间，因此先显示loading，以免视觉卡顿
-      wx.showLoading({ title: tip, mask: true })
-
-      _.authorized({auth: 'scope.writePhotosAlbum'})
-        .then(() => {
-
-          wx.downloadFile({
-            url,
-            success: (res) => {
-              if (res.statusCode === 200) {
-                wx.saveImageToPhotosAlbum({
-                  filePath: res.tempFilePath,
-                  success: () => {
-                    wx.showToast({ title: ok, icon: 'success', duration: 1500 })
-                    resolve()
-                  },
-                  fail: () => {
-                    _.showTip({text: '已取消下载'})
-                    reject()
-                  }
-                })
-              } else {
-                _.error({title: 'utils.downImageFromUrl下载失败，res.statusCode不等于200', res})
-                showErrorTip()
-                reject({errno: 'downImageFromUrl Failed', errMsg: 'res.statusCode不等于200'})
-              }
-            },
-            fail: (e) => {
-              _.error({title: 'utils.downImageFromUrl下载失败，wx.downloadFile异常', e})
-              showErrorTip()
-              reject(e)
-            },
-            complete: () => {
-              wx.hideLoading()
-            }
-          })
-
-        })
-        .catch(e => {
-          wx.hideLoading()
-          _.showTip({text: '需开启相册权限，请点击右上角"..." -> "设置"，打开相册授权'})
-          reject(e)
-        })
-
+    specs.forEach(({field, only, except, as}, i) => {
+      const field_map = _._makeField(only, except)
+      for (const d of docs) {
+        const by_id = new Map((d[`_populate_${i}`] || []).map(r => [r._id, _._pickFields(r, field_map)]))
+        delete d[`_populate_${i}`]
+        _._attachRefs([d], field, as, by_id)
+      }
     })
-
   },
 
   /**
-   * 获得image.js中的图片。
-   * 
-   * @param {string} image_name - 图片名称
-   * @returns {string|null} 返回图片的URL，如果找不到，返回 `null`
+   * 按字段中的id（或id数组）把引用的文档保存到as字段
+   * @param {Array<Object>} docs - 文档列表
+   * @param {string} field - 保存id的字段，支持点表示法
+   * @param {string} as - 保存引用文档的字段，支持点表示法
+   * @param {Map} by_id - {id: 文档}，文档不存在时没有此id或值为null
    */
-  globalImage (image_name){
+  _attachRefs (docs, field, as, by_id) {
     const _ = this
-    const global_image = _.globalData().image
-    return global_image?.[image_name] ?? null
+    for (const d of docs) {
+      const v = _.pickValue(d, field)
+      const ref = _.isArray(v) ? v.map(id => by_id.get(id)).filter(r => r) : (by_id.get(v) ?? null)
+      _.putValue(d, as, ref, {remove_undefined: false})
+    }
   },
 
-
-  /* === 文件 === */
-
   /**
-   * 预加载图片文件。
-   * @param {Object} obj - 包含图片URL的对象或数组。
-   * @param {string} url_key - 对象中包含URL的键名。
-   *
-   * 根据对象中的URL键值，使用 `wx.downloadFile` 方法下载图片到本地临时路径。
-   * 注意使用时需先调用 `preloadFiles` 下载图片，然后再使用 `setData` 更新数据，
-   * 并确保在wxml中使用 `tempFilePath || url` 来引用图片。
+   * 按_makeField生成的字段映射，返回文档中需要的字段
+   * @param {Object} d - 文档
+   * @param {Object} field - 字段映射对象，见_makeField
+   * @returns {Object} 新的文档（未指定only时为原文档）
    */
-  preloadFiles (obj, url_key) {
+  _pickFields (d, field) {
     const _ = this
-    _.allKeyMap(obj, url_key, (url, o) => {
-      if (url && !o.tempFilePath) {
-        wx.downloadFile({
-          url,
-          success: (res) => {
-            o.tempFilePath = res.tempFilePath
-          },
-        })
-      }
-    }, { over_write: false }) // over_write: false, 不修改已有的url_key
+    const only = Object.keys(field).filter(k => field[k])
+    let r = d
+    if (only.length > 0) {
+      r = {_id: d._id}
+      only.filter(k => _.pickValue(d, k) !== undefined).forEach(k => _.putValue(r, k, _.pickValue(d, k)))
+    }
+    _._removeFields([r], Object.keys(field).filter(k => !field[k]))
+    return r
   },
 
   /**
-   * 清理无效的预加载图片文件。
-   * @param {Object} obj - 包含 `tempFilePath` 的对象或数组。
-   * 
-   * 针对已保存到本地的图片，如果根据 `tempFilePath` 找不到图片，则删除该路径。
+   * 分组聚合查询，分多次读取全部分组
+   *
+   * @param {string} c - 集合名称
+   * @param {Object} match - 匹配条件
+   * @param {Object} group - group阶段的参数，如：{_id: '$status', count: $.sum(1)}
+   * @param {number} page_size - 每次读取的分组数量，默认为1000
+   * @returns {Promise<Array<Object>>} 按_id升序排列的全部分组，读取出错时reject DB_READ_FAILED错误
+   *
+   * 说明
+   *   1. 分组的_id可能为null或不同类型，无法使用keyset分页，因此使用skip；每次读取都会重新分组。
    */
-  clearRemovedPreloadFiles (obj) {
+  _groupAll (c, match, group, page_size = 1000) {
     const _ = this
-    _.allKeyMap(obj, 'tempFilePath', (path, o) => {
-      // 判断文件是否存在
-      wx.getFileSystemManager().access({
-        path: path,
-        fail: () => {
-          // 文件不存在
-          delete o.tempFilePath
-        },
-      })
-    }, { over_write: false }) // over_write: false, 让回调函数自己决定是否删除tempFilePath
+    return new Promise(async (resolve, reject) => {
+      let result = []
+      let has_more = true
+      while (has_more) {
+        try {
+          const res = await _._dbCall('aggregate', c, _.agg(c).match(match).group(group).sort({_id: 1}).skip(result.length).limit(page_size).end())
+          result = result.concat(res.list)
+          has_more = res.list.length === page_size
+        } catch (e) {
+          reject(_._toError(e, 'DB_READ_FAILED', `统计集合${c}失败`))
+          return
+        }
+      }
+      resolve(result)
+    })
   },
 
   /**
-   * 同步检查文件是否存在。
-   * @param {string} path - 检查的文件路径。
-   * @returns {boolean} 文件存在返回true，否则返回false。
+   * 生成search函数的查询条件
+   * @param {string} keyword - 关键词，多个关键词用空格分隔
+   * @param {Array<string>} fields - 搜索的字段
+   * @param {boolean} use_index - 是否使用搜索索引（_search字段）
+   * @returns {Object|null} 查询条件，没有可搜索的关键词时为null
    */
-  tempFileExistsSync (path) {
-    try {
-      wx.getFileSystemManager().accessSync(path)
-      return true
-    } catch(e) {
-      return false
+  _searchMatch (keyword, fields, use_index) {
+    const _ = this
+    const $ = _.command()
+    const conds = []
+    for (const term of String(keyword ?? '').split(/\s+/).filter(t => t)) {
+      if (use_index) {
+        const tokens = _._searchTokens(term, {for_query: true})
+        if (tokens.length > 0) {
+          conds.push($.or(fields.map(f => ({[`_search.${f}`]: $.all(tokens)}))))
+        }
+      } else {
+        const regexp = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        conds.push($.or(fields.map(f => ({[f]: _._db().RegExp({regexp, options: 'i'})}))))
+      }
+    }
+    if (conds.length === 0) {
+      return null
     }
+    return conds.length === 1 ? conds[0] : $.and(conds)
   },
 
   /**
-   * 获取文件的临时URL，优先使用本地缓存。
-   * @param {Array} file_list - 包含文件ID的数组，每个元素形式为 {file_id}。
-   * @returns {Promise<Array>} 返回一个包含文件临时URL的Promise对象。
+   * 把文本分词，用于搜索索引
+   * 中文（用isContainChinese判断）按单字和相邻的两个字分词，英文和数字按单词分词，都转为小写。
    *
-   * 注意：
-   *   1、临时URL有效时间仅10分钟，获取后要尽快加载图片
-   *   2、已经加载成功的，就算超过10分钟，也不影响图片的显示
-   *   3、临时URL如果已经超过5分钟，就会重新获取，而不是使用缓存
-   *   4、尽量一次性获取多个临时URL，减少调用次数，但每次最多50张图
-   *   5、此函数会调用all_user云函数，因为前端无法调用wx.cloud.getTempFileURL
-   *   6、图片被删除时deleted=true,temp_file_url=''（需在缓存过期下次获取时更新）
-   * 
-   * @example
-   * const fileList = [
-   *   { file_id: 'cloud://example-12345.abcdefgh/file1.jpg' },
-   *   { file_id: 'cloud://example-12345.abcdefgh/file2.jpg' }
-   * ];
+   * @param {string} s - 文本
+   * @param {Object} options - 可选参数:
+   *   - {boolean} for_query - 是否为查询关键词分词。为true时两个字以上的中文只使用相邻的两个字，减少需要匹配的分词
+   * @returns {Array<string>} 不重复的分词
    *
-   * getTempFileURL(fileList).then(result => {
-   *   for (let i in result) {
-   *     console.log(result[i].temp_file_url) // 临时URL
-   *     console.log(result[i].deleted) // 是否已被删除
-   *     console.log(result[i].file_id) // 对应的file_id
-   *   }
-   * })
+   * @example
+   *   _searchTokens('周报Review') // ['周', '报', '周报', 'review']
    */
-  getTempFileURL (file_list) {
+  _searchTokens (s, {for_query = false} = {}) {
     const _ = this
-    const cache_key = 'temp_file_urls'
-    return new Promise(async (resolve, reject) => {
-      const cache = _.getCache(cache_key, {default_value: {}})
-      const len = _.objLength(file_list)
-      if (len > 50) {
-        reject({errno: 'getTempFileURL Failed', errMsg: 'wx.cloud.getTempFileURL接口限制最多50个文件', len})
-      }
-      const urls = {} // 临时URL字典
-      const expired_file_ids = [] // 过期需要查询的file_id
-      const now = _.now()    // 要用用户的本地时间判断
-      for (let i in file_list) {
-        const file_id = file_list[i].file_id
-        const c = cache[file_id]
-        // 如果缓存地址在有效期内（确定已删除的图片不需要再次获取URL）
-        if (c?.deleted || (c?.expire_time && now < c.expire_time)) {
-          urls[file_id] = cache[file_id].temp_file_url
-        } else {
-          expired_file_ids.push(file_id)
-        }
+    const tokens = new Set()
+    for (const run of String(s).toLowerCase().match(/[\u4e00-\u9fff]+|[a-z0-9]+/g) || []) {
+      if (!_.isContainChinese(run)) {
+        tokens.add(run)
+        continue
       }
-      // 若有过期图片，去云端获得新的临时URL
-      if (expired_file_ids.length > 0) {
-        let res
-        try {
-          res = await _.call({
-            name: 'all_user',
-            action: 'GetTempFileUrl',
-            data: {
-              file_ids: expired_file_ids,
-            }
-          })
-        } catch (e) {
-          reject({errno: 'getTempFileURL Failed', errMsg: '发起wx.cloud.getTempFileURL失败', e})
-          return
-        }
-        if (!res.success) {
-          reject({errno: 'getTempFileURL Failed', errMsg: res.errMsg})
-          return
-        }
-        const expire_time = _.minutesAgo(-5)
-        for (let i in res.file_list) {
-          const { file_id, temp_file_url } = res.file_list[i]
-          const deleted = _.isEmpty(temp_file_url)
-          cache[file_id] = {temp_file_url, expire_time, deleted}
-          urls[file_id] = temp_file_url
-        }
+      if (!for_query || run.length === 1) {
+        [...run].forEach(ch => tokens.add(ch))
       }
-      try {
-        _.assert(_.objLength(urls) === len)
-      } catch (e) {
-        reject({errno: 'getTempFileURL Failed', errMsg: '返回的临时URL数量不对', len, urls})
-        return
+      for (let i = 0; i + 1 < run.length; i++) {
+        tokens.add(run.slice(i, i + 2))
       }
-      _.setCache(cache_key, cache)
-      return resolve(file_list.map(o => ({
-        file_id: o.file_id,
-        temp_file_url: urls[o.file_id],
-        deleted: _.isEmpty(urls[o.file_id]),
-      })))
-    })
+    }
+    return [...tokens]
   },
 
+  /**
+   * 合并两个查询条件。都是普通对象时展开合并，否则使用$.and
+   * SDK的命令对象（如$.or）是类的实例，展开后会变成普通对象，查询不到任何文档，因此不能写 {...w, _openid}
+   * @param {Object} w - 查询条件，可以是命令对象
+   * @param {Object} extra - 需要同时满足的条件，可以是命令对象
+   * @returns {Object} 合并后的查询条件
+   */
+  _andWhere (w, extra) {
+    const _ = this
+    if (_.isEmpty(extra)) {
+      return w
+    }
+    if (_.isEmpty(w)) {
+      return extra
+    }
+    if (_._isDbCommand(w) || _._isDbCommand(extra)) {
+      return _.command().and([w, extra])
+    }
+    return {...w, ...extra}
+  },
 
-  /* === Promise === */
+  /**
+   * 给查询条件加上只读写用户自己的数据的条件
+   * @param {Object} w - 查询条件，可以是命令对象
+   * @param {boolean} mine - 是否只读写用户自己的数据
+   * @returns {Object} 查询条件
+   */
+  _mineWhere (w, mine) {
+    return mine ? this._andWhere(w, {_openid: '{openid}'}) : w
+  },
 
   /**
-   * 等待并判断promise列表是否全部成功。只关心是否全部成功, 不关心返回值。
+   * 把order_by参数转换为云数据库需要的格式
    * 
-   * @param {Array<Promise>} promises - Promise列表
-   * @returns {Promise<boolean>} 返回一个Promise，当所有Promise都成功时，返回 `true`；否则，返回 `false`。
+   * 若order_by是字符串，则视为按此字段升序排序，返回 {[order_by]: 'asc'}；
+   * 若order_by是对象，则value可以是asc, desc, 1, -1, true, false。
    * 
-   * @example
-   *   const success = await utils.allResolved([p1, p2, p3]) // 等待并判断promise列表是否全部成功
+   * @param {string|Object} order_by - 排序参数
+   * @returns {Object} 转换后的排序对象
+   * @throws {Error} 当order_by不是字符串或对象时抛出错误
    */
-  allResolved (promises) {
+  _prepareOrderBy (order_by) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      Promise.all(promises)
-        .then(() => {
-          resolve(true)
-        })
-        .catch(e => {
-          resolve(false)
-        })
-    })
+    if (_.isString(order_by)) {
+      return {[order_by]: 'asc'}
+    } else if(_.isObject(order_by)) {
+      const ret = {}
+      for (let k in order_by) {
+        ret[k] = _.in(order_by[k], ['asc', 1, true]) ? 'asc' : 'desc'
+      }
+      return ret
+    } else {
+      throw new Error(`order_by must be string or object, but got ${order_by}`)
+    }
   },
 
   /**
-   * 把Array转换成Promise列表，并等待全部完成。
-   * 当你有一个组数列表，你需要对每个元素执行相同的异步操作，然后等待所有操作完成时，可以使用此函数。
-   * 
-   * @param {Array<any>} arr - 需要转换的数组
-   * @param {function} pro_func - 函数，接收两个参数，分别是arr数组的元素和index, 返回一个promise
-   * @returns {Promise<boolean>} 返回一个Promise，当所有Promise都成功时，返回 `true`；否则，返回 `false`。
-   * 
-   * @example
-   *   // 把Array转换成Promise列表，并等待全部完成
-   *   utils.awaitAll([1,2,3], (v, i) => {
-   *     return new Promise((resolve, reject) => {
-   *       setTimeout(() => {
-   *         console.log(v)
-   *         resolve()
-   *       }, 1000)
-   *     })
-   *   })
-   *   // 上面代码中，先把数组[1,2,3]转换成Promise列表，然后等待全部完成
+   * 读取数据库：相同的读取同时进行时共用一次请求（见_shareInflight），并按setCollConfig的cache_ttl使用缓存
+   *
+   * @param {string} c - 集合名称
+   * @param {Array} args - 读取函数名与参数，用于判断是否为相同的读取、生成缓存的key
+   * @param {boolean} use_cache - 是否使用缓存中的数据，为false时不共用请求，重新读取并更新缓存
+   * @param {Function} read - 读取数据的函数，返回Promise
+   * @returns {Promise} 读取的结果
    */
-  awaitAll (arr, pro_func) {
+  _cachedRead (c, args, use_cache, read) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      _.allResolved(arr.map(pro_func)).then(resolve).catch(reject)
+    let key
+    try {
+      key = JSON.stringify(args, (k, v) => v instanceof RegExp ? String(v) : v)
+    } catch (e) {
+      return read() // 查询条件无法序列化时不使用缓存
+    }
+    const ttl = _.getCollConfig(c).cache_ttl
+    if (ttl) {
+      const stats = _._read_cache_stats[c] ??= {hits: 0, misses: 0}
+      const hit = _._readCacheOf(c)[key]
+      if (use_cache && hit && hit.expire > Date.now()) {
+        stats.hits++
+        return Promise.resolve(_._copyReadResult(hit.value))
+      }
+      if (use_cache) {
+        stats.misses++
+      }
+    }
+    // 写入后版本变化，之后的读取不会与写入前开始的读取共用请求，也不会写入缓存
+    const gen = _._read_cache_gens[c] ??= 0
+    const load = () => read().then(value => {
+      if (ttl && _._read_cache_gens[c] === gen) {
+        _._readCacheOf(c)[key] = {value: _._copyReadResult(value), expire: Date.now() + ttl * 1000}
+      }
+      return value
     })
+    return use_cache ? _._shareInflight(`db|${c}|${gen}|${key}`, load) : load()
   },
 
   /**
-   * 把一个Promise函数添加到顺序执行的队列中。
-   * 
-   * @param {function} promise_func - Promise函数，应返回一个Promise对象
+   * 相同key的异步操作同时进行时只执行一次，后来的调用者共用第一次调用的结果
    *
-   * 注意
-   *   1. `promise_func` 必须返回Promise
-   *   2. `promise_func` 会按顺序执行，不会并发执行，即使 `addPromiseToQueue` 被并发调用。
-   *   3. 此函数在整个小程序的所有页面中共享同一个队列
-   *   4. 若被添加的Promise执行时出现异常，不会影响后续Promise的执行
-   * 
-   * @example
-   *   utils.addPromiseToQueue(p1) // 把一个Promise函数添加到队列中，假设这个p1需要执行2秒钟
-   *   utils.addPromiseToQueue(p2) // 立即把另一个Promise添加到队列中，p2会在p1执行完后再执行
-   *   // 继续向队列中添加更多Promise，它们会按添加顺序逐一执行
+   * @param {string} key - 操作的唯一标识，如 'openid'
+   * @param {Function} fn - 执行操作的函数，返回Promise
+   * @returns {Promise} 操作的结果。后来的调用者得到结果的副本，修改返回的数据不会互相影响
    */
-  addPromiseToQueue (promise_func) {
+  _shareInflight (key, fn) {
     const _ = this
-    _._promise_queue = _._promise_queue.then(() => promise_func()).catch(e => {})
+    const pending = _._inflight[key]
+    if (pending) {
+      pending.joined++
+      return pending.promise.then(v => _._copyReadResult(v))
+    }
+    const entry = {promise: Promise.resolve().then(fn), joined: 0}
+    _._inflight[key] = entry
+    entry.promise.finally(() => { delete _._inflight[key] }).catch(() => {})
+    // 有人共用结果时第一个调用者也得到副本，避免其修改数据影响其他调用者
+    return entry.promise.then(v => entry.joined > 0 ? _._copyReadResult(v) : v)
   },
 
-
-  /* === first app admin === */
-
   /**
-   * 判断当前用户是否为管理员，用于显示隐藏的功能等。
-   * 
-   * @param {string} app - 应用名称
-   * @returns {boolean} 如果用户是管理员，返回 true，否则返回 false
+   * 获取集合的读取缓存（保存在globalData.cache中，内存不足时会与其他缓存一起被清空）
+   * @param {string} c - 集合名称
+   * @returns {Object} {key: {value, expire}}
    */
-  isAdmin (app) {
+  _readCacheOf (c) {
     const _ = this
-    _.assert(app, 'isAdmin函数的app不能为空')
-    const c = `${app}_user`
-    return _.getUserConfig(c, 'is_admin')
+    let all = _.getCache(READ_CACHE_KEY)
+    if (!all) {
+      all = {}
+      _.setCache(READ_CACHE_KEY, all)
+    }
+    return all[c] ??= {}
   },
 
   /**
-   * 仅管理员可使用，设置应用setting。
-   * 
-   * @param {string} key - 设置的键名
-   * @param {any} value - 设置的值
-   * @param {object} [options] - 可选参数
-   *   - name='default' - 应用设置的名称
+   * 复制读取结果，避免调用者修改返回的数据后影响缓存（与deepCopy不同，会保留Date）
+   * @param {*} v - 读取结果
+   * @returns {*} 复制后的结果
    */
-  setAppSetting (key, value, { name = 'default' } = {}) {
+  _copyReadResult (v) {
     const _ = this
-    const c = 'app_setting'
-    const cache_key = `app_setting_${name}`
-    const app = _.appName()
-    _.getOne(c, {app, name})
-      .then(doc => {
-        if (doc) {
-          _.updateDoc(c, doc._id, {[key]: value})
-          _.putValue(doc, key, value)
-          _.setCache(cache_key, doc)
-        } else {
-          _.addDoc(c, {app, name, [key]: value, })
-          _.setCache(cache_key, {[key]: value})
+    if (_.isArray(v)) {
+      return v.map(i => _._copyReadResult(i))
+    } else if (_.isDate(v)) {
+      return new Date(v.getTime())
+    } else if (_.isObject(v)) {
+      const ret = {}
+      for (const k in v) {
+        ret[k] = _._copyReadResult(v[k])
+      }
+      return ret
+    }
+    return v
+  },
+
+  /**
+   * 记录一次数据库或云函数调用，见dbCallStats
+   * @param {string} op - 操作，如'getDoc'
+   * @param {string} c - 集合名称（或云函数名称）
+   * @param {Promise} p - 调用的Promise
+   * @returns {Promise} p
+   */
+  _dbCall (op, c, p) {
+    const _ = this
+    const page = getCurrentPages().at(-1) ?? null
+    const route = page?.route ?? ''
+    const key = `${route}|${op}|${c}`
+    const st = _._db_call_stats[key] ??= {page: route, op, c, count: 0}
+    st.count++
+
+    const budget = _._db_call_budget
+    if (page && budget && _.isLocal()) {
+      const visit = _._db_call_visits.get(page) ?? {count: 0, warned: false}
+      _._db_call_visits.set(page, visit)
+      visit.count++
+      if (visit.count > budget.budget && !visit.warned) {
+        visit.warned = true
+        _.warn({msg: `页面${route}的数据库调用次数超过了${budget.budget}次`, op, c, stats: _.dbCallStats({page: route}).list})
+        if (budget.toast) {
+          _.showTip({text: `数据库调用超过${budget.budget}次`})
         }
-      })
+      }
+    }
+    return p
   },
 
   /**
-   * 仅管理员可使用，向应用setting数组中添加值。
-   * 
-   * @param {string} key - 设置的键名
-   * @param {any} value - 设置的值
-   * @param {object} [options] - 可选参数
-   *   - name='default' - 应用设置的名称
+   * 写入完成（无论成功与否）后清除集合的读取缓存
+   * @param {string} c - 集合名称
+   * @param {Promise} p - 写入的Promise
+   * @returns {Promise} p
    */
-  pushAppSetting (key, value, { name = 'default' } = {}) {
+  _written (c, p) {
     const _ = this
-    const $ = _.command()
-    const c = 'app_setting'
-    const cache_key = `app_setting_${name}`
-    const app = _.appName()
-    _.getOne(c, {app, name})
-      .then(doc => {
-        if (doc) {
-          _.updateDoc(c, doc._id, {[key]: $.push(value)})
-          _.pushValue(doc, key, new_value)
-          _.setCache(cache_key, doc)
-        } else {
-          _.addDoc(c, {app, name, [key]: [value], })
-          _.setCache(cache_key, {[key]: [value]})
-        }
-      })
+    return p.finally(() => _.clearReadCache(c))
+  },
+
+  /**
+   * 软删除：把匹配的文档移动到回收站集合（集合名_trash），见setCollConfig的soft_delete
+   *
+   * @param {string} c - 集合名称
+   * @param {Object} w - 匹配被删除文档的条件（已包含mine条件）
+   * @returns {Promise<Object>} {stats: {removed}}，与collection.remove的返回值格式相同
+   *
+   * 说明
+   *   1. 前端每次最多读取20条，每条文档写入回收站需要一次调用，删除大量文档时请在云端进行。
+   *   2. 先写入回收站再删除，删除失败时回收站中会多出文档，但不会丢失数据。
+   */
+  async _softRemove (c, w) {
+    const _ = this
+    const $ = _.command()
+    const trash = `${c}_trash`
+    let removed = 0
+    while (true) {
+      const {data} = await _._dbCall('softRemove', c, _.coll(c).where(w).limit(20).get())
+      if (data.length === 0) {
+        break
+      }
+      const deleted_by = _.getCache('my_openid') || null
+      // 使用原来的_id，便于恢复；前端不能写入_openid，回收站中的_openid为删除者，原来的_openid保存在owner_openid中
+      await Promise.all(data.map(({_id, _openid, ...d}) => _._dbCall('softRemove', trash, _.coll(trash).doc(_id).set({
+        data: {...d, deleted: _.serverDate(), deleted_by, owner_openid: _openid ?? null},
+      }))))
+      const res = await _._dbCall('softRemove', c, _.coll(c).where(_._andWhere(w, {_id: $.in(data.map(d => d._id))})).remove())
+      removed += res.stats.removed
+      if (data.length < 20 || res.stats.removed === 0) {
+        break
+      }
+    }
+    _.clearReadCache(trash)
+    return {stats: {removed}}
   },
 
-
-  /* === 其他函数 === */
-
   /**
-   * 获取当前小程序的名称name
-   * 需在app.js的globalData.config.app_name处设置app_name(请使用小写字母)
-   * @returns {string} 返回配置中设置的小程序名称
+   * 按集合配置为写入的数据添加时间、用户字段，见setCollConfig
+   * @param {string} c - 集合名称
+   * @param {Object} d - 写入的数据
+   * @param {string} op - 'create'表示新增，'update'表示更新（包括setDoc）
+   * @param {Object} options - 可选参数:
+   *   - {number|null} rev - 期望的版本号，不为null时把_rev设置为rev+1（即使集合未开启versioned）
+   * @returns {Object} 添加字段后的数据（不修改d）
    */
-  appName(){
+  _stampDoc (c, d, op, {rev = null} = {}) {
     const _ = this
-    const app_name = _.getConfig('app_name')
-    if (_.isEmpty(app_name)) {
-      throw new Error('请在app.js文件的globalData.config.app_name处设置app_name(请使用小写字母)')
+    const {timestamps, track_user, versioned} = _.getCollConfig(c)
+    if (!timestamps && !track_user && !versioned && rev === null) {
+      return d
     }
-    return app_name
+    const ret = {...d}
+    if (versioned || rev !== null) {
+      if (op === 'create') {
+        ret._rev = 1
+      } else {
+        ret._rev = rev === null ? _.command().inc(1) : rev + 1
+      }
+    }
+    if (timestamps) {
+      const now = _.serverDate()
+      if (op === 'create') {
+        ret.created = now
+      }
+      ret.updated = now
+    }
+    const openid = track_user ? _.getCache('my_openid') : null
+    if (!_.isEmpty(openid)) {
+      if (op === 'create') {
+        ret.created_by = openid
+      }
+      ret.updated_by = openid
+    }
+    return ret
   },
 
   /**
-   * 显示加载提示框。
-   * @param {Object} [options={title: '加载中...'}]
-   * @returns {Promise} 返回一个Promise对象。
+   * 集合开启track_user时先获取openid（之后使用缓存），保证_stampDoc能添加created_by、updated_by
+   * @param {string} c - 集合名称
+   * @returns {Promise} 获取openid失败时reject
    */
-  showLoading ({title = '加载中...'} = {}) {
-    return wx.showLoading({ title, mask: true })
+  _trackUserReady (c) {
+    const _ = this
+    return _.getCollConfig(c).track_user ? _.openid() : Promise.resolve(null)
   },
 
   /**
-   * 隐藏加载提示框。
-   * @returns {Promise} 返回一个Promise对象。
+   * setDoc替换文档时需要保留的字段：开启timestamps时为created，开启track_user时为created_by
+   * @param {string} c - 集合名称
+   * @returns {Array<string>} 字段名列表
    */
-  hideLoading () {
-    return wx.hideLoading()
+  _createdKeys (c) {
+    const {timestamps, track_user} = this.getCollConfig(c)
+    return [...(timestamps ? ['created'] : []), ...(track_user ? ['created_by'] : [])]
   },
 
   /**
-   * 显示确认对话框，并在用户点击确认后执行后续操作。
-   * 点击取消时，如果设置`cancel_catch`为true，则触发Promise的reject。
-   * @param {Object} options 包含以下属性的对象:
-   *   - {string} title - 对话框标题。
-   *   - {string} [content=''] - 对话框内容。
-   *   - {string} [confirmText='好的'] - 确认按钮的文本。
-   *   - {string|null} [confirmColor=null] - 确认按钮的颜色，未设置时基于`confirmText`自动选择。
-   *   - {string} [cancelText='取消'] - 取消按钮的文本。
-   *   - {boolean} [showCancel=true] - 是否显示取消按钮。
-   *   - {boolean} [cancel_catch=false] - 点击取消时是否触发Promise的reject。
-   * @returns {Promise} 根据用户的选择解决或拒绝Promise。
+   * 为setDoc替换的数据添加时间、用户字段
+   * 文档已存在时保留原来的created、created_by（d中传入时使用d中的值），不存在时按新增添加。集合未开启timestamps、track_user时不读取文档。
+   * @param {string} c - 集合名称
+   * @param {string} id - 文档ID
+   * @param {Object} d - 新的文档数据
+   * @param {Object} options - 可选参数:
+   *   - {boolean} mine - 读取时是否在查询条件中加入_openid
+   * @returns {Promise<Object>} 添加字段后的数据
    */
-  confirm ({title, content = '', confirmText = '好的', confirmColor = null, cancelText = '取消', showCancel = true, cancel_catch = false} = {}) {
+  async _stampSet (c, id, d, {mine = false} = {}) {
     const _ = this
-    return new Promise((resolve, reject) => {
-      if (confirmColor === null) {
-        confirmColor = _.in('删除', confirmText) ? _.getConfig('color.danger') : _.getConfig('color.ok')
-      }
-      if (title){
-        wx.showModal({
-          title,
-          content,
-          showCancel: true,
-          confirmText,
-          confirmColor,
-          cancelText,
-          showCancel,
-          cancelColor: _.getConfig('color.cancel'),
-        }).then( res => {
-          res.confirm ? resolve() : cancel_catch ? reject() : null
-        })
-      }else{
-        reject({errno: 'confirm Failed', errMsg: '请传入title参数'})
-      }
-    })
+    const keys = _._createdKeys(c)
+    if (keys.length === 0) {
+      return _._stampDoc(c, d, 'update')
+    }
+    const {data: [old]} = await _._dbCall('setDoc', c, _.coll(c)
+      .where(_._mineWhere({_id: id}, mine))
+      .field(Object.fromEntries(keys.map(k => [k, true])))
+      .get())
+    return old ? _._stampDoc(c, {..._.pickObj(old, keys), ...d}, 'update') : _._stampDoc(c, d, 'create')
   },
 
   /**
-   * 在给定的延迟后显示成功的提示。
-   * 
-   * @param {object} [options] - 可选参数
-   * @param {string} [options.text='ok'] - 要显示的文本
-   * @param {number} [options.duration=1500] - 提示显示的持续时间（毫秒）
-   * @param {number} [options.delay=0] - 显示提示前的延迟时间（毫秒）
+   * 期望版本号对应的_rev查询条件（开启versioned之前的旧文档没有_rev，视为版本0）
+   * @param {number} rev - 期望的版本号
+   * @returns {number|Object} 查询条件
    */
-  showOk ({text = 'ok', duration = 1500, delay = 0} = {}) {
-    const _ = this
-    _.assert(_.isString(text), `传给showOk的参数必须是字符串: typeof text = ${typeof text}`)
-    function run () {
-      return wx.showToast({ title: text, icon: 'success', duration: duration })
-    }
-    if (delay === 0) {
-      return run()
-    } else {
-      return new Promise((resolve, reject) => {
-        setTimeout(() => {
-          run().then(resolve).catch(reject)
-        }, delay)
-      })
-    }
+  _revCondition (rev) {
+    return rev === 0 ? this.command().exists(false) : rev
   },
 
   /**
-   * 在给定的延迟后显示提示信息。
-   * 
-   * @param {object} [options] - 可选参数
-   * @param {string} options.text - 要显示的文本
-   * @param {number} [options.duration=1500] - 提示显示的持续时间（毫秒）
-   * @param {number} [options.delay=0] - 显示提示前的延迟时间（毫秒）
-   * @returns {Promise} 返回一个 Promise，resolve 时返回提示信息
+   * 按版本号更新失败后，读取当前版本号并生成REV_CONFLICT错误
+   * @param {string} c - 集合名称
+   * @param {string} id - 文档ID
+   * @param {number} rev - 期望的版本号
+   * @param {Object} w - 额外的查询条件，如mine条件
+   * @returns {Promise<Object|null>} REV_CONFLICT错误对象，文档不存在时为null
    */
-  showTip ({text, duration = 1500, delay = 0} = {}) {
+  async _revConflict (c, id, rev, w = {}) {
     const _ = this
-    _.assert(_.isString(text), `传给showTip的参数必须是字符串: typeof text = ${typeof text}`)
-    function run () {
-      return wx.showToast({ title: text.toString(), icon: 'none', duration })
-    }
-    if (delay === 0) {
-      return run()
-    } else {
-      return new Promise((resolve, reject) => {
-        setTimeout(() => {
-          run().then(resolve).catch(reject)
-        }, delay)
-      })
+    const {data} = await _._dbCall('revConflict', c, _.coll(c).where({...w, _id: id}).field({_rev: true}).get())
+    if (data.length === 0) {
+      return null
     }
+    const current_rev = data[0]._rev ?? 0
+    return _.makeError('REV_CONFLICT', `集合${c}中的文档${id}已被修改（期望版本${rev}，当前版本${current_rev}）`, {_id: id, current_rev})
   },
 
   /**
-   * 在给定的延迟后显示错误信息。
-   * 
-   * @param {object} [options] - 可选参数
-   * @param {string} options.text - 要显示的错误信息
-   * @param {number} [options.duration=2000] - 提示显示的持续时间（毫秒）
-   * @param {number} [options.delay=0] - 显示提示前的延迟时间（毫秒）
-   * @returns {Promise} 返回一个 Promise，resolve 时返回错误信息
+   * 按版本号替换文档，见setDoc的rev参数
+   * 文档已存在时使用带_rev条件的update（d中没有的字段用$.remove()删除，对象字段用$.set()整体替换），保证比较与写入是原子的。
+   * 文档不存在时使用add创建，同时创建时后写入的因_id重复而失败（REV_CONFLICT），不会覆盖先写入的文档。
+   *
+   * @param {string} c - 集合名称
+   * @param {string} id - 文档ID
+   * @param {Object} d - 新的文档数据（已经过校验）
+   * @param {number|null} rev - 期望的版本号，为null时使用读取到的当前版本号
+   * @param {Object} options - 可选参数:
+   *   - {boolean} mine - 是否只读写用户自己的文档
+   * @returns {Promise<Object>} {created, updated}，同setDoc
    */
-  showError ({text, duration = 2000, delay = 0} = {}) {
+  async _setDocWithRev (c, id, {_id, _openid, _rev, ...d}, rev, {mine = false} = {}) {
     const _ = this
-    _.assert(_.isString(text), `传给showError的参数必须是字符串: typeof text = ${typeof text}`)
-    function run () {
-      return wx.showToast({ title: text.toString(), icon: 'error', duration })
+    const $ = _.command()
+    const w = _._mineWhere({_id: id}, mine)
+    const {data: [old]} = await _._dbCall('setDoc', c, _.coll(c).where(w).get())
+    const current_rev = old ? (old._rev ?? 0) : 0
+    if (rev === null) {
+      rev = current_rev
     }
-    if (delay === 0) {
-      return run()
-    } else {
-      return new Promise((resolve, reject) => {
-        setTimeout(() => {
-          run().then(resolve).catch(reject)
-        }, delay)
-      })
+    if (rev !== current_rev) {
+      throw _.makeError('REV_CONFLICT', `集合${c}中的文档${id}已被修改（期望版本${rev}，当前版本${current_rev}）`, {_id: id, current_rev})
+    }
+    if (!old) {
+      try {
+        await _._dbCall('setDoc', c, _.coll(c).add({data: {..._._stampDoc(c, d, 'create'), _id: id}}))
+      } catch (e) {
+        throw (await _._revConflict(c, id, rev, w)) ?? e
+      }
+      return {created: true, updated: false}
+    }
+    const data = {}
+    for (const k in old) {
+      if (!_.in(k, ['_id', '_openid', '_rev', ..._._createdKeys(c)]) && d[k] === undefined) {
+        data[k] = $.remove()
+      }
+    }
+    for (const k in d) {
+      if (d[k] !== undefined) {
+        data[k] = _.isObject(d[k]) && !_._isDbCommand(d[k]) ? $.set(d[k]) : d[k]
+      }
+    }
+    const res = await _._dbCall('setDoc', c, _.coll(c)
+      .where({...w, _rev: _._revCondition(rev)})
+      .update({data: _._stampDoc(c, data, 'update', {rev})}))
+    if (res.stats.updated === 0) {
+      throw (await _._revConflict(c, id, rev, w)) ?? _.makeError('REV_CONFLICT', `集合${c}中的文档${id}已被删除`, {_id: id, current_rev: null})
     }
+    return {created: false, updated: true}
   },
 
   /**
-   * 请求权限后执行某项操作。
-   * 
-   * @param {object} options - 参数对象
-   * @param {string} options.auth - 请求的权限
-   * @returns {Promise} 返回一个 Promise，resolve 时表示用户已授权
+   * 写入前按schema填充默认值并校验
+   * @param {string} c - 集合名称
+   * @param {Object} d - 写入的数据
+   * @param {Object} options - 可选参数:
+   *   - {boolean} partial - 是否为更新（只校验d中的字段，不填充默认值）
+   * @returns {Object} {doc, error}，doc为填充默认值后的数据，error为VALIDATION_FAILED错误对象或null
    */
-  authorized ({auth} = {}) {
-    return new Promise((resolve, reject) => {
-      if (auth){
-        wx.getSetting()
-          .then(res => {
-            if (res.authSetting[auth]) {
-              resolve()
-            } else {
-              wx.authorize({ scope: auth }).then(resolve).catch(reject)
-            }
-          })
-          .catch(reject)
-      }else{
-        reject({errno: 'auth Failed', errMsg: '缺少auth参数'})
+  _applySchema (c, d, {partial = false} = {}) {
+    const _ = this
+    const schema = _.getSchema(c)
+    if (!schema) {
+      return {doc: d, error: null}
+    }
+    const doc = partial ? d : {...d}
+    if (!partial) {
+      for (const f in schema.fields) {
+        const rule = schema.fields[f]
+        if (rule.default !== undefined && _._isBlank(_.pickValue(doc, f))) {
+          const value = _.isFunction(rule.default) ? rule.default() : _.deepCopy(rule.default)
+          _.putValue(doc, f, value)
+        }
       }
-    })
+    }
+    const errors = _.validateDoc(c, doc, {partial})
+    if (errors.length === 0) {
+      return {doc, error: null}
+    }
+    const msg = `集合${c}的数据不合法：${errors.map(e => e.msg).join('；')}`
+    return {doc, error: _.makeError('VALIDATION_FAILED', msg, {errors})}
   },
 
   /**
-   * 返回大于等于 0，小于 max 的随机整数。
-   * 
-   * @param {number} max - 最大值
-   * @returns {number} 返回随机整数
+   * 按规则校验一个字段
+   * @param {string} f - 字段名
+   * @param {*} v - 字段值
+   * @param {Object} rule - 字段规则，见defineSchema
+   * @returns {Object|null} 错误 {field, rule, msg}，校验通过时返回null
    */
-  randomInt (max) {
-    return Math.floor(Math.random() * max)
+  _checkField (f, v, rule) {
+    const _ = this
+    const label = rule.label ?? f
+    const fail = (name, msg) => ({field: f, rule: name, msg: rule.msg ?? msg})
+
+    if (_._isBlank(v)) {
+      return rule.required ? fail('required', `${label}不能为空`) : null
+    }
+    // 数据库指令、serverDate在写入时才能确定值
+    if (_._isDbCommand(v)) {
+      return null
+    }
+
+    const {type, min_length, max_length, min, max, validator} = rule
+    const type_ok = {
+      string : () => _.isString(v),
+      number : () => typeof v === 'number' && !isNaN(v),
+      boolean: () => _.isBoolean(v),
+      date   : () => v instanceof Date,
+      array  : () => _.isArray(v),
+      object : () => _.isObject(v),
+      id     : () => _.isID(v),
+    }
+    if (type && !type_ok[type]()) {
+      return fail('type', `${label}必须是${SCHEMA_TYPES[type]}`)
+    }
+    if (rule.enum && !rule.enum.some(i => _.isEqual(i, v))) {
+      return fail('enum', `${label}必须是以下值之一：${rule.enum.join('、')}`)
+    }
+    if (max_length !== undefined && v.length > max_length) {
+      return fail('max_length', `${label}的长度不能超过${max_length}`)
+    }
+    if (min_length !== undefined && v.length < min_length) {
+      return fail('min_length', `${label}的长度不能少于${min_length}`)
+    }
+    if (max !== undefined && v > max) {
+      return fail('max', `${label}不能大于${max}`)
+    }
+    if (min !== undefined && v < min) {
+      return fail('min', `${label}不能小于${min}`)
+    }
+    if (validator && !(_.isFunction(validator) ? validator(v) : _[validator](v))) {
+      return fail('validator', `${label}的格式不正确`)
+    }
+    return null
   },
 
   /**
-   * 返回长度为 size 的随机字符串。
-   * 
-   * @param {number} size - 字符串长度
-   * @param {object} [options] - 可选参数
-   * @param {boolean} [options.only_lowercase=false] - 是否只包含小写字母
-   * @returns {string} 返回随机字符串
+   * 判断值是否视为未填写（null、undefined、空字符串）
+   * @param {*} v - 字段值
+   * @returns {boolean} 是否未填写
    */
-  randomString(size, {only_lowercase = false} = {}) {
-    const upper = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
-    const lower = 'abcdefghijklmnopqrstuvwxyz'
-    const digits = '0123456789'
-    let s = only_lowercase ? lower : upper + lower + digits
-    let result = ''
-    for (let i = 0; i < size; i++) {
-      result += s.charAt(Math.floor(Math.random() * s.length))
-    }
-    return result
+  _isBlank (v) {
+    return v === undefined || v === null || v === ''
   },
 
   /**
-   * 返回长度为 size 的随机数字字符串，可能以 0 开头。
-   * 
-   * @param {number} size - 字符串长度
-   * @returns {string} 返回随机数字字符串
+   * 判断值是否为数据库指令（如 $.inc(1)）或serverDate()
+   * @param {*} v - 字段值
+   * @returns {boolean} 是否为数据库指令
    */
-  randomNumber(size) {
-    const digits = '0123456789'
-    let result = ''
-    for (let i = 0; i < size; i++) {
-      result += digits.charAt(Math.floor(Math.random() * digits.length))
-    }
-    return result
+  _isDbCommand (v) {
+    return this.isObject(v) && v._internalType !== undefined
   },
 
   /**
-   * 从数组中随机选择几个元素的函数。
-   * 
-   * @param {Array} l - 原数组
-   * @param {number} [count=1] - 选择的元素个数
-   * @returns {Array} 返回随机选择的元素数组
+   * 准备排序参数。
+   * @param {string|Object} sort - 排序字段或对象。
+   * @returns {Object} 返回排序参数对象。
+   * @throws {Error} 如果sort参数既不是字符串也不是对象，抛出异常。
    */
-  randomChoose(l, count = 1) {
-    const l2 = Array.from(l)
-    if (l2.length > 0) {
-      if (count === 1) {
-        return l2[Math.floor(Math.random() * l2.length)]
-      } else {
-        const shuffled = l2.slice().sort(() => Math.random() - 0.5)
-        return shuffled.slice(0, count)
+  _prepareSort (sort){
+    const _ = this
+    if (_.isString(sort)) {
+      return {[sort]: 1}
+    } else if(_.isObject(sort)) {
+      const ret = {}
+      for (let k in sort) {
+        ret[k] = _.in(sort[k], ['asc', 1, true]) ? 1 : -1
       }
+      return ret
     } else {
-      return (count === 1) ? null : []
+      // 抛出异常
+      throw new Error(`sort must be string or object, but got ${sort}`)
+    }
+  },
+
+  /**
+   * 生成keyset分页的排序规则，末尾自动添加_id，保证排序结果唯一
+   * @param {Object} sort - _prepareSort返回的排序对象，如：{rank: -1}
+   * @returns {Array} 排序规则列表，如：[['rank', -1], ['_id', 1]]
+   */
+  _keysetOrder (sort) {
+    const order = Object.entries(sort)
+    if (!order.some(([k]) => k === '_id')) {
+      order.push(['_id', 1])
     }
+    return order
   },
 
   /**
-   * 断言函数，如果条件不满足，抛出错误。
-   * 
-   * @param {boolean} condition - 断言的条件
-   * @param {string} [message=''] - 如果断言失败，抛出的错误信息
+   * 获取文档中排序字段的值，用于生成下一页的查询条件
+   * @param {Array} order - _keysetOrder的返回值
+   * @param {Object} doc - 当前页的最后一个文档
+   * @returns {Array|null} 排序字段的值，有字段不存在（或为null）时返回null，表示下一页只能使用skip读取
    */
-  assert (condition, message = '') {
-    if (!condition) {
-      throw new Error(message || 'Assertion failed')
-    }
+  _keysetValues (order, doc) {
+    const _ = this
+    const values = order.map(([k]) => _.pickValue(doc, k))
+    return values.some(v => v === undefined || v === null) ? null : values
   },
 
   /**
-   * 比较两个版本号的大小。
-   * 
-   * @param {string} v1 - 第一个版本号
-   * @param {string} v2 - 第二个版本号
-   * @returns {number} 如果 v1 > v2，返回 1，如果 v1 < v2，返回 -1，如果 v1 = v2，返回 0
+   * 生成keyset分页的查询条件：按order排序时，位于values所在文档之后的文档
+   * @param {Array} order - _keysetOrder的返回值
+   * @param {Array} values - _keysetValues的返回值
+   * @returns {Object} 查询条件，如：{rank: $.lt(5)} 或 $.or([{rank: $.lt(5)}, {rank: $.eq(5), _id: $.gt('xxx')}])
    */
-  compareVersion(v1, v2) {
-    v1 = v1.split('.')
-    v2 = v2.split('.')
+  _keysetMatch (order, values) {
+    const _ = this
+    const $ = _.command()
+    const conds = order.map(([k, dir], i) => {
+      const cond = {}
+      order.slice(0, i).forEach(([pk], j) => { cond[pk] = $.eq(values[j]) })
+      cond[k] = dir === 1 ? $.gt(values[i]) : $.lt(values[i])
+      return cond
+    })
+    return conds.length === 1 ? conds[0] : $.or(conds)
+  },
 
-    const len = Math.max(v1.length, v2.length)
+  /**
+   * 生成cursor字符串（调用者应把它当作不透明的字符串，不要解析或修改）
+   * @param {Array} order - _keysetOrder的返回值
+   * @param {Array|null} values - _keysetValues的返回值
+   * @param {number} skip - 包括本页在内已读取的文档数量，values为null时下一页使用skip读取
+   * @returns {string} cursor
+   */
+  _encodeCursor (order, values, skip) {
+    // Date不能直接用JSON保存，需要标记类型
+    const v = values && values.map(i => i instanceof Date ? {$date: i.getTime()} : i)
+    return JSON.stringify({o: order, v, s: skip})
+  },
 
-    while (v1.length < len) {
-      v1.push('0')
-    }
-    while (v2.length < len) {
-      v2.push('0')
+  /**
+   * 解析cursor字符串
+   * @param {string} cursor - _encodeCursor生成的cursor
+   * @param {Array} order - 本次查询的排序规则，必须与生成cursor时相同
+   * @returns {Object} {values, skip}，同_encodeCursor的参数
+   * @throws {Object} cursor不合法或排序规则不一致时，抛出INVALID_PARAM错误对象
+   */
+  _decodeCursor (cursor, order) {
+    const _ = this
+    let o = null
+    try {
+      o = JSON.parse(cursor)
+    } catch (e) {}
+    if (!_.isObject(o) || JSON.stringify(o.o) !== JSON.stringify(order)) {
+      throw _.makeError('INVALID_PARAM', 'cursor不合法，或与本次查询的排序规则不一致', {cursor})
     }
+    const values = o.v && o.v.map(i => _.isObject(i) && i.$date !== undefined ? new Date(i.$date) : i)
+    return {values, skip: o.s}
+  },
 
-    for (let i = 0; i < len; i++) {
-      const num1 = parseInt(v1[i])
-      const num2 = parseInt(v2[i])
+  /**
+   * keyset分页需要读取排序字段才能生成cursor，因此only、except需要包含排序字段
+   * @param {Object} field - _makeField的返回值
+   * @param {Array} order - _keysetOrder的返回值
+   * @returns {Object} {field, extra}，extra为额外读取的字段，生成cursor后需使用_removeFields删除
+   */
+  _keysetField (field, order) {
+    return this._includeFields(field, order.map(([k]) => k))
+  },
 
-      if (num1 > num2) {
-        return 1
-      } else if (num1 < num2) {
-        return -1
+  /**
+   * 在字段映射中加入需要读取的字段
+   * @param {Object} field - 字段映射对象，见_makeField
+   * @param {Array<string>} keys - 需要读取的字段
+   * @returns {Object} {field, extra}，field为新的字段映射，extra为only、except原本不返回的字段，读取后需要删除
+   */
+  _includeFields (field, keys) {
+    const only = Object.values(field).some(v => v === true)
+    const ret = {...field}
+    const extra = []
+    for (const k of keys) {
+      if (ret[k] === false) {
+        delete ret[k]
+        extra.push(k)
+      } else if (only && ret[k] !== true && k !== '_id') {
+        ret[k] = true
+        extra.push(k)
       }
     }
+    return {field: ret, extra}
+  },
 
-    return 0
+  /**
+   * 删除文档中的字段
+   * @param {Array<Object>} docs - 文档列表
+   * @param {Array<string>} keys - 字段列表，支持点表示法
+   */
+  _removeFields (docs, keys) {
+    const _ = this
+    for (const d of docs) {
+      keys.filter(k => _.pickValue(d, k) !== undefined).forEach(k => _.putValue(d, k, undefined))
+    }
   },
 
   /**
-   * 复制内容到剪贴板。
-   * 
-   * @param {string} text - 要复制到剪贴板的文本
+   * 获取云服务实例。
+   * @returns {Object} 返回云服务的实例对象。
    */
-  copyToClipboard(text) {
-    wx.setClipboardData({
-      data: text
-    })
+  _cloud(){
+    return APP().cloud
   },
 
   /**
-   * 从剪贴板中获取内容（前端）。
-   * 
-   * @returns {Promise} 返回一个 Promise，resolve 时返回剪贴板的内容
+   * 调用一次云函数，不做重试，供call使用
+   *
+   * @param {object} options - 参数同call，is_local、idempotency_key已由call计算好
+   * @returns {Promise} 返回一个 Promise，resolve 时返回云函数的结果
    */
-  getClipboardData() {
+  _callOnce ({ name, action, data, is_local, force_online, timeout, idempotency_key }) {
     const _ = this
     return new Promise((resolve, reject) => {
-      wx.getClipboardData()
+      let timeout_id, timeout_done = false;
+
+      // 设置超时（timeout为null时会使用全局超时时间）
+      if (timeout !== null) {
+        timeout_id = setTimeout(() => {
+          timeout_done = true // 超时了，防止后续回调函数继续执行
+          reject(_.makeError('TIMEOUT', `云函数调用超时(${timeout}ms)`))
+        }, timeout)
+      }
+
+      _._dbCall('call', name, _._cloud().callFunction({
+        name: name,
+        // 把当前运行环境、幂等键告知云函数
+        data: { ...data, ...{is_local, action, idempotency_key}},
+        // callFunction并不支持设置一个超时时间
+      }))
         .then(res => {
-          resolve(res.data)
+          // 清除超时逻辑
+          if (timeout_id) clearTimeout(timeout_id);
+          if (timeout_done) return;
+          _._handleCallResult({name, force_online, result: res.result, resolve, reject})
+        })
+        .catch(e => {
+          if (timeout_id) clearTimeout(timeout_id);
+          if (timeout_done) return;
+          reject(_.makeError('CALL_FAILED', `云函数(${name})调用失败`, {cause: e}))
         })
-        .catch(reject)
     })
   },
 
   /**
-   * 预览对象。
-   * 
-   * @param {object} options - 参数对象
-   * @param {object} options.obj - 要预览的对象
+   * 处理云函数返回的结果，把约定的字符串结果、云函数返回的错误对象转换为reject
+   *
+   * @param {object} options
+   * @param {string} options.name - 云函数的名称
+   * @param {boolean|null} options.force_online - 同call
+   * @param {*} options.result - 云函数的返回值
+   * @param {Function} options.resolve - 成功时的回调
+   * @param {Function} options.reject - 失败时的回调
    */
-  previewObject({obj}) {
+  _handleCallResult ({name, force_online, result, resolve, reject}) {
     const _ = this
-    _.globalData().temp.preview_obj = obj
-    _.openPage(`/utils/dev_tools/preview_obj/preview_obj?data_from=temp`)
+
+    // 本地开发运行环境访问了正式环境的云函数,被云函数拒绝
+    if (result === 'ENV_ERROR') {
+      if (force_online === null) {
+        reject(_.makeError('ENV_ERROR', `请打开本地云函数(${name})的调试`))
+      } else {
+        reject(_.makeError('ENV_ERROR', `请把 force_online 设置为 ${!force_online}`))
+      }
+
+    } else if (result === 'APP_ERROR') {
+
+      // 云函数要求仅部分小程序可以访问
+      reject(_.makeError('APP_ERROR', `云函数已禁止${_.getConfig('app_name')}访问`))
+
+    } else if (result === 'NOT_ADMIN') {
+      resolve({})
+    } else if (_.isError(result)) {
+
+      // 云函数返回了错误对象
+      reject(result)
+    } else {
+      resolve(result)
+    }
   },
 
   /**
-   * 发送文件给朋友(pdf、word等）。
-   * 注意：
-   *    1. 此函数不能在utils.call中使用(通常需要用call获得file_url)，要提前获得file_url
-   *       也不能和utils.call放在同一个函数中，否则看不见分享效果
-   *       需要使用两个按钮来分享文件，第一个是创建文件，第二个是调用shareFileToFriend分享
-   *    2. 需在小程序后台->开发->开发设置->服务器域名的 downloadFile合法域名 中添加 https://xxxxxxxxx.qcloud.la 域名
-   *    3. 微信开发者工具中看不到分享效果，电脑端可用浏览器下载后预览
-   * 
-   * @param {string} file_url - 文件的网络地址
-   * @param {string} file_name - 文件名，带后缀
-   * @returns {Promise} 返回一个Promise，当成功时，返回 `undefined`；当失败时，返回错误信息
+   * 把调用加入合并队列，batch_wait毫秒后同一云函数的所有调用通过一次callFunction发送
+   *
+   * @param {object} options - call计算好的参数
+   * @returns {Promise} 返回一个 Promise，resolve 时返回此action的结果
    */
-  shareFileToFriend (file_url, file_name) {
+  _addToCallBatch ({name, action, data, is_local, force_online, timeout,
+    retry, retry_delay, retry_errnos, idempotency_key, batch_wait}) {
     const _ = this
+    // timeout、retry等设置作用于整个合并调用，设置不同的调用不能合并
+    const key = JSON.stringify([name, is_local, force_online, timeout, retry, retry_delay, retry_errnos])
     return new Promise((resolve, reject) => {
+      if (!_._call_batches[key]) {
+        _._call_batches[key] = {
+          items: [],
+          options: {name, force_online, timeout, retry, retry_delay, retry_errnos},
+        }
+        setTimeout(() => _._flushCallBatch(key), batch_wait)
+      }
+      _._call_batches[key].items.push({action, data, idempotency_key, resolve, reject})
+    })
+  },
 
-      // 这里需要保存到用户本地目录，否则Android分享没有文件icon
-      const filePath = `${wx.env.USER_DATA_PATH}/${file_name}`
+  /**
+   * 发送合并队列中的调用，并把每个action的结果分别返回给对应的Promise
+   *
+   * @param {string} key - 合并队列的键，见_addToCallBatch
+   */
+  _flushCallBatch (key) {
+    const _ = this
+    const {items, options} = _._call_batches[key]
+    delete _._call_batches[key]
 
-      wx.downloadFile({
-        url: file_url,
-        filePath,
-        success: ({statusCode, tempFilePath}) => {
-          if (statusCode === 200) {
-            wx.shareFileMessage({
-              filePath, // 这里要使用上面的路径，而不是tempFilePath
-              fileName: file_name,
-            })
-            resolve()
+    // 只有一个调用时，不需要合并
+    if (items.length === 1) {
+      const {action, data, idempotency_key, resolve, reject} = items[0]
+      _.call({...options, action, data, idempotency_key}).then(resolve).catch(reject)
+      return
+    }
+
+    const batch = items.map(({action, data, idempotency_key}) => ({action, data, idempotency_key}))
+    _.call({...options, action: 'Batch', data: {batch}})
+      .then(res => {
+        // call已用_handleCallResult处理过整体的结果，没有batch_results时（如NOT_ADMIN转换成的{}）每个调用都得到此结果
+        if (!_.isObject(res) || !_.isArray(res.batch_results)) {
+          items.forEach(({resolve}) => resolve(res))
+          return
+        }
+        items.forEach(({resolve, reject}, i) => {
+          const {result, error} = res.batch_results[i] || {error: _.makeError('BATCH_ERROR', '云函数未返回此action的结果')}
+          if (error) {
+            reject(error)
           } else {
-            reject()
+            _._handleCallResult({name: options.name, force_online: options.force_online, result, resolve, reject})
           }
-        },
-        fail: reject,
+        })
+      })
+      .catch(e => {
+        items.forEach(({reject}) => reject(e))
       })
-    })
   },
 
+  /**
+   * 把任意错误转换为统一格式的错误对象，已经是错误对象时原样返回
+   *
+   * @param {*} e - 原始错误
+   * @param {string} code - 错误码
+   * @param {string} msg - 中文说明
+   * @returns {Object} 错误对象
+   */
+  _toError (e, code, msg) {
+    const _ = this
+    return _.isError(e) ? e : _.makeError(code, msg, {cause: e})
+  },
 
-  /* === 私有辅助 === */
+  /**
+   * 把原始错误转换为可以序列化的对象（Error对象无法直接JSON序列化）
+   *
+   * @param {*} cause - 原始错误
+   * @returns {*} 可以序列化的原始错误
+   */
+  _errorCause (cause) {
+    if (cause instanceof Error) {
+      const {errCode, errMsg} = cause
+      return {name: cause.name, message: cause.message, ...(errCode === undefined ? {} : {errCode}), ...(errMsg === undefined ? {} : {errMsg})}
+    }
+    return cause
+  },
 
   /**
-   * 返回数据库访问对象
-   * 
-   * @returns {Object} 数据库访问对象
+   * 生成幂等键：时间戳(36进制) + 随机字符串，同一次call的所有重试共用
+   *
+   * @returns {string} 幂等键
    */
-  _db () {
-    return APP().cloud.database()
+  _makeIdempotencyKey () {
+    return Date.now().toString(36) + this.randomString(12)
   },
 
   /**
-   * 生产环境下给集合名称添加p_前缀(all_前缀的集合除外)
-   * 
-   * @param {string} c - 集合名
-   * @returns {string} 添加前缀后的集合名
+   * 执行一次数据库写入，开启离线写入后，网络不可用时把写入加入离线队列
+   *
+   * @param {Object} item - 写入操作 {offline, op, c, id, data, mine, rev}，offline为false时直接执行run
+   * @param {Function} run - 执行写入的函数，返回Promise
+   * @returns {Promise} 写入的结果
    */
-  _collName(c){
+  _offlineWrite ({offline, op, c, id = null, data = null, mine = false, rev = null}, run) {
     const _ = this
-    if( !_.isLocal() && !c.startsWith('all_') ){
-      c = 'p_' + c
+    const state = _._offline
+    const exec = () => _._written(c, run())
+    if (!offline || !state) {
+      return exec()
     }
-    return c
+    const item = {offline_id: _._makeIdempotencyKey(), op, c, id, data, mine, rev, created: Date.now(), tries: 0, last_error: ''}
+
+    // 队列不为空（或还未从Storage读取）时必须排在队列末尾，保证写入顺序
+    if (!state.loaded || state.pending.length > 0) {
+      return new Promise((resolve, reject) => {
+        state.waiting[item.offline_id] = {resolve, reject}
+        _._offlineSerial(() => _._pushOfflineWrite(item))
+          .then(() => _.flushOfflineWrites())
+          .catch(reject)
+      })
+    }
+
+    return exec().catch(async e => {
+      if (!_._isOfflineError(e)) {
+        throw e
+      }
+      await _._offlineSerial(() => _._pushOfflineWrite(item))
+      throw _.makeError('OFFLINE_QUEUED', `网络不可用，${c}的写入已加入离线队列`, {cause: e.cause, offline_id: item.offline_id, _id: id})
+    })
   },
 
   /**
-   * 用于创建数据查询需要返回或排除的字段
-   * 
-   * only和except是用逗号分隔的字符串，如：'_id, content'。
-   * 
-   * @param {string} [only=''] - 需要返回的字段，多个字段用逗号分隔，支持点表示法
-   * @param {string} [except=''] - 需要排除的字段，多个字段用逗号分隔，支持点表示法
-   * @returns {Object} 字段映射对象，需要返回的字段值为true，需要排除的字段值为false
+   * 重新提交离线队列中的一个写入
+   * @param {Object} item - 离线队列中的写入
+   * @returns {Promise} 写入的结果，与addDoc、updateDoc、removeDoc的返回值相同
    */
-  _makeField(only = '', except = '') {
+  async _runOfflineWrite ({op, c, id, data, mine, rev = null}) {
     const _ = this
-    let field = {}
-    if (only){
-      _.split(only, ',').forEach(f => { field[f] = true })
+    if (op === 'add') {
+      try {
+        return await _.addDoc(c, data, {offline: false})
+      } catch (e) {
+        // 之前提交时可能已经写入成功，只是没有收到返回结果（_id已存在）
+        if (!_._isOfflineError(e) && await _.exists(c, id)) {
+          return id
+        }
+        throw e
+      }
     }
-    if (except){
-      _.split(except, ',').forEach(f => { field[f] = false })
+    if (op === 'update') {
+      const updated = await _.updateDoc(c, id, data, {mine, offline: false, rev})
+      if (!updated && !(await _.exists(c, id, {mine}))) {
+        throw _.makeError('OFFLINE_CONFLICT', `集合${c}中的文档${id}已不存在`)
+      }
+      return updated
     }
-    return field
+    // 文档已经不存在时，删除的目的也已达到，不算冲突
+    return _.removeDoc(c, id, {mine, offline: false})
   },
 
   /**
-   * 把order_by参数转换为云数据库需要的格式
-   * 
-   * 若order_by是字符串，则视为按此字段升序排序，返回 {[order_by]: 'asc'}；
-   * 若order_by是对象，则value可以是asc, desc, 1, -1, true, false。
-   * 
-   * @param {string|Object} order_by - 排序参数
-   * @returns {Object} 转换后的排序对象
-   * @throws {Error} 当order_by不是字符串或对象时抛出错误
+   * 把写入添加到离线队列末尾并保存（需在_offlineSerial中执行）
+   * @param {Object} item - 写入操作
    */
-  _prepareOrderBy (order_by) {
+  async _pushOfflineWrite (item) {
     const _ = this
-    if (_.isString(order_by)) {
-      return {[order_by]: 'asc'}
-    } else if(_.isObject(order_by)) {
-      const ret = {}
-      for (let k in order_by) {
-        ret[k] = _.in(order_by[k], ['asc', 1, true]) ? 'asc' : 'desc'
-      }
-      return ret
-    } else {
-      throw new Error(`order_by must be string or object, but got ${order_by}`)
-    }
+    _._offline.pending.push(item)
+    await _._saveOfflineWrites()
   },
 
   /**
-   * 准备排序参数。
-   * @param {string|Object} sort - 排序字段或对象。
-   * @returns {Object} 返回排序参数对象。
-   * @throws {Error} 如果sort参数既不是字符串也不是对象，抛出异常。
+   * 把离线队列与冲突列表保存到Storage，并通知监听者
    */
-  _prepareSort (sort){
+  async _saveOfflineWrites () {
     const _ = this
-    if (_.isString(sort)) {
-      return {[sort]: 1}
-    } else if(_.isObject(sort)) {
-      const ret = {}
-      for (let k in sort) {
-        ret[k] = _.in(sort[k], ['asc', 1, true]) ? 1 : -1
-      }
-      return ret
-    } else {
-      // 抛出异常
-      throw new Error(`sort must be string or object, but got ${sort}`)
+    const {storage_key, pending, conflicts, listeners} = _._offline
+    await _.setStorage(storage_key, {pending, conflicts})
+    if (listeners.length > 0) {
+      const res = {pending: _.offlineWrites(), conflicts: _.offlineConflicts()}
+      listeners.forEach(fn => fn(res))
     }
   },
 
   /**
-   * 获取云服务实例。
-   * @returns {Object} 返回云服务的实例对象。
+   * 顺序执行离线队列相关的操作（与addPromiseToQueue相同，但会返回fn的结果）
+   * @param {Function} fn - 返回Promise的函数
+   * @returns {Promise} fn的结果
    */
-  _cloud(){
-    return APP().cloud
+  _offlineSerial (fn) {
+    const _ = this
+    const p = _._offline_queue.then(() => fn())
+    _._offline_queue = p.catch(e => {})
+    return p
+  },
+
+  /**
+   * 判断错误是否由网络不可用引起
+   * @param {Object} e - 错误对象
+   * @returns {boolean} 是否为网络错误
+   */
+  _isOfflineError (e) {
+    const _ = this
+    const cause = e?.cause
+    return _.in(cause?.errCode, OFFLINE_ERRNOS) || /request:fail|network/i.test(cause?.errMsg ?? cause?.message ?? '')
+  },
+
+  /**
+   * 在前端生成与云数据库格式相同的_id（第8至16位为16进制的秒级时间戳，getTimeFromId可以正常使用）
+   * @returns {string} 32位16进制字符串
+   */
+  _makeDocId () {
+    const hex = (n) => Array.from({length: n}, () => Math.floor(Math.random() * 16).toString(16)).join('')
+    return hex(8) + Math.floor(Date.now() / 1000).toString(16).padStart(8, '0') + hex(16)
   },
 
   /**
@@ -5354,24 +7541,24 @@ const utils = {
                     if (!exists) {
                       _.addDoc(c, doc)
                         .then(resolve)
-                        .catch(e => { reject({errno: '_saveUserConfigToStorageAndCloudDB Failed', errMsg: `向数据库${c}中插入数据时失败`, e}) })
+                        .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `_saveUserConfigToStorageAndCloudDB：向数据库${c}中插入数据时失败`)) })
                     } else {
                       resolve()
                     }
                   })
-                  .catch(e => { reject({errno: '_saveUserConfigToStorageAndCloudDB Failed', errMsg: `从数据库${c}中获取数据时失败`, e}) })
+                  .catch(e => { reject(_._toError(e, 'USER_CONFIG_FAILED', `_saveUserConfigToStorageAndCloudDB：从数据库${c}中获取数据时失败`)) })
               }
 
               if (updated > 1) { _.error({title: '_saveUserConfigToStorageAndCloudDB', msg: `数据库${c}中有多条记录，请确保_openid是唯一主键`}) }
 
             })
             .catch(e => {
-              reject({errno: '_saveUserConfigToStorageAndCloudDB Failed', errMsg: `调用updateMatch时失败`, e})
+              reject(_._toError(e, 'USER_CONFIG_FAILED', `_saveUserConfigToStorageAndCloudDB：调用updateMatch时失败`))
             })
 
         })
         .catch(e => {
-          reject({errno: '_saveUserConfigToStorageAndCloudDB Failed', errMsg: `调用setStorage时失败`, e, value_k: _.getKLen(value)})
+          reject(_._toError(e, 'USER_CONFIG_FAILED', `_saveUserConfigToStorageAndCloudDB：调用setStorage时失败`))
         })
 
     })
@@ -5416,6 +7603,16 @@ const utils = {
   _user_config_buffer: {}, // 用于缓存用户配置
   _characters: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
   _promise_queue: Promise.resolve(), // 用于串行执行异步任务
+  _call_batches: {}, // 等待合并发送的云函数调用
+  _offline: null, // 离线写入队列，调用enableOfflineWrites后才会创建
+  _offline_queue: Promise.resolve(), // 用于顺序执行离线队列的读写
+  _coll_configs: {}, // 各集合的配置（schema等），见defineSchema
+  _read_cache_gens: {}, // 各集合读取缓存的版本，写入后加1，见_cachedRead
+  _read_cache_stats: {}, // 各集合读取缓存的命中统计，见readCacheStats
+  _inflight: {}, // 正在进行中的读取，相同的读取共用一次请求，见_shareInflight
+  _db_call_stats: {}, // 数据库与云函数的调用次数统计，见dbCallStats
+  _db_call_budget: null, // 每个页面的调用次数预算，见setDbCallBudget
+  _db_call_visits: new WeakMap(), // 每个页面实例（每次打开页面）的调用次数，见_dbCall
 
 }
 